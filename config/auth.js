@@ -0,0 +1,39 @@
+require('dotenv').config();
+
+/**
+ * Authentication configuration
+ * Token lifetimes can be tuned per environment without code changes
+ */
+const jwtSecret = process.env.JWT_SECRET || 'your-secret-key';
+
+module.exports = {
+  // Secret used to sign access tokens
+  jwtSecret,
+
+  // Short-lived access tokens (jsonwebtoken duration string)
+  accessTokenExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+
+  // Rotating refresh tokens, stored server-side
+  refreshTokenTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+
+  // One-time password reset links
+  passwordResetTtlMinutes: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+
+  // Signed email verification links use their own secret so they can never
+  // be accepted as access tokens
+  emailVerificationSecret: process.env.EMAIL_VERIFICATION_SECRET || `${jwtSecret}:email-verification`,
+  emailVerificationExpiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+
+  // When true, requireVerifiedEmail blocks unverified accounts from purchasing
+  requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+
+  // Brute-force protection: failed logins before an account is locked, and
+  // the first lock duration (doubled for every further lock, up to the max)
+  loginMaxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  loginLockMinutes: Number(process.env.LOGIN_LOCK_MINUTES) || 15,
+  loginLockMaxMinutes: Number(process.env.LOGIN_LOCK_MAX_MINUTES) || 24 * 60,
+
+  // Failed logins allowed from one client IP per window, across all accounts
+  loginIpMaxAttempts: Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+  loginIpWindowMinutes: Number(process.env.LOGIN_IP_WINDOW_MINUTES) || 15,
+};
@@ -0,0 +1,15 @@
+require('dotenv').config();
+
+/**
+ * Mail configuration
+ * MAIL_TRANSPORT selects how outgoing mail is delivered: 'console' prints it,
+ * 'file' writes each message as JSON into MAIL_FILE_DIR
+ */
+module.exports = {
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  fileDirectory: process.env.MAIL_FILE_DIR || 'tmp/mail',
+  from: process.env.MAIL_FROM || 'Sweet Shop <no-reply@sweetshop.local>',
+
+  // Frontend base URL used to build links in emails
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+};
@@ -0,0 +1,11 @@
+require('dotenv').config();
+
+/**
+ * Notification configuration
+ * NOTIFIER selects how operational alerts (e.g. low stock) are delivered:
+ * 'log' prints them, 'file' appends each one as a JSON line to NOTIFIER_FILE
+ */
+module.exports = {
+  notifier: process.env.NOTIFIER || 'log',
+  file: process.env.NOTIFIER_FILE || 'tmp/notifications.log',
+};
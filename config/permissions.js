@@ -0,0 +1,42 @@
+/**
+ * Permission configuration
+ * Every permission a role can be granted, and the built-in roles.
+ * 'admin' is the superuser role and always has every permission.
+ */
+const permissions = {
+  'sweets:create': 'Add sweets to the catalog',
+  'sweets:update': 'Edit sweet details and prices',
+  'sweets:delete': 'Move sweets to the trash and restore them',
+  'sweets:purge': 'Permanently delete sweets from the trash',
+  'categories:manage': 'Create, rename and delete categories',
+  'inventory:adjust': 'Restock sweets',
+  'inventory:view': 'View stock movement history',
+  'orders:view': 'View every customer order',
+  'users:manage': 'View, disable and change roles of user accounts',
+  'audit:view': 'Read the audit log',
+  'coupons:manage': 'Create, edit and delete coupon codes',
+  'reviews:moderate': 'Hide, republish and delete customer reviews',
+  'webhooks:manage': 'Manage webhook subscriptions and their deliveries',
+};
+
+module.exports = {
+  permissions,
+
+  superuserRole: 'admin',
+
+  // Built-in roles cannot be deleted; their permissions (except admin's) can be edited
+  builtInRoles: {
+    admin: {
+      description: 'Full access to everything',
+      permissions: Object.keys(permissions),
+    },
+    staff: {
+      description: 'Shop-floor staff who keep the shelves stocked',
+      permissions: ['inventory:adjust', 'inventory:view'],
+    },
+    user: {
+      description: 'Customer account',
+      permissions: [],
+    },
+  },
+};
@@ -0,0 +1,67 @@
+require('dotenv').config();
+
+/**
+ * Rate limit configuration
+ * Each route group gets its own limit. 'fixed-window' allows `limit`
+ * requests per window; 'token-bucket' allows bursts of up to `limit` and
+ * refills at `limit` per window.
+ */
+const MINUTE = 60 * 1000;
+
+module.exports = {
+  // Off in tests unless a test turns it on
+  enabled: process.env.RATE_LIMIT_ENABLED
+    ? process.env.RATE_LIMIT_ENABLED === 'true'
+    : process.env.NODE_ENV !== 'test',
+
+  // 'memory' for a single instance, 'mongo' to share limits between instances
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+
+  groups: {
+    auth: {
+      algorithm: 'fixed-window',
+      limit: Number(process.env.RATE_LIMIT_AUTH) || 30,
+      windowMs: 15 * MINUTE,
+    },
+    refresh: {
+      algorithm: 'fixed-window',
+      limit: Number(process.env.RATE_LIMIT_REFRESH) || 60,
+      windowMs: 15 * MINUTE,
+    },
+    sweetsRead: {
+      algorithm: 'token-bucket',
+      limit: Number(process.env.RATE_LIMIT_SWEETS_READ) || 120,
+      windowMs: MINUTE,
+    },
+    purchase: {
+      algorithm: 'token-bucket',
+      limit: Number(process.env.RATE_LIMIT_PURCHASE) || 10,
+      windowMs: MINUTE,
+    },
+    cart: {
+      algorithm: 'token-bucket',
+      limit: Number(process.env.RATE_LIMIT_CART) || 60,
+      windowMs: MINUTE,
+    },
+    favorites: {
+      algorithm: 'token-bucket',
+      limit: Number(process.env.RATE_LIMIT_FAVORITES) || 60,
+      windowMs: MINUTE,
+    },
+    reviewWrite: {
+      algorithm: 'fixed-window',
+      limit: Number(process.env.RATE_LIMIT_REVIEW_WRITE) || 20,
+      windowMs: 15 * MINUTE,
+    },
+    couponValidate: {
+      algorithm: 'fixed-window',
+      limit: Number(process.env.RATE_LIMIT_COUPON_VALIDATE) || 30,
+      windowMs: 15 * MINUTE,
+    },
+    adminWrite: {
+      algorithm: 'fixed-window',
+      limit: Number(process.env.RATE_LIMIT_ADMIN_WRITE) || 60,
+      windowMs: MINUTE,
+    },
+  },
+};
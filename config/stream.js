@@ -0,0 +1,32 @@
+require('dotenv').config();
+
+/**
+ * Inventory stream configuration
+ * Sweet changes are written to a shared event collection that every server
+ * instance polls, so a change made on one instance reaches clients on all.
+ */
+module.exports = {
+  // How often each instance checks for new events while clients are connected
+  pollIntervalMs: Number(process.env.SWEET_STREAM_POLL_MS) || 1000,
+
+  // How often each instance looks for scheduled sales that started or ended while clients are connected
+  saleCheckIntervalMs: Number(process.env.SWEET_STREAM_SALE_CHECK_MS) || 10000,
+
+  // Comment line sent to idle connections so proxies keep them open
+  heartbeatMs: Number(process.env.SWEET_STREAM_HEARTBEAT_MS) || 15000,
+
+  // Reconnect delay suggested to browsers (the SSE retry field)
+  retryMs: Number(process.env.SWEET_STREAM_RETRY_MS) || 3000,
+
+  // How long events are kept for Last-Event-ID resume
+  retentionHours: Number(process.env.SWEET_STREAM_RETENTION_HOURS) || 24,
+
+  // Most events replayed on resume; further behind gets a reset event instead
+  maxReplay: 1000,
+
+  // How long a missing sequence number is waited for before it is skipped
+  gapTimeoutMs: 2000,
+
+  // Most sweet ids one stream can filter to
+  maxIds: 100,
+};
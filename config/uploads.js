@@ -0,0 +1,29 @@
+require('dotenv').config();
+
+/**
+ * Image upload configuration
+ * IMAGE_STORAGE selects the storage backend; 'local' writes files into
+ * UPLOAD_DIR and serves them from UPLOAD_PUBLIC_PATH
+ */
+module.exports = {
+  storage: process.env.IMAGE_STORAGE || 'local',
+  directory: process.env.UPLOAD_DIR || 'uploads',
+  publicPath: process.env.UPLOAD_PUBLIC_PATH || '/uploads',
+
+  // Largest accepted image, in bytes (default 5 MB)
+  maxFileSize: Number(process.env.UPLOAD_MAX_FILE_SIZE) || 5 * 1024 * 1024,
+
+  // Most images a sweet can have, and per upload request
+  maxImagesPerSweet: Number(process.env.UPLOAD_MAX_IMAGES) || 10,
+
+  // Accepted MIME types and the file extension each is stored with
+  allowedTypes: {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+  },
+
+  // Stored file names never change, so browsers may cache them for a long time
+  cacheMaxAgeSeconds: Number(process.env.UPLOAD_CACHE_MAX_AGE) || 365 * 24 * 60 * 60,
+};
@@ -0,0 +1,32 @@
+require('dotenv').config();
+
+/**
+ * Webhook configuration
+ * A failed delivery is retried with exponential backoff: the nth retry
+ * waits backoffBaseMs * 2^(n-1), capped at backoffMaxMs, until maxAttempts
+ * attempts have been made.
+ */
+const SECOND = 1000;
+
+module.exports = {
+  // Events a subscription can ask for
+  events: {
+    'sweet.created': 'A sweet was added to the catalog',
+    'sweet.updated': 'A sweet\'s details, price or stock were changed by staff',
+    'sweet.deleted': 'A sweet was moved to the trash',
+    'sweet.restored': 'A sweet was restored from the trash',
+    'sweet.purchased': 'Stock was sold, through a purchase or an order',
+    'stock.low': 'A sweet dropped to or below its reorder level',
+    'order.created': 'A customer placed an order',
+  },
+
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  backoffBaseMs: Number(process.env.WEBHOOK_BACKOFF_BASE_MS) || 30 * SECOND,
+  backoffMaxMs: Number(process.env.WEBHOOK_BACKOFF_MAX_MS) || 60 * 60 * SECOND,
+
+  // How long a receiver has to answer one attempt
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * SECOND,
+
+  // How often the retry worker looks for due deliveries
+  pollIntervalMs: Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 15 * SECOND,
+};
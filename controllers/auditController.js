@@ -0,0 +1,118 @@
+/**
+ * Audit Controller
+ *
+ * Read access to the audit log of privileged actions
+ */
+
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { parsePagination } = require('../utils/pagination');
+
+/**
+ * Build the Mongo filter for an audit log query
+ * @param {Object} query - Express req.query
+ * @returns {Object} { filter } or { error }
+ */
+const buildAuditFilter = (query) => {
+    const { actor, action, targetType, targetId, requestId, from, to } = query;
+    const filter = {};
+
+    if (actor) {
+        if (!mongoose.Types.ObjectId.isValid(actor)) {
+            return { error: 'Invalid actor id' };
+        }
+        filter.actor = actor;
+    }
+
+    // One action or a comma separated list
+    if (action) {
+        const actions = String(action).split(',').map((value) => value.trim()).filter(Boolean);
+        filter.action = actions.length === 1 ? actions[0] : { $in: actions };
+    }
+
+    if (targetType) {
+        filter['target.type'] = String(targetType);
+    }
+
+    if (targetId) {
+        filter['target.id'] = String(targetId);
+    }
+
+    if (requestId) {
+        filter.requestId = String(requestId);
+    }
+
+    // Date range
+    const createdAt = {};
+    for (const [raw, op] of [[from, '$gte'], [to, '$lte']]) {
+        if (!raw) {
+            continue;
+        }
+
+        const date = new Date(raw);
+        if (Number.isNaN(date.getTime())) {
+            return { error: 'from and to must be valid dates' };
+        }
+        createdAt[op] = date;
+    }
+
+    if (Object.keys(createdAt).length > 0) {
+        filter.createdAt = createdAt;
+    }
+
+    return { filter };
+};
+
+/**
+ * @desc    Query the audit log (newest first)
+ * @route   GET /api/audit
+ * @query   actor, action, targetType, targetId, requestId, from, to, page, limit
+ * @access  Private (audit:view)
+ */
+const getAuditLogs = async (req, res) => {
+    try {
+        const { filter, error } = buildAuditFilter(req.query);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
+        const pagination = parsePagination(req.query);
+
+        if (!pagination) {
+            return res.status(400).json({
+                success: false,
+                message: 'page and limit must be positive integers',
+            });
+        }
+
+        const { page, limit, skip } = pagination;
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit),
+            AuditLog.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: entries.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: entries,
+        });
+    } catch (error) {
+        console.error('Get audit logs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching audit log',
+        });
+    }
+};
+
+module.exports = {
+    getAuditLogs,
+};
@@ -1,21 +1,99 @@
 /**
  * Authentication Controller
  * 
- * Handles user registration and login logic
- * Includes input validation and JWT token generation
+ * Handles user registration, login and session management
+ * Includes input validation, short-lived JWT access tokens and
+ * rotating server-side refresh tokens
  */
 
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const Role = require('../models/Role');
 const jwt = require('jsonwebtoken');
+const {
+    jwtSecret,
+    accessTokenExpiresIn,
+    passwordResetTtlMinutes,
+    emailVerificationSecret,
+    emailVerificationExpiresIn,
+} = require('../config/auth');
+const { appUrl } = require('../config/mail');
+const { recordAudit } = require('../utils/audit');
+const { sendMail } = require('../utils/mailer');
+
+const ACCOUNT_LOCKED_MESSAGE = 'Account is temporarily locked due to too many failed login attempts. Please try again later.';
 
 /**
- * Generate JWT Token
- * @param {string} id - User ID
+ * Generate short-lived JWT access token
+ * @param {User} user - User document
+ * @param {string} sessionId - Refresh token family the access token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET || 'your-secret-key', {
-        expiresIn: '30d', // Token expires in 30 days
+const generateAccessToken = (user, sessionId) => {
+    return jwt.sign(
+        { id: user._id, sid: sessionId, tv: user.tokenVersion || 0 },
+        jwtSecret,
+        { expiresIn: accessTokenExpiresIn }
+    );
+};
+
+/**
+ * Start or continue a session with a fresh access/refresh token pair
+ * @param {User} user - User document
+ * @param {string} [family] - Existing token family when rotating
+ * @returns {Promise<Object>} { token, refreshToken, refreshTokenExpiresAt }
+ */
+const issueTokens = async (user, family) => {
+    const refresh = await RefreshToken.issue(user._id, family);
+
+    return {
+        token: generateAccessToken(user, refresh.family),
+        refreshToken: refresh.token,
+        refreshTokenExpiresAt: refresh.expiresAt,
+    };
+};
+
+/**
+ * Send a 423/429 response with a Retry-After header
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {Date} until - When the client may retry
+ * @param {string} message - Error message
+ */
+const sendRetryLater = (res, status, until, message) => {
+    const retryAfter = Math.max(1, Math.ceil((new Date(until).getTime() - Date.now()) / 1000));
+
+    res.set('Retry-After', String(retryAfter));
+    return res.status(status).json({
+        success: false,
+        message,
+        retryAfter,
+    });
+};
+
+/**
+ * Email a signed verification link to a user
+ * The link embeds the email so it stops working if the address changes
+ * @param {User} user - User document
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+    const verificationToken = jwt.sign(
+        { id: user._id, email: user.email, purpose: 'verify-email' },
+        emailVerificationSecret,
+        { expiresIn: emailVerificationExpiresIn }
+    );
+
+    const verifyUrl = `${appUrl}/verify-email?token=${verificationToken}`;
+
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your Sweet Shop email address',
+        text: `Hi ${user.name},\n\n`
+            + 'Please confirm your email address by opening the link below.\n\n'
+            + `${verifyUrl}\n\n`
+            + 'If you did not create an account, you can ignore this email.',
     });
 };
 
@@ -70,21 +148,27 @@ const register = async (req, res) => {
             name,
             email,
             password, // Will be hashed by pre-save hook
+            emailVerified: false,
+        });
+
+        sendVerificationEmail(user).catch((mailError) => {
+            console.error('Verification mail error:', mailError);
         });
 
-        // Generate token
-        const token = generateToken(user._id);
+        // Generate tokens
+        const tokens = await issueTokens(user);
 
         // Return response
         res.status(201).json({
             success: true,
-            message: 'User registered successfully',
-            token,
+            message: 'User registered successfully. Please check your email to verify your account.',
+            ...tokens,
             user: {
                 id: user._id,
                 name: user.name,
                 email: user.email,
                 role: user.role,
+                emailVerified: user.emailVerified,
             },
         });
     } catch (error) {
@@ -133,39 +217,80 @@ const login = async (req, res) => {
             });
         }
 
+        // Refuse clients that have failed too often, before touching bcrypt
+        const ipBlockedUntil = await LoginThrottle.blockedUntil(req.ip);
+
+        if (ipBlockedUntil) {
+            return sendRetryLater(
+                res,
+                429,
+                ipBlockedUntil,
+                'Too many failed login attempts from this address. Please try again later.'
+            );
+        }
+
         // Find user by email (include password field)
         const user = await User.findOne({ email }).select('+password');
 
         if (!user) {
+            await LoginThrottle.registerFailure(req.ip);
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials',
             });
         }
 
+        if (user.isLocked()) {
+            return sendRetryLater(res, 423, user.lockUntil, ACCOUNT_LOCKED_MESSAGE);
+        }
+
         // Check if password matches
         const isPasswordMatch = await user.comparePassword(password);
 
         if (!isPasswordMatch) {
+            await LoginThrottle.registerFailure(req.ip);
+            const lockUntil = await User.registerFailedLogin(user._id);
+
+            if (lockUntil) {
+                return sendRetryLater(res, 423, lockUntil, ACCOUNT_LOCKED_MESSAGE);
+            }
+
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials',
             });
         }
 
-        // Generate token
-        const token = generateToken(user._id);
+        // Only reveal that an account is disabled to someone who knows its password
+        if (user.disabled) {
+            return res.status(403).json({
+                success: false,
+                message: 'Account has been disabled',
+            });
+        }
+
+        // Successful login resets the account's failure counter and backoff.
+        // The per-IP counter is left to expire, so one valid account cannot be
+        // used to clear an IP that is guessing passwords for others.
+        if (user.failedLoginAttempts > 0 || user.lockCount > 0) {
+            await User.resetLoginAttempts(user._id);
+        }
+
+        // Generate tokens
+        const tokens = await issueTokens(user);
 
         // Return response
         res.status(200).json({
             success: true,
             message: 'Login successful',
-            token,
+            ...tokens,
             user: {
                 id: user._id,
                 name: user.name,
                 email: user.email,
                 role: user.role,
+                emailVerified: user.emailVerified,
+                permissions: await Role.permissionsFor(user.role),
             },
         });
     } catch (error) {
@@ -177,7 +302,395 @@ const login = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Exchange a refresh token for a new token pair (rotation)
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refresh = async (req, res) => {
+    try {
+        const { refreshToken } = req.body || {};
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a refresh token',
+            });
+        }
+
+        const tokenHash = RefreshToken.hashToken(refreshToken);
+
+        // Atomically claim the token so it can only be rotated once
+        const current = await RefreshToken.findOneAndUpdate(
+            { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { revokedAt: new Date(), revokedReason: 'rotated' } },
+            { new: true }
+        );
+
+        if (!current) {
+            const known = await RefreshToken.findOne({ tokenHash });
+
+            // A rotated token being presented again means it leaked: end the session
+            if (known && known.revokedReason === 'rotated') {
+                await RefreshToken.revokeFamily(known.family, 'reuse_detected');
+                console.warn(`⚠️  Refresh token reuse detected for user ${known.user}`);
+            }
+
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token',
+            });
+        }
+
+        const user = await User.findById(current.user);
+
+        if (!user || user.disabled) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token',
+            });
+        }
+
+        const tokens = await issueTokens(user, current.family);
+
+        res.status(200).json({
+            success: true,
+            message: 'Token refreshed',
+            ...tokens,
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during token refresh',
+        });
+    }
+};
+
+/**
+ * @desc    Logout the current session
+ * @route   POST /api/auth/logout
+ * @access  Private
+ */
+const logout = async (req, res) => {
+    try {
+        const { refreshToken } = req.body || {};
+        const families = new Set();
+
+        if (req.sessionId) {
+            families.add(req.sessionId);
+        }
+
+        // Also end the session of a refresh token the client hands back
+        if (refreshToken) {
+            const stored = await RefreshToken.findOne({
+                tokenHash: RefreshToken.hashToken(refreshToken),
+                user: req.user._id,
+            });
+
+            if (stored) {
+                families.add(stored.family);
+            }
+        }
+
+        await Promise.all([...families].map((family) => RefreshToken.revokeFamily(family, 'logout')));
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully',
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout',
+        });
+    }
+};
+
+/**
+ * @desc    Logout every session of the current user
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+const logoutAll = async (req, res) => {
+    try {
+        await RefreshToken.revokeAllForUser(req.user._id, 'logout_all');
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out of all sessions',
+        });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout',
+        });
+    }
+};
+
+/**
+ * @desc    Email a one-time password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body || {};
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide an email',
+            });
+        }
+
+        const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+        if (user) {
+            const resetToken = user.createPasswordResetToken();
+            await user.save({ validateBeforeSave: false });
+
+            const resetUrl = `${appUrl}/reset-password?token=${resetToken}`;
+
+            // Not awaited so the response time does not reveal whether the email exists
+            sendMail({
+                to: user.email,
+                subject: 'Reset your Sweet Shop password',
+                text: `Hi ${user.name},\n\n`
+                    + `Use the link below to choose a new password. It expires in ${passwordResetTtlMinutes} minutes `
+                    + 'and can only be used once.\n\n'
+                    + `${resetUrl}\n\n`
+                    + 'If you did not ask for this, you can ignore this email.',
+            }).catch((mailError) => {
+                console.error('Password reset mail error:', mailError);
+            });
+        }
+
+        // Same response whether or not the email is registered
+        res.status(200).json({
+            success: true,
+            message: 'If that email is registered, a password reset link has been sent',
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during password reset request',
+        });
+    }
+};
+
+/**
+ * @desc    Set a new password using a reset token
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body || {};
+
+        if (!token || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide token and password',
+            });
+        }
+
+        // Validate password length
+        if (password.length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password must be at least 6 characters long',
+            });
+        }
+
+        // Atomically consume the token so it can only be used once
+        const user = await User.findOneAndUpdate(
+            {
+                passwordResetTokenHash: User.hashResetToken(token),
+                passwordResetExpires: { $gt: new Date() },
+            },
+            { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+            { new: true }
+        );
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired reset token',
+            });
+        }
+
+        user.password = password; // Will be hashed by pre-save hook
+        await user.save();
+
+        // Proving ownership of the email also lifts any login lock
+        await User.resetLoginAttempts(user._id);
+
+        // Sign out every existing session
+        await RefreshToken.revokeAllForUser(user._id, 'password_reset');
+
+        res.status(200).json({
+            success: true,
+            message: 'Password has been reset. Please log in with your new password.',
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during password reset',
+        });
+    }
+};
+
+/**
+ * @desc    Verify an email address from a signed link
+ * @route   GET /api/auth/verify-email?token=...
+ * @access  Public
+ */
+const verifyEmail = async (req, res) => {
+    try {
+        const { token } = req.query;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a verification token',
+            });
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(String(token), emailVerificationSecret);
+        } catch (error) {
+            decoded = null;
+        }
+
+        // Only verify the address the link was sent to
+        const user = decoded && decoded.purpose === 'verify-email'
+            ? await User.findOneAndUpdate(
+                { _id: decoded.id, email: decoded.email },
+                { $set: { emailVerified: true } },
+                { new: true }
+            )
+            : null;
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired verification link',
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Email verified successfully',
+        });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during email verification',
+        });
+    }
+};
+
+/**
+ * @desc    Send a new verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Public
+ */
+const resendVerification = async (req, res) => {
+    try {
+        const { email } = req.body || {};
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide an email',
+            });
+        }
+
+        const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+        if (user && !user.emailVerified) {
+            sendVerificationEmail(user).catch((mailError) => {
+                console.error('Verification mail error:', mailError);
+            });
+        }
+
+        // Same response whether or not the email is registered or verified
+        res.status(200).json({
+            success: true,
+            message: 'If that email is registered and not yet verified, a new verification link has been sent',
+        });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while sending verification email',
+        });
+    }
+};
+
+/**
+ * @desc    Unlock an account locked by failed logins
+ * @route   POST /api/auth/unlock
+ * @access  Private (users:manage)
+ */
+const unlockAccount = async (req, res) => {
+    try {
+        const { email, ip } = req.body || {};
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide an email',
+            });
+        }
+
+        const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+            });
+        }
+
+        await User.resetLoginAttempts(user._id);
+
+        // Optionally lift the block on the client address as well
+        if (ip) {
+            await LoginThrottle.clear(String(ip));
+        }
+
+        recordAudit(req, 'user.unlock', 'User', { targetId: String(user._id), label: user.email });
+
+        res.status(200).json({
+            success: true,
+            message: 'Account unlocked successfully',
+        });
+    } catch (error) {
+        console.error('Unlock account error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while unlocking account',
+        });
+    }
+};
+
 module.exports = {
     register,
     login,
+    refresh,
+    logout,
+    logoutAll,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    unlockAccount,
 };
@@ -0,0 +1,330 @@
+/**
+ * Cart Controller
+ *
+ * Handles the logged in user's persistent shopping cart
+ * Cart responses always carry live prices (sale prices while a sale runs, less
+ * quantity tiers) and flag lines that can no longer be bought
+ */
+
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Sweet = require('../models/Sweet');
+const { roundCurrency } = require('../utils/currency');
+const { unitPrices } = require('../utils/pricing');
+
+/**
+ * Build the cart response with live prices and availability
+ * @param {Cart} cart - Cart document
+ * @returns {Promise<Object>} Cart view
+ */
+const buildCartView = async (cart) => {
+    const sweets = await Sweet.find({ _id: { $in: cart.items.map((item) => item.sweet) } });
+    const sweetsById = new Map(sweets.map((sweet) => [String(sweet._id), sweet]));
+    // Price every line whose sweet still exists
+    const listed = cart.items.filter((item) => sweetsById.has(String(item.sweet)));
+    const units = await unitPrices(
+        listed.map((item) => ({ sweet: sweetsById.get(String(item.sweet)), quantity: item.quantity }))
+    );
+    const unitsByItem = new Map(listed.map((item, index) => [item, units[index]]));
+
+    const items = cart.items.map((item) => {
+        const sweet = sweetsById.get(String(item.sweet));
+
+        // Sweet deleted since it was added
+        if (!sweet) {
+            return {
+                sweet: item.sweet,
+                name: item.name,
+                quantity: item.quantity,
+                priceAtAdd: item.priceAtAdd,
+                price: null,
+                subtotal: 0,
+                availableQuantity: 0,
+                available: false,
+                issue: 'deleted',
+            };
+        }
+
+        let issue = null;
+        if (!sweet.isAvailable(1)) {
+            issue = 'out_of_stock';
+        } else if (!sweet.isAvailable(item.quantity)) {
+            issue = 'insufficient_stock';
+        }
+
+        const { listPrice, effectivePrice, price, sale, tier } = unitsByItem.get(item);
+
+        return {
+            sweet: sweet._id,
+            name: sweet.name,
+            quantity: item.quantity,
+            priceAtAdd: item.priceAtAdd,
+            price,
+            listPrice,
+            onSale: sale !== null,
+            tier,
+            // Compared before the tier, so reaching a tier is not a price change
+            priceChanged: effectivePrice !== item.priceAtAdd,
+            subtotal: roundCurrency(price * item.quantity),
+            availableQuantity: sweet.quantity,
+            available: issue === null,
+            issue,
+        };
+    });
+
+    return {
+        _id: cart._id,
+        items,
+        itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+        total: roundCurrency(
+            items.filter((item) => item.available).reduce((sum, item) => sum + item.subtotal, 0)
+        ),
+        hasIssues: items.some((item) => !item.available),
+        updatedAt: cart.updatedAt,
+    };
+};
+
+/**
+ * Validate the sweet id and quantity of a cart line
+ * @param {string} sweetId - Sweet ID
+ * @param {*} quantity - Requested quantity
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateCartLine = (sweetId, quantity) => {
+    if (!sweetId || !mongoose.Types.ObjectId.isValid(sweetId)) {
+        return 'Please provide a valid sweetId';
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        return 'Quantity must be a positive integer';
+    }
+
+    return null;
+};
+
+/**
+ * @desc    Get the logged in user's cart
+ * @route   GET /api/cart
+ * @access  Private
+ */
+const getCart = async (req, res) => {
+    try {
+        const cart = await Cart.findOrCreateForUser(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: await buildCartView(cart),
+        });
+    } catch (error) {
+        console.error('Get cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching cart',
+        });
+    }
+};
+
+/**
+ * @desc    Add a sweet to the cart (adds to an existing line)
+ * @route   POST /api/cart/items
+ * @access  Private
+ */
+const addCartItem = async (req, res) => {
+    try {
+        const { sweetId, quantity = 1 } = req.body || {};
+
+        const validationError = validateCartLine(sweetId, quantity);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError,
+            });
+        }
+
+        const sweet = await Sweet.findById(sweetId);
+
+        if (!sweet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        const cart = await Cart.findOrCreateForUser(req.user._id);
+        const existing = cart.findItem(sweetId);
+        const newQuantity = (existing ? existing.quantity : 0) + quantity;
+
+        if (!sweet.isAvailable(newQuantity)) {
+            return res.status(400).json({
+                success: false,
+                message: `Insufficient quantity. Only ${sweet.quantity} available.`,
+            });
+        }
+
+        const [{ effectivePrice }] = await unitPrices([{ sweet, quantity: newQuantity }]);
+
+        if (existing) {
+            existing.quantity = newQuantity;
+            existing.priceAtAdd = effectivePrice;
+            existing.name = sweet.name;
+        } else {
+            cart.items.push({
+                sweet: sweet._id,
+                name: sweet.name,
+                priceAtAdd: effectivePrice,
+                quantity,
+            });
+        }
+
+        await cart.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Item added to cart',
+            data: await buildCartView(cart),
+        });
+    } catch (error) {
+        console.error('Add cart item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating cart',
+        });
+    }
+};
+
+/**
+ * @desc    Set the quantity of a cart line
+ * @route   PATCH /api/cart/items/:sweetId
+ * @access  Private
+ */
+const updateCartItem = async (req, res) => {
+    try {
+        const { sweetId } = req.params;
+        const { quantity } = req.body || {};
+
+        const validationError = validateCartLine(sweetId, quantity);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError,
+            });
+        }
+
+        const cart = await Cart.findOrCreateForUser(req.user._id);
+        const item = cart.findItem(sweetId);
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found in cart',
+            });
+        }
+
+        const sweet = await Sweet.findById(sweetId);
+
+        if (!sweet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        if (!sweet.isAvailable(quantity)) {
+            return res.status(400).json({
+                success: false,
+                message: `Insufficient quantity. Only ${sweet.quantity} available.`,
+            });
+        }
+
+        item.quantity = quantity;
+        await cart.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Cart updated',
+            data: await buildCartView(cart),
+        });
+    } catch (error) {
+        console.error('Update cart item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating cart',
+        });
+    }
+};
+
+/**
+ * @desc    Remove a line from the cart
+ * @route   DELETE /api/cart/items/:sweetId
+ * @access  Private
+ */
+const removeCartItem = async (req, res) => {
+    try {
+        const { sweetId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(sweetId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found in cart',
+            });
+        }
+
+        const cart = await Cart.findOrCreateForUser(req.user._id);
+        const item = cart.findItem(sweetId);
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found in cart',
+            });
+        }
+
+        cart.items = cart.items.filter((line) => line !== item);
+        await cart.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Item removed from cart',
+            data: await buildCartView(cart),
+        });
+    } catch (error) {
+        console.error('Remove cart item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating cart',
+        });
+    }
+};
+
+/**
+ * @desc    Remove every line from the cart
+ * @route   DELETE /api/cart
+ * @access  Private
+ */
+const clearCart = async (req, res) => {
+    try {
+        const cart = await Cart.findOrCreateForUser(req.user._id);
+        cart.items = [];
+        await cart.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Cart cleared',
+            data: await buildCartView(cart),
+        });
+    } catch (error) {
+        console.error('Clear cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error clearing cart',
+        });
+    }
+};
+
+module.exports = {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+};
@@ -0,0 +1,367 @@
+/**
+ * Category Controller
+ *
+ * Handles the managed list of sweet categories
+ * Sweets store the category name, so renames are copied onto their sweets
+ * and a category that still has sweets can only be deleted by reassigning them
+ */
+
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Sweet = require('../models/Sweet');
+const Coupon = require('../models/Coupon');
+const { recordAudit } = require('../utils/audit');
+const { priceTiersInputError } = require('../utils/priceTiers');
+
+/**
+ * Send a Mongoose validation or duplicate key error as a 400 response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by save
+ * @returns {boolean} True if a response was sent
+ */
+const sendCategoryError = (res, error) => {
+    if (error.code === 11000) {
+        res.status(400).json({
+            success: false,
+            message: 'Category already exists',
+        });
+        return true;
+    }
+
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map((err) => err.message);
+        res.status(400).json({
+            success: false,
+            message: messages.join(', '),
+        });
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Find a category by the :id route param
+ * @param {string} id - Category ID
+ * @returns {Promise<Category|null>} Category, or null if the id is invalid or unknown
+ */
+const findCategory = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+    }
+    return Category.findById(id);
+};
+
+/**
+ * Put back a category that was just deleted, with the same id and slug
+ * @param {Category} category - Category as it was before the delete
+ * @returns {Promise<void>}
+ */
+const restoreCategory = async (category) => {
+    try {
+        await Category.collection.insertOne(category.toObject({ virtuals: false }));
+    } catch (error) {
+        // Recreated under the same name in the meantime, which serves the sweets just as well
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+};
+
+/**
+ * @desc    List categories in display order with their sweet counts
+ * @route   GET /api/categories
+ * @access  Public
+ */
+const getCategories = async (req, res) => {
+    try {
+        await Category.ensureSeeded();
+
+        const [categories, counts] = await Promise.all([
+            Category.find().sort({ displayOrder: 1, name: 1 }),
+            Sweet.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }]),
+        ]);
+        const countsByName = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+        res.status(200).json({
+            success: true,
+            count: categories.length,
+            data: categories.map((category) => ({
+                ...category.toObject(),
+                sweetCount: countsByName.get(category.name) || 0,
+            })),
+        });
+    } catch (error) {
+        console.error('Get categories error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching categories',
+        });
+    }
+};
+
+/**
+ * @desc    Get a category by slug
+ * @route   GET /api/categories/:slug
+ * @access  Public
+ */
+const getCategoryBySlug = async (req, res) => {
+    try {
+        await Category.ensureSeeded();
+        const category = await Category.findOne({ slug: String(req.params.slug).toLowerCase() });
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found',
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...category.toObject(),
+                sweetCount: await Sweet.countDocuments({ category: category.name }),
+            },
+        });
+    } catch (error) {
+        console.error('Get category error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching category',
+        });
+    }
+};
+
+/**
+ * @desc    Create a category
+ *          Body: { name, description, displayOrder, priceTiers }
+ * @route   POST /api/categories
+ * @access  Private (categories:manage)
+ */
+const createCategory = async (req, res) => {
+    try {
+        const { name, description, displayOrder, priceTiers } = req.body || {};
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a category name',
+            });
+        }
+
+        const tiersError = priceTiersInputError(priceTiers);
+        if (tiersError) {
+            return res.status(400).json({
+                success: false,
+                message: tiersError,
+            });
+        }
+
+        // Store the legacy categories first so the new one does not prevent seeding
+        await Category.ensureSeeded();
+
+        const category = await Category.create({ name, description, displayOrder, priceTiers });
+
+        recordAudit(req, 'category.create', 'Category', { after: category });
+
+        res.status(201).json({
+            success: true,
+            message: 'Category created successfully',
+            data: category,
+        });
+    } catch (error) {
+        console.error('Create category error:', error);
+
+        if (sendCategoryError(res, error)) {
+            return;
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error creating category',
+        });
+    }
+};
+
+/**
+ * @desc    Update a category (a rename is applied to its sweets, including
+ *          those saved under the old name while it is being renamed)
+ * @route   PATCH /api/categories/:id
+ * @access  Private (categories:manage)
+ */
+const updateCategory = async (req, res) => {
+    try {
+        const category = await findCategory(req.params.id);
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found',
+            });
+        }
+
+        const before = category.toObject();
+        const { name, description, displayOrder, priceTiers } = req.body || {};
+
+        const tiersError = priceTiersInputError(priceTiers);
+        if (tiersError) {
+            return res.status(400).json({
+                success: false,
+                message: tiersError,
+            });
+        }
+
+        if (name !== undefined) {
+            category.name = name;
+        }
+        if (description !== undefined) {
+            category.description = description;
+        }
+        if (displayOrder !== undefined) {
+            category.displayOrder = displayOrder;
+        }
+        if (priceTiers !== undefined) {
+            category.priceTiers = priceTiers;
+        }
+
+        await category.save();
+
+        // Sweets store the name, including those in the trash, and so do coupon scopes
+        if (category.name !== before.name) {
+            const renameSweets = () => Sweet.updateMany(
+                { category: before.name },
+                { $set: { category: category.name } },
+                { withDeleted: true }
+            );
+
+            await renameSweets();
+            await Coupon.updateMany(
+                { categories: before.name },
+                { $set: { 'categories.$[name]': category.name } },
+                { arrayFilters: [{ name: before.name }] }
+            );
+
+            // A sweet checked against the old name can be saved after the first
+            // pass: rename it as well
+            await renameSweets();
+        }
+
+        recordAudit(req, 'category.update', 'Category', { before, after: category });
+
+        res.status(200).json({
+            success: true,
+            message: 'Category updated successfully',
+            data: category,
+        });
+    } catch (error) {
+        console.error('Update category error:', error);
+
+        if (sendCategoryError(res, error)) {
+            return;
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error updating category',
+        });
+    }
+};
+
+/**
+ * @desc    Delete a category, optionally moving its sweets to another one
+ *          Sweets saved into the category while it is being deleted are moved too;
+ *          without reassignTo the category is kept instead (409)
+ * @route   DELETE /api/categories/:id
+ * @query   reassignTo - Category ID that receives the sweets
+ * @access  Private (categories:manage)
+ */
+const deleteCategory = async (req, res) => {
+    try {
+        const category = await findCategory(req.params.id);
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found',
+            });
+        }
+
+        const { reassignTo } = req.query;
+        let target = null;
+
+        if (reassignTo) {
+            target = await findCategory(reassignTo);
+
+            if (!target || target._id.equals(category._id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'reassignTo must be the id of another category',
+                });
+            }
+        }
+
+        // Sweets in the trash count too, so a restore never lands on a missing category
+        const sweetFilter = { category: category.name };
+        const sweetCount = await Sweet.countDocuments(sweetFilter).setOptions({ withDeleted: true });
+
+        if (sweetCount > 0 && !target) {
+            return res.status(400).json({
+                success: false,
+                message: `Category has ${sweetCount} sweet(s). Pass reassignTo=<categoryId> to move them before deleting.`,
+            });
+        }
+
+        let reassigned = 0;
+        const reassign = async () => {
+            const result = await Sweet.updateMany(
+                sweetFilter,
+                { $set: { category: target.name } },
+                { withDeleted: true }
+            );
+            reassigned += result.modifiedCount;
+        };
+
+        if (target) {
+            await reassign();
+        }
+
+        await Category.deleteOne({ _id: category._id });
+
+        // A sweet can be saved into the category after the count and before the
+        // delete: move it as well, or put the category back if there is nowhere to move it
+        if (target) {
+            await reassign();
+        } else if (await Sweet.exists(sweetFilter).setOptions({ withDeleted: true })) {
+            await restoreCategory(category);
+            return res.status(409).json({
+                success: false,
+                message: 'Sweets were added to the category while it was being deleted, so it was kept. Pass reassignTo=<categoryId> to move them.',
+            });
+        }
+
+        recordAudit(req, 'category.delete', 'Category', { before: category });
+
+        res.status(200).json({
+            success: true,
+            message: target
+                ? `Category deleted and ${reassigned} sweet(s) moved to ${target.name}`
+                : 'Category deleted successfully',
+            data: { reassigned },
+        });
+    } catch (error) {
+        console.error('Delete category error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting category',
+        });
+    }
+};
+
+module.exports = {
+    getCategories,
+    getCategoryBySlug,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+};
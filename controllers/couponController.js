@@ -0,0 +1,337 @@
+/**
+ * Coupon Controller
+ *
+ * Manage promo codes and let customers check a code before they buy
+ */
+
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponUsage = require('../models/CouponUsage');
+const { parsePagination } = require('../utils/pagination');
+const { escapeRegex } = require('../utils/regex');
+const { recordAudit } = require('../utils/audit');
+const { normalizeOrderItems, parseCouponCodes, quoteLines, pricingBreakdown } = require('../utils/pricing');
+
+// Fields admins can set (usedCount only changes through redemptions)
+const EDITABLE_FIELDS = [
+    'code',
+    'description',
+    'type',
+    'value',
+    'minSpend',
+    'categories',
+    'sweets',
+    'startsAt',
+    'expiresAt',
+    'usageLimit',
+    'perUserLimit',
+    'stackable',
+    'active',
+];
+
+/**
+ * Send a Mongoose validation or duplicate code error as a 400 response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by save
+ * @returns {boolean} True if a response was sent
+ */
+const sendCouponError = (res, error) => {
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map((err) => err.message);
+        res.status(400).json({
+            success: false,
+            message: messages.join(', '),
+        });
+        return true;
+    }
+
+    if (error.code === 11000) {
+        res.status(400).json({
+            success: false,
+            message: 'A coupon with this code already exists',
+        });
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Find a coupon by the :id route param
+ * @param {string} id - Coupon ID
+ * @returns {Promise<Coupon|null>} Coupon, or null if the id is invalid or unknown
+ */
+const findCoupon = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+    }
+    return Coupon.findById(id);
+};
+
+/**
+ * Copy the editable fields present in a request body onto a coupon
+ * @param {Coupon} coupon - Coupon document
+ * @param {Object} body - Request body
+ */
+const applyCouponFields = (coupon, body) => {
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) {
+            coupon.set(field, body[field]);
+        }
+    }
+};
+
+/**
+ * @desc    List coupons (newest first)
+ * @route   GET /api/coupons
+ * @query   search (code), active, page, limit
+ * @access  Private (coupons:manage)
+ */
+const getCoupons = async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query);
+
+        if (!pagination) {
+            return res.status(400).json({
+                success: false,
+                message: 'page and limit must be positive integers',
+            });
+        }
+
+        const { page, limit, skip } = pagination;
+        const { search, active } = req.query;
+        const filter = {};
+
+        if (search) {
+            filter.code = { $regex: escapeRegex(String(search)), $options: 'i' };
+        }
+
+        if (active !== undefined && active !== '') {
+            if (active !== 'true' && active !== 'false') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'active must be true or false',
+                });
+            }
+            filter.active = active === 'true';
+        }
+
+        const [coupons, total] = await Promise.all([
+            Coupon.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit),
+            Coupon.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: coupons.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: coupons,
+        });
+    } catch (error) {
+        console.error('Get coupons error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching coupons',
+        });
+    }
+};
+
+/**
+ * @desc    Get a coupon
+ * @route   GET /api/coupons/:id
+ * @access  Private (coupons:manage)
+ */
+const getCoupon = async (req, res) => {
+    try {
+        const coupon = await findCoupon(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found',
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: coupon,
+        });
+    } catch (error) {
+        console.error('Get coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching coupon',
+        });
+    }
+};
+
+/**
+ * @desc    Create a coupon
+ *          Body: { code, description, type, value, minSpend, categories, sweets, startsAt,
+ *          expiresAt, usageLimit, perUserLimit, stackable, active }
+ * @route   POST /api/coupons
+ * @access  Private (coupons:manage)
+ */
+const createCoupon = async (req, res) => {
+    try {
+        const coupon = new Coupon({ createdBy: req.user._id });
+        applyCouponFields(coupon, req.body || {});
+
+        await coupon.save();
+
+        recordAudit(req, 'coupon.create', 'Coupon', { after: coupon, label: coupon.code });
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            data: coupon,
+        });
+    } catch (error) {
+        console.error('Create coupon error:', error);
+
+        if (sendCouponError(res, error)) {
+            return;
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error creating coupon',
+        });
+    }
+};
+
+/**
+ * @desc    Update a coupon (same fields as create)
+ * @route   PATCH /api/coupons/:id
+ * @access  Private (coupons:manage)
+ */
+const updateCoupon = async (req, res) => {
+    try {
+        const coupon = await findCoupon(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found',
+            });
+        }
+
+        const before = coupon.toObject();
+        applyCouponFields(coupon, req.body || {});
+
+        await coupon.save();
+
+        recordAudit(req, 'coupon.update', 'Coupon', { before, after: coupon, label: coupon.code });
+
+        res.status(200).json({
+            success: true,
+            message: 'Coupon updated successfully',
+            data: coupon,
+        });
+    } catch (error) {
+        console.error('Update coupon error:', error);
+
+        if (sendCouponError(res, error)) {
+            return;
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error updating coupon',
+        });
+    }
+};
+
+/**
+ * @desc    Delete a coupon (orders keep the code and discount they got)
+ * @route   DELETE /api/coupons/:id
+ * @access  Private (coupons:manage)
+ */
+const deleteCoupon = async (req, res) => {
+    try {
+        const coupon = await findCoupon(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found',
+            });
+        }
+
+        await coupon.deleteOne();
+        await CouponUsage.deleteMany({ coupon: coupon._id });
+
+        recordAudit(req, 'coupon.delete', 'Coupon', { before: coupon, label: coupon.code });
+
+        res.status(200).json({
+            success: true,
+            message: 'Coupon deleted successfully',
+            data: {},
+        });
+    } catch (error) {
+        console.error('Delete coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting coupon',
+        });
+    }
+};
+
+/**
+ * @desc    Check coupon codes against a basket and return the discount breakdown
+ *          Body: { items: [{ sweetId, quantity }], couponCodes }. Nothing is redeemed.
+ * @route   POST /api/coupons/validate
+ * @access  Public (per-user limits are checked for logged in users)
+ */
+const validateCoupons = async (req, res) => {
+    try {
+        const { lines, error } = normalizeOrderItems((req.body || {}).items);
+        const { codes, error: codeError } = parseCouponCodes(req.body || {});
+
+        if (error || codeError) {
+            return res.status(400).json({
+                success: false,
+                message: error || codeError,
+            });
+        }
+
+        if (codes.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a coupon code',
+            });
+        }
+
+        const { quote, error: quoteError, status } = await quoteLines(lines, { codes, user: req.user });
+
+        if (quoteError) {
+            return res.status(status).json({
+                success: false,
+                message: quoteError,
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Coupon codes can be used',
+            data: pricingBreakdown(quote),
+        });
+    } catch (error) {
+        console.error('Validate coupons error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error validating coupons',
+        });
+    }
+};
+
+module.exports = {
+    getCoupons,
+    getCoupon,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+    validateCoupons,
+};
@@ -0,0 +1,160 @@
+/**
+ * Favorite Controller
+ *
+ * Handles the logged in user's wishlist of favorite sweets
+ */
+
+const mongoose = require('mongoose');
+const Favorite = require('../models/Favorite');
+const Sweet = require('../models/Sweet');
+const { parsePagination } = require('../utils/pagination');
+const { withEffectivePrices } = require('../utils/pricing');
+
+/**
+ * Find an active sweet by the :sweetId route param
+ * @param {string} sweetId - Sweet ID
+ * @returns {Promise<Sweet|null>} Sweet, or null if the id is invalid, unknown or deleted
+ */
+const findSweet = async (sweetId) => {
+    if (!mongoose.Types.ObjectId.isValid(sweetId)) {
+        return null;
+    }
+    return Sweet.findById(sweetId);
+};
+
+/**
+ * @desc    List the logged in user's favorite sweets (most recently added first)
+ * @route   GET /api/me/favorites
+ * @query   page, limit
+ * @access  Private
+ */
+const getFavorites = async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query);
+
+        if (!pagination) {
+            return res.status(400).json({
+                success: false,
+                message: 'page and limit must be positive integers',
+            });
+        }
+
+        const { page, limit, skip } = pagination;
+        const filter = { user: req.user._id };
+
+        const [favorites, total] = await Promise.all([
+            Favorite.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('sweet'),
+            Favorite.countDocuments(filter),
+        ]);
+
+        // A sweet deleted while this page was read populates as null
+        const listed = favorites.filter((favorite) => favorite.sweet);
+        const priced = await withEffectivePrices(listed.map((favorite) => favorite.sweet));
+        const sweets = listed.map((favorite, index) => ({
+            ...priced[index],
+            isFavorite: true,
+            favoritedAt: favorite.createdAt,
+        }));
+
+        res.status(200).json({
+            success: true,
+            count: sweets.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: sweets,
+        });
+    } catch (error) {
+        console.error('Get favorites error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching favorites',
+        });
+    }
+};
+
+/**
+ * @desc    Add a sweet to the logged in user's favorites (adding it again changes nothing)
+ * @route   PUT /api/me/favorites/:sweetId
+ * @access  Private
+ */
+const addFavorite = async (req, res) => {
+    try {
+        const sweet = await findSweet(req.params.sweetId);
+
+        if (!sweet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        const filter = { user: req.user._id, sweet: sweet._id };
+
+        try {
+            await Favorite.updateOne(filter, { $setOnInsert: filter }, { upsert: true });
+        } catch (error) {
+            // Two adds raced to create it; it exists now
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+
+        const favorite = await Favorite.findOne(filter);
+
+        res.status(200).json({
+            success: true,
+            message: 'Sweet added to favorites',
+            data: {
+                sweet: sweet._id,
+                favoritedAt: favorite.createdAt,
+            },
+        });
+    } catch (error) {
+        console.error('Add favorite error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error adding favorite',
+        });
+    }
+};
+
+/**
+ * @desc    Remove a sweet from the logged in user's favorites (removing it again changes nothing)
+ * @route   DELETE /api/me/favorites/:sweetId
+ * @access  Private
+ */
+const removeFavorite = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.sweetId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        await Favorite.deleteOne({ user: req.user._id, sweet: req.params.sweetId });
+
+        res.status(200).json({
+            success: true,
+            message: 'Sweet removed from favorites',
+            data: {},
+        });
+    } catch (error) {
+        console.error('Remove favorite error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error removing favorite',
+        });
+    }
+};
+
+module.exports = {
+    getFavorites,
+    addFavorite,
+    removeFavorite,
+};
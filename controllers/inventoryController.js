@@ -0,0 +1,82 @@
+/**
+ * Inventory Controller
+ *
+ * Stock reports for the people who reorder stock
+ */
+
+const Sweet = require('../models/Sweet');
+const { parsePagination } = require('../utils/pagination');
+
+/**
+ * @desc    Get sweets at or below their reorder level, most urgent first
+ *          Urgency is quantity / reorderLevel, so an empty shelf comes first
+ * @route   GET /api/inventory/low-stock
+ * @query   category, page, limit
+ * @access  Private (inventory:view)
+ */
+const getLowStock = async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query);
+
+        if (!pagination) {
+            return res.status(400).json({
+                success: false,
+                message: 'page and limit must be positive integers',
+            });
+        }
+
+        const { page, limit, skip } = pagination;
+        const filter = Sweet.lowStockFilter();
+
+        if (req.query.category) {
+            filter.category = String(req.query.category);
+        }
+
+        const [sweets, total] = await Promise.all([
+            Sweet.aggregate([
+                { $match: filter },
+                {
+                    $addFields: {
+                        shortfall: { $subtract: ['$reorderLevel', '$quantity'] },
+                        stockRatio: { $divide: ['$quantity', '$reorderLevel'] },
+                    },
+                },
+                { $sort: { stockRatio: 1, quantity: 1, _id: 1 } },
+                { $skip: skip },
+                { $limit: limit },
+                {
+                    $project: {
+                        name: 1,
+                        category: 1,
+                        sku: 1,
+                        price: 1,
+                        quantity: 1,
+                        reorderLevel: 1,
+                        shortfall: 1,
+                        lowStockAlertedAt: 1,
+                    },
+                },
+            ]),
+            Sweet.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: sweets.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: sweets,
+        });
+    } catch (error) {
+        console.error('Get low stock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching low stock report',
+        });
+    }
+};
+
+module.exports = {
+    getLowStock,
+};
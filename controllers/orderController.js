@@ -0,0 +1,287 @@
+/**
+ * Order Controller
+ *
+ * Handles multi-item checkout and order history
+ * Stock for every line is taken with conditional $inc updates; if any line
+ * cannot be filled, the lines already taken are put back (all or nothing)
+ * Coupon codes are priced and redeemed before any stock is taken, and given
+ * back if the order fails
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Sweet = require('../models/Sweet');
+const StockMovement = require('../models/StockMovement');
+const { parsePagination } = require('../utils/pagination');
+const {
+    normalizeOrderItems,
+    parseCouponCodes,
+    quoteLines,
+    redeemCoupons,
+    releaseCoupons,
+} = require('../utils/pricing');
+const { syncLowStockAlerts } = require('../utils/lowStock');
+const { emitWebhookEvent } = require('../utils/webhooks');
+const { publishSweetChanges } = require('../utils/sweetStream');
+
+/**
+ * Put back stock taken for lines of a failed checkout
+ * @param {Array} reserved - [{ sweet, quantity }] lines already decremented
+ */
+const releaseStock = async (reserved) => {
+    await Promise.all(
+        reserved.map(({ sweet, quantity }) =>
+            Sweet.updateOne(
+                { _id: sweet._id },
+                { $inc: { quantity }, $set: { inStock: true } },
+                { withDeleted: true } // Stock goes back even if the sweet was deleted meanwhile
+            )
+        )
+    );
+
+    await syncLowStockAlerts(reserved.map(({ sweet }) => sweet._id));
+    publishSweetChanges(reserved.map(({ sweet }) => sweet._id));
+};
+
+/**
+ * @desc    Place an order for several sweets (all or nothing)
+ *          Body: { items: [{ sweetId, quantity }], couponCodes }
+ * @route   POST /api/orders
+ * @access  Private
+ */
+const createOrder = async (req, res) => {
+    const reserved = [];
+    let redeemed = null; // Quote whose coupons have been redeemed
+
+    try {
+        const { lines, error } = normalizeOrderItems((req.body || {}).items);
+        const { codes, error: codeError } = parseCouponCodes(req.body || {});
+
+        if (error || codeError) {
+            return res.status(400).json({
+                success: false,
+                message: error || codeError,
+            });
+        }
+
+        const { quote, error: quoteError, status } = await quoteLines(lines, { codes, user: req.user });
+
+        if (quoteError) {
+            return res.status(status).json({
+                success: false,
+                message: quoteError,
+            });
+        }
+
+        const redeemError = await redeemCoupons(quote, req.user);
+
+        if (redeemError) {
+            return res.status(400).json({
+                success: false,
+                message: redeemError,
+            });
+        }
+        redeemed = quote;
+
+        // Take stock line by line with the same atomic update as purchaseSweet
+        for (const line of lines) {
+            const sweet = await Sweet.findOneAndUpdate(
+                {
+                    _id: line.sweetId,
+                    quantity: { $gte: line.quantity }, // Ensure enough quantity available
+                },
+                {
+                    $inc: { quantity: -line.quantity }, // Decrease quantity atomically
+                },
+                {
+                    new: true, // Return updated document
+                    runValidators: true,
+                }
+            );
+
+            if (!sweet) {
+                await releaseStock(reserved.splice(0));
+                await releaseCoupons(quote.coupons, req.user);
+                redeemed = null;
+
+                const existingSweet = await Sweet.findById(line.sweetId);
+
+                if (!existingSweet) {
+                    return res.status(404).json({
+                        success: false,
+                        message: `Sweet not found: ${line.sweetId}`,
+                    });
+                }
+
+                return res.status(400).json({
+                    success: false,
+                    message: `Insufficient quantity for ${existingSweet.name}. Only ${existingSweet.quantity} available.`,
+                });
+            }
+
+            reserved.push({ sweet, quantity: line.quantity });
+        }
+
+        // Update inStock status for anything that just sold out
+        await Sweet.updateMany(
+            { _id: { $in: reserved.map(({ sweet }) => sweet._id) }, quantity: { $lte: 0 } },
+            { $set: { inStock: false } }
+        );
+
+        // Snapshot each line's price as quoted at checkout time
+        const order = await Order.create({
+            user: req.user._id,
+            items: quote.items.map(({ sweet, name, listPrice, price, tier, quantity, subtotal, discount }) => ({
+                sweet,
+                name,
+                listPrice,
+                price,
+                tier,
+                quantity,
+                subtotal,
+                discount,
+            })),
+            subtotal: quote.subtotal,
+            discounts: quote.discounts,
+            discountTotal: quote.discountTotal,
+            total: quote.total,
+        });
+        redeemed = null;
+
+        await Promise.all(
+            reserved.map(({ sweet, quantity }) =>
+                StockMovement.record({
+                    sweet: sweet._id,
+                    type: 'purchase',
+                    delta: -quantity,
+                    quantityAfter: sweet.quantity,
+                    performedBy: req.user._id,
+                    order: order._id,
+                })
+            )
+        );
+
+        await syncLowStockAlerts(reserved.map(({ sweet }) => sweet._id));
+        publishSweetChanges(reserved.map(({ sweet }) => sweet._id));
+
+        emitWebhookEvent('order.created', { order });
+        reserved.forEach(({ sweet, quantity }) => {
+            emitWebhookEvent('sweet.purchased', { sweet, quantity, orderId: order._id });
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Order placed successfully',
+            data: order,
+        });
+    } catch (error) {
+        console.error('Create order error:', error);
+
+        // Never keep stock or coupon uses for an order that was not saved
+        if (reserved.length > 0) {
+            await releaseStock(reserved.splice(0)).catch((releaseError) => {
+                console.error('Release stock error:', releaseError);
+            });
+        }
+        if (redeemed) {
+            await releaseCoupons(redeemed.coupons, req.user).catch((releaseError) => {
+                console.error('Release coupons error:', releaseError);
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error placing order',
+        });
+    }
+};
+
+/**
+ * Send a paginated list of orders
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} filter - Mongo filter
+ */
+const sendOrderList = async (req, res, filter) => {
+    const pagination = parsePagination(req.query);
+
+    if (!pagination) {
+        return res.status(400).json({
+            success: false,
+            message: 'page and limit must be positive integers',
+        });
+    }
+
+    const { page, limit, skip } = pagination;
+
+    const [orders, total] = await Promise.all([
+        Order.find(filter)
+            .sort({ createdAt: -1, _id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .populate('user', 'name email'),
+        Order.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+        success: true,
+        count: orders.length,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        data: orders,
+    });
+};
+
+/**
+ * @desc    Get the logged in user's orders (newest first)
+ * @route   GET /api/orders/mine
+ * @access  Private
+ */
+const getMyOrders = async (req, res) => {
+    try {
+        await sendOrderList(req, res, { user: req.user._id });
+    } catch (error) {
+        console.error('Get my orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching orders',
+        });
+    }
+};
+
+/**
+ * @desc    Get all orders (newest first)
+ * @route   GET /api/orders
+ * @query   user, page, limit
+ * @access  Private (orders:view)
+ */
+const getAllOrders = async (req, res) => {
+    try {
+        const filter = {};
+
+        if (req.query.user) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.user)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid user id',
+                });
+            }
+            filter.user = req.query.user;
+        }
+
+        await sendOrderList(req, res, filter);
+    } catch (error) {
+        console.error('Get all orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching orders',
+        });
+    }
+};
+
+module.exports = {
+    createOrder,
+    getMyOrders,
+    getAllOrders,
+};
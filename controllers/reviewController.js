@@ -0,0 +1,463 @@
+/**
+ * Review Controller
+ *
+ * Customer reviews of sweets and their moderation
+ * Every change to a review refreshes the sweet's average rating and review count
+ */
+
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Sweet = require('../models/Sweet');
+const Role = require('../models/Role');
+const { parsePagination } = require('../utils/pagination');
+const { recordAudit } = require('../utils/audit');
+
+// Moderation statuses a review can have
+const REVIEW_STATUSES = Review.schema.path('status').enumValues;
+
+// Public listing orders (query name -> sort)
+const REVIEW_SORTS = {
+    newest: { createdAt: -1 },
+    oldest: { createdAt: 1 },
+    highest: { rating: -1, createdAt: -1 },
+    lowest: { rating: 1, createdAt: -1 },
+};
+
+/**
+ * Send a Mongoose validation error as a 400 response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by save
+ * @returns {boolean} True if a response was sent
+ */
+const sendReviewError = (res, error) => {
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map((err) => err.message);
+        res.status(400).json({
+            success: false,
+            message: messages.join(', '),
+        });
+        return true;
+    }
+
+    if (error.code === 11000) {
+        res.status(400).json({
+            success: false,
+            message: 'You have already reviewed this sweet. Edit your review instead.',
+        });
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Find a review of the sweet in the route params
+ * @param {Object} params - req.params with id (sweet) and reviewId
+ * @returns {Promise<Review|null>} Review, or null if either id is invalid or unknown
+ */
+const findSweetReview = async ({ id, reviewId }) => {
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(reviewId)) {
+        return null;
+    }
+    return Review.findOne({ _id: reviewId, sweet: id });
+};
+
+/**
+ * Whether the request's user may moderate reviews
+ * @param {Object} req - Express request (after protect)
+ * @returns {Promise<boolean>}
+ */
+const canModerate = async (req) => {
+    if (!req.permissions) {
+        req.permissions = await Role.permissionsFor(req.user.role);
+    }
+    return req.permissions.includes('reviews:moderate');
+};
+
+/**
+ * @desc    List a sweet's published reviews
+ * @route   GET /api/sweets/:id/reviews
+ * @query   sort (newest, oldest, highest, lowest), page, limit
+ * @access  Public
+ */
+const getSweetReviews = async (req, res) => {
+    try {
+        const sweet = await Sweet.findById(req.params.id);
+
+        if (!sweet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        const sort = REVIEW_SORTS[req.query.sort || 'newest'];
+
+        if (!sort) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid sort '${req.query.sort}'. Allowed: ${Object.keys(REVIEW_SORTS).join(', ')}`,
+            });
+        }
+
+        const pagination = parsePagination(req.query);
+
+        if (!pagination) {
+            return res.status(400).json({
+                success: false,
+                message: 'page and limit must be positive integers',
+            });
+        }
+
+        const { page, limit, skip } = pagination;
+        const filter = { sweet: sweet._id, status: 'published' };
+
+        const [reviews, total] = await Promise.all([
+            Review.find(filter)
+                .sort({ ...sort, _id: -1 })
+                .skip(skip)
+                .limit(limit)
+                .select('-moderatedBy -moderatedAt -moderationNote')
+                .populate('author', 'name'),
+            Review.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: reviews.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            ratingAverage: sweet.ratingAverage,
+            ratingCount: sweet.ratingCount,
+            data: reviews,
+        });
+    } catch (error) {
+        console.error('Get sweet reviews error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching reviews',
+        });
+    }
+};
+
+/**
+ * @desc    Review a sweet (one review per customer per sweet)
+ *          Body: { rating, text }
+ * @route   POST /api/sweets/:id/reviews
+ * @access  Private
+ */
+const createSweetReview = async (req, res) => {
+    try {
+        const { rating, text } = req.body || {};
+        const sweet = await Sweet.findById(req.params.id);
+
+        if (!sweet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        const review = await Review.create({
+            sweet: sweet._id,
+            author: req.user._id,
+            rating,
+            text,
+        });
+
+        const { ratingAverage, ratingCount } = await Review.refreshSweetRating(sweet._id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Review added successfully',
+            ratingAverage,
+            ratingCount,
+            data: review,
+        });
+    } catch (error) {
+        console.error('Create review error:', error);
+
+        if (sendReviewError(res, error)) {
+            return;
+        }
+
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error adding review',
+        });
+    }
+};
+
+/**
+ * @desc    Edit your own review
+ *          Body: { rating, text } (either)
+ * @route   PATCH /api/sweets/:id/reviews/:reviewId
+ * @access  Private (author only)
+ */
+const updateSweetReview = async (req, res) => {
+    try {
+        const review = await findSweetReview(req.params);
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found',
+            });
+        }
+
+        if (!review.author.equals(req.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only edit your own review',
+            });
+        }
+
+        const { rating, text } = req.body || {};
+
+        if (rating !== undefined) {
+            review.rating = rating;
+        }
+        if (text !== undefined) {
+            review.text = text;
+        }
+
+        await review.save();
+
+        const { ratingAverage, ratingCount } = await Review.refreshSweetRating(review.sweet);
+
+        res.status(200).json({
+            success: true,
+            message: 'Review updated successfully',
+            ratingAverage,
+            ratingCount,
+            data: review,
+        });
+    } catch (error) {
+        console.error('Update review error:', error);
+
+        if (sendReviewError(res, error)) {
+            return;
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error updating review',
+        });
+    }
+};
+
+/**
+ * @desc    Delete a review (your own, or any review with reviews:moderate)
+ * @route   DELETE /api/sweets/:id/reviews/:reviewId
+ * @access  Private (author or reviews:moderate)
+ */
+const deleteSweetReview = async (req, res) => {
+    try {
+        const review = await findSweetReview(req.params);
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found',
+            });
+        }
+
+        const isAuthor = review.author.equals(req.user._id);
+
+        if (!isAuthor && !(await canModerate(req))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only delete your own review',
+            });
+        }
+
+        await review.deleteOne();
+
+        const { ratingAverage, ratingCount } = await Review.refreshSweetRating(review.sweet);
+
+        if (!isAuthor) {
+            recordAudit(req, 'review.delete', 'Review', { before: review });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Review deleted successfully',
+            ratingAverage,
+            ratingCount,
+            data: {},
+        });
+    } catch (error) {
+        console.error('Delete review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting review',
+        });
+    }
+};
+
+/**
+ * @desc    List every review for moderation (newest first)
+ * @route   GET /api/reviews
+ * @query   status, sweet, author, rating, page, limit
+ * @access  Private (reviews:moderate)
+ */
+const getReviews = async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query);
+
+        if (!pagination) {
+            return res.status(400).json({
+                success: false,
+                message: 'page and limit must be positive integers',
+            });
+        }
+
+        const { page, limit, skip } = pagination;
+        const { status, sweet, author, rating } = req.query;
+
+        const filter = {};
+
+        if (status) {
+            if (!REVIEW_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `status must be one of: ${REVIEW_STATUSES.join(', ')}`,
+                });
+            }
+            filter.status = status;
+        }
+
+        if (rating) {
+            const value = Number(rating);
+            if (!Number.isInteger(value) || value < 1 || value > 5) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'rating must be a whole number from 1 to 5',
+                });
+            }
+            filter.rating = value;
+        }
+
+        for (const [field, value] of [['sweet', sweet], ['author', author]]) {
+            if (!value) {
+                continue;
+            }
+
+            if (!mongoose.Types.ObjectId.isValid(value)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${field} must be a valid ID`,
+                });
+            }
+            filter[field] = value;
+        }
+
+        const [reviews, total] = await Promise.all([
+            Review.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('author', 'name email')
+                .populate({ path: 'sweet', select: 'name', options: { withDeleted: true } }),
+            Review.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: reviews.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: reviews,
+        });
+    } catch (error) {
+        console.error('Get reviews error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching reviews',
+        });
+    }
+};
+
+/**
+ * @desc    Hide or republish a review
+ *          Body: { status: 'hidden' | 'published', moderationNote }
+ * @route   PATCH /api/reviews/:id
+ * @access  Private (reviews:moderate)
+ */
+const moderateReview = async (req, res) => {
+    try {
+        const { status, moderationNote } = req.body || {};
+        const review = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Review.findById(req.params.id)
+            : null;
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found',
+            });
+        }
+
+        const previous = review.toObject();
+
+        if (status !== undefined) {
+            review.status = status;
+        }
+        if (moderationNote !== undefined) {
+            review.moderationNote = moderationNote;
+        }
+        review.moderatedBy = req.user._id;
+        review.moderatedAt = new Date();
+
+        await review.save();
+
+        const { ratingAverage, ratingCount } = await Review.refreshSweetRating(review.sweet);
+
+        recordAudit(req, 'review.moderate', 'Review', { before: previous, after: review });
+
+        res.status(200).json({
+            success: true,
+            message: 'Review moderated successfully',
+            ratingAverage,
+            ratingCount,
+            data: review,
+        });
+    } catch (error) {
+        console.error('Moderate review error:', error);
+
+        if (sendReviewError(res, error)) {
+            return;
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error moderating review',
+        });
+    }
+};
+
+module.exports = {
+    getSweetReviews,
+    createSweetReview,
+    updateSweetReview,
+    deleteSweetReview,
+    getReviews,
+    moderateReview,
+};
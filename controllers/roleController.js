@@ -0,0 +1,266 @@
+/**
+ * Role Controller
+ *
+ * Handles roles and the permissions they grant
+ * Built-in roles are stored on first use; the admin role cannot be changed
+ */
+
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { permissions, superuserRole } = require('../config/permissions');
+const { recordAudit } = require('../utils/audit');
+
+/**
+ * Send a Mongoose validation or duplicate key error as a 400 response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by save/update
+ * @returns {boolean} True if a response was sent
+ */
+const sendRoleError = (res, error) => {
+    if (error.code === 11000) {
+        res.status(400).json({
+            success: false,
+            message: 'Role already exists',
+        });
+        return true;
+    }
+
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map((err) => err.message);
+        res.status(400).json({
+            success: false,
+            message: messages.join(', '),
+        });
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * @desc    List roles with their permissions and how many users have each
+ * @route   GET /api/roles
+ * @access  Private/Admin
+ */
+const getRoles = async (req, res) => {
+    try {
+        await Role.ensureBuiltIns();
+
+        const [roles, counts] = await Promise.all([
+            Role.find().sort({ builtIn: -1, name: 1 }),
+            User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+        ]);
+        const countsByRole = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+        res.status(200).json({
+            success: true,
+            count: roles.length,
+            data: roles.map((role) => ({
+                ...role.toObject(),
+                permissions: role.name === superuserRole ? Object.keys(permissions) : role.permissions,
+                userCount: countsByRole.get(role.name) || 0,
+            })),
+        });
+    } catch (error) {
+        console.error('Get roles error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching roles',
+        });
+    }
+};
+
+/**
+ * @desc    List every permission that can be granted
+ * @route   GET /api/roles/permissions
+ * @access  Private/Admin
+ */
+const getPermissions = (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: Object.entries(permissions).map(([name, description]) => ({ name, description })),
+    });
+};
+
+/**
+ * @desc    Create a role
+ * @route   POST /api/roles
+ * @access  Private/Admin
+ */
+const createRole = async (req, res) => {
+    try {
+        const { name, description, permissions: granted = [] } = req.body || {};
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a role name',
+            });
+        }
+
+        if (!Array.isArray(granted)) {
+            return res.status(400).json({
+                success: false,
+                message: 'permissions must be an array',
+            });
+        }
+
+        // Built-in names are reserved even before they are stored
+        if (await Role.isAssignable(String(name).toLowerCase().trim())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role already exists',
+            });
+        }
+
+        const role = await Role.create({
+            name,
+            description,
+            permissions: [...new Set(granted)],
+        });
+
+        recordAudit(req, 'role.create', 'Role', { after: role });
+
+        res.status(201).json({
+            success: true,
+            message: 'Role created successfully',
+            data: role,
+        });
+    } catch (error) {
+        console.error('Create role error:', error);
+
+        if (sendRoleError(res, error)) {
+            return;
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error creating role',
+        });
+    }
+};
+
+/**
+ * @desc    Update a role's description or permissions
+ * @route   PATCH /api/roles/:name
+ * @access  Private/Admin
+ */
+const updateRole = async (req, res) => {
+    try {
+        const { description, permissions: granted } = req.body || {};
+
+        if (req.params.name === superuserRole) {
+            return res.status(400).json({
+                success: false,
+                message: 'The admin role always has every permission and cannot be changed',
+            });
+        }
+
+        if (granted !== undefined && !Array.isArray(granted)) {
+            return res.status(400).json({
+                success: false,
+                message: 'permissions must be an array',
+            });
+        }
+
+        await Role.ensureBuiltIns();
+        const role = await Role.findOne({ name: req.params.name });
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found',
+            });
+        }
+
+        const before = role.toObject();
+
+        if (description !== undefined) {
+            role.description = description;
+        }
+
+        if (granted !== undefined) {
+            role.permissions = [...new Set(granted)];
+        }
+
+        await role.save();
+
+        recordAudit(req, 'role.update', 'Role', { before, after: role });
+
+        res.status(200).json({
+            success: true,
+            message: 'Role updated successfully',
+            data: role,
+        });
+    } catch (error) {
+        console.error('Update role error:', error);
+
+        if (sendRoleError(res, error)) {
+            return;
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error updating role',
+        });
+    }
+};
+
+/**
+ * @desc    Delete a custom role that no user has
+ * @route   DELETE /api/roles/:name
+ * @access  Private/Admin
+ */
+const deleteRole = async (req, res) => {
+    try {
+        await Role.ensureBuiltIns();
+        const role = await Role.findOne({ name: req.params.name });
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found',
+            });
+        }
+
+        if (role.builtIn) {
+            return res.status(400).json({
+                success: false,
+                message: 'Built-in roles cannot be deleted',
+            });
+        }
+
+        const assigned = await User.countDocuments({ role: role.name });
+
+        if (assigned > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Role is assigned to ${assigned} user(s). Change their role first.`,
+            });
+        }
+
+        await Role.deleteOne({ _id: role._id });
+
+        recordAudit(req, 'role.delete', 'Role', { before: role });
+
+        res.status(200).json({
+            success: true,
+            message: 'Role deleted successfully',
+            data: {},
+        });
+    } catch (error) {
+        console.error('Delete role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting role',
+        });
+    }
+};
+
+module.exports = {
+    getRoles,
+    getPermissions,
+    createRole,
+    updateRole,
+    deleteRole,
+};
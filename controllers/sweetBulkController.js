@@ -0,0 +1,541 @@
+/**
+ * Sweet Bulk Controller
+ *
+ * Updates or deletes many sweets in one request, reporting a result per sweet
+ * Every item is checked with the same rules as updateSweet before anything is
+ * written. Writes are conditional on the values that were read, so a sweet
+ * changed by someone else in the meantime is reported instead of overwritten.
+ * In atomic mode nothing is written unless every item is valid, and items
+ * already written are put back if a later write fails (there is no
+ * transaction, as in checkout).
+ */
+
+const mongoose = require('mongoose');
+const Sweet = require('../models/Sweet');
+const StockMovement = require('../models/StockMovement');
+const PriceChange = require('../models/PriceChange');
+const Favorite = require('../models/Favorite');
+const { buildCatalogQuery } = require('../utils/catalogQuery');
+const { roundCurrency } = require('../utils/currency');
+const { recordAudit } = require('../utils/audit');
+const { syncLowStockAlerts } = require('../utils/lowStock');
+const { emitWebhookEvent } = require('../utils/webhooks');
+const { publishSweetChanges } = require('../utils/sweetStream');
+
+// Maximum number of sweets changed by one request
+const MAX_BULK_ITEMS = 500;
+
+// Fields an item may change (same as PUT /api/sweets/:id)
+const UPDATABLE_FIELDS = ['name', 'category', 'price', 'quantity', 'description', 'sku', 'reorderLevel'];
+
+// Changes a filter update may apply, per field
+const FILTER_CHANGE_OPS = {
+    price: ['set', 'add', 'percent'],
+    quantity: ['set', 'add'],
+    category: ['set'],
+    description: ['set'],
+    reorderLevel: ['set'],
+};
+
+const NOT_APPLIED = 'Not applied because another item failed';
+
+/**
+ * Parse the atomic flag from a request body
+ * @param {*} atomic - Raw value
+ * @returns {boolean|null} Flag, or null if invalid
+ */
+const parseAtomic = (atomic) => {
+    if (atomic === undefined) {
+        return false;
+    }
+    return typeof atomic === 'boolean' ? atomic : null;
+};
+
+/**
+ * Validate a list of sweet ids
+ * @param {Array} ids - Raw ids
+ * @returns {string|null} Error message, or null if valid
+ */
+const idListError = (ids) => {
+    if (!Array.isArray(ids) || ids.length === 0) {
+        return 'Please provide at least one sweet id';
+    }
+
+    if (ids.length > MAX_BULK_ITEMS) {
+        return `At most ${MAX_BULK_ITEMS} sweets can be changed at once`;
+    }
+
+    if (new Set(ids.map(String)).size !== ids.length) {
+        return 'Each sweet may only appear once';
+    }
+
+    return null;
+};
+
+/**
+ * Parse a filter update's change, e.g. { price: { percent: 10 } }
+ * @param {Object} change - Raw change
+ * @returns {Object} { field, op, value } or { error }
+ */
+const parseFilterChange = (change) => {
+    const entries = change && typeof change === 'object' ? Object.entries(change) : [];
+
+    if (entries.length !== 1) {
+        return { error: 'change must name exactly one field, e.g. { "price": { "percent": 10 } }' };
+    }
+
+    const [[field, spec]] = entries;
+    const ops = FILTER_CHANGE_OPS[field];
+
+    if (!ops) {
+        return { error: `Field '${field}' cannot be changed by filter. Allowed: ${Object.keys(FILTER_CHANGE_OPS).join(', ')}` };
+    }
+
+    const opEntries = spec && typeof spec === 'object' ? Object.entries(spec) : [];
+
+    if (opEntries.length !== 1 || !ops.includes(opEntries[0][0])) {
+        return { error: `Change to ${field} must be one of: ${ops.map((op) => `{ "${op}": value }`).join(', ')}` };
+    }
+
+    const [[op, value]] = opEntries;
+
+    if (op !== 'set' && !Number.isFinite(value)) {
+        return { error: `${op} needs a number` };
+    }
+
+    return { field, op, value };
+};
+
+/**
+ * Work out the new value of a filter update's field for one sweet
+ * @param {Sweet} sweet - Sweet
+ * @param {Object} change - { field, op, value }
+ * @returns {Object} Changes for the sweet
+ */
+const computeChange = (sweet, { field, op, value }) => {
+    if (op === 'add') {
+        const sum = sweet[field] + value;
+        return { [field]: field === 'price' ? roundCurrency(sum) : sum };
+    }
+
+    if (op === 'percent') {
+        return { [field]: roundCurrency(sweet[field] * (1 + value / 100)) };
+    }
+
+    return { [field]: value };
+};
+
+/**
+ * Check one item's changes against the model rules without saving
+ * @param {Sweet} sweet - Sweet as read
+ * @param {Object} changes - Field changes
+ * @returns {Promise<Object>} { status: 'valid', sweet, before, fields }, { status: 'unchanged' } or { status: 'failed', errors }
+ */
+const prepareItem = async (sweet, changes) => {
+    const unknown = Object.keys(changes).filter((field) => !UPDATABLE_FIELDS.includes(field));
+
+    if (unknown.length > 0) {
+        return { status: 'failed', errors: [`Unknown field(s): ${unknown.join(', ')}`] };
+    }
+
+    const inputError = Sweet.updateInputError(changes);
+    if (inputError) {
+        return { status: 'failed', errors: [inputError] };
+    }
+
+    const before = sweet.toObject();
+
+    // An empty SKU removes it, as in updateSweet
+    sweet.set({
+        ...changes,
+        ...('sku' in changes && (changes.sku === '' || changes.sku === null) && { sku: undefined }),
+    });
+
+    const fields = UPDATABLE_FIELDS.filter((field) => sweet.isModified(field));
+
+    if (fields.length === 0) {
+        return { status: 'unchanged' };
+    }
+
+    try {
+        await sweet.validate(fields);
+    } catch (error) {
+        if (error.name !== 'ValidationError') {
+            throw error;
+        }
+        return { status: 'failed', errors: Object.values(error.errors).map((err) => err.message) };
+    }
+
+    return { status: 'valid', sweet, before, fields };
+};
+
+/**
+ * Build a $set/$unset update from field values (undefined means remove)
+ * @param {Object} values - Field values
+ * @returns {Object} Mongo update
+ */
+const toUpdate = (values) => {
+    const $set = {};
+    const $unset = {};
+
+    for (const [field, value] of Object.entries(values)) {
+        if (value === undefined || value === null) {
+            $unset[field] = 1;
+        } else {
+            $set[field] = value;
+        }
+    }
+
+    // Keep stock status in sync with an absolute quantity
+    if (values.quantity !== undefined) {
+        $set.inStock = values.quantity > 0;
+    }
+
+    return {
+        ...(Object.keys($set).length > 0 && { $set }),
+        ...(Object.keys($unset).length > 0 && { $unset }),
+    };
+};
+
+/**
+ * Pick fields of a document, with missing values as null
+ * @param {Object} doc - Document or plain object
+ * @param {string[]} fields - Fields
+ * @returns {Object} Values
+ */
+const pick = (doc, fields) => Object.fromEntries(fields.map((field) => [field, doc[field] ?? null]));
+
+/**
+ * Write a prepared item if its fields still have the values that were read
+ * @param {Object} item - Prepared item
+ * @returns {Promise<string|null>} Error message, or null if written
+ */
+const writeItem = async ({ sweet, before, fields }) => {
+    try {
+        const result = await Sweet.updateOne(
+            { _id: sweet._id, ...pick(before, fields) },
+            toUpdate(pick(sweet, fields))
+        );
+
+        return result.matchedCount === 1
+            ? null
+            : 'Sweet was changed or deleted by someone else. Nothing was written for it.';
+    } catch (error) {
+        if (error.code === 11000) {
+            return 'SKU is already used by another sweet';
+        }
+        throw error;
+    }
+};
+
+/**
+ * Put back the fields of a written item (only if nobody changed them since)
+ * @param {Object} item - Prepared item
+ * @returns {Promise<void>}
+ */
+const revertItem = async ({ sweet, before, fields }) => {
+    await Sweet.updateOne({ _id: sweet._id, ...pick(sweet, fields) }, toUpdate(pick(before, fields)));
+};
+
+/**
+ * Record the stock ledger, price history and audit entries of a written item, and announce it to webhooks
+ * @param {Object} req - Express request
+ * @param {Object} item - Prepared item
+ * @returns {Promise<void>}
+ */
+const recordItem = async (req, { sweet, before, fields }) => {
+    if (fields.includes('quantity')) {
+        await StockMovement.record({
+            sweet: sweet._id,
+            type: 'adjustment',
+            delta: sweet.quantity - before.quantity,
+            quantityAfter: sweet.quantity,
+            performedBy: req.user._id,
+        });
+    }
+
+    if (fields.includes('price')) {
+        await PriceChange.recordBase(sweet, before.price, req.user._id);
+    }
+
+    recordAudit(req, 'sweet.update', 'Sweet', { before, after: sweet });
+    emitWebhookEvent('sweet.updated', { sweet });
+};
+
+/**
+ * Turn the request body into a list of { id, changes }
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} { items } or { error }
+ */
+const resolveBulkItems = async ({ items, filter, change }) => {
+    if ((items === undefined) === (filter === undefined)) {
+        return { error: 'Provide either items or filter with change' };
+    }
+
+    if (items !== undefined) {
+        const listError = idListError(Array.isArray(items) ? items.map((item) => item && item.id) : items);
+        if (listError) {
+            return { error: listError };
+        }
+
+        if (items.some((item) => !item || !item.changes || typeof item.changes !== 'object')) {
+            return { error: 'Each item needs an id and a changes object' };
+        }
+
+        return { items: items.map(({ id, changes }) => ({ id: String(id), changes })) };
+    }
+
+    const parsedChange = parseFilterChange(change);
+    if (parsedChange.error) {
+        return parsedChange;
+    }
+
+    const catalogQuery = buildCatalogQuery(filter && typeof filter === 'object' ? filter : {});
+    if (catalogQuery.error) {
+        return catalogQuery;
+    }
+
+    const sweets = await Sweet.find(catalogQuery.filter).sort({ _id: 1 }).limit(MAX_BULK_ITEMS + 1);
+
+    if (sweets.length > MAX_BULK_ITEMS) {
+        return { error: `The filter matches more than ${MAX_BULK_ITEMS} sweets. Narrow it down.` };
+    }
+
+    return {
+        items: sweets.map((sweet) => ({ id: String(sweet._id), changes: computeChange(sweet, parsedChange) })),
+        sweets,
+    };
+};
+
+/**
+ * Count results by status
+ * @param {Array} results - Item results
+ * @returns {Object} { updated, unchanged, failed }
+ */
+const countResults = (results) => ({
+    updated: results.filter((result) => result.status === 'updated').length,
+    unchanged: results.filter((result) => result.status === 'unchanged').length,
+    failed: results.filter((result) => result.status === 'failed').length,
+});
+
+/**
+ * Shape an item result for the response
+ * @param {Object} result - Item result
+ * @param {string} [notAppliedReason] - Reason given for valid items that were not written
+ * @returns {Object} { id, status, changes?, errors? }
+ */
+const formatResult = (result, notAppliedReason) => {
+    if (result.status === 'valid') {
+        return { id: result.id, status: 'skipped', errors: [notAppliedReason] };
+    }
+
+    return {
+        id: result.id,
+        status: result.status,
+        ...(result.status === 'updated' && { changes: pick(result.sweet, result.fields) }),
+        ...(result.errors && { errors: result.errors }),
+    };
+};
+
+/**
+ * @desc    Update many sweets: per-item changes, or one change for every sweet matching a filter
+ *          Body: { items: [{ id, changes }] } or { filter: { category, ... }, change: { price: { percent: 10 } } },
+ *          plus atomic: true for all-or-nothing
+ * @route   PATCH /api/sweets/bulk
+ * @access  Private (sweets:update)
+ */
+const bulkUpdateSweets = async (req, res) => {
+    try {
+        const body = req.body || {};
+        const atomic = parseAtomic(body.atomic);
+
+        if (atomic === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'atomic must be true or false',
+            });
+        }
+
+        const resolved = await resolveBulkItems(body);
+
+        if (resolved.error) {
+            return res.status(400).json({
+                success: false,
+                message: resolved.error,
+            });
+        }
+
+        // Filter updates already have the sweets; item lists are read in one query
+        const validIds = resolved.items.map(({ id }) => id).filter((id) => mongoose.Types.ObjectId.isValid(id));
+        const sweets = resolved.sweets || (await Sweet.find({ _id: { $in: validIds } }));
+        const sweetsById = new Map(sweets.map((sweet) => [String(sweet._id), sweet]));
+
+        const results = [];
+        for (const { id, changes } of resolved.items) {
+            const sweet = sweetsById.get(id);
+            const prepared = sweet ? await prepareItem(sweet, changes) : { status: 'failed', errors: ['Sweet not found'] };
+            results.push({ id, ...prepared });
+        }
+
+        const failed = results.filter((result) => result.status === 'failed');
+
+        if (atomic && failed.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${failed.length} item(s) failed validation. Nothing was changed.`,
+                data: { atomic, results: results.map((result) => formatResult(result, NOT_APPLIED)) },
+            });
+        }
+
+        const written = [];
+        for (const result of results.filter((item) => item.status === 'valid')) {
+            const writeError = await writeItem(result);
+
+            if (!writeError) {
+                result.status = 'updated';
+                written.push(result);
+                continue;
+            }
+
+            result.status = 'failed';
+            result.errors = [writeError];
+
+            if (atomic) {
+                await Promise.all(written.map(revertItem));
+                written.forEach((item) => {
+                    item.status = 'valid';
+                });
+
+                return res.status(409).json({
+                    success: false,
+                    message: `Item ${result.id} could not be written. Nothing was changed.`,
+                    data: { atomic, results: results.map((item) => formatResult(item, NOT_APPLIED)) },
+                });
+            }
+        }
+
+        for (const item of written) {
+            await recordItem(req, item);
+        }
+        await syncLowStockAlerts(written.map(({ sweet }) => sweet._id));
+        publishSweetChanges(written.map(({ sweet }) => sweet._id));
+
+        const counts = countResults(results);
+
+        res.status(200).json({
+            success: true,
+            message: `${counts.updated} updated, ${counts.unchanged} unchanged, ${counts.failed} failed`,
+            data: { atomic, ...counts, results: results.map((result) => formatResult(result)) },
+        });
+    } catch (error) {
+        console.error('Bulk update sweets error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating sweets',
+        });
+    }
+};
+
+/**
+ * @desc    Move many sweets to the trash
+ *          Body: { ids: [...], atomic: true for all-or-nothing }
+ * @route   POST /api/sweets/bulk-delete
+ * @access  Private (sweets:delete)
+ */
+const bulkDeleteSweets = async (req, res) => {
+    try {
+        const { ids } = req.body || {};
+        const atomic = parseAtomic((req.body || {}).atomic);
+
+        if (atomic === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'atomic must be true or false',
+            });
+        }
+
+        const listError = idListError(ids);
+        if (listError) {
+            return res.status(400).json({
+                success: false,
+                message: listError,
+            });
+        }
+
+        const validIds = ids.map(String).filter((id) => mongoose.Types.ObjectId.isValid(id));
+        const active = new Set(
+            (await Sweet.find({ _id: { $in: validIds } }).select('_id')).map((sweet) => String(sweet._id))
+        );
+        const missing = ids.map(String).filter((id) => !active.has(id));
+
+        if (atomic && missing.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${missing.length} sweet(s) not found. Nothing was deleted.`,
+                data: {
+                    atomic,
+                    results: ids.map(String).map((id) =>
+                        active.has(id)
+                            ? { id, status: 'skipped', errors: [NOT_APPLIED] }
+                            : { id, status: 'failed', errors: ['Sweet not found'] }
+                    ),
+                },
+            });
+        }
+
+        // One timestamp marks this request's deletes, so they can be told apart and undone
+        const deletedAt = new Date();
+        const result = await Sweet.updateMany(
+            { _id: { $in: [...active] } },
+            { $set: { deletedAt, deletedBy: req.user._id } }
+        );
+
+        if (atomic && result.modifiedCount < active.size) {
+            await Sweet.updateMany(
+                { _id: { $in: [...active] }, deletedAt, deletedBy: req.user._id },
+                { $set: { deletedAt: null, deletedBy: null } }
+            );
+
+            return res.status(409).json({
+                success: false,
+                message: 'Some sweets were deleted by someone else meanwhile. Nothing was deleted.',
+            });
+        }
+
+        const deleted = await Sweet.find({ _id: { $in: [...active] }, deletedAt, deletedBy: req.user._id });
+        const deletedIds = new Set(deleted.map((sweet) => String(sweet._id)));
+
+        await Favorite.removeSweets(deleted.map((sweet) => sweet._id));
+        publishSweetChanges(deleted.map((sweet) => sweet._id));
+        deleted.forEach((sweet) => {
+            recordAudit(req, 'sweet.delete', 'Sweet', { before: sweet });
+            emitWebhookEvent('sweet.deleted', { sweet });
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `${deleted.length} deleted, ${ids.length - deleted.length} failed`,
+            data: {
+                atomic,
+                deleted: deleted.length,
+                failed: ids.length - deleted.length,
+                results: ids.map(String).map((id) =>
+                    deletedIds.has(id)
+                        ? { id, status: 'deleted' }
+                        : { id, status: 'failed', errors: ['Sweet not found'] }
+                ),
+            },
+        });
+    } catch (error) {
+        console.error('Bulk delete sweets error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting sweets',
+        });
+    }
+};
+
+module.exports = {
+    bulkUpdateSweets,
+    bulkDeleteSweets,
+};
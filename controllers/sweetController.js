@@ -6,20 +6,92 @@
  */
 
 const Sweet = require('../models/Sweet');
+const StockMovement = require('../models/StockMovement');
+const Review = require('../models/Review');
+const Favorite = require('../models/Favorite');
+const SalePrice = require('../models/SalePrice');
+const PriceChange = require('../models/PriceChange');
+const { parsePagination } = require('../utils/pagination');
+const { buildCatalogQuery } = require('../utils/catalogQuery');
+const { recordAudit } = require('../utils/audit');
+const { removeImages } = require('../utils/imageStorage');
+const { syncLowStockAlerts } = require('../utils/lowStock');
+const { emitWebhookEvent } = require('../utils/webhooks');
+const { publishSweetChanges } = require('../utils/sweetStream');
+const {
+    withEffectivePrices,
+    tierPricing,
+    parseCouponCodes,
+    quoteLines,
+    pricingBreakdown,
+    redeemCoupons,
+    releaseCoupons,
+} = require('../utils/pricing');
 
 /**
- * @desc    Get all sweets
+ * Add the effective price to sweets, and an isFavorite flag when the request is logged in
+ * @param {Object} req - Express request (req.user is set by optionalAuth)
+ * @param {Array} sweets - Sweet documents
+ * @param {Date} [now] - Point in time to price at
+ * @returns {Promise<Array>} Sweets to send
+ */
+const presentSweets = async (req, sweets, now = new Date()) => {
+    const [priced, favorited] = await Promise.all([
+        withEffectivePrices(sweets, now),
+        req.user ? Favorite.favoritedSweetIds(req.user._id, sweets.map((sweet) => sweet._id)) : null,
+    ]);
+
+    if (!favorited) {
+        return priced;
+    }
+
+    return priced.map((sweet) => ({ ...sweet, isFavorite: favorited.has(String(sweet._id)) }));
+};
+
+/**
+ * @desc    Get all sweets (search, filter, sort and paginate)
+ *          Each sweet has effectivePrice and any running sale; logged in requests
+ *          also get isFavorite. Price filters and sorting use effectivePrice.
  * @route   GET /api/sweets
+ * @query   name, category, minPrice, maxPrice, inStock, sort, page, limit
  * @access  Public
  */
 const getAllSweets = async (req, res) => {
     try {
-        const sweets = await Sweet.find().sort({ createdAt: -1 });
+        const catalogQuery = buildCatalogQuery(req.query, { byEffectivePrice: true });
+
+        if (catalogQuery.error) {
+            return res.status(400).json({
+                success: false,
+                message: catalogQuery.error,
+            });
+        }
+
+        const { filter, priceFilter, sort, page, limit, skip } = catalogQuery;
+        const now = new Date();
+
+        const [result] = await Sweet.aggregate([
+            { $match: filter },
+            ...SalePrice.effectivePriceStages(now),
+            { $match: priceFilter },
+            {
+                $facet: {
+                    data: [{ $sort: sort }, { $skip: skip }, { $limit: limit }, { $project: { effectivePrice: 0 } }],
+                    total: [{ $count: 'count' }],
+                },
+            },
+        ]);
+
+        const sweets = result.data.map((doc) => Sweet.hydrate(doc));
+        const total = result.total.length > 0 ? result.total[0].count : 0;
 
         res.status(200).json({
             success: true,
             count: sweets.length,
-            data: sweets,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: await presentSweets(req, sweets, now),
         });
     } catch (error) {
         console.error('Get all sweets error:', error);
@@ -32,6 +104,8 @@ const getAllSweets = async (req, res) => {
 
 /**
  * @desc    Get single sweet by ID
+ *          With effectivePrice, any running sale and the quantity tier table (tierPricing);
+ *          logged in requests get isFavorite
  * @route   GET /api/sweets/:id
  * @access  Public
  */
@@ -46,9 +120,12 @@ const getSweetById = async (req, res) => {
             });
         }
 
+        const [data] = await presentSweets(req, [sweet]);
+        data.tierPricing = await tierPricing(sweet, data.effectivePrice);
+
         res.status(200).json({
             success: true,
-            data: sweet,
+            data,
         });
     } catch (error) {
         console.error('Get sweet by ID error:', error);
@@ -70,33 +147,18 @@ const getSweetById = async (req, res) => {
 /**
  * @desc    Create new sweet
  * @route   POST /api/sweets
- * @access  Private/Admin
+ * @access  Private (sweets:create)
  */
 const createSweet = async (req, res) => {
     try {
-        const { name, category, price, quantity, description } = req.body;
+        const { name, category, price, quantity, description, sku, reorderLevel, priceTiers } = req.body;
 
-        // Validate required fields
-        if (!name || !category || price === undefined || quantity === undefined) {
+        // Validate required fields, price, quantity and tiers (same rules as the CSV import)
+        const inputError = Sweet.createInputError({ name, category, price, quantity, priceTiers });
+        if (inputError) {
             return res.status(400).json({
                 success: false,
-                message: 'Please provide name, category, price, and quantity',
-            });
-        }
-
-        // Validate price
-        if (price <= 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Price must be greater than 0',
-            });
-        }
-
-        // Validate quantity
-        if (quantity < 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Quantity cannot be negative',
+                message: inputError,
             });
         }
 
@@ -107,8 +169,18 @@ const createSweet = async (req, res) => {
             price,
             quantity,
             description,
+            sku: sku || undefined,
+            reorderLevel,
+            priceTiers,
         });
 
+        await PriceChange.recordBase(sweet, null, req.user._id);
+        await syncLowStockAlerts([sweet._id]);
+        publishSweetChanges([sweet._id]);
+
+        recordAudit(req, 'sweet.create', 'Sweet', { after: sweet });
+        emitWebhookEvent('sweet.created', { sweet });
+
         res.status(201).json({
             success: true,
             message: 'Sweet created successfully',
@@ -117,6 +189,13 @@ const createSweet = async (req, res) => {
     } catch (error) {
         console.error('Create sweet error:', error);
 
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'SKU is already used by another sweet',
+            });
+        }
+
         // Handle validation errors
         if (error.name === 'ValidationError') {
             const messages = Object.values(error.errors).map((err) => err.message);
@@ -136,44 +215,70 @@ const createSweet = async (req, res) => {
 /**
  * @desc    Update sweet
  * @route   PUT /api/sweets/:id
- * @access  Private/Admin
+ * @access  Private (sweets:update)
  */
 const updateSweet = async (req, res) => {
     try {
-        const { name, category, price, quantity, description } = req.body;
+        const { name, category, price, quantity, description, sku, reorderLevel, priceTiers } = req.body;
 
-        // Validate price if provided
-        if (price !== undefined && price <= 0) {
+        // Validate price, quantity and tiers if provided
+        const inputError = Sweet.updateInputError({ price, quantity, priceTiers });
+        if (inputError) {
             return res.status(400).json({
                 success: false,
-                message: 'Price must be greater than 0',
+                message: inputError,
             });
         }
 
-        // Validate quantity if provided
-        if (quantity !== undefined && quantity < 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Quantity cannot be negative',
-            });
+        const update = { name, category, price, quantity, description, reorderLevel, priceTiers };
+
+        // An empty SKU removes it
+        if (sku === '' || sku === null) {
+            update.$unset = { sku: 1 };
+        } else {
+            update.sku = sku;
         }
 
-        const sweet = await Sweet.findByIdAndUpdate(
-            req.params.id,
-            { name, category, price, quantity, description },
-            {
-                new: true, // Return updated document
-                runValidators: true, // Run model validators
-            }
-        );
+        // Keep stock status in sync with an absolute quantity
+        if (quantity !== undefined) {
+            update.inStock = quantity > 0;
+        }
 
-        if (!sweet) {
+        // Return the previous document so a quantity change can be ledgered
+        const previous = await Sweet.findByIdAndUpdate(req.params.id, update, {
+            new: false,
+            runValidators: true, // Run model validators
+        });
+
+        if (!previous) {
             return res.status(404).json({
                 success: false,
                 message: 'Sweet not found',
             });
         }
 
+        if (quantity !== undefined && quantity !== previous.quantity) {
+            await StockMovement.record({
+                sweet: previous._id,
+                type: 'adjustment',
+                delta: quantity - previous.quantity,
+                quantityAfter: quantity,
+                performedBy: req.user._id,
+            });
+        }
+
+        await syncLowStockAlerts([previous._id]);
+        publishSweetChanges([previous._id]);
+
+        const sweet = await Sweet.findById(req.params.id);
+
+        if (sweet) {
+            await PriceChange.recordBase(sweet, previous.price, req.user._id);
+        }
+
+        recordAudit(req, 'sweet.update', 'Sweet', { before: previous, after: sweet });
+        emitWebhookEvent('sweet.updated', { sweet });
+
         res.status(200).json({
             success: true,
             message: 'Sweet updated successfully',
@@ -182,6 +287,13 @@ const updateSweet = async (req, res) => {
     } catch (error) {
         console.error('Update sweet error:', error);
 
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'SKU is already used by another sweet',
+            });
+        }
+
         if (error.name === 'CastError') {
             return res.status(404).json({
                 success: false,
@@ -205,13 +317,17 @@ const updateSweet = async (req, res) => {
 };
 
 /**
- * @desc    Delete sweet
+ * @desc    Move sweet to the trash (soft delete)
  * @route   DELETE /api/sweets/:id
- * @access  Private/Admin
+ * @access  Private (sweets:delete)
  */
 const deleteSweet = async (req, res) => {
     try {
-        const sweet = await Sweet.findByIdAndDelete(req.params.id);
+        const sweet = await Sweet.findOneAndUpdate(
+            { _id: req.params.id },
+            { $set: { deletedAt: new Date(), deletedBy: req.user._id } },
+            { new: true }
+        );
 
         if (!sweet) {
             return res.status(404).json({
@@ -220,6 +336,12 @@ const deleteSweet = async (req, res) => {
             });
         }
 
+        await Favorite.removeSweets([sweet._id]);
+
+        publishSweetChanges([sweet._id]);
+        recordAudit(req, 'sweet.delete', 'Sweet', { before: sweet });
+        emitWebhookEvent('sweet.deleted', { sweet });
+
         res.status(200).json({
             success: true,
             message: 'Sweet deleted successfully',
@@ -242,12 +364,157 @@ const deleteSweet = async (req, res) => {
     }
 };
 
+/**
+ * @desc    List sweets in the trash (most recently deleted first)
+ * @route   GET /api/sweets/trash
+ * @access  Private (sweets:delete)
+ */
+const getTrash = async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query);
+
+        if (!pagination) {
+            return res.status(400).json({
+                success: false,
+                message: 'page and limit must be positive integers',
+            });
+        }
+
+        const { page, limit, skip } = pagination;
+        const filter = { deletedAt: { $ne: null } };
+
+        const [sweets, total] = await Promise.all([
+            Sweet.find(filter)
+                .sort({ deletedAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('deletedBy', 'name email'),
+            Sweet.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: sweets.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: sweets,
+        });
+    } catch (error) {
+        console.error('Get trash error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching deleted sweets',
+        });
+    }
+};
+
+/**
+ * @desc    Restore a sweet from the trash
+ * @route   POST /api/sweets/:id/restore
+ * @access  Private (sweets:delete)
+ */
+const restoreSweet = async (req, res) => {
+    try {
+        const sweet = await Sweet.findOneAndUpdate(
+            { _id: req.params.id, deletedAt: { $ne: null } },
+            { $set: { deletedAt: null, deletedBy: null } },
+            { new: true }
+        );
+
+        if (!sweet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found in trash',
+            });
+        }
+
+        publishSweetChanges([sweet._id]);
+        recordAudit(req, 'sweet.restore', 'Sweet', { after: sweet });
+        emitWebhookEvent('sweet.restored', { sweet });
+
+        res.status(200).json({
+            success: true,
+            message: 'Sweet restored successfully',
+            data: sweet,
+        });
+    } catch (error) {
+        console.error('Restore sweet error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found in trash',
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error restoring sweet',
+        });
+    }
+};
+
+/**
+ * @desc    Permanently delete a sweet that is already in the trash
+ *          This cannot be undone; stock movements and order snapshots are kept, reviews are not
+ * @route   DELETE /api/sweets/:id/purge
+ * @access  Private (sweets:purge)
+ */
+const purgeSweet = async (req, res) => {
+    try {
+        const sweet = await Sweet.findOneAndDelete({ _id: req.params.id, deletedAt: { $ne: null } });
+
+        if (!sweet) {
+            const active = await Sweet.exists({ _id: req.params.id });
+
+            return res.status(active ? 400 : 404).json({
+                success: false,
+                message: active
+                    ? 'Only sweets in the trash can be purged. Delete the sweet first.'
+                    : 'Sweet not found in trash',
+            });
+        }
+
+        // Only purged sweets lose their files; the trash keeps them for a restore
+        await removeImages(sweet.images.map((image) => image.key));
+        await Review.deleteMany({ sweet: sweet._id });
+        await SalePrice.deleteMany({ sweet: sweet._id });
+        await Favorite.removeSweets([sweet._id]);
+
+        recordAudit(req, 'sweet.purge', 'Sweet', { before: sweet });
+
+        res.status(200).json({
+            success: true,
+            message: 'Sweet permanently deleted. This cannot be undone.',
+            data: {},
+        });
+    } catch (error) {
+        console.error('Purge sweet error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found in trash',
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error purging sweet',
+        });
+    }
+};
+
 /**
  * @desc    Purchase sweet (decrease quantity)
+ *          Body: { quantity, couponCodes }. The response's pricing has the discount breakdown.
  * @route   POST /api/sweets/:id/purchase
- * @access  Public
+ * @access  Public (coupons with a per-user limit need a logged in user)
  */
 const purchaseSweet = async (req, res) => {
+    let redeemed = null; // Quote whose coupons have been redeemed
+
     try {
         const { quantity = 1 } = req.body;
 
@@ -259,6 +526,37 @@ const purchaseSweet = async (req, res) => {
             });
         }
 
+        const { codes, error: codeError } = parseCouponCodes(req.body);
+
+        if (codeError) {
+            return res.status(400).json({
+                success: false,
+                message: codeError,
+            });
+        }
+
+        const { quote, error: quoteError, status } = await quoteLines(
+            [{ sweetId: req.params.id, quantity }],
+            { codes, user: req.user }
+        );
+
+        if (quoteError) {
+            return res.status(status).json({
+                success: false,
+                message: status === 404 ? 'Sweet not found' : quoteError,
+            });
+        }
+
+        const redeemError = await redeemCoupons(quote, req.user);
+
+        if (redeemError) {
+            return res.status(400).json({
+                success: false,
+                message: redeemError,
+            });
+        }
+        redeemed = quote;
+
         // Use atomic update with $inc to prevent race conditions
         const sweet = await Sweet.findOneAndUpdate(
             {
@@ -275,6 +573,9 @@ const purchaseSweet = async (req, res) => {
         );
 
         if (!sweet) {
+            await releaseCoupons(quote.coupons, req.user);
+            redeemed = null;
+
             // Check if sweet exists
             const existingSweet = await Sweet.findById(req.params.id);
 
@@ -292,18 +593,42 @@ const purchaseSweet = async (req, res) => {
             });
         }
 
-        // Update inStock status
-        sweet.inStock = sweet.quantity > 0;
-        await sweet.save();
+        // Update inStock status if this purchase sold it out, unless a restock got in first
+        if (sweet.quantity <= 0) {
+            await Sweet.updateOne({ _id: sweet._id, quantity: { $lte: 0 } }, { $set: { inStock: false } });
+            sweet.inStock = false;
+        }
+        redeemed = null;
+
+        await StockMovement.record({
+            sweet: sweet._id,
+            type: 'purchase',
+            delta: -quantity,
+            quantityAfter: sweet.quantity,
+            performedBy: req.user ? req.user._id : null,
+        });
+
+        await syncLowStockAlerts([sweet._id]);
+        publishSweetChanges([sweet._id]);
+
+        emitWebhookEvent('sweet.purchased', { sweet, quantity, orderId: null });
 
         res.status(200).json({
             success: true,
             message: 'Purchase successful',
+            pricing: pricingBreakdown(quote),
             data: sweet,
         });
     } catch (error) {
         console.error('Purchase sweet error:', error);
 
+        // Coupon uses only count for purchases that went through
+        if (redeemed) {
+            await releaseCoupons(redeemed.coupons, req.user).catch((releaseError) => {
+                console.error('Release coupons error:', releaseError);
+            });
+        }
+
         if (error.name === 'CastError') {
             return res.status(404).json({
                 success: false,
@@ -318,11 +643,162 @@ const purchaseSweet = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Restock sweet (increase quantity atomically)
+ * @route   POST /api/sweets/:id/restock
+ * @access  Private (inventory:adjust)
+ */
+const restockSweet = async (req, res) => {
+    try {
+        const { quantity, note } = req.body;
+
+        // Validate quantity
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Quantity must be a positive integer',
+            });
+        }
+
+        // Use atomic update with $inc so concurrent purchases are not overwritten
+        const sweet = await Sweet.findOneAndUpdate(
+            { _id: req.params.id },
+            {
+                $inc: { quantity },
+                $set: { inStock: true },
+            },
+            {
+                new: true, // Return updated document
+                runValidators: true,
+            }
+        );
+
+        if (!sweet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        await StockMovement.record({
+            sweet: sweet._id,
+            type: 'restock',
+            delta: quantity,
+            quantityAfter: sweet.quantity,
+            performedBy: req.user._id,
+            note,
+        });
+
+        await syncLowStockAlerts([sweet._id]);
+        publishSweetChanges([sweet._id]);
+
+        recordAudit(req, 'sweet.restock', 'Sweet', {
+            before: { ...sweet.toObject(), quantity: sweet.quantity - quantity },
+            after: sweet,
+        });
+        emitWebhookEvent('sweet.updated', { sweet });
+
+        res.status(200).json({
+            success: true,
+            message: 'Sweet restocked successfully',
+            data: sweet,
+        });
+    } catch (error) {
+        console.error('Restock sweet error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error restocking sweet',
+        });
+    }
+};
+
+/**
+ * @desc    Get stock movement history for a sweet (newest first)
+ * @route   GET /api/sweets/:id/movements
+ * @query   type, page, limit
+ * @access  Private (inventory:view)
+ */
+const getStockMovements = async (req, res) => {
+    try {
+        // History stays available for sweets in the trash
+        const sweet = await Sweet.findById(req.params.id).setOptions({ withDeleted: true });
+
+        if (!sweet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        const pagination = parsePagination(req.query);
+
+        if (!pagination) {
+            return res.status(400).json({
+                success: false,
+                message: 'page and limit must be positive integers',
+            });
+        }
+
+        const { page, limit, skip } = pagination;
+
+        const filter = { sweet: sweet._id };
+        if (req.query.type) {
+            filter.type = String(req.query.type);
+        }
+
+        const [movements, total] = await Promise.all([
+            StockMovement.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('performedBy', 'name email'),
+            StockMovement.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: movements.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            currentQuantity: sweet.quantity,
+            data: movements,
+        });
+    } catch (error) {
+        console.error('Get stock movements error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching stock movements',
+        });
+    }
+};
+
 module.exports = {
     getAllSweets,
     getSweetById,
     createSweet,
     updateSweet,
     deleteSweet,
+    getTrash,
+    restoreSweet,
+    purgeSweet,
     purchaseSweet,
+    restockSweet,
+    getStockMovements,
 };
@@ -0,0 +1,403 @@
+/**
+ * Sweet CSV Controller
+ *
+ * Exports the catalog as CSV and imports a CSV catalog, upserting by SKU or name
+ * Both directions stream: the export writes rows as they are read from a
+ * cursor, and the import processes each row as it is parsed, so file size
+ * does not decide memory use. Import rows pass the same checks as
+ * createSweet/updateSweet and are written one at a time (no transaction).
+ */
+
+const { pipeline } = require('stream/promises');
+const { parse, CsvError } = require('csv-parse');
+const { stringify } = require('csv-stringify');
+const Sweet = require('../models/Sweet');
+const StockMovement = require('../models/StockMovement');
+const PriceChange = require('../models/PriceChange');
+const { buildCatalogQuery } = require('../utils/catalogQuery');
+const { recordAudit } = require('../utils/audit');
+const { syncLowStockAlerts } = require('../utils/lowStock');
+const { emitWebhookEvent } = require('../utils/webhooks');
+const { publishSweetChanges } = require('../utils/sweetStream');
+
+// Columns written by the export and accepted by the import, in order
+const CSV_COLUMNS = ['sku', 'name', 'category', 'price', 'quantity', 'description'];
+
+// Maximum number of data rows in one import
+const MAX_IMPORT_ROWS = 5000;
+
+// Largest single row, in characters
+const MAX_RECORD_SIZE = 64 * 1024;
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Stop a spreadsheet from treating a text cell as a formula
+ * @param {*} value - Cell value
+ * @returns {*} Value, prefixed with ' if it would be read as a formula
+ */
+const escapeFormula = (value) =>
+    typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+
+/**
+ * Undo escapeFormula for a cell read back from an export
+ * @param {string} value - Cell value
+ * @returns {string} Value without the protective '
+ */
+const unescapeFormula = (value) =>
+    value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+
+/**
+ * Convert a parsed CSV record into sweet fields
+ * Blank cells are left out, so an update only changes the filled-in columns
+ * @param {Object} record - { column: cell }
+ * @returns {Object} { values, errors }
+ */
+const readRow = (record) => {
+    const values = {};
+    const errors = [];
+
+    for (const column of CSV_COLUMNS) {
+        const cell = record[column] === undefined ? '' : unescapeFormula(record[column]);
+
+        if (cell === '') {
+            continue;
+        }
+
+        if (column === 'price' || column === 'quantity') {
+            const number = Number(cell);
+            if (Number.isNaN(number)) {
+                errors.push(`${column} must be a number`);
+                continue;
+            }
+            values[column] = number;
+        } else {
+            values[column] = cell;
+        }
+    }
+
+    if (values.sku) {
+        values.sku = values.sku.toUpperCase();
+    }
+
+    return { values, errors };
+};
+
+/**
+ * Find the sweet an import row refers to: by SKU first, then by exact name
+ * @param {Object} values - Row values
+ * @returns {Promise<Object>} { sweet } (null for a new sweet) or { error }
+ */
+const findImportTarget = async ({ sku, name }) => {
+    if (sku) {
+        const bySku = await Sweet.findOne({ sku }).setOptions({ withDeleted: true });
+
+        if (bySku && bySku.isDeleted()) {
+            return { error: `SKU ${sku} belongs to a deleted sweet. Restore it first.` };
+        }
+        if (bySku) {
+            return { sweet: bySku };
+        }
+    }
+
+    if (!name) {
+        return { sweet: null };
+    }
+
+    const byName = await Sweet.find({ name }).limit(2);
+
+    if (byName.length > 1) {
+        return { error: `More than one sweet is named ${name}. Add a SKU to choose one.` };
+    }
+
+    // A row with a new SKU must not take over a sweet that already has another one
+    if (byName.length === 1 && sku && byName[0].sku) {
+        return { error: `${name} already has SKU ${byName[0].sku}` };
+    }
+
+    return { sweet: byName[0] || null };
+};
+
+/**
+ * Get the messages of a validation or duplicate key error
+ * @param {Error} error - Error thrown by validate()/save()
+ * @returns {string[]|null} Messages, or null for unexpected errors
+ */
+const rowErrorMessages = (error) => {
+    if (error.code === 11000) {
+        return ['SKU is already used by another sweet'];
+    }
+
+    if (error.name === 'ValidationError') {
+        return Object.values(error.errors).map((err) => err.message);
+    }
+
+    return null;
+};
+
+/**
+ * Validate one import row and, unless dry-running, write it
+ * @param {Object} req - Express request (actor for the audit log and stock ledger)
+ * @param {Object} values - Row values from readRow
+ * @param {boolean} dryRun - Validate only
+ * @returns {Promise<Object>} { status, sweet } or { status: 'rejected', errors }
+ */
+const importRow = async (req, values, dryRun) => {
+    const { sweet: existing, error } = await findImportTarget(values);
+
+    if (error) {
+        return { status: 'rejected', errors: [error] };
+    }
+
+    // New sweet: same checks as createSweet
+    if (!existing) {
+        const inputError = Sweet.createInputError(values);
+        if (inputError) {
+            return { status: 'rejected', errors: [inputError] };
+        }
+
+        const sweet = new Sweet(values);
+        await sweet.validate();
+
+        if (!dryRun) {
+            await sweet.save();
+            await PriceChange.recordBase(sweet, null, req.user._id);
+            await syncLowStockAlerts([sweet._id]);
+            publishSweetChanges([sweet._id]);
+            recordAudit(req, 'sweet.create', 'Sweet', { after: sweet });
+            emitWebhookEvent('sweet.created', { sweet });
+        }
+
+        return { status: 'created', sweet };
+    }
+
+    // Existing sweet: same checks as updateSweet
+    const inputError = Sweet.updateInputError(values);
+    if (inputError) {
+        return { status: 'rejected', errors: [inputError] };
+    }
+
+    const before = existing.toObject();
+    existing.set(values);
+
+    if (!existing.isModified()) {
+        return { status: 'unchanged', sweet: existing };
+    }
+
+    await existing.validate();
+
+    if (!dryRun) {
+        await existing.save();
+
+        if (existing.quantity !== before.quantity) {
+            await StockMovement.record({
+                sweet: existing._id,
+                type: 'adjustment',
+                delta: existing.quantity - before.quantity,
+                quantityAfter: existing.quantity,
+                performedBy: req.user._id,
+            });
+        }
+
+        await PriceChange.recordBase(existing, before.price, req.user._id);
+        await syncLowStockAlerts([existing._id]);
+        publishSweetChanges([existing._id]);
+        recordAudit(req, 'sweet.update', 'Sweet', { before, after: existing });
+        emitWebhookEvent('sweet.updated', { sweet: existing });
+    }
+
+    return { status: 'updated', sweet: existing };
+};
+
+/**
+ * @desc    Export the catalog as CSV (accepts the catalog filters and sort)
+ * @route   GET /api/sweets/export.csv
+ * @query   name, category, minPrice, maxPrice, inStock, sort
+ * @access  Private (inventory:view)
+ */
+const exportSweetsCsv = async (req, res) => {
+    const catalogQuery = buildCatalogQuery(req.query);
+
+    if (catalogQuery.error) {
+        return res.status(400).json({
+            success: false,
+            message: catalogQuery.error,
+        });
+    }
+
+    const cursor = Sweet.find(catalogQuery.filter).sort(catalogQuery.sort).lean().cursor();
+
+    res.status(200);
+    res.attachment('sweets.csv');
+    res.type('text/csv; charset=utf-8');
+
+    try {
+        await pipeline(
+            async function* () {
+                for await (const sweet of cursor) {
+                    yield CSV_COLUMNS.map((column) => escapeFormula(sweet[column] ?? ''));
+                }
+            },
+            stringify({ header: true, columns: CSV_COLUMNS }),
+            res
+        );
+    } catch (error) {
+        console.error('Export sweets error:', error);
+
+        // Rows may already be on their way, so the only signal left is a cut-off response
+        if (!res.headersSent) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error exporting sweets',
+            });
+        }
+        res.destroy(error);
+    }
+};
+
+/**
+ * @desc    Import sweets from CSV, creating or updating by SKU or name
+ *          Send the file as the body with Content-Type: text/csv
+ *          Rows after MAX_IMPORT_ROWS are not read (truncated: true)
+ * @route   POST /api/sweets/import
+ * @query   dryRun - true to validate without saving
+ * @access  Private (sweets:create, sweets:update)
+ */
+const importSweetsCsv = async (req, res) => {
+    const { dryRun = 'false' } = req.query;
+
+    if (dryRun !== 'true' && dryRun !== 'false') {
+        return res.status(400).json({
+            success: false,
+            message: 'dryRun must be true or false',
+        });
+    }
+
+    if (!req.is('text/csv')) {
+        return res.status(415).json({
+            success: false,
+            message: 'Send the CSV file as the request body with Content-Type: text/csv',
+        });
+    }
+
+    const report = {
+        dryRun: dryRun === 'true',
+        created: 0,
+        updated: 0,
+        unchanged: 0,
+        rejected: 0,
+        truncated: false,
+        rows: [],
+    };
+
+    let headerError = null;
+
+    const parser = parse({
+        bom: true,
+        trim: true,
+        skip_empty_lines: true,
+        max_record_size: MAX_RECORD_SIZE,
+        columns: (header) => {
+            const columns = header.map((column) => column.toLowerCase());
+            const unknown = columns.filter((column) => !CSV_COLUMNS.includes(column));
+
+            if (unknown.length > 0) {
+                headerError = new Error(`Unknown column(s): ${unknown.join(', ')}. Allowed: ${CSV_COLUMNS.join(', ')}`);
+            } else if (!columns.includes('name') && !columns.includes('sku')) {
+                headerError = new Error('The CSV needs a name or sku column');
+            }
+
+            if (headerError) {
+                throw headerError;
+            }
+            return columns;
+        },
+    });
+
+    // Row numbers of SKUs and names already seen, so one file cannot write a sweet twice
+    const seen = new Map();
+
+    try {
+        req.pipe(parser);
+
+        for await (const record of parser) {
+            const row = report.rows.length + 1;
+
+            // Rows past the limit are not read; the ones before it are already processed
+            if (row > MAX_IMPORT_ROWS) {
+                report.truncated = true;
+                req.unpipe(parser);
+                parser.destroy();
+                break;
+            }
+
+            const { values, errors } = readRow(record);
+            const keys = [values.sku && `sku:${values.sku}`, values.name && `name:${values.name}`].filter(Boolean);
+            const duplicateOf = keys.map((key) => seen.get(key)).find(Boolean);
+            keys.forEach((key) => seen.set(key, seen.get(key) || row));
+
+            let result;
+            if (duplicateOf) {
+                result = { status: 'rejected', errors: [`Duplicate of row ${duplicateOf}`] };
+            } else if (errors.length > 0) {
+                result = { status: 'rejected', errors };
+            } else {
+                try {
+                    result = await importRow(req, values, report.dryRun);
+                } catch (error) {
+                    const messages = rowErrorMessages(error);
+                    if (!messages) {
+                        throw error;
+                    }
+                    result = { status: 'rejected', errors: messages };
+                }
+            }
+
+            report[result.status] += 1;
+            report.rows.push({
+                row,
+                status: result.status,
+                sweetId: result.sweet && !(report.dryRun && result.status === 'created') ? result.sweet._id : null,
+                name: result.sweet ? result.sweet.name : values.name || null,
+                sku: result.sweet ? result.sweet.sku || null : values.sku || null,
+                ...(result.errors && { errors: result.errors }),
+            });
+        }
+
+        const summary = report.dryRun
+            ? `Dry run: ${report.created} to create, ${report.updated} to update, ${report.rejected} rejected`
+            : `Imported: ${report.created} created, ${report.updated} updated, ${report.rejected} rejected`;
+
+        res.status(200).json({
+            success: true,
+            message: report.truncated
+                ? `${summary}. Only the first ${MAX_IMPORT_ROWS} rows were read`
+                : summary,
+            data: report,
+        });
+    } catch (error) {
+        console.error('Import sweets error:', error);
+
+        // A malformed file stops the import; rows before the error were already processed
+        if (error instanceof CsvError || error === headerError) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid CSV: ${error.message}`,
+                data: report,
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error importing sweets',
+            data: report,
+        });
+    }
+};
+
+module.exports = {
+    CSV_COLUMNS,
+    exportSweetsCsv,
+    importSweetsCsv,
+};
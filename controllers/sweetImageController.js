@@ -0,0 +1,283 @@
+/**
+ * Sweet Image Controller
+ *
+ * Handles product images for sweets
+ * Files are written through the image storage backend before the sweet is
+ * updated; if the update fails, the files are removed again. Every change
+ * to the image list bumps the document version, so a reorder based on a
+ * stale list is refused instead of dropping a newer upload.
+ */
+
+const mongoose = require('mongoose');
+const Sweet = require('../models/Sweet');
+const uploadsConfig = require('../config/uploads');
+const { getStorage, buildImageKey, removeImages } = require('../utils/imageStorage');
+const { recordAudit } = require('../utils/audit');
+
+/**
+ * Mark the first image as primary if no image is
+ * Conditional, so concurrent uploads to a sweet without images agree on one primary
+ * @param {string} sweetId - Sweet ID
+ * @returns {Promise<Sweet|null>} Sweet after the change
+ */
+const ensurePrimaryImage = async (sweetId) => {
+    await Sweet.updateOne(
+        { _id: sweetId, 'images.0': { $exists: true }, 'images.isPrimary': { $ne: true } },
+        { $set: { 'images.0.isPrimary': true } }
+    );
+    return Sweet.findById(sweetId);
+};
+
+/**
+ * @desc    Upload images for a sweet (multipart field "images")
+ * @route   POST /api/sweets/:id/images
+ * @access  Private (sweets:update)
+ */
+const uploadSweetImages = async (req, res) => {
+    const savedKeys = [];
+
+    try {
+        const sweet = await Sweet.findById(req.params.id);
+
+        if (!sweet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        const { maxImagesPerSweet, allowedTypes } = uploadsConfig;
+        const room = maxImagesPerSweet - sweet.images.length;
+
+        if (req.files.length > room) {
+            return res.status(400).json({
+                success: false,
+                message: `A sweet can have at most ${maxImagesPerSweet} images. ${Math.max(room, 0)} more can be added.`,
+            });
+        }
+
+        const storage = getStorage();
+        const images = [];
+
+        for (const file of req.files) {
+            const key = buildImageKey(sweet._id, allowedTypes[file.mimetype]);
+            const url = await storage.save({ key, buffer: file.buffer, contentType: file.mimetype });
+            savedKeys.push(key);
+
+            images.push({
+                key,
+                url,
+                contentType: file.mimetype,
+                size: file.size,
+                originalName: file.originalname,
+            });
+        }
+
+        // The limit is checked again in the update in case another upload landed meanwhile
+        const updated = await Sweet.findOneAndUpdate(
+            { _id: sweet._id, [`images.${maxImagesPerSweet - images.length}`]: { $exists: false } },
+            { $push: { images: { $each: images } }, $inc: { __v: 1 } },
+            { new: true }
+        );
+
+        if (!updated) {
+            await removeImages(savedKeys.splice(0));
+
+            return res.status(400).json({
+                success: false,
+                message: `A sweet can have at most ${maxImagesPerSweet} images`,
+            });
+        }
+
+        // The images are on the sweet now, so their files stay even if a later step fails
+        savedKeys.splice(0);
+
+        const result = await ensurePrimaryImage(sweet._id);
+
+        recordAudit(req, 'sweet.images_add', 'Sweet', { before: sweet, after: result });
+
+        res.status(201).json({
+            success: true,
+            message: `${images.length} image(s) uploaded successfully`,
+            data: result,
+        });
+    } catch (error) {
+        console.error('Upload sweet images error:', error);
+
+        // Never leave files behind for images that were not saved on the sweet
+        await removeImages(savedKeys);
+
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error uploading images',
+        });
+    }
+};
+
+/**
+ * @desc    Reorder a sweet's images and/or choose the primary image
+ *          Body: { order: [every image id in display order], primary: imageId }
+ * @route   PATCH /api/sweets/:id/images
+ * @access  Private (sweets:update)
+ */
+const updateSweetImages = async (req, res) => {
+    try {
+        const { order, primary } = req.body || {};
+
+        if (order === undefined && primary === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide order and/or primary',
+            });
+        }
+
+        const sweet = await Sweet.findById(req.params.id);
+
+        if (!sweet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        const before = sweet.toObject();
+        const imagesById = new Map(sweet.images.map((image) => [String(image._id), image]));
+        let images = [...sweet.images];
+
+        if (order !== undefined) {
+            const ids = Array.isArray(order) ? order.map(String) : [];
+            const isPermutation =
+                ids.length === images.length &&
+                new Set(ids).size === ids.length &&
+                ids.every((id) => imagesById.has(id));
+
+            if (!isPermutation) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'order must list every image id of the sweet exactly once',
+                });
+            }
+
+            images = ids.map((id) => imagesById.get(id));
+        }
+
+        if (primary !== undefined) {
+            if (!imagesById.has(String(primary))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'primary must be the id of one of the sweet\'s images',
+                });
+            }
+
+            images.forEach((image) => {
+                image.isPrimary = String(image._id) === String(primary);
+            });
+        }
+
+        // Replacing the whole array makes save() check and bump the version
+        sweet.images = images.map((image) => image.toObject());
+        await sweet.save();
+
+        recordAudit(req, 'sweet.images_update', 'Sweet', { before, after: sweet });
+
+        res.status(200).json({
+            success: true,
+            message: 'Images updated successfully',
+            data: sweet,
+        });
+    } catch (error) {
+        console.error('Update sweet images error:', error);
+
+        if (error.name === 'VersionError') {
+            return res.status(409).json({
+                success: false,
+                message: 'The sweet\'s images changed while you were editing them. Reload and try again.',
+            });
+        }
+
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error updating images',
+        });
+    }
+};
+
+/**
+ * @desc    Delete one of a sweet's images and its stored file
+ * @route   DELETE /api/sweets/:id/images/:imageId
+ * @access  Private (sweets:update)
+ */
+const deleteSweetImage = async (req, res) => {
+    try {
+        const { imageId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(imageId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Image not found',
+            });
+        }
+
+        // Returns the sweet as it was, so we know which file to remove
+        const previous = await Sweet.findOneAndUpdate(
+            { _id: req.params.id, 'images._id': imageId },
+            { $pull: { images: { _id: imageId } }, $inc: { __v: 1 } },
+            { new: false }
+        );
+
+        if (!previous) {
+            return res.status(404).json({
+                success: false,
+                message: 'Image not found',
+            });
+        }
+
+        const removed = previous.images.id(imageId);
+        await removeImages([removed.key]);
+
+        // If the primary image was removed, the next image takes over
+        const sweet = await ensurePrimaryImage(previous._id);
+
+        recordAudit(req, 'sweet.images_delete', 'Sweet', { before: previous, after: sweet });
+
+        res.status(200).json({
+            success: true,
+            message: 'Image deleted successfully',
+            data: sweet,
+        });
+    } catch (error) {
+        console.error('Delete sweet image error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Image not found',
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting image',
+        });
+    }
+};
+
+module.exports = {
+    uploadSweetImages,
+    updateSweetImages,
+    deleteSweetImage,
+};
@@ -0,0 +1,414 @@
+/**
+ * Sweet Price Controller
+ *
+ * Scheduled sale prices and the price history of a sweet
+ * Sales never touch Sweet.price: the effective price is resolved when sweets
+ * are read or bought (see SalePrice.resolvePrices)
+ */
+
+const mongoose = require('mongoose');
+const Sweet = require('../models/Sweet');
+const SalePrice = require('../models/SalePrice');
+const PriceChange = require('../models/PriceChange');
+const { parsePagination } = require('../utils/pagination');
+const { recordAudit } = require('../utils/audit');
+const { publishSweetChanges } = require('../utils/sweetStream');
+
+const SALE_STATUSES = ['upcoming', 'active', 'ended'];
+
+/**
+ * Parse an optional date from the request body
+ * @param {*} raw - Value from the body
+ * @returns {Date|null|undefined} Date, null if missing, undefined if invalid
+ */
+const parseDate = (raw) => {
+    if (raw === undefined || raw === null || raw === '') {
+        return null;
+    }
+
+    const date = new Date(raw);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Build the query filter for a sale status
+ * @param {string} status - 'upcoming', 'active' or 'ended'
+ * @param {Date} now - Point in time
+ * @returns {Object} Mongo filter
+ */
+const statusFilter = (status, now) => {
+    if (status === 'upcoming') {
+        return { startsAt: { $gt: now } };
+    }
+
+    if (status === 'active') {
+        return SalePrice.activeFilter(now);
+    }
+
+    return { endsAt: { $lte: now } };
+};
+
+/**
+ * @desc    List a sweet's scheduled sales (latest start first)
+ * @route   GET /api/sweets/:id/sales
+ * @query   status (upcoming, active, ended), page, limit
+ * @access  Private (sweets:update)
+ */
+const getSweetSales = async (req, res) => {
+    try {
+        const sweet = await Sweet.findById(req.params.id).setOptions({ withDeleted: true });
+
+        if (!sweet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        const pagination = parsePagination(req.query);
+
+        if (!pagination) {
+            return res.status(400).json({
+                success: false,
+                message: 'page and limit must be positive integers',
+            });
+        }
+
+        const { page, limit, skip } = pagination;
+        const { status } = req.query;
+        const now = new Date();
+        const filter = { sweet: sweet._id };
+
+        if (status !== undefined && status !== '') {
+            if (!SALE_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `status must be one of: ${SALE_STATUSES.join(', ')}`,
+                });
+            }
+            Object.assign(filter, statusFilter(status, now));
+        }
+
+        const [sales, total] = await Promise.all([
+            SalePrice.find(filter)
+                .sort({ startsAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('createdBy', 'name email'),
+            SalePrice.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: sales.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: sales.map((sale) => ({ ...sale.toJSON(), status: sale.status(now) })),
+        });
+    } catch (error) {
+        console.error('Get sweet sales error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching sales',
+        });
+    }
+};
+
+/**
+ * @desc    Schedule a sale price
+ *          Body: { price, startsAt (defaults to now), endsAt, note }. The sale price
+ *          must be below the current price and the window cannot overlap another sale.
+ * @route   POST /api/sweets/:id/sales
+ * @access  Private (sweets:update)
+ */
+const createSweetSale = async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { price, note } = body;
+        const now = new Date();
+        const startsAt = parseDate(body.startsAt);
+        const endsAt = parseDate(body.endsAt);
+
+        if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Sale price must be a number greater than 0',
+            });
+        }
+
+        if (startsAt === undefined || endsAt === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'startsAt and endsAt must be valid dates',
+            });
+        }
+
+        if (!endsAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide endsAt',
+            });
+        }
+
+        const start = startsAt || now;
+
+        if (endsAt <= start) {
+            return res.status(400).json({
+                success: false,
+                message: 'endsAt must be after startsAt',
+            });
+        }
+
+        if (endsAt <= now) {
+            return res.status(400).json({
+                success: false,
+                message: 'A sale cannot end in the past',
+            });
+        }
+
+        const sweet = await Sweet.findById(req.params.id);
+
+        if (!sweet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        if (price >= sweet.price) {
+            return res.status(400).json({
+                success: false,
+                message: `Sale price must be lower than the current price of ${sweet.price.toFixed(2)}`,
+            });
+        }
+
+        const { sale, conflict } = await SalePrice.scheduleUnlessOverlapping({
+            sweet: sweet._id,
+            price,
+            startsAt: start,
+            endsAt,
+            note,
+            createdBy: req.user._id,
+            // A sale that starts now is announced below rather than by the stream poll
+            startPublishedAt: start <= now ? now : null,
+        });
+
+        if (conflict) {
+            return res.status(409).json({
+                success: false,
+                message: 'This sale overlaps another sale for this sweet',
+                data: { conflictingSale: conflict },
+            });
+        }
+
+        await PriceChange.record({
+            sweet: sweet._id,
+            type: 'sale_scheduled',
+            price: sale.price,
+            previousPrice: sweet.price,
+            sale: sale._id,
+            startsAt: sale.startsAt,
+            endsAt: sale.endsAt,
+            changedBy: req.user._id,
+            note: sale.note,
+        });
+
+        publishSweetChanges([sweet._id]);
+
+        recordAudit(req, 'sale.create', 'SalePrice', { after: sale, label: sweet.name });
+
+        res.status(201).json({
+            success: true,
+            message: 'Sale scheduled successfully',
+            data: { ...sale.toJSON(), status: sale.status(now) },
+        });
+    } catch (error) {
+        console.error('Create sweet sale error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map((err) => err.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', '),
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error scheduling sale',
+        });
+    }
+};
+
+/**
+ * @desc    Cancel a sale
+ *          An upcoming sale is removed; a running sale ends now. Ended sales stay as they are.
+ * @route   DELETE /api/sweets/:id/sales/:saleId
+ * @access  Private (sweets:update)
+ */
+const cancelSweetSale = async (req, res) => {
+    try {
+        const { id, saleId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(saleId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sale not found',
+            });
+        }
+
+        const sale = await SalePrice.findOne({ _id: saleId, sweet: id });
+
+        if (!sale) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sale not found',
+            });
+        }
+
+        const now = new Date();
+        const status = sale.status(now);
+
+        if (status === 'ended') {
+            return res.status(400).json({
+                success: false,
+                message: 'This sale has already ended',
+            });
+        }
+
+        const before = sale.toObject();
+
+        if (status === 'upcoming') {
+            await sale.deleteOne();
+        } else {
+            sale.endsAt = now;
+            sale.endPublishedAt = now;
+            await sale.save();
+        }
+
+        await PriceChange.record({
+            sweet: sale.sweet,
+            type: 'sale_cancelled',
+            price: sale.price,
+            sale: sale._id,
+            startsAt: before.startsAt,
+            endsAt: before.endsAt,
+            changedBy: req.user._id,
+        });
+        publishSweetChanges([sale.sweet]);
+
+        const sweet = await Sweet.findById(sale.sweet).setOptions({ withDeleted: true });
+
+        recordAudit(req, 'sale.cancel', 'SalePrice', {
+            before,
+            after: status === 'active' ? sale : null,
+            label: sweet ? sweet.name : null,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: status === 'upcoming' ? 'Sale cancelled' : 'Sale ended',
+            data: status === 'upcoming' ? {} : { ...sale.toJSON(), status: sale.status(now) },
+        });
+    } catch (error) {
+        console.error('Cancel sweet sale error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error cancelling sale',
+        });
+    }
+};
+
+/**
+ * @desc    Get the price history of a sweet (newest first)
+ * @route   GET /api/sweets/:id/price-history
+ * @query   type (base, sale_scheduled, sale_cancelled), page, limit
+ * @access  Private (inventory:view)
+ */
+const getPriceHistory = async (req, res) => {
+    try {
+        // History stays available for sweets in the trash
+        const sweet = await Sweet.findById(req.params.id).setOptions({ withDeleted: true });
+
+        if (!sweet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        const pagination = parsePagination(req.query);
+
+        if (!pagination) {
+            return res.status(400).json({
+                success: false,
+                message: 'page and limit must be positive integers',
+            });
+        }
+
+        const { page, limit, skip } = pagination;
+
+        const filter = { sweet: sweet._id };
+        if (req.query.type) {
+            filter.type = String(req.query.type);
+        }
+
+        const [changes, total, prices] = await Promise.all([
+            PriceChange.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('changedBy', 'name email'),
+            PriceChange.countDocuments(filter),
+            SalePrice.resolvePrices([sweet]),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: changes.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            currentPrice: sweet.price,
+            effectivePrice: prices.get(String(sweet._id)).price,
+            data: changes,
+        });
+    } catch (error) {
+        console.error('Get price history error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Sweet not found',
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching price history',
+        });
+    }
+};
+
+module.exports = {
+    getSweetSales,
+    createSweetSale,
+    cancelSweetSale,
+    getPriceHistory,
+};
@@ -0,0 +1,111 @@
+/**
+ * Sweet Stream Controller
+ *
+ * Server-Sent Events stream of sweet quantity, price and availability changes
+ */
+
+const mongoose = require('mongoose');
+const streamConfig = require('../config/stream');
+const { subscribe } = require('../utils/sweetStream');
+
+/**
+ * Parse the ids filter
+ * @param {string} [value] - Comma separated sweet IDs
+ * @returns {Object} { ids } (null for every sweet) or { error }
+ */
+const parseIds = (value) => {
+    if (value === undefined || value === '') {
+        return { ids: null };
+    }
+
+    const ids = String(value).split(',').map((id) => id.trim()).filter(Boolean);
+
+    if (ids.length > streamConfig.maxIds) {
+        return { error: `A stream can follow at most ${streamConfig.maxIds} sweets` };
+    }
+
+    if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+        return { error: 'ids must be comma separated sweet IDs' };
+    }
+
+    return { ids: new Set(ids) };
+};
+
+/**
+ * Parse the id of the last event a reconnecting client received
+ * @param {string} [value] - Last-Event-ID header or lastEventId query
+ * @returns {number|null|undefined} Event id, null if absent, undefined if invalid
+ */
+const parseLastEventId = (value) => {
+    if (value === undefined || value === '') {
+        return null;
+    }
+
+    const id = Number(value);
+    return Number.isInteger(id) && id >= 0 ? id : undefined;
+};
+
+/**
+ * @desc    Stream sweet changes (Server-Sent Events)
+ *          Each "sweet" event carries { sweetId, quantity, price, inStock, available, deleted }.
+ *          A "reset" event means changes were missed: reload the sweets shown.
+ * @route   GET /api/sweets/stream
+ * @query   ids - Comma separated sweet IDs to follow (default: every sweet)
+ *          lastEventId - Resume point for clients that cannot send Last-Event-ID
+ * @access  Public
+ */
+const streamSweets = async (req, res) => {
+    const { ids, error } = parseIds(req.query.ids);
+    const lastEventId = parseLastEventId(req.get('Last-Event-ID') || req.query.lastEventId);
+
+    if (error || lastEventId === undefined) {
+        return res.status(400).json({
+            success: false,
+            message: error || 'Last-Event-ID must be a non-negative integer',
+        });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let unsubscribe = null;
+
+    const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+    }, streamConfig.heartbeatMs);
+
+    res.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+        if (unsubscribe) {
+            unsubscribe();
+        }
+    });
+
+    try {
+        unsubscribe = await subscribe({ ids, lastEventId, write: (chunk) => res.write(chunk) });
+
+        // The client may have left while we were subscribing
+        if (closed) {
+            unsubscribe();
+            return;
+        }
+
+        // Sent once live, after any replayed events
+        res.write(`retry: ${streamConfig.retryMs}\n\n`);
+    } catch (streamError) {
+        console.error('Sweet stream error:', streamError);
+        clearInterval(heartbeat);
+        res.end();
+    }
+};
+
+module.exports = {
+    streamSweets,
+};
@@ -0,0 +1,438 @@
+/**
+ * User Controller
+ *
+ * Admin management of user accounts: search, roles, disabling and deletion
+ * Every change that can take admin rights away keeps at least one enabled admin
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Cart = require('../models/Cart');
+const Favorite = require('../models/Favorite');
+const CouponUsage = require('../models/CouponUsage');
+const RefreshToken = require('../models/RefreshToken');
+const { parsePagination } = require('../utils/pagination');
+const { escapeRegex } = require('../utils/regex');
+const { recordAudit } = require('../utils/audit');
+const { superuserRole } = require('../config/permissions');
+
+const ADMIN_ONLY_MESSAGE = 'Only admins can change admin accounts or grant the admin role';
+
+/**
+ * Find a user by the :id route param
+ * @param {string} id - User ID
+ * @returns {Promise<User|null>} User, or null if the id is invalid or unknown
+ */
+const findUser = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+    }
+    return User.findById(id);
+};
+
+/**
+ * Check whether a change needs an admin to make it
+ * Stops users:manage from being used to escalate to the superuser role
+ * @param {Object} req - Express request (req.user is the actor)
+ * @param {User} user - Target user
+ * @param {string} [role] - Role being assigned
+ * @returns {boolean} True if the actor is not allowed to make the change
+ */
+const requiresAdmin = (req, user, role) =>
+    req.user.role !== superuserRole && (user.role === superuserRole || role === superuserRole);
+
+/**
+ * Find the permissions a role would grant that the actor does not hold
+ * Stops users:manage from being used to hand out permissions the actor lacks
+ * @param {Object} req - Express request (req.user is the actor)
+ * @param {string} role - Role being assigned
+ * @returns {Promise<string[]>} Missing permission names (empty if allowed)
+ */
+const permissionsBeyondActor = async (req, role) => {
+    if (!req.permissions) {
+        req.permissions = await Role.permissionsFor(req.user.role);
+    }
+
+    const granted = await Role.permissionsFor(role);
+    return granted.filter((permission) => !req.permissions.includes(permission));
+};
+
+/**
+ * Apply changes to a user, refusing if it would leave no enabled admin
+ * The change is written first and rolled back if no enabled admin remains,
+ * so two admins demoting each other at the same time cannot both succeed
+ * @param {User} user - User before the change
+ * @param {Object} changes - Fields to $set
+ * @returns {Promise<User|null>} Updated user, or null if refused
+ */
+const updateKeepingAnAdmin = async (user, changes) => {
+    const updated = await User.findByIdAndUpdate(
+        user._id,
+        { $set: changes },
+        { new: true, runValidators: true }
+    );
+
+    const wasActiveAdmin = user.role === superuserRole && !user.disabled;
+
+    if (wasActiveAdmin && (await User.countActiveAdmins()) === 0) {
+        const previous = Object.fromEntries(Object.keys(changes).map((field) => [field, user[field]]));
+        await User.updateOne({ _id: user._id }, { $set: previous });
+        return null;
+    }
+
+    return updated;
+};
+
+/**
+ * @desc    List users
+ * @route   GET /api/users
+ * @query   search (name or email), role, disabled, page, limit
+ * @access  Private (users:manage)
+ */
+const getUsers = async (req, res) => {
+    try {
+        const { search, role, disabled } = req.query;
+        const filter = {};
+
+        if (search) {
+            const pattern = { $regex: escapeRegex(String(search)), $options: 'i' };
+            filter.$or = [{ name: pattern }, { email: pattern }];
+        }
+
+        if (role) {
+            if (!(await Role.isAssignable(role))) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown role: ${role}`,
+                });
+            }
+            filter.role = role;
+        }
+
+        if (disabled !== undefined) {
+            if (disabled !== 'true' && disabled !== 'false') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'disabled must be true or false',
+                });
+            }
+            filter.disabled = disabled === 'true' ? true : { $ne: true };
+        }
+
+        const pagination = parsePagination(req.query);
+
+        if (!pagination) {
+            return res.status(400).json({
+                success: false,
+                message: 'page and limit must be positive integers',
+            });
+        }
+
+        const { page, limit, skip } = pagination;
+
+        const [users, total] = await Promise.all([
+            User.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit),
+            User.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: users.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: users,
+        });
+    } catch (error) {
+        console.error('Get users error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching users',
+        });
+    }
+};
+
+/**
+ * @desc    Get single user
+ * @route   GET /api/users/:id
+ * @access  Private (users:manage)
+ */
+const getUserById = async (req, res) => {
+    try {
+        const user = await findUser(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: user,
+        });
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching user',
+        });
+    }
+};
+
+/**
+ * @desc    Change a user's role
+ *          The actor must hold every permission the role grants and cannot change their own role
+ * @route   PATCH /api/users/:id/role
+ * @access  Private (users:manage)
+ */
+const updateUserRole = async (req, res) => {
+    try {
+        const { role } = req.body || {};
+
+        if (!(await Role.isAssignable(role))) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown role: ${role}`,
+            });
+        }
+
+        const user = await findUser(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+            });
+        }
+
+        if (requiresAdmin(req, user, role)) {
+            return res.status(403).json({
+                success: false,
+                message: ADMIN_ONLY_MESSAGE,
+            });
+        }
+
+        const missing = await permissionsBeyondActor(req, role);
+
+        if (missing.length > 0) {
+            return res.status(403).json({
+                success: false,
+                message: `You cannot grant a role with permissions you do not hold: ${missing.join(', ')}`,
+            });
+        }
+
+        if (user._id.equals(req.user._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change your own role',
+            });
+        }
+
+        const updated = await updateKeepingAnAdmin(user, { role });
+
+        if (!updated) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot demote the last remaining admin',
+            });
+        }
+
+        recordAudit(req, 'user.role_change', 'User', { before: user, after: updated });
+
+        res.status(200).json({
+            success: true,
+            message: 'User role updated successfully',
+            data: updated,
+        });
+    } catch (error) {
+        console.error('Update user role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating user role',
+        });
+    }
+};
+
+/**
+ * @desc    Disable an account and end its sessions
+ * @route   POST /api/users/:id/disable
+ * @access  Private (users:manage)
+ */
+const disableUser = async (req, res) => {
+    try {
+        const user = await findUser(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+            });
+        }
+
+        if (user._id.equals(req.user._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot disable your own account',
+            });
+        }
+
+        if (requiresAdmin(req, user)) {
+            return res.status(403).json({
+                success: false,
+                message: ADMIN_ONLY_MESSAGE,
+            });
+        }
+
+        if (user.disabled) {
+            return res.status(200).json({
+                success: true,
+                message: 'User is already disabled',
+                data: user,
+            });
+        }
+
+        const updated = await updateKeepingAnAdmin(user, { disabled: true, disabledAt: new Date() });
+
+        if (!updated) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot disable the last remaining admin',
+            });
+        }
+
+        await RefreshToken.revokeAllForUser(user._id, 'account_disabled');
+
+        recordAudit(req, 'user.disable', 'User', { before: user, after: updated });
+
+        res.status(200).json({
+            success: true,
+            message: 'User disabled successfully',
+            data: updated,
+        });
+    } catch (error) {
+        console.error('Disable user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error disabling user',
+        });
+    }
+};
+
+/**
+ * @desc    Re-enable a disabled account
+ * @route   POST /api/users/:id/enable
+ * @access  Private (users:manage)
+ */
+const enableUser = async (req, res) => {
+    try {
+        const user = await findUser(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+            });
+        }
+
+        if (requiresAdmin(req, user)) {
+            return res.status(403).json({
+                success: false,
+                message: ADMIN_ONLY_MESSAGE,
+            });
+        }
+
+        const updated = await User.findByIdAndUpdate(
+            user._id,
+            { $set: { disabled: false, disabledAt: null } },
+            { new: true }
+        );
+
+        recordAudit(req, 'user.enable', 'User', { before: user, after: updated });
+
+        res.status(200).json({
+            success: true,
+            message: 'User enabled successfully',
+            data: updated,
+        });
+    } catch (error) {
+        console.error('Enable user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error enabling user',
+        });
+    }
+};
+
+/**
+ * @desc    Delete a user with their sessions and cart (orders are kept)
+ * @route   DELETE /api/users/:id
+ * @access  Private (users:manage)
+ */
+const deleteUser = async (req, res) => {
+    try {
+        const user = await findUser(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+            });
+        }
+
+        if (user._id.equals(req.user._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot delete your own account',
+            });
+        }
+
+        if (requiresAdmin(req, user)) {
+            return res.status(403).json({
+                success: false,
+                message: ADMIN_ONLY_MESSAGE,
+            });
+        }
+
+        // Demote first so the last-admin check and the delete cannot interleave
+        if (user.role === superuserRole && !(await updateKeepingAnAdmin(user, { role: 'user' }))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot delete the last remaining admin',
+            });
+        }
+
+        await User.deleteOne({ _id: user._id });
+        await Promise.all([
+            RefreshToken.deleteMany({ user: user._id }),
+            Cart.deleteOne({ user: user._id }),
+            Favorite.deleteMany({ user: user._id }),
+            CouponUsage.deleteMany({ user: user._id }),
+        ]);
+
+        recordAudit(req, 'user.delete', 'User', { before: user });
+
+        res.status(200).json({
+            success: true,
+            message: 'User deleted successfully',
+            data: {},
+        });
+    } catch (error) {
+        console.error('Delete user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting user',
+        });
+    }
+};
+
+module.exports = {
+    getUsers,
+    getUserById,
+    updateUserRole,
+    disableUser,
+    enableUser,
+    deleteUser,
+};
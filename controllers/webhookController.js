@@ -0,0 +1,384 @@
+/**
+ * Webhook Controller
+ *
+ * Manage webhook subscriptions and inspect or repeat their deliveries
+ */
+
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookConfig = require('../config/webhooks');
+const { parsePagination } = require('../utils/pagination');
+const { redeliver } = require('../utils/webhooks');
+const { recordAudit } = require('../utils/audit');
+
+/**
+ * Send a Mongoose validation error as a 400 response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by save
+ * @returns {boolean} True if a response was sent
+ */
+const sendWebhookError = (res, error) => {
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map((err) => err.message);
+        res.status(400).json({
+            success: false,
+            message: messages.join(', '),
+        });
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Find a webhook by the :id route param
+ * @param {string} id - Webhook ID
+ * @param {string} [select] - Extra fields to select, e.g. '+secret'
+ * @returns {Promise<Webhook|null>} Webhook, or null if the id is invalid or unknown
+ */
+const findWebhook = async (id, select) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+    }
+    return Webhook.findById(id).select(select);
+};
+
+/**
+ * @desc    List the events a webhook can subscribe to
+ * @route   GET /api/webhooks/events
+ * @access  Private (webhooks:manage)
+ */
+const getWebhookEvents = (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: Object.entries(webhookConfig.events).map(([name, description]) => ({ name, description })),
+    });
+};
+
+/**
+ * @desc    List webhooks
+ * @route   GET /api/webhooks
+ * @access  Private (webhooks:manage)
+ */
+const getWebhooks = async (req, res) => {
+    try {
+        const webhooks = await Webhook.find().sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: webhooks.length,
+            data: webhooks,
+        });
+    } catch (error) {
+        console.error('Get webhooks error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching webhooks',
+        });
+    }
+};
+
+/**
+ * @desc    Get a webhook
+ * @route   GET /api/webhooks/:id
+ * @access  Private (webhooks:manage)
+ */
+const getWebhook = async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found',
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: webhook,
+        });
+    } catch (error) {
+        console.error('Get webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching webhook',
+        });
+    }
+};
+
+/**
+ * @desc    Create a webhook (the response is the only time the secret is shown, until it is rotated)
+ *          Body: { url, events, description, active }
+ * @route   POST /api/webhooks
+ * @access  Private (webhooks:manage)
+ */
+const createWebhook = async (req, res) => {
+    try {
+        const { url, events, description, active } = req.body || {};
+
+        const webhook = await Webhook.create({
+            url,
+            events,
+            description,
+            active,
+            createdBy: req.user._id,
+        });
+
+        recordAudit(req, 'webhook.create', 'Webhook', { after: webhook, label: webhook.url });
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook created successfully',
+            data: webhook,
+        });
+    } catch (error) {
+        console.error('Create webhook error:', error);
+
+        if (sendWebhookError(res, error)) {
+            return;
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error creating webhook',
+        });
+    }
+};
+
+/**
+ * @desc    Update a webhook's URL, events, description or active flag
+ * @route   PATCH /api/webhooks/:id
+ * @access  Private (webhooks:manage)
+ */
+const updateWebhook = async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found',
+            });
+        }
+
+        const before = webhook.toObject();
+        const { url, events, description, active } = req.body || {};
+
+        for (const [field, value] of Object.entries({ url, events, description, active })) {
+            if (value !== undefined) {
+                webhook.set(field, value);
+            }
+        }
+
+        await webhook.save();
+
+        recordAudit(req, 'webhook.update', 'Webhook', { before, after: webhook, label: webhook.url });
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook updated successfully',
+            data: webhook,
+        });
+    } catch (error) {
+        console.error('Update webhook error:', error);
+
+        if (sendWebhookError(res, error)) {
+            return;
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error updating webhook',
+        });
+    }
+};
+
+/**
+ * @desc    Delete a webhook and its delivery log
+ * @route   DELETE /api/webhooks/:id
+ * @access  Private (webhooks:manage)
+ */
+const deleteWebhook = async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found',
+            });
+        }
+
+        await webhook.deleteOne();
+        await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+        recordAudit(req, 'webhook.delete', 'Webhook', { before: webhook, label: webhook.url });
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook deleted successfully',
+        });
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting webhook',
+        });
+    }
+};
+
+/**
+ * @desc    Replace a webhook's signing secret and return the new one
+ * @route   POST /api/webhooks/:id/rotate-secret
+ * @access  Private (webhooks:manage)
+ */
+const rotateWebhookSecret = async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id, '+secret');
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found',
+            });
+        }
+
+        webhook.secret = Webhook.generateSecret();
+        await webhook.save();
+
+        recordAudit(req, 'webhook.rotate_secret', 'Webhook', { after: webhook, label: webhook.url });
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook secret rotated. Deliveries are signed with the new secret from now on.',
+            data: { secret: webhook.secret },
+        });
+    } catch (error) {
+        console.error('Rotate webhook secret error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error rotating webhook secret',
+        });
+    }
+};
+
+/**
+ * @desc    Get a webhook's delivery log (newest first)
+ * @route   GET /api/webhooks/:id/deliveries
+ * @query   status, event, page, limit
+ * @access  Private (webhooks:manage)
+ */
+const getWebhookDeliveries = async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found',
+            });
+        }
+
+        const pagination = parsePagination(req.query);
+
+        if (!pagination) {
+            return res.status(400).json({
+                success: false,
+                message: 'page and limit must be positive integers',
+            });
+        }
+
+        const { page, limit, skip } = pagination;
+        const filter = { webhook: webhook._id };
+
+        if (req.query.status) {
+            filter.status = String(req.query.status);
+        }
+        if (req.query.event) {
+            filter.event = String(req.query.event);
+        }
+
+        const [deliveries, total] = await Promise.all([
+            WebhookDelivery.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit),
+            WebhookDelivery.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: deliveries.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: deliveries,
+        });
+    } catch (error) {
+        console.error('Get webhook deliveries error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching webhook deliveries',
+        });
+    }
+};
+
+/**
+ * @desc    Send a logged delivery again (as a new delivery with the same event id)
+ * @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @access  Private (webhooks:manage)
+ */
+const redeliverWebhookDelivery = async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        const delivery = webhook && mongoose.Types.ObjectId.isValid(req.params.deliveryId)
+            ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+            : null;
+
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery not found',
+            });
+        }
+
+        if (!webhook.active) {
+            return res.status(400).json({
+                success: false,
+                message: 'Enable the webhook before redelivering',
+            });
+        }
+
+        const copy = await redeliver(delivery);
+
+        recordAudit(req, 'webhook.redeliver', 'Webhook', {
+            targetId: String(webhook._id),
+            label: `${webhook.url} (${delivery.event} ${delivery.eventId})`,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: copy.status === 'succeeded'
+                ? 'Delivery succeeded'
+                : 'Delivery failed. It will be retried automatically.',
+            data: copy,
+        });
+    } catch (error) {
+        console.error('Redeliver webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error redelivering webhook',
+        });
+    }
+};
+
+module.exports = {
+    getWebhookEvents,
+    getWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    rotateWebhookSecret,
+    getWebhookDeliveries,
+    redeliverWebhookDelivery,
+};
@@ -7,6 +7,31 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Role = require('../models/Role');
+const authConfig = require('../config/auth');
+
+const { jwtSecret } = authConfig;
+
+/**
+ * Check whether a decoded access token has been revoked
+ * Tokens are revoked by logout-all (token version bump) or by ending their
+ * session (refresh token family)
+ * @param {Object} decoded - Decoded JWT payload
+ * @param {User} user - User the token belongs to
+ * @returns {Promise<boolean>} True if the token must be rejected
+ */
+const isTokenRevoked = async (decoded, user) => {
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+        return true;
+    }
+
+    if (decoded.sid && !(await RefreshToken.isFamilyActive(decoded.sid))) {
+        return true;
+    }
+
+    return false;
+};
 
 /**
  * Protect routes - Verify JWT token
@@ -35,7 +60,7 @@ const protect = async (req, res, next) => {
 
         try {
             // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+            const decoded = jwt.verify(token, jwtSecret);
 
             // Get user from token (exclude password)
             req.user = await User.findById(decoded.id).select('-password');
@@ -47,6 +72,25 @@ const protect = async (req, res, next) => {
                 });
             }
 
+            if (await isTokenRevoked(decoded, req.user)) {
+                req.user = null;
+                return res.status(401).json({
+                    success: false,
+                    message: 'Token has been revoked. Please log in again.',
+                });
+            }
+
+            if (req.user.disabled) {
+                req.user = null;
+                return res.status(403).json({
+                    success: false,
+                    message: 'Account has been disabled',
+                });
+            }
+
+            // Session the token belongs to (used by logout)
+            req.sessionId = decoded.sid || null;
+
             next();
         } catch (error) {
             return res.status(401).json({
@@ -87,6 +131,86 @@ const authorize = (...roles) => {
     };
 };
 
+/**
+ * Require permissions granted by the user's role
+ * Must be used after protect middleware. The admin role has every permission.
+ * @param  {...string} permissions - Permissions that are all required
+ */
+const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'User not authenticated',
+            });
+        }
+
+        try {
+            if (!req.permissions) {
+                req.permissions = await Role.permissionsFor(req.user.role);
+            }
+        } catch (error) {
+            console.error('Permission lookup error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Authorization error',
+            });
+        }
+
+        const missing = permissions.filter((permission) => !req.permissions.includes(permission));
+
+        if (missing.length > 0) {
+            return res.status(403).json({
+                success: false,
+                message: `User role '${req.user.role}' is not authorized to access this route. Missing permission: ${missing.join(', ')}`,
+            });
+        }
+
+        next();
+    };
+};
+
+/**
+ * Require a verified email address
+ * Must be used after protect middleware. Only enforced when
+ * REQUIRE_EMAIL_VERIFICATION is enabled, so it can guard purchase routes
+ * without locking anyone out by default.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+    if (!authConfig.requireEmailVerification) {
+        return next();
+    }
+
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            message: 'User not authenticated',
+        });
+    }
+
+    if (!req.user.emailVerified) {
+        return res.status(403).json({
+            success: false,
+            message: 'Please verify your email address before making purchases',
+        });
+    }
+
+    next();
+};
+
+/**
+ * Require a verified email address from logged in buyers
+ * For public purchase routes, after optionalAuth. Guests have no account to
+ * verify and can still buy, the same as before verification existed.
+ */
+const requireVerifiedEmailIfLoggedIn = (req, res, next) => {
+    if (!req.user) {
+        return next();
+    }
+
+    return requireVerifiedEmail(req, res, next);
+};
+
 /**
  * Optional authentication - Adds user to request if token exists
  * Does not fail if no token provided
@@ -104,8 +228,11 @@ const optionalAuth = async (req, res, next) => {
 
         if (token) {
             try {
-                const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-                req.user = await User.findById(decoded.id).select('-password');
+                const decoded = jwt.verify(token, jwtSecret);
+                const user = await User.findById(decoded.id).select('-password');
+
+                // Treat revoked tokens and disabled accounts like missing ones
+                req.user = user && !user.disabled && !(await isTokenRevoked(decoded, user)) ? user : null;
             } catch (error) {
                 // Token invalid but continue anyway
                 req.user = null;
@@ -121,5 +248,8 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
     protect,
     authorize,
+    requirePermission,
+    requireVerifiedEmail,
+    requireVerifiedEmailIfLoggedIn,
     optionalAuth,
 };
@@ -0,0 +1,126 @@
+/**
+ * Image Upload Middleware
+ *
+ * Parses multipart image uploads (field "images") into memory and rejects
+ * files that are too large, too many, or not one of the allowed image types.
+ * The declared MIME type must match the file's contents, so a renamed
+ * script cannot be stored as an image.
+ */
+
+const multer = require('multer');
+const uploadsConfig = require('../config/uploads');
+
+// Leading bytes of each allowed image type
+const SIGNATURES = {
+    'image/jpeg': (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+    'image/png': (buffer) =>
+        buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    'image/gif': (buffer) => ['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('latin1')),
+    'image/webp': (buffer) =>
+        buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP',
+};
+
+/**
+ * Check that a file's contents match its declared image type
+ * @param {Object} file - Multer file ({ mimetype, buffer })
+ * @returns {boolean} True if the signature matches
+ */
+const hasImageSignature = (file) => {
+    const matches = SIGNATURES[file.mimetype];
+    return Boolean(matches && matches(file.buffer));
+};
+
+/**
+ * Build the multer instance from the current configuration
+ * Read per request so limits can be tuned without a restart (and in tests)
+ * @returns {Object} Multer middleware for the "images" field
+ */
+const createParser = () =>
+    multer({
+        storage: multer.memoryStorage(),
+        limits: {
+            fileSize: uploadsConfig.maxFileSize,
+            files: uploadsConfig.maxImagesPerSweet,
+        },
+        fileFilter: (req, file, callback) => {
+            if (!uploadsConfig.allowedTypes[file.mimetype]) {
+                const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+                error.message = `Unsupported image type: ${file.mimetype}. Allowed types: ${Object.keys(uploadsConfig.allowedTypes).join(', ')}`;
+                return callback(error);
+            }
+            return callback(null, true);
+        },
+    }).array('images');
+
+/**
+ * Turn a multer error into a response message and status
+ * @param {Error} error - Error from multer
+ * @returns {Object} { status, message }
+ */
+const describeUploadError = (error) => {
+    switch (error.code) {
+        case 'LIMIT_FILE_SIZE':
+            return {
+                status: 413,
+                message: `Image is too large. Maximum size is ${Math.floor(uploadsConfig.maxFileSize / 1024)} KB`,
+            };
+        case 'LIMIT_FILE_COUNT':
+            return {
+                status: 400,
+                message: `Too many images. At most ${uploadsConfig.maxImagesPerSweet} can be uploaded at once`,
+            };
+        case 'LIMIT_UNEXPECTED_FILE':
+            return {
+                status: 400,
+                message: error.field === 'images' ? error.message : 'Images must be sent in the "images" field',
+            };
+        default:
+            return { status: 400, message: error.message };
+    }
+};
+
+/**
+ * Parse and validate an image upload
+ * Sets req.files to the accepted files (with buffers)
+ */
+const uploadImages = (req, res, next) => {
+    createParser()(req, res, (error) => {
+        if (error) {
+            // Anything multer did not classify is a broken multipart body
+            const { status, message } =
+                error instanceof multer.MulterError
+                    ? describeUploadError(error)
+                    : { status: 400, message: 'Malformed multipart upload' };
+
+            return res.status(status).json({
+                success: false,
+                message,
+            });
+        }
+
+        const files = req.files || [];
+
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please attach at least one image in the "images" field',
+            });
+        }
+
+        const mismatched = files.find((file) => !hasImageSignature(file));
+
+        if (mismatched) {
+            return res.status(400).json({
+                success: false,
+                message: `${mismatched.originalname} is not a valid ${mismatched.mimetype} image`,
+            });
+        }
+
+        next();
+    });
+};
+
+module.exports = {
+    uploadImages,
+    hasImageSignature,
+};
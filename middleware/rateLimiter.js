@@ -0,0 +1,177 @@
+/**
+ * Rate Limiting Middleware
+ *
+ * Limits request volume per client for a named route group
+ * Supports fixed-window and token-bucket algorithms over a pluggable store
+ * and sends the standard RateLimit-* and Retry-After headers
+ */
+
+const rateLimitConfig = require('../config/rateLimits');
+const { createMemoryStore, createMongoStore } = require('../utils/rateLimitStores');
+
+let defaultStore = null;
+
+/**
+ * Get the store shared by every limiter that does not bring its own
+ * Chosen by RATE_LIMIT_STORE on first use
+ * @returns {Object} Store
+ */
+const getDefaultStore = () => {
+    if (!defaultStore) {
+        defaultStore = rateLimitConfig.store === 'mongo' ? createMongoStore() : createMemoryStore();
+    }
+    return defaultStore;
+};
+
+/**
+ * Identify the client - the user when authenticated, otherwise the IP
+ * @param {Object} req - Express request
+ * @returns {string} Client key
+ */
+const defaultKeyGenerator = (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`);
+
+/**
+ * Algorithms take one hit for key and return
+ * { allowed, remaining, resetMs, retryAfterMs }
+ */
+const algorithms = {
+    /**
+     * At most `limit` requests per window, counted from the first hit
+     */
+    'fixed-window': async (store, key, { limit, windowMs }) => {
+        const { count, resetAt } = await store.increment(key, windowMs);
+        const resetMs = Math.max(0, new Date(resetAt).getTime() - Date.now());
+
+        return {
+            allowed: count <= limit,
+            remaining: Math.max(0, limit - count),
+            resetMs,
+            retryAfterMs: resetMs,
+        };
+    },
+
+    /**
+     * Bursts of up to `limit`, refilled continuously at `limit` per window
+     */
+    'token-bucket': async (store, key, { limit, windowMs }) => {
+        const refillPerMs = limit / windowMs;
+
+        return store.update(key, (state, now) => {
+            let tokens = limit;
+            if (state) {
+                tokens = Math.min(limit, state.tokens + (now - state.updatedAt) * refillPerMs);
+            }
+
+            const allowed = tokens >= 1;
+            if (allowed) {
+                tokens -= 1;
+            }
+
+            // A full bucket is the same as no bucket, so it can expire then
+            const resetMs = Math.ceil((limit - tokens) / refillPerMs);
+
+            return {
+                state: { tokens, updatedAt: now },
+                ttlMs: Math.max(1, resetMs),
+                result: {
+                    allowed,
+                    remaining: Math.floor(tokens),
+                    resetMs,
+                    retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs),
+                },
+            };
+        });
+    },
+};
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options
+ * @param {string} options.name - Route group name, namespaces the keys
+ * @param {string} [options.algorithm='fixed-window'] - 'fixed-window' or 'token-bucket'
+ * @param {number} options.limit - Requests per window (bucket capacity)
+ * @param {number} options.windowMs - Window length (bucket refill period)
+ * @param {Object} [options.store] - Store, defaults to the shared store
+ * @param {Function} [options.keyGenerator] - (req) => client key
+ * @param {boolean} [options.enabled] - Overrides RATE_LIMIT_ENABLED
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = ({
+    name,
+    algorithm = 'fixed-window',
+    limit,
+    windowMs,
+    store,
+    keyGenerator = defaultKeyGenerator,
+    enabled,
+}) => {
+    const take = algorithms[algorithm];
+
+    if (!take) {
+        throw new Error(`Unknown rate limit algorithm: ${algorithm}`);
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || !(windowMs > 0)) {
+        throw new Error(`Rate limit "${name}" needs a positive integer limit and windowMs`);
+    }
+
+    const policy = `${limit};w=${Math.ceil(windowMs / 1000)}`;
+
+    return async (req, res, next) => {
+        // Read at request time so tests can switch limiting on
+        if (!(enabled === undefined ? rateLimitConfig.enabled : enabled)) {
+            return next();
+        }
+
+        let decision;
+        try {
+            decision = await take(store || getDefaultStore(), `${name}:${keyGenerator(req)}`, {
+                limit,
+                windowMs,
+            });
+        } catch (error) {
+            // Never take the API down because the limiter store is unavailable
+            console.error('Rate limiter error:', error);
+            return next();
+        }
+
+        res.set({
+            'RateLimit-Policy': policy,
+            'RateLimit-Limit': String(limit),
+            'RateLimit-Remaining': String(decision.remaining),
+            'RateLimit-Reset': String(Math.ceil(decision.resetMs / 1000)),
+        });
+
+        if (!decision.allowed) {
+            res.set('Retry-After', String(Math.max(1, Math.ceil(decision.retryAfterMs / 1000))));
+            return res.status(429).json({
+                success: false,
+                message: 'Too many requests. Please try again later.',
+            });
+        }
+
+        next();
+    };
+};
+
+/**
+ * Rate limiter for a route group configured in config/rateLimits.js
+ * Limiters for the same group share one budget per client
+ * @param {string} group - e.g. 'auth', 'sweetsRead', 'purchase', 'adminWrite'
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (group) => {
+    const groupConfig = rateLimitConfig.groups[group];
+
+    if (!groupConfig) {
+        throw new Error(`Unknown rate limit group: ${group}`);
+    }
+
+    return createRateLimiter({ name: group, ...groupConfig });
+};
+
+module.exports = {
+    createRateLimiter,
+    rateLimit,
+    getDefaultStore,
+};
@@ -0,0 +1,22 @@
+/**
+ * Request ID Middleware
+ *
+ * Gives every request an id (req.id) and echoes it in the X-Request-Id
+ * header, so log lines and audit entries can be traced to one request
+ */
+
+const crypto = require('crypto');
+
+// Accept ids from an upstream proxy only if they look like ids
+const VALID_REQUEST_ID = /^[\w.-]{1,128}$/;
+
+const requestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    next();
+};
+
+module.exports = requestId;
@@ -0,0 +1,41 @@
+/**
+ * Request Logger Middleware
+ *
+ * Logs every request with its id, and the body of POST requests
+ * Credentials in the body are replaced before logging
+ */
+
+// Body fields that are never logged
+const REDACTED_FIELDS = new Set(['refreshToken', 'token', 'password', 'newPassword']);
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Copy a request body with credential fields replaced, at any depth
+ * @param {*} value - Body or part of it
+ * @returns {*} Safe copy to log
+ */
+const redactBody = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(redactBody);
+    }
+
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    return Object.fromEntries(
+        Object.entries(value).map(([key, field]) => [key, REDACTED_FIELDS.has(key) ? REDACTED : redactBody(field)])
+    );
+};
+
+const requestLogger = (req, res, next) => {
+    console.log(`📨 ${req.method} ${req.path} [${req.id}]`);
+    if (req.method === 'POST') {
+        console.log('📦 Body:', redactBody(req.body));
+    }
+    next();
+};
+
+module.exports = requestLogger;
+module.exports.redactBody = redactBody;
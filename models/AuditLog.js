@@ -0,0 +1,96 @@
+/**
+ * AuditLog Model
+ *
+ * Append-only record of privileged actions: who did what to which
+ * document, what changed, and from which request
+ */
+
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema(
+    {
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+            index: true,
+        },
+        // Snapshots, so entries stay readable after the actor changes or is deleted
+        actorEmail: {
+            type: String,
+            default: null,
+        },
+        actorRole: {
+            type: String,
+            default: null,
+        },
+        action: {
+            type: String,
+            required: [true, 'Action is required'],
+            trim: true,
+            index: true,
+        },
+        target: {
+            type: {
+                type: String,
+                required: [true, 'Target type is required'],
+            },
+            id: {
+                type: String,
+                default: null,
+            },
+            label: {
+                type: String,
+                default: null,
+            },
+        },
+        // Only the fields that changed
+        changes: {
+            before: {
+                type: mongoose.Schema.Types.Mixed,
+                default: null,
+            },
+            after: {
+                type: mongoose.Schema.Types.Mixed,
+                default: null,
+            },
+        },
+        ip: {
+            type: String,
+            default: null,
+        },
+        requestId: {
+            type: String,
+            default: null,
+            index: true,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+/**
+ * Entries can only be created; every update or delete through the model fails
+ */
+const rejectChange = function () {
+    throw new Error('Audit log entries cannot be modified or deleted');
+};
+
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    rejectChange
+);
+
+auditLogSchema.pre('save', function () {
+    if (!this.isNew) {
+        rejectChange();
+    }
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,85 @@
+/**
+ * Cart Model
+ *
+ * Mongoose schema for a user's persistent shopping cart
+ * One cart per user; lines keep the name and price seen when they were added
+ */
+
+const mongoose = require('mongoose');
+
+const cartItemSchema = new mongoose.Schema(
+    {
+        sweet: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Sweet',
+            required: [true, 'Sweet is required'],
+        },
+        name: {
+            type: String,
+            required: [true, 'Sweet name is required'],
+        },
+        priceAtAdd: {
+            type: Number,
+            required: [true, 'Price is required'],
+            min: [0, 'Price cannot be negative'],
+        },
+        quantity: {
+            type: Number,
+            required: [true, 'Quantity is required'],
+            min: [1, 'Quantity must be at least 1'],
+            validate: {
+                validator: Number.isInteger,
+                message: 'Quantity must be a whole number',
+            },
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+const cartSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User is required'],
+            unique: true,
+        },
+        items: {
+            type: [cartItemSchema],
+            default: [],
+        },
+    },
+    {
+        timestamps: true, // Adds createdAt and updatedAt fields
+    }
+);
+
+/**
+ * Static method to get a user's cart, creating an empty one if needed
+ * @param {string} userId - User ID
+ * @returns {Promise<Cart>} - Cart document
+ */
+cartSchema.statics.findOrCreateForUser = function (userId) {
+    return this.findOneAndUpdate(
+        { user: userId },
+        { $setOnInsert: { user: userId, items: [] } },
+        { new: true, upsert: true }
+    );
+};
+
+/**
+ * Method to find the line for a sweet
+ * @param {string} sweetId - Sweet ID
+ * @returns {Object|undefined} - Cart line
+ */
+cartSchema.methods.findItem = function (sweetId) {
+    return this.items.find((item) => String(item.sweet) === String(sweetId));
+};
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+module.exports = Cart;
@@ -0,0 +1,133 @@
+/**
+ * Category Model
+ *
+ * Managed list of sweet categories
+ * Sweets reference a category by name. The categories that used to be a
+ * hardcoded enum are stored automatically the first time they are needed,
+ * once: deleting them afterwards does not bring them back.
+ */
+
+const mongoose = require('mongoose');
+const Migration = require('./Migration');
+const { priceTiersPath } = require('../utils/priceTiers');
+
+// Migration step that stores the legacy categories
+const SEED_STEP = 'seed-legacy-categories';
+
+// Categories from the original Sweet.category enum
+const LEGACY_CATEGORIES = ['Chocolate', 'Candy', 'Gummy', 'Lollipop', 'Hard Candy', 'Soft Candy', 'Other'];
+
+/**
+ * Turn a category name into a URL slug
+ * @param {string} name - Category name
+ * @returns {string} Slug, e.g. 'Hard Candy' -> 'hard-candy'
+ */
+const slugify = (name) =>
+    String(name)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // Strip accents
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+const categorySchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Category name is required'],
+            unique: true,
+            trim: true,
+            minlength: [2, 'Category name must be at least 2 characters long'],
+            maxlength: [50, 'Category name cannot exceed 50 characters'],
+        },
+        slug: {
+            type: String,
+            unique: true,
+            lowercase: true,
+            trim: true,
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Description cannot exceed 500 characters'],
+        },
+        displayOrder: {
+            type: Number,
+            default: 0,
+            validate: {
+                validator: Number.isInteger,
+                message: 'Display order must be a whole number',
+            },
+        },
+        // Quantity price breaks for sweets without tiers of their own
+        priceTiers: priceTiersPath,
+    },
+    {
+        timestamps: true,
+    }
+);
+
+/**
+ * Pre-validate hook to derive the slug from the name
+ */
+categorySchema.pre('validate', function () {
+    if (this.isModified('name') || !this.slug) {
+        this.slug = slugify(this.name || '');
+    }
+});
+
+/**
+ * Static method to store the legacy categories the first time they are needed
+ * Lets existing data and clients keep working before an admin sets up categories.
+ * Runs once per database (recorded as a Migration), and never when categories
+ * already exist, so categories an admin deleted stay deleted.
+ * @returns {Promise<void>}
+ */
+categorySchema.statics.ensureSeeded = async function () {
+    if (await Migration.hasRun(SEED_STEP)) {
+        return;
+    }
+
+    if (!(await this.exists({}))) {
+        try {
+            await this.bulkWrite(
+                LEGACY_CATEGORIES.map((name, index) => ({
+                    updateOne: {
+                        filter: { name },
+                        update: { $setOnInsert: { name, slug: slugify(name), displayOrder: index } },
+                        upsert: true,
+                    },
+                })),
+                { ordered: false }
+            );
+        } catch (error) {
+            // Another request seeded at the same time
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+    }
+
+    await Migration.markRun(SEED_STEP);
+};
+
+/**
+ * Static method to check whether a sweet may use a category
+ * @param {string} name - Category name
+ * @returns {Promise<boolean>} - True if the category exists
+ */
+categorySchema.statics.isValidName = async function (name) {
+    if (typeof name !== 'string' || !name) {
+        return false;
+    }
+
+    await this.ensureSeeded();
+    return Boolean(await this.exists({ name }));
+};
+
+categorySchema.statics.slugify = slugify;
+categorySchema.statics.LEGACY_CATEGORIES = LEGACY_CATEGORIES;
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
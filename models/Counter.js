@@ -0,0 +1,53 @@
+/**
+ * Counter Model
+ *
+ * Named sequences shared by every server instance
+ */
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema(
+    {
+        _id: {
+            type: String, // Sequence name
+        },
+        seq: {
+            type: Number,
+            default: 0,
+        },
+    },
+    {
+        versionKey: false,
+    }
+);
+
+/**
+ * Static method to take the next values of a sequence
+ * @param {string} name - Sequence name
+ * @param {number} [count=1] - How many values to take
+ * @returns {Promise<number>} - First of the taken values (the rest follow it)
+ */
+counterSchema.statics.reserve = async function (name, count = 1) {
+    const take = () => this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: count } },
+        { new: true, upsert: true }
+    );
+
+    let counter;
+    try {
+        counter = await take();
+    } catch (error) {
+        // Two first uses raced to create the counter; it exists now
+        if (error.code !== 11000) {
+            throw error;
+        }
+        counter = await take();
+    }
+
+    return counter.seq - count + 1;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
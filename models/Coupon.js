@@ -0,0 +1,233 @@
+/**
+ * Coupon Model
+ *
+ * Promo codes giving a percentage or fixed-amount discount
+ * A coupon can be limited to categories or sweets, a minimum spend, a
+ * validity window and a number of uses in total and per user. usedCount is
+ * only changed with conditional $inc updates, so a code can never be
+ * redeemed past its limit.
+ */
+
+const mongoose = require('mongoose');
+const Category = require('./Category');
+const CouponUsage = require('./CouponUsage');
+
+/**
+ * Validator for optional whole-number limits (null means unlimited)
+ */
+const limitValidator = {
+    validator: (value) => value === null || (Number.isInteger(value) && value >= 1),
+    message: 'Limits must be whole numbers of at least 1',
+};
+
+const couponSchema = new mongoose.Schema(
+    {
+        code: {
+            type: String,
+            required: [true, 'Coupon code is required'],
+            trim: true,
+            uppercase: true,
+            unique: true,
+            match: [/^[A-Z0-9_-]{3,32}$/, 'Coupon code must be 3-32 letters, numbers, dashes or underscores'],
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Description cannot exceed 200 characters'],
+        },
+        type: {
+            type: String,
+            required: [true, 'Discount type is required'],
+            enum: {
+                values: ['percentage', 'fixed'],
+                message: '{VALUE} is not a valid discount type',
+            },
+        },
+        value: {
+            type: Number,
+            required: [true, 'Discount value is required'],
+            validate: {
+                validator: (value) => value > 0,
+                message: 'Discount value must be greater than 0',
+            },
+        },
+        // Spend needed on the sweets the coupon applies to, before discounts
+        minSpend: {
+            type: Number,
+            default: 0,
+            min: [0, 'Minimum spend cannot be negative'],
+        },
+        // Scope: sweets in any of these categories or any of these sweets (both empty = everything)
+        categories: {
+            type: [String],
+            default: [],
+            validate: {
+                validator: async (names) => (await Promise.all(names.map((name) => Category.isValidName(name)))).every(Boolean),
+                message: 'Every category must be an existing category',
+            },
+        },
+        sweets: {
+            type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Sweet' }],
+            default: [],
+        },
+        startsAt: {
+            type: Date,
+            default: null,
+        },
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+        usageLimit: {
+            type: Number,
+            default: null, // Unlimited
+            validate: limitValidator,
+        },
+        perUserLimit: {
+            type: Number,
+            default: null, // Unlimited; set it and the code can only be used by logged in customers
+            validate: limitValidator,
+        },
+        usedCount: {
+            type: Number,
+            default: 0,
+            min: [0, 'Used count cannot be negative'],
+        },
+        // Stackable coupons can be combined with other stackable coupons
+        stackable: {
+            type: Boolean,
+            default: false,
+        },
+        active: {
+            type: Boolean,
+            default: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: true, // Adds createdAt and updatedAt fields
+    }
+);
+
+/**
+ * Pre-validate hook for rules that span fields
+ * Runs on every save, so changing either field of a pair is checked
+ */
+couponSchema.pre('validate', function () {
+    if (this.type === 'percentage' && this.value > 100) {
+        this.invalidate('value', 'A percentage discount cannot exceed 100');
+    }
+
+    if (this.startsAt && this.expiresAt && this.expiresAt <= this.startsAt) {
+        this.invalidate('expiresAt', 'expiresAt must be after startsAt');
+    }
+});
+
+/**
+ * Static method to build the query filter for coupons that can be redeemed now
+ * Mirrors unavailableReason, so quotes and redemptions agree
+ * @param {Date} [now] - Point in time to check
+ * @returns {Object} - Mongo filter
+ */
+couponSchema.statics.redeemableFilter = function (now = new Date()) {
+    return {
+        active: true,
+        $and: [
+            { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+            { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+        ],
+    };
+};
+
+/**
+ * Method to explain why the coupon cannot be used right now
+ * A read-only check for quotes; redeem() makes the binding check
+ * @param {Date} [now] - Point in time to check
+ * @returns {string|null} - Reason, or null if it can be used
+ */
+couponSchema.methods.unavailableReason = function (now = new Date()) {
+    if (!this.active) {
+        return `Coupon ${this.code} is not active`;
+    }
+
+    if (this.startsAt && this.startsAt > now) {
+        return `Coupon ${this.code} is not valid yet`;
+    }
+
+    if (this.expiresAt && this.expiresAt <= now) {
+        return `Coupon ${this.code} has expired`;
+    }
+
+    if (this.usageLimit !== null && this.usedCount >= this.usageLimit) {
+        return `Coupon ${this.code} has reached its usage limit`;
+    }
+
+    return null;
+};
+
+/**
+ * Method to check whether the coupon applies to a sweet
+ * @param {Object} sweet - { _id, category }
+ * @returns {boolean} - True if the sweet is in scope
+ */
+couponSchema.methods.appliesTo = function (sweet) {
+    if (this.categories.length === 0 && this.sweets.length === 0) {
+        return true;
+    }
+
+    return this.categories.includes(sweet.category) || this.sweets.some((id) => id.equals(sweet._id));
+};
+
+/**
+ * Static method to use a coupon once
+ * The total and the per-user count are both taken with conditional updates;
+ * if the per-user limit is reached the total is given back
+ * @param {Coupon} coupon - Coupon to redeem
+ * @param {string|null} userId - Customer (null for anonymous purchases)
+ * @returns {Promise<string|null>} - Reason it could not be redeemed, or null on success
+ */
+couponSchema.statics.redeem = async function (coupon, userId) {
+    const taken = await this.findOneAndUpdate(
+        { _id: coupon._id, ...this.redeemableFilter() },
+        { $inc: { usedCount: 1 } },
+        { new: true }
+    );
+
+    if (!taken) {
+        return `Coupon ${coupon.code} is no longer available`;
+    }
+
+    if (!userId) {
+        return null;
+    }
+
+    if (await CouponUsage.take(coupon._id, userId, coupon.perUserLimit)) {
+        return null;
+    }
+
+    await this.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    return `You have already used coupon ${coupon.code} the maximum number of times`;
+};
+
+/**
+ * Static method to give back a use of a coupon (the purchase it was for failed)
+ * @param {Coupon} coupon - Redeemed coupon
+ * @param {string|null} userId - Customer it was redeemed for
+ * @returns {Promise<void>}
+ */
+couponSchema.statics.release = async function (coupon, userId) {
+    await this.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+
+    if (userId) {
+        await CouponUsage.giveBack(coupon._id, userId);
+    }
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
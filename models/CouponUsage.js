@@ -0,0 +1,97 @@
+/**
+ * CouponUsage Model
+ *
+ * How many times each customer has used each coupon
+ * One document per coupon and customer, changed only with conditional $inc
+ * updates so a per-user limit holds under concurrent checkouts.
+ */
+
+const mongoose = require('mongoose');
+
+const couponUsageSchema = new mongoose.Schema(
+    {
+        coupon: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon',
+            required: [true, 'Coupon is required'],
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User is required'],
+        },
+        count: {
+            type: Number,
+            default: 0,
+            min: [0, 'Count cannot be negative'],
+        },
+    },
+    {
+        timestamps: true, // updatedAt is the last use
+    }
+);
+
+couponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+/**
+ * Static method to count one more use, unless the limit is reached
+ * Past the limit the filter no longer matches and the upsert collides with
+ * the existing document
+ * @param {string} couponId - Coupon ID
+ * @param {string} userId - User ID
+ * @param {number|null} limit - Uses allowed per user (null for unlimited)
+ * @returns {Promise<boolean>} - True if the use was counted
+ */
+couponUsageSchema.statics.take = async function (couponId, userId, limit) {
+    const filter = { coupon: couponId, user: userId };
+    if (limit !== null && limit !== undefined) {
+        filter.count = { $lt: limit };
+    }
+
+    const take = () => this.findOneAndUpdate(filter, { $inc: { count: 1 } }, { new: true, upsert: true });
+
+    try {
+        await take();
+        return true;
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+
+    // Either the limit is reached or two first uses raced to create the document
+    try {
+        await take();
+        return true;
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+        return false;
+    }
+};
+
+/**
+ * Static method to give back a counted use
+ * @param {string} couponId - Coupon ID
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+couponUsageSchema.statics.giveBack = async function (couponId, userId) {
+    await this.updateOne({ coupon: couponId, user: userId, count: { $gt: 0 } }, { $inc: { count: -1 } });
+};
+
+/**
+ * Static method to read how often a user has used a coupon
+ * @param {string} couponId - Coupon ID
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Uses so far
+ */
+couponUsageSchema.statics.countFor = async function (couponId, userId) {
+    const usage = await this.findOne({ coupon: couponId, user: userId }).select('count').lean();
+    return usage ? usage.count : 0;
+};
+
+const CouponUsage = mongoose.model('CouponUsage', couponUsageSchema);
+
+module.exports = CouponUsage;
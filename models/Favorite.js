@@ -0,0 +1,63 @@
+/**
+ * Favorite Model
+ *
+ * A sweet a user bookmarked for later (their wishlist)
+ * Deleting a sweet removes it from every wishlist.
+ */
+
+const mongoose = require('mongoose');
+
+const favoriteSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User is required'],
+        },
+        sweet: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Sweet',
+            required: [true, 'Sweet is required'],
+            index: true,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+// A sweet is in a wishlist at most once; also serves the newest-first listing
+favoriteSchema.index({ user: 1, sweet: 1 }, { unique: true });
+favoriteSchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * Static method to find which of some sweets a user has favorited
+ * @param {string} userId - User ID
+ * @param {Array} sweetIds - Sweet IDs to check
+ * @returns {Promise<Set<string>>} - IDs of the favorited sweets
+ */
+favoriteSchema.statics.favoritedSweetIds = async function (userId, sweetIds) {
+    const favorites = await this.find({ user: userId, sweet: { $in: sweetIds } }).select('sweet').lean();
+    return new Set(favorites.map((favorite) => String(favorite.sweet)));
+};
+
+/**
+ * Static method to remove deleted sweets from every wishlist
+ * The sweets are already deleted at this point, so a failure is logged
+ * instead of failing the request that deleted them
+ * @param {Array} sweetIds - Deleted sweet IDs
+ * @returns {Promise<number>} - Number of favorites removed
+ */
+favoriteSchema.statics.removeSweets = async function (sweetIds) {
+    try {
+        const result = await this.deleteMany({ sweet: { $in: sweetIds } });
+        return result.deletedCount;
+    } catch (error) {
+        console.error('Favorite removal error:', error);
+        return 0;
+    }
+};
+
+const Favorite = mongoose.model('Favorite', favoriteSchema);
+
+module.exports = Favorite;
@@ -0,0 +1,83 @@
+/**
+ * LoginThrottle Model
+ *
+ * Counts failed logins per client IP in fixed windows
+ * Stored in MongoDB so limits hold across server instances
+ */
+
+const mongoose = require('mongoose');
+const authConfig = require('../config/auth');
+
+const loginThrottleSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: [true, 'Throttle key is required'],
+        unique: true,
+    },
+    failures: {
+        type: Number,
+        default: 0,
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Window expiry is required'],
+    },
+});
+
+// Let MongoDB clean up finished windows
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method to check whether a key is over its failure limit
+ * @param {string} key - Throttle key (client IP)
+ * @returns {Promise<Date|null>} - When the block ends, or null if not blocked
+ */
+loginThrottleSchema.statics.blockedUntil = async function (key) {
+    const throttle = await this.findOne({
+        key,
+        expiresAt: { $gt: new Date() },
+        failures: { $gte: authConfig.loginIpMaxAttempts },
+    });
+
+    return throttle ? throttle.expiresAt : null;
+};
+
+/**
+ * Static method to record a failed login for a key
+ * @param {string} key - Throttle key (client IP)
+ * @returns {Promise<void>}
+ */
+loginThrottleSchema.statics.registerFailure = async function (key) {
+    const now = new Date();
+
+    // TTL cleanup is lazy, so drop a finished window before counting
+    await this.deleteOne({ key, expiresAt: { $lte: now } });
+
+    const update = {
+        $inc: { failures: 1 },
+        $setOnInsert: { expiresAt: new Date(now.getTime() + authConfig.loginIpWindowMinutes * 60 * 1000) },
+    };
+
+    try {
+        await this.updateOne({ key }, update, { upsert: true });
+    } catch (error) {
+        // Two first failures raced to create the window; count into the winner
+        if (error.code !== 11000) {
+            throw error;
+        }
+        await this.updateOne({ key }, { $inc: { failures: 1 } });
+    }
+};
+
+/**
+ * Static method to clear a key
+ * @param {string} key - Throttle key (client IP)
+ * @returns {Promise<Object>} - Delete result
+ */
+loginThrottleSchema.statics.clear = function (key) {
+    return this.deleteOne({ key });
+};
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+module.exports = LoginThrottle;
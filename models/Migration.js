@@ -0,0 +1,54 @@
+/**
+ * Migration Model
+ *
+ * One-time data setup steps that have already run
+ * A step records itself once it is done, so it never runs again even if the
+ * data it created is later removed on purpose.
+ */
+
+const mongoose = require('mongoose');
+
+const migrationSchema = new mongoose.Schema(
+    {
+        _id: {
+            type: String, // Step name
+        },
+        ranAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        versionKey: false,
+    }
+);
+
+/**
+ * Static method to check whether a step has run
+ * @param {string} name - Step name
+ * @returns {Promise<boolean>} - True once the step is recorded
+ */
+migrationSchema.statics.hasRun = async function (name) {
+    return Boolean(await this.exists({ _id: name }));
+};
+
+/**
+ * Static method to record that a step has run
+ * Idempotent, so concurrent runs of the same step can both record it
+ * @param {string} name - Step name
+ * @returns {Promise<void>}
+ */
+migrationSchema.statics.markRun = async function (name) {
+    try {
+        await this.updateOne({ _id: name }, { $setOnInsert: { ranAt: new Date() } }, { upsert: true });
+    } catch (error) {
+        // Another request recorded it at the same time
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+};
+
+const Migration = mongoose.model('Migration', migrationSchema);
+
+module.exports = Migration;
@@ -0,0 +1,141 @@
+/**
+ * Order Model
+ *
+ * Mongoose schema for multi-item customer orders
+ * Each line snapshots the sweet's name and unit price at checkout time (the
+ * sale price while a sale runs, less any quantity tier), and the order keeps
+ * the coupon discounts that were applied
+ */
+
+const mongoose = require('mongoose');
+const { priceTierSchema } = require('../utils/priceTiers');
+
+const orderItemSchema = new mongoose.Schema(
+    {
+        sweet: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Sweet',
+            required: [true, 'Sweet is required'],
+        },
+        name: {
+            type: String,
+            required: [true, 'Sweet name is required'],
+        },
+        // Base price at checkout; differs from price during a sale or with a quantity tier
+        listPrice: {
+            type: Number,
+            min: [0, 'List price cannot be negative'],
+        },
+        price: {
+            type: Number,
+            required: [true, 'Unit price is required'],
+            min: [0, 'Unit price cannot be negative'],
+        },
+        quantity: {
+            type: Number,
+            required: [true, 'Quantity is required'],
+            min: [1, 'Quantity must be at least 1'],
+            validate: {
+                validator: Number.isInteger,
+                message: 'Quantity must be a whole number',
+            },
+        },
+        // Quantity tier the line reached, if any
+        tier: {
+            type: priceTierSchema,
+            default: null,
+        },
+        subtotal: {
+            type: Number,
+            required: [true, 'Subtotal is required'],
+            min: [0, 'Subtotal cannot be negative'],
+        },
+        discount: {
+            type: Number,
+            default: 0, // Share of the coupon discounts
+            min: [0, 'Discount cannot be negative'],
+        },
+    },
+    { _id: false }
+);
+
+/**
+ * Coupon applied to an order (code and value as they were at checkout)
+ */
+const orderDiscountSchema = new mongoose.Schema(
+    {
+        coupon: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon',
+            required: [true, 'Coupon is required'],
+        },
+        code: {
+            type: String,
+            required: [true, 'Coupon code is required'],
+        },
+        type: {
+            type: String,
+            required: [true, 'Discount type is required'],
+        },
+        value: {
+            type: Number,
+            required: [true, 'Discount value is required'],
+        },
+        amount: {
+            type: Number,
+            required: [true, 'Discount amount is required'],
+            min: [0, 'Discount amount cannot be negative'],
+        },
+    },
+    { _id: false }
+);
+
+const orderSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User is required'],
+            index: true,
+        },
+        items: {
+            type: [orderItemSchema],
+            validate: {
+                validator: (items) => items.length > 0,
+                message: 'An order must contain at least one item',
+            },
+        },
+        subtotal: {
+            type: Number,
+            min: [0, 'Subtotal cannot be negative'], // Before discounts
+        },
+        discounts: {
+            type: [orderDiscountSchema],
+            default: [],
+        },
+        discountTotal: {
+            type: Number,
+            default: 0,
+            min: [0, 'Discount total cannot be negative'],
+        },
+        total: {
+            type: Number,
+            required: [true, 'Total is required'],
+            min: [0, 'Total cannot be negative'], // After discounts
+        },
+        status: {
+            type: String,
+            enum: ['completed'],
+            default: 'completed',
+        },
+    },
+    {
+        timestamps: true, // Adds createdAt and updatedAt fields
+    }
+);
+
+orderSchema.index({ createdAt: -1 });
+
+const Order = mongoose.model('Order', orderSchema);
+
+module.exports = Order;
@@ -0,0 +1,108 @@
+/**
+ * PriceChange Model
+ *
+ * Append-only history of a sweet's prices
+ * Records base price changes (create, edit, bulk update, CSV import) and
+ * sales being scheduled or cancelled, with who made them
+ */
+
+const mongoose = require('mongoose');
+
+const priceChangeSchema = new mongoose.Schema(
+    {
+        sweet: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Sweet',
+            required: [true, 'Sweet is required'],
+        },
+        type: {
+            type: String,
+            required: [true, 'Price change type is required'],
+            enum: {
+                values: ['base', 'sale_scheduled', 'sale_cancelled'],
+                message: '{VALUE} is not a valid price change type',
+            },
+        },
+        // New base price, or the sale price
+        price: {
+            type: Number,
+            required: [true, 'Price is required'],
+            min: [0, 'Price cannot be negative'],
+        },
+        // Base price before the change (or when the sale was scheduled); null for a new sweet
+        previousPrice: {
+            type: Number,
+            default: null,
+        },
+        sale: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'SalePrice',
+            default: null,
+        },
+        // Sale window as it was scheduled
+        startsAt: {
+            type: Date,
+            default: null,
+        },
+        endsAt: {
+            type: Date,
+            default: null,
+        },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Note cannot exceed 200 characters'],
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+priceChangeSchema.index({ sweet: 1, createdAt: -1 });
+
+/**
+ * Static method to record a price change
+ * The price has already changed at this point, so a failed history write is
+ * logged instead of failing the request that changed it
+ * @param {Object} change - { sweet, type, price, previousPrice, sale, startsAt, endsAt, changedBy, note }
+ * @returns {Promise<PriceChange|null>} - Created entry, or null on failure
+ */
+priceChangeSchema.statics.record = async function (change) {
+    try {
+        return await this.create(change);
+    } catch (error) {
+        console.error('Price change record error:', error);
+        return null;
+    }
+};
+
+/**
+ * Static method to record a base price change, if the price changed
+ * @param {Object} sweet - Sweet after the change
+ * @param {number|null} previousPrice - Price before (null for a new sweet)
+ * @param {string|null} userId - User who made the change
+ * @returns {Promise<PriceChange|null>} - Created entry, or null if nothing changed
+ */
+priceChangeSchema.statics.recordBase = async function (sweet, previousPrice, userId) {
+    if (previousPrice === sweet.price) {
+        return null;
+    }
+
+    return this.record({
+        sweet: sweet._id,
+        type: 'base',
+        price: sweet.price,
+        previousPrice,
+        changedBy: userId,
+    });
+};
+
+const PriceChange = mongoose.model('PriceChange', priceChangeSchema);
+
+module.exports = PriceChange;
@@ -0,0 +1,42 @@
+/**
+ * RateLimit Model
+ *
+ * Shared counters for the Mongo-backed rate limit store
+ * Lets several server instances enforce one limit per client
+ */
+
+const mongoose = require('mongoose');
+
+const rateLimitSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: [true, 'Rate limit key is required'],
+        unique: true,
+    },
+    // Fixed-window request count
+    count: {
+        type: Number,
+        default: 0,
+    },
+    // Algorithm state for read-modify-write updates (e.g. token bucket)
+    state: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    // Optimistic concurrency version for state updates
+    version: {
+        type: Number,
+        default: 0,
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required'],
+    },
+});
+
+// Let MongoDB clean up finished windows and full buckets
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+module.exports = RateLimit;
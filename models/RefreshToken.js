@@ -0,0 +1,130 @@
+/**
+ * RefreshToken Model
+ *
+ * Server-side record of issued refresh tokens
+ * Only a SHA-256 hash of each token is stored. Tokens rotate on every use and
+ * all tokens descending from one login share a family, so presenting an
+ * already rotated token revokes the whole family.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { refreshTokenTtlDays } = require('../config/auth');
+
+const refreshTokenSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User is required'],
+            index: true,
+        },
+        tokenHash: {
+            type: String,
+            required: [true, 'Token hash is required'],
+            unique: true,
+        },
+        family: {
+            type: String,
+            required: [true, 'Token family is required'],
+            index: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: [true, 'Expiry is required'],
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+        revokedReason: {
+            type: String,
+            enum: [null, 'rotated', 'logout', 'logout_all', 'reuse_detected', 'password_reset', 'account_disabled'],
+            default: null,
+        },
+    },
+    {
+        timestamps: true, // Adds createdAt and updatedAt fields
+    }
+);
+
+// Let MongoDB remove tokens once they can no longer be used or detected as reused
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method to hash a plain refresh token
+ * @param {string} token - Plain token
+ * @returns {string} - Hex SHA-256 hash
+ */
+refreshTokenSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Static method to issue a new refresh token
+ * @param {string} userId - User ID
+ * @param {string} [family] - Existing family when rotating, new family otherwise
+ * @returns {Promise<Object>} - { token, family, expiresAt } with the plain token
+ */
+refreshTokenSchema.statics.issue = async function (userId, family = crypto.randomUUID()) {
+    const token = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+    await this.create({
+        user: userId,
+        tokenHash: this.hashToken(token),
+        family,
+        expiresAt,
+    });
+
+    return { token, family, expiresAt };
+};
+
+/**
+ * Static method to revoke every active token in a family
+ * @param {string} family - Token family
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<Object>} - Update result
+ */
+refreshTokenSchema.statics.revokeFamily = function (family, reason) {
+    return this.updateMany(
+        { family, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+};
+
+/**
+ * Static method to end every session of a user
+ * Revokes all refresh tokens and bumps the user's token version so access
+ * tokens issued before now are rejected by protect
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<void>}
+ */
+refreshTokenSchema.statics.revokeAllForUser = async function (userId, reason) {
+    await this.updateMany(
+        { user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    await mongoose.model('User').updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+};
+
+/**
+ * Static method to check whether a session (token family) is still live
+ * @param {string} family - Token family
+ * @returns {Promise<boolean>} - True if the family has an unrevoked, unexpired token
+ */
+refreshTokenSchema.statics.isFamilyActive = async function (family) {
+    const active = await this.exists({
+        family,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+
+    return Boolean(active);
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
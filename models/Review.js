@@ -0,0 +1,99 @@
+/**
+ * Review Model
+ *
+ * A customer's rating (1-5) and review of a sweet, one per customer per sweet
+ * Moderators can hide a review; hidden reviews are left out of listings and
+ * of the sweet's average rating.
+ */
+
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema(
+    {
+        sweet: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Sweet',
+            required: [true, 'Sweet is required'],
+        },
+        author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Author is required'],
+        },
+        rating: {
+            type: Number,
+            required: [true, 'Rating is required'],
+            min: [1, 'Rating must be between 1 and 5'],
+            max: [5, 'Rating must be between 1 and 5'],
+            validate: {
+                validator: Number.isInteger,
+                message: 'Rating must be a whole number',
+            },
+        },
+        text: {
+            type: String,
+            trim: true,
+            maxlength: [2000, 'Review text cannot exceed 2000 characters'],
+        },
+        status: {
+            type: String,
+            enum: {
+                values: ['published', 'hidden'],
+                message: '{VALUE} is not a valid review status',
+            },
+            default: 'published',
+        },
+        moderatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        moderatedAt: {
+            type: Date,
+            default: null,
+        },
+        moderationNote: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Moderation note cannot exceed 200 characters'],
+        },
+    },
+    {
+        timestamps: true, // Adds createdAt and updatedAt fields
+    }
+);
+
+// One review per customer per sweet
+reviewSchema.index({ sweet: 1, author: 1 }, { unique: true });
+reviewSchema.index({ sweet: 1, status: 1, createdAt: -1 });
+
+/**
+ * Static method to recalculate a sweet's average rating and review count
+ * Recounted from the published reviews rather than adjusted, so a failed or
+ * overlapping update is put right by the next change to the sweet's reviews
+ * @param {string} sweetId - Sweet ID
+ * @returns {Promise<Object>} - { ratingAverage, ratingCount }
+ */
+reviewSchema.statics.refreshSweetRating = async function (sweetId) {
+    const Sweet = mongoose.model('Sweet');
+    const id = new mongoose.Types.ObjectId(String(sweetId));
+
+    const [summary] = await this.aggregate([
+        { $match: { sweet: id, status: 'published' } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+    ]);
+
+    const rating = {
+        ratingAverage: summary ? Math.round(summary.average * 100) / 100 : 0,
+        ratingCount: summary ? summary.count : 0,
+    };
+
+    // Sweets in the trash keep their rating for a restore
+    await Sweet.updateOne({ _id: id }, { $set: rating }).setOptions({ withDeleted: true });
+
+    return rating;
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
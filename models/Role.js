@@ -0,0 +1,104 @@
+/**
+ * Role Model
+ *
+ * Named sets of permissions assigned to users through User.role
+ * Built-in roles work before they are stored; stored documents override
+ * their permissions. The superuser role always has every permission.
+ */
+
+const mongoose = require('mongoose');
+const { permissions, superuserRole, builtInRoles } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Role name is required'],
+            unique: true,
+            trim: true,
+            lowercase: true,
+            match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Role name must be 2-30 letters, numbers, dashes or underscores'],
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Description cannot exceed 200 characters'],
+        },
+        permissions: {
+            type: [
+                {
+                    type: String,
+                    enum: {
+                        values: Object.keys(permissions),
+                        message: '{VALUE} is not a valid permission',
+                    },
+                },
+            ],
+            default: [],
+        },
+        builtIn: {
+            type: Boolean,
+            default: false,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+/**
+ * Static method to store the built-in roles if they are missing
+ * Idempotent; existing documents are left untouched
+ * @returns {Promise<void>}
+ */
+roleSchema.statics.ensureBuiltIns = async function () {
+    await this.bulkWrite(
+        Object.entries(builtInRoles).map(([name, role]) => ({
+            updateOne: {
+                filter: { name },
+                update: { $setOnInsert: { name, ...role, builtIn: true } },
+                upsert: true,
+            },
+        }))
+    );
+};
+
+/**
+ * Static method to check whether a role name can be assigned to a user
+ * @param {string} name - Role name
+ * @returns {Promise<boolean>} - True for built-in or stored roles
+ */
+roleSchema.statics.isAssignable = async function (name) {
+    if (typeof name !== 'string') {
+        return false;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(builtInRoles, name)) {
+        return true;
+    }
+
+    return Boolean(await this.exists({ name }));
+};
+
+/**
+ * Static method to resolve the permissions granted by a role
+ * @param {string} name - Role name
+ * @returns {Promise<string[]>} - Permission names
+ */
+roleSchema.statics.permissionsFor = async function (name) {
+    if (name === superuserRole) {
+        return Object.keys(permissions);
+    }
+
+    const role = await this.findOne({ name });
+
+    if (role) {
+        return role.permissions;
+    }
+
+    return builtInRoles[name] ? builtInRoles[name].permissions : [];
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
@@ -0,0 +1,251 @@
+/**
+ * SalePrice Model
+ *
+ * Scheduled sale prices for a sweet
+ * A sale replaces the sweet's price between startsAt and endsAt. The sweet is
+ * not written when a sale starts or ends: the effective price is resolved when
+ * sweets are read or bought, so the base price in Sweet.price never changes.
+ * The live stream announces each start and end once (see claimBoundaries).
+ */
+
+const mongoose = require('mongoose');
+
+const salePriceSchema = new mongoose.Schema(
+    {
+        sweet: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Sweet',
+            required: [true, 'Sweet is required'],
+        },
+        price: {
+            type: Number,
+            required: [true, 'Sale price is required'],
+            validate: {
+                validator: (value) => value > 0,
+                message: 'Sale price must be greater than 0',
+            },
+        },
+        startsAt: {
+            type: Date,
+            required: [true, 'startsAt is required'],
+        },
+        endsAt: {
+            type: Date,
+            required: [true, 'endsAt is required'],
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Note cannot exceed 200 characters'],
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        // When the live stream announced the start and the end (null until then)
+        startPublishedAt: {
+            type: Date,
+            default: null,
+        },
+        endPublishedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true, // Adds createdAt and updatedAt fields
+    }
+);
+
+salePriceSchema.index({ sweet: 1, startsAt: 1 });
+salePriceSchema.index({ startPublishedAt: 1, startsAt: 1 });
+salePriceSchema.index({ endPublishedAt: 1, endsAt: 1 });
+
+/**
+ * Pre-validate hook: a sale must end after it starts
+ */
+salePriceSchema.pre('validate', function () {
+    if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+        this.invalidate('endsAt', 'endsAt must be after startsAt');
+    }
+});
+
+/**
+ * Static method to build the query filter for sales running at a point in time
+ * @param {Date} [now] - Point in time
+ * @returns {Object} - Mongo filter
+ */
+salePriceSchema.statics.activeFilter = function (now = new Date()) {
+    return { startsAt: { $lte: now }, endsAt: { $gt: now } };
+};
+
+/**
+ * Static method to build the query filter for a sweet's sales that overlap a window
+ * @param {string} sweetId - Sweet ID
+ * @param {Date} startsAt - Window start
+ * @param {Date} endsAt - Window end
+ * @returns {Object} - Mongo filter
+ */
+salePriceSchema.statics.overlapFilter = function (sweetId, startsAt, endsAt) {
+    return { sweet: sweetId, startsAt: { $lt: endsAt }, endsAt: { $gt: startsAt } };
+};
+
+// Times a sale is retried after another sale of the same sweet was scheduled first
+const MAX_SCHEDULE_ATTEMPTS = 5;
+
+/**
+ * Static method to schedule a sale unless it overlaps another sale of the sweet
+ * Scheduling is serialized per sweet through Sweet.saleVersion: the sale is
+ * inserted, then the version is bumped only if nobody bumped it since the
+ * overlap check. If somebody did, the sale is removed and checked again, so
+ * two concurrent requests cannot both leave overlapping sales.
+ * @param {Object} fields - SalePrice fields, including sweet, startsAt and endsAt
+ * @returns {Promise<Object>} - { sale } or { conflict } (the overlapping sale)
+ */
+salePriceSchema.statics.scheduleUnlessOverlapping = async function (fields) {
+    const Sweet = mongoose.model('Sweet');
+
+    for (let attempt = 0; attempt < MAX_SCHEDULE_ATTEMPTS; attempt += 1) {
+        const current = await Sweet.findById(fields.sweet)
+            .select('+saleVersion')
+            .setOptions({ withDeleted: true })
+            .lean();
+        const version = current && current.saleVersion ? current.saleVersion : 0;
+
+        const conflict = await this.findOne(this.overlapFilter(fields.sweet, fields.startsAt, fields.endsAt));
+
+        if (conflict) {
+            return { conflict };
+        }
+
+        const sale = await this.create(fields);
+
+        // Sweets from before saleVersion existed have no value yet
+        const claimed = await Sweet.updateOne(
+            { _id: fields.sweet, saleVersion: version === 0 ? { $in: [0, null] } : version },
+            { $inc: { saleVersion: 1 } },
+            { timestamps: false }
+        ).setOptions({ withDeleted: true });
+
+        if (claimed.modifiedCount === 1) {
+            return { sale };
+        }
+
+        await sale.deleteOne();
+    }
+
+    throw new Error('Too many concurrent sales scheduled for this sweet');
+};
+
+/**
+ * Method to describe where the sale is in its schedule
+ * @param {Date} [now] - Point in time
+ * @returns {string} - 'upcoming', 'active' or 'ended'
+ */
+salePriceSchema.methods.status = function (now = new Date()) {
+    if (this.startsAt > now) {
+        return 'upcoming';
+    }
+
+    return this.endsAt > now ? 'active' : 'ended';
+};
+
+/**
+ * Static method to resolve the price each sweet sells for right now
+ * A sale only counts while it is cheaper than the base price; if overlapping
+ * sales ever run at once the cheapest wins
+ * @param {Array} sweets - Sweet documents (or objects with _id and price)
+ * @param {Date} [now] - Point in time
+ * @returns {Promise<Map>} - Sweet ID string => { price, sale } (sale is null at the base price)
+ */
+salePriceSchema.statics.resolvePrices = async function (sweets, now = new Date()) {
+    const sales = sweets.length === 0
+        ? []
+        : await this.find({ sweet: { $in: sweets.map((sweet) => sweet._id) }, ...this.activeFilter(now) })
+            .sort({ price: 1 })
+            .lean();
+
+    const cheapest = new Map();
+    for (const sale of sales) {
+        const key = String(sale.sweet);
+        if (!cheapest.has(key)) {
+            cheapest.set(key, sale);
+        }
+    }
+
+    return new Map(sweets.map((sweet) => {
+        const sale = cheapest.get(String(sweet._id));
+
+        if (!sale || sale.price >= sweet.price) {
+            return [String(sweet._id), { price: sweet.price, sale: null }];
+        }
+
+        return [String(sweet._id), { price: sale.price, sale }];
+    }));
+};
+
+/**
+ * Static method to build aggregation stages that add effectivePrice to sweets
+ * Same rule as resolvePrices: the cheapest running sale, if it is below the
+ * base price. Lets the catalog filter and sort on the price it shows.
+ * @param {Date} [now] - Point in time
+ * @returns {Array} - Pipeline stages for a Sweet aggregate
+ */
+salePriceSchema.statics.effectivePriceStages = function (now = new Date()) {
+    return [
+        {
+            $lookup: {
+                from: this.collection.collectionName,
+                let: { sweetId: '$_id' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$sweet', '$$sweetId'] }, ...this.activeFilter(now) } },
+                    { $group: { _id: null, price: { $min: '$price' } } },
+                ],
+                as: 'activeSale',
+            },
+        },
+        // $min skips the missing sale price of sweets that are not on sale
+        { $addFields: { effectivePrice: { $min: ['$price', { $arrayElemAt: ['$activeSale.price', 0] }] } } },
+        { $project: { activeSale: 0 } },
+    ];
+};
+
+/**
+ * Static method to claim the sale starts and ends that have passed but were not announced
+ * Each boundary is claimed with a conditional update, so when several
+ * instances check at once only one of them announces it
+ * @param {Date} since - Ignore boundaries before this (older events are not kept anyway)
+ * @param {Date} [now] - Point in time
+ * @returns {Promise<Array>} - IDs of the sweets whose price changed
+ */
+salePriceSchema.statics.claimBoundaries = async function (since, now = new Date()) {
+    const boundaries = [
+        ['startsAt', 'startPublishedAt'],
+        ['endsAt', 'endPublishedAt'],
+    ];
+    const sweetIds = [];
+
+    for (const [field, publishedField] of boundaries) {
+        const due = await this.find({ [publishedField]: null, [field]: { $gt: since, $lte: now } })
+            .select('sweet')
+            .lean();
+
+        for (const sale of due) {
+            const claimed = await this.updateOne(
+                { _id: sale._id, [publishedField]: null },
+                { $set: { [publishedField]: now } }
+            );
+
+            if (claimed.modifiedCount === 1) {
+                sweetIds.push(sale.sweet);
+            }
+        }
+    }
+
+    return sweetIds;
+};
+
+const SalePrice = mongoose.model('SalePrice', salePriceSchema);
+
+module.exports = SalePrice;
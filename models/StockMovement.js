@@ -0,0 +1,80 @@
+/**
+ * StockMovement Model
+ *
+ * Append-only ledger of every change to a sweet's quantity
+ * Records purchases, restocks and manual adjustments with who made them
+ */
+
+const mongoose = require('mongoose');
+
+const stockMovementSchema = new mongoose.Schema(
+    {
+        sweet: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Sweet',
+            required: [true, 'Sweet is required'],
+            index: true,
+        },
+        type: {
+            type: String,
+            required: [true, 'Movement type is required'],
+            enum: {
+                values: ['purchase', 'restock', 'adjustment'],
+                message: '{VALUE} is not a valid movement type',
+            },
+        },
+        delta: {
+            type: Number,
+            required: [true, 'Delta is required'],
+            validate: {
+                validator: Number.isInteger,
+                message: 'Delta must be a whole number',
+            },
+        },
+        quantityAfter: {
+            type: Number,
+            required: [true, 'Resulting quantity is required'],
+            min: [0, 'Resulting quantity cannot be negative'],
+        },
+        performedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null, // Public purchases have no user
+        },
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order',
+            default: null, // Set for purchases made through checkout
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Note cannot exceed 200 characters'],
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+stockMovementSchema.index({ sweet: 1, createdAt: -1 });
+
+/**
+ * Static method to record a movement
+ * The stock change has already happened at this point, so a failed ledger
+ * write is logged instead of failing the request that moved the stock
+ * @param {Object} movement - { sweet, type, delta, quantityAfter, performedBy, order, note }
+ * @returns {Promise<StockMovement|null>} - Created movement, or null on failure
+ */
+stockMovementSchema.statics.record = async function (movement) {
+    try {
+        return await this.create(movement);
+    } catch (error) {
+        console.error('Stock movement record error:', error);
+        return null;
+    }
+};
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+module.exports = StockMovement;
@@ -3,9 +3,50 @@
  * 
  * Mongoose schema for Sweet/Candy inventory
  * Includes validation for price, quantity, and required fields
+ * Deleted sweets are kept (soft delete) and hidden from queries unless the
+ * query sets the withDeleted option
  */
 
 const mongoose = require('mongoose');
+const Category = require('./Category');
+const { priceTiersPath, priceTiersInputError } = require('../utils/priceTiers');
+
+/**
+ * Product image, stored through utils/imageStorage
+ * The order of Sweet.images is the display order
+ */
+const imageSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+        },
+        url: {
+            type: String,
+            required: true,
+        },
+        contentType: {
+            type: String,
+            required: true,
+        },
+        size: {
+            type: Number,
+            required: true,
+        },
+        originalName: {
+            type: String,
+            trim: true,
+        },
+        isPrimary: {
+            type: Boolean,
+            default: false,
+        },
+        uploadedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    }
+);
 
 const sweetSchema = new mongoose.Schema(
     {
@@ -20,8 +61,9 @@ const sweetSchema = new mongoose.Schema(
             type: String,
             required: [true, 'Category is required'],
             trim: true,
-            enum: {
-                values: ['Chocolate', 'Candy', 'Gummy', 'Lollipop', 'Hard Candy', 'Soft Candy', 'Other'],
+            validate: {
+                // Must name a category managed through /api/categories
+                validator: (value) => Category.isValidName(value),
                 message: '{VALUE} is not a valid category',
             },
         },
@@ -51,16 +93,73 @@ const sweetSchema = new mongoose.Schema(
             trim: true,
             maxlength: [500, 'Description cannot exceed 500 characters'],
         },
+        sku: {
+            type: String,
+            trim: true,
+            uppercase: true,
+            maxlength: [40, 'SKU cannot exceed 40 characters'],
+            match: [/^[A-Z0-9][A-Z0-9._-]*$/, 'SKU may only contain letters, numbers, dots, dashes and underscores'],
+        },
         inStock: {
             type: Boolean,
             default: true,
         },
+        // Quantity price breaks; empty falls back to the category's tiers
+        priceTiers: priceTiersPath,
+        reorderLevel: {
+            type: Number,
+            default: 0, // 0 turns low-stock alerts off
+            min: [0, 'Reorder level cannot be negative'],
+            validate: {
+                validator: Number.isInteger,
+                message: 'Reorder level must be a whole number',
+            },
+        },
+        lowStockAlertedAt: {
+            type: Date,
+            default: null, // Set when the low-stock alert fires, cleared once restocked
+        },
+        images: {
+            type: [imageSchema],
+            default: [],
+        },
+        // Denormalized from published reviews by Review.refreshSweetRating
+        ratingAverage: {
+            type: Number,
+            default: 0, // 0 until the first review
+            min: [0, 'Average rating cannot be negative'],
+            max: [5, 'Average rating cannot exceed 5'],
+        },
+        ratingCount: {
+            type: Number,
+            default: 0,
+            min: [0, 'Review count cannot be negative'],
+        },
+        // Bumped by SalePrice.scheduleUnlessOverlapping to serialize scheduling per sweet
+        saleVersion: {
+            type: Number,
+            default: 0,
+            select: false,
+        },
+        deletedAt: {
+            type: Date,
+            default: null,
+            index: true,
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
     },
     {
         timestamps: true, // Adds createdAt and updatedAt fields
     }
 );
 
+// SKUs are optional but unique when set (deleted sweets keep theirs)
+sweetSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
+
 /**
  * Pre-save hook to update inStock status based on quantity
  * Mongoose 9.x - no need for next() callback
@@ -69,6 +168,61 @@ sweetSchema.pre('save', function () {
     this.inStock = this.quantity > 0;
 });
 
+/**
+ * Query hook to hide soft-deleted sweets
+ * Skipped when the query sets { withDeleted: true } or filters on deletedAt itself
+ */
+function excludeDeleted() {
+    const { withDeleted } = this.getOptions();
+
+    // Custom option, not for the driver
+    delete this.options.withDeleted;
+
+    if (withDeleted || this.getFilter().deletedAt !== undefined) {
+        return;
+    }
+
+    this.where({ deletedAt: null });
+}
+
+sweetSchema.pre(
+    [
+        'find',
+        'findOne',
+        'findOneAndUpdate',
+        'findOneAndDelete',
+        'findOneAndReplace',
+        'countDocuments',
+        'distinct',
+        'updateOne',
+        'updateMany',
+        'deleteOne',
+        'deleteMany',
+        'replaceOne',
+    ],
+    excludeDeleted
+);
+
+/**
+ * Aggregate hook to hide soft-deleted sweets (same opt-out option)
+ */
+sweetSchema.pre('aggregate', function () {
+    const { withDeleted } = this.options;
+    delete this.options.withDeleted;
+
+    if (!withDeleted) {
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+});
+
+/**
+ * Method to check whether the sweet is in the trash
+ * @returns {boolean} - True if soft-deleted
+ */
+sweetSchema.methods.isDeleted = function () {
+    return Boolean(this.deletedAt);
+};
+
 /**
  * Method to check if sweet is available for purchase
  * @param {number} requestedQuantity - Quantity requested
@@ -94,13 +248,74 @@ sweetSchema.methods.decreaseQuantity = async function (amount = 1) {
     return await this.save();
 };
 
+/**
+ * Static method to check the fields required to create a sweet
+ * Shared by createSweet and the CSV import so both accept the same sweets;
+ * schema validators still run when the sweet is saved
+ * @param {Object} input - { name, category, price, quantity, priceTiers }
+ * @returns {string|null} - Error message, or null if valid
+ */
+sweetSchema.statics.createInputError = function ({ name, category, price, quantity, priceTiers }) {
+    if (!name || !category || price === undefined || quantity === undefined) {
+        return 'Please provide name, category, price, and quantity';
+    }
+
+    return this.updateInputError({ price, quantity, priceTiers });
+};
+
+/**
+ * Static method to check price, quantity and price tiers before an update
+ * Shared by updateSweet and the CSV import
+ * @param {Object} input - { price, quantity, priceTiers } (any may be undefined)
+ * @returns {string|null} - Error message, or null if valid
+ */
+sweetSchema.statics.updateInputError = function ({ price, quantity, priceTiers }) {
+    if (price !== undefined && price <= 0) {
+        return 'Price must be greater than 0';
+    }
+
+    if (quantity !== undefined && quantity < 0) {
+        return 'Quantity cannot be negative';
+    }
+
+    return priceTiersInputError(priceTiers);
+};
+
+/**
+ * Static method to build the query filter for a category
+ * Shared by findByCategory and the catalog search so both match the same sweets
+ * @param {string} category - Category name
+ * @returns {Object} - Mongo filter
+ */
+sweetSchema.statics.categoryFilter = function (category) {
+    return { category };
+};
+
+/**
+ * Static method to build the query filter for in-stock sweets
+ * Shared by findInStock and the catalog search so both match the same sweets
+ * @returns {Object} - Mongo filter
+ */
+sweetSchema.statics.inStockFilter = function () {
+    return { inStock: true, quantity: { $gt: 0 } };
+};
+
+/**
+ * Static method to build the query filter for sweets at or below their reorder level
+ * Shared by the low-stock report and the low-stock alert so both agree on what is low
+ * @returns {Object} - Mongo filter
+ */
+sweetSchema.statics.lowStockFilter = function () {
+    return { reorderLevel: { $gt: 0 }, $expr: { $lte: ['$quantity', '$reorderLevel'] } };
+};
+
 /**
  * Static method to find sweets by category
  * @param {string} category - Category name
  * @returns {Promise<Array>} - Array of sweets
  */
 sweetSchema.statics.findByCategory = function (category) {
-    return this.find({ category });
+    return this.find(this.categoryFilter(category));
 };
 
 /**
@@ -108,7 +323,7 @@ sweetSchema.statics.findByCategory = function (category) {
  * @returns {Promise<Array>} - Array of in-stock sweets
  */
 sweetSchema.statics.findInStock = function () {
-    return this.find({ inStock: true, quantity: { $gt: 0 } });
+    return this.find(this.inStockFilter());
 };
 
 /**
@@ -118,8 +333,23 @@ sweetSchema.virtual('formattedPrice').get(function () {
     return `$${this.price.toFixed(2)}`;
 });
 
+/**
+ * Virtual for the primary image (the first image if none is marked)
+ */
+sweetSchema.virtual('primaryImage').get(function () {
+    const images = this.images || [];
+    return images.find((image) => image.isPrimary) || images[0] || null;
+});
+
 // Ensure virtuals are included when converting to JSON
-sweetSchema.set('toJSON', { virtuals: true });
+sweetSchema.set('toJSON', {
+    virtuals: true,
+    // Internal to sale scheduling
+    transform: (doc, ret) => {
+        delete ret.saleVersion;
+        return ret;
+    },
+});
 sweetSchema.set('toObject', { virtuals: true });
 
 const Sweet = mongoose.model('Sweet', sweetSchema);
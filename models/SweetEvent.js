@@ -0,0 +1,41 @@
+/**
+ * SweetEvent Model
+ *
+ * Numbered log of sweet stock, price and availability changes
+ * Feeds the inventory stream on every server instance. seq comes from a
+ * shared counter, so it orders events across instances and doubles as the
+ * SSE event id clients resume from.
+ */
+
+const mongoose = require('mongoose');
+const streamConfig = require('../config/stream');
+
+const sweetEventSchema = new mongoose.Schema({
+    seq: {
+        type: Number,
+        required: [true, 'Sequence number is required'],
+        unique: true,
+    },
+    sweet: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Sweet',
+        required: [true, 'Sweet is required'],
+    },
+    // What clients receive
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        required: [true, 'Event data is required'],
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required'],
+        default: () => new Date(Date.now() + streamConfig.retentionHours * 60 * 60 * 1000),
+    },
+});
+
+// Let MongoDB drop events that are too old to resume from
+sweetEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SweetEvent = mongoose.model('SweetEvent', sweetEventSchema);
+
+module.exports = SweetEvent;
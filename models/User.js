@@ -5,8 +5,11 @@
  * Includes password hashing and validation
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const authConfig = require('../config/auth');
+const Role = require('./Role');
 
 const userSchema = new mongoose.Schema(
     {
@@ -36,8 +39,50 @@ const userSchema = new mongoose.Schema(
         },
         role: {
             type: String,
-            enum: ['user', 'admin'],
             default: 'user',
+            validate: {
+                // Built-in roles or roles created through /api/roles
+                validator: (value) => Role.isAssignable(value),
+                message: '{VALUE} is not a valid role',
+            },
+        },
+        emailVerified: {
+            type: Boolean,
+            // Accounts created before verification existed have no value and
+            // read as verified; register sets false explicitly
+            default: true,
+        },
+        disabled: {
+            type: Boolean,
+            default: false, // Disabled accounts cannot log in or use existing tokens
+        },
+        disabledAt: {
+            type: Date,
+            default: null,
+        },
+        tokenVersion: {
+            type: Number,
+            default: 0, // Incremented to invalidate every access token issued so far
+        },
+        failedLoginAttempts: {
+            type: Number,
+            default: 0,
+        },
+        lockUntil: {
+            type: Date,
+            default: null,
+        },
+        lockCount: {
+            type: Number,
+            default: 0, // Consecutive locks, drives the backoff
+        },
+        passwordResetTokenHash: {
+            type: String,
+            select: false,
+        },
+        passwordResetExpires: {
+            type: Date,
+            select: false,
         },
     },
     {
@@ -70,6 +115,90 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+/**
+ * Static method to hash a plain password reset token
+ * @param {string} token - Plain token
+ * @returns {string} - Hex SHA-256 hash
+ */
+userSchema.statics.hashResetToken = function (token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Method to create a one-time password reset token
+ * Stores only the hash and expiry; caller must save the document
+ * @returns {string} - Plain token to send to the user
+ */
+userSchema.methods.createPasswordResetToken = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    this.passwordResetTokenHash = this.constructor.hashResetToken(token);
+    this.passwordResetExpires = new Date(Date.now() + authConfig.passwordResetTtlMinutes * 60 * 1000);
+
+    return token;
+};
+
+/**
+ * Method to check whether the account is temporarily locked
+ * @returns {boolean} - True while lockUntil is in the future
+ */
+userSchema.methods.isLocked = function () {
+    return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+/**
+ * Static method to record a failed login for an account
+ * Locks the account once the failure limit is reached; each further lock
+ * doubles in length up to the configured maximum
+ * @param {string} userId - User ID
+ * @returns {Promise<Date|null>} - lockUntil if this failure locked the account
+ */
+userSchema.statics.registerFailedLogin = async function (userId) {
+    const { loginMaxAttempts, loginLockMinutes, loginLockMaxMinutes } = authConfig;
+
+    const user = await this.findOneAndUpdate(
+        { _id: userId },
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+    );
+
+    if (!user || user.failedLoginAttempts < loginMaxAttempts) {
+        return null;
+    }
+
+    const lockMinutes = Math.min(loginLockMinutes * 2 ** (user.lockCount || 0), loginLockMaxMinutes);
+    const lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+
+    // Only one concurrent failure gets to apply the lock
+    const locked = await this.findOneAndUpdate(
+        { _id: userId, failedLoginAttempts: { $gte: loginMaxAttempts } },
+        { $set: { failedLoginAttempts: 0, lockUntil }, $inc: { lockCount: 1 } },
+        { new: true }
+    );
+
+    return locked ? locked.lockUntil : null;
+};
+
+/**
+ * Static method to clear failed login tracking (successful login or admin unlock)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Update result
+ */
+userSchema.statics.resetLoginAttempts = function (userId) {
+    return this.updateOne(
+        { _id: userId },
+        { $set: { failedLoginAttempts: 0, lockUntil: null, lockCount: 0 } }
+    );
+};
+
+/**
+ * Static method to count admins who can still sign in
+ * @returns {Promise<number>} - Number of enabled admins
+ */
+userSchema.statics.countActiveAdmins = function () {
+    return this.countDocuments({ role: 'admin', disabled: { $ne: true } });
+};
+
 /**
  * Method to get user object without password
  * @returns {Object} User object without password field
@@ -77,6 +206,8 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
 userSchema.methods.toJSON = function () {
     const user = this.toObject();
     delete user.password;
+    delete user.passwordResetTokenHash;
+    delete user.passwordResetExpires;
     return user;
 };
 
@@ -0,0 +1,96 @@
+/**
+ * Webhook Model
+ *
+ * Subscriptions that receive signed event payloads over HTTP
+ * The secret signs every payload; it is only returned when the webhook is
+ * created or the secret is rotated.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const webhookConfig = require('../config/webhooks');
+
+/**
+ * Generate a signing secret
+ * @returns {string} Random secret, e.g. 'whsec_3f9a...'
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Check that a value is an absolute http(s) URL
+ * @param {string} value - URL
+ * @returns {boolean} True if valid
+ */
+const isHttpUrl = (value) => {
+    try {
+        const { protocol } = new URL(value);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch {
+        return false;
+    }
+};
+
+const webhookSchema = new mongoose.Schema(
+    {
+        url: {
+            type: String,
+            required: [true, 'Webhook URL is required'],
+            trim: true,
+            maxlength: [2000, 'Webhook URL cannot exceed 2000 characters'],
+            validate: {
+                validator: isHttpUrl,
+                message: 'Webhook URL must be an http or https URL',
+            },
+        },
+        events: {
+            type: [String],
+            validate: [
+                {
+                    validator: (events) => events.length > 0,
+                    message: 'Subscribe to at least one event',
+                },
+                {
+                    validator: (events) => events.every((event) => event in webhookConfig.events),
+                    message: (props) => `Unknown event(s): ${props.value
+                        .filter((event) => !(event in webhookConfig.events))
+                        .join(', ')}`,
+                },
+            ],
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Description cannot exceed 200 characters'],
+        },
+        secret: {
+            type: String,
+            required: true,
+            default: generateSecret,
+            select: false, // Only shown on create and rotate
+        },
+        active: {
+            type: Boolean,
+            default: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+webhookSchema.index({ active: 1, events: 1 });
+
+/**
+ * Static method to generate a new signing secret
+ * @returns {string} Secret
+ */
+webhookSchema.statics.generateSecret = generateSecret;
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
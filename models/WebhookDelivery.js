@@ -0,0 +1,93 @@
+/**
+ * WebhookDelivery Model
+ *
+ * Delivery log: one document per event sent to a webhook, with every attempt
+ * A pending delivery is due at nextAttemptAt. Whoever sends it first pushes
+ * nextAttemptAt forward to claim it, so several server instances (or the
+ * retry worker and an immediate send) never deliver the same attempt twice.
+ */
+
+const mongoose = require('mongoose');
+
+const attemptSchema = new mongoose.Schema(
+    {
+        attemptedAt: {
+            type: Date,
+            required: true,
+        },
+        statusCode: {
+            type: Number,
+            default: null, // No response (network error or timeout)
+        },
+        error: {
+            type: String,
+            default: null,
+        },
+        responseBody: {
+            type: String,
+            default: null, // First characters of the receiver's answer
+        },
+        durationMs: {
+            type: Number,
+            required: true,
+        },
+    },
+    { _id: false }
+);
+
+const webhookDeliverySchema = new mongoose.Schema(
+    {
+        webhook: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Webhook',
+            required: [true, 'Webhook is required'],
+        },
+        event: {
+            type: String,
+            required: [true, 'Event is required'],
+        },
+        eventId: {
+            type: String,
+            required: [true, 'Event id is required'], // Same for redeliveries, so receivers can deduplicate
+        },
+        payload: {
+            type: mongoose.Schema.Types.Mixed,
+            required: [true, 'Payload is required'],
+        },
+        status: {
+            type: String,
+            enum: {
+                values: ['pending', 'succeeded', 'failed'],
+                message: '{VALUE} is not a valid delivery status',
+            },
+            default: 'pending',
+        },
+        nextAttemptAt: {
+            type: Date,
+            default: null, // null once succeeded or failed
+        },
+        attempts: {
+            type: [attemptSchema],
+            default: [],
+        },
+        deliveredAt: {
+            type: Date,
+            default: null,
+        },
+        redeliveryOf: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'WebhookDelivery',
+            default: null, // Set for manual redeliveries
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
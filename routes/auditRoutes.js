@@ -0,0 +1,19 @@
+/**
+ * Audit Routes
+ *
+ * Routes for reading the audit log
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getAuditLogs } = require('../controllers/auditController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/audit
+ * @desc    Query the audit log
+ * @access  Private (audit:view)
+ */
+router.get('/', protect, requirePermission('audit:view'), getAuditLogs);
+
+module.exports = router;
@@ -1,25 +1,99 @@
 /**
  * Authentication Routes
  * 
- * Routes for user registration and login
+ * Routes for user registration, login and session management
  */
 
 const express = require('express');
 const router = express.Router();
-const { register, login } = require('../controllers/authController');
+const {
+    register,
+    login,
+    refresh,
+    logout,
+    logoutAll,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    unlockAccount,
+} = require('../controllers/authController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimiter');
+
+// Endpoints that take credentials or send mail share one budget per client IP,
+// refreshing has its own
+const authLimit = rateLimit('auth');
+const refreshLimit = rateLimit('refresh');
 
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
  * @access  Public
  */
-router.post('/register', register);
+router.post('/register', authLimit, register);
 
 /**
  * @route   POST /api/auth/login
  * @desc    Login user
  * @access  Public
  */
-router.post('/login', login);
+router.post('/login', authLimit, login);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new token pair
+ * @access  Public
+ */
+router.post('/refresh', refreshLimit, refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Logout the current session
+ * @access  Private
+ */
+router.post('/logout', protect, logout);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout every session of the current user
+ * @access  Private
+ */
+router.post('/logout-all', protect, logoutAll);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a one-time password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', authLimit, forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ */
+router.post('/reset-password', authLimit, resetPassword);
+
+/**
+ * @route   GET /api/auth/verify-email
+ * @desc    Verify an email address from a signed link
+ * @access  Public
+ */
+router.get('/verify-email', verifyEmail);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new verification link
+ * @access  Public
+ */
+router.post('/resend-verification', authLimit, resendVerification);
+
+/**
+ * @route   POST /api/auth/unlock
+ * @desc    Unlock an account locked by failed logins
+ * @access  Private (users:manage)
+ */
+router.post('/unlock', protect, requirePermission('users:manage'), unlockAccount);
 
 module.exports = router;
@@ -0,0 +1,57 @@
+/**
+ * Cart Routes
+ *
+ * Routes for the logged in user's persistent shopping cart
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+} = require('../controllers/cartController');
+const { protect } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimiter');
+
+// Limited per user, so it runs after protect
+const cartLimit = rateLimit('cart');
+
+/**
+ * @route   GET /api/cart
+ * @desc    Get the logged in user's cart
+ * @access  Private
+ */
+router.get('/', protect, cartLimit, getCart);
+
+/**
+ * @route   POST /api/cart/items
+ * @desc    Add a sweet to the cart
+ * @access  Private
+ */
+router.post('/items', protect, cartLimit, addCartItem);
+
+/**
+ * @route   PATCH /api/cart/items/:sweetId
+ * @desc    Set the quantity of a cart line
+ * @access  Private
+ */
+router.patch('/items/:sweetId', protect, cartLimit, updateCartItem);
+
+/**
+ * @route   DELETE /api/cart/items/:sweetId
+ * @desc    Remove a line from the cart
+ * @access  Private
+ */
+router.delete('/items/:sweetId', protect, cartLimit, removeCartItem);
+
+/**
+ * @route   DELETE /api/cart
+ * @desc    Remove every line from the cart
+ * @access  Private
+ */
+router.delete('/', protect, cartLimit, clearCart);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+/**
+ * Category Routes
+ *
+ * Public category listing and managed category CRUD
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getCategories,
+    getCategoryBySlug,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+} = require('../controllers/categoryController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimiter');
+
+const readLimit = rateLimit('sweetsRead');
+const adminWriteLimit = rateLimit('adminWrite');
+
+/**
+ * @route   GET /api/categories
+ * @desc    List categories with sweet counts
+ * @access  Public
+ */
+router.get('/', readLimit, getCategories);
+
+/**
+ * @route   GET /api/categories/:slug
+ * @desc    Get a category by slug
+ * @access  Public
+ */
+router.get('/:slug', readLimit, getCategoryBySlug);
+
+/**
+ * @route   POST /api/categories
+ * @desc    Create a category
+ * @access  Private (categories:manage)
+ */
+router.post('/', protect, requirePermission('categories:manage'), adminWriteLimit, createCategory);
+
+/**
+ * @route   PATCH /api/categories/:id
+ * @desc    Update a category
+ * @access  Private (categories:manage)
+ */
+router.patch('/:id', protect, requirePermission('categories:manage'), adminWriteLimit, updateCategory);
+
+/**
+ * @route   DELETE /api/categories/:id
+ * @desc    Delete a category (use ?reassignTo= when it still has sweets)
+ * @access  Private (categories:manage)
+ */
+router.delete('/:id', protect, requirePermission('categories:manage'), adminWriteLimit, deleteCategory);
+
+module.exports = router;
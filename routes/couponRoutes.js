@@ -0,0 +1,67 @@
+/**
+ * Coupon Routes
+ *
+ * Routes for managing promo codes and checking them before checkout
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getCoupons,
+    getCoupon,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+    validateCoupons,
+} = require('../controllers/couponController');
+const { protect, requirePermission, optionalAuth } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimiter');
+
+const adminWriteLimit = rateLimit('adminWrite');
+
+/**
+ * @route   POST /api/coupons/validate
+ * @desc    Check coupon codes against a basket and get the discount breakdown
+ * @access  Public
+ */
+router.post('/validate', optionalAuth, rateLimit('couponValidate'), validateCoupons);
+
+// Every other coupon route needs coupons:manage
+router.use(protect, requirePermission('coupons:manage'));
+
+/**
+ * @route   GET /api/coupons
+ * @desc    List coupons
+ * @access  Private (coupons:manage)
+ */
+router.get('/', getCoupons);
+
+/**
+ * @route   GET /api/coupons/:id
+ * @desc    Get a coupon
+ * @access  Private (coupons:manage)
+ */
+router.get('/:id', getCoupon);
+
+/**
+ * @route   POST /api/coupons
+ * @desc    Create a coupon
+ * @access  Private (coupons:manage)
+ */
+router.post('/', adminWriteLimit, createCoupon);
+
+/**
+ * @route   PATCH /api/coupons/:id
+ * @desc    Update a coupon
+ * @access  Private (coupons:manage)
+ */
+router.patch('/:id', adminWriteLimit, updateCoupon);
+
+/**
+ * @route   DELETE /api/coupons/:id
+ * @desc    Delete a coupon
+ * @access  Private (coupons:manage)
+ */
+router.delete('/:id', adminWriteLimit, deleteCoupon);
+
+module.exports = router;
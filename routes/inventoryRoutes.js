@@ -0,0 +1,19 @@
+/**
+ * Inventory Routes
+ *
+ * Routes for stock reports
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getLowStock } = require('../controllers/inventoryController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/inventory/low-stock
+ * @desc    Get sweets at or below their reorder level, most urgent first
+ * @access  Private (inventory:view)
+ */
+router.get('/low-stock', protect, requirePermission('inventory:view'), getLowStock);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+/**
+ * Me Routes
+ *
+ * Routes for the logged in user's own data
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getFavorites, addFavorite, removeFavorite } = require('../controllers/favoriteController');
+const { protect } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimiter');
+
+// Every route here belongs to the logged in user
+router.use(protect);
+
+const favoritesLimit = rateLimit('favorites');
+
+/**
+ * @route   GET /api/me/favorites
+ * @desc    List the logged in user's favorite sweets
+ * @access  Private
+ */
+router.get('/favorites', favoritesLimit, getFavorites);
+
+/**
+ * @route   PUT /api/me/favorites/:sweetId
+ * @desc    Add a sweet to favorites
+ * @access  Private
+ */
+router.put('/favorites/:sweetId', favoritesLimit, addFavorite);
+
+/**
+ * @route   DELETE /api/me/favorites/:sweetId
+ * @desc    Remove a sweet from favorites
+ * @access  Private
+ */
+router.delete('/favorites/:sweetId', favoritesLimit, removeFavorite);
+
+module.exports = router;
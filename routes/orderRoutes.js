@@ -0,0 +1,38 @@
+/**
+ * Order Routes
+ *
+ * Routes for multi-item checkout and order history
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    createOrder,
+    getMyOrders,
+    getAllOrders,
+} = require('../controllers/orderController');
+const { protect, requirePermission, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimiter');
+
+/**
+ * @route   POST /api/orders
+ * @desc    Place an order for several sweets (all or nothing)
+ * @access  Private (verified email when REQUIRE_EMAIL_VERIFICATION is on)
+ */
+router.post('/', protect, rateLimit('purchase'), requireVerifiedEmail, createOrder);
+
+/**
+ * @route   GET /api/orders/mine
+ * @desc    Get the logged in user's orders
+ * @access  Private
+ */
+router.get('/mine', protect, getMyOrders);
+
+/**
+ * @route   GET /api/orders
+ * @desc    Get all orders
+ * @access  Private (orders:view)
+ */
+router.get('/', protect, requirePermission('orders:view'), getAllOrders);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * Review Routes
+ *
+ * Routes for moderating customer reviews
+ * Customers review sweets through /api/sweets/:id/reviews
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getReviews, moderateReview } = require('../controllers/reviewController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimiter');
+
+const adminWriteLimit = rateLimit('adminWrite');
+
+// Every review moderation route needs reviews:moderate
+router.use(protect, requirePermission('reviews:moderate'));
+
+/**
+ * @route   GET /api/reviews
+ * @desc    List every review, hidden ones included
+ * @access  Private (reviews:moderate)
+ */
+router.get('/', getReviews);
+
+/**
+ * @route   PATCH /api/reviews/:id
+ * @desc    Hide or republish a review
+ * @access  Private (reviews:moderate)
+ */
+router.patch('/:id', adminWriteLimit, moderateReview);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+/**
+ * Role Routes
+ *
+ * Admin-only routes for managing roles and their permissions
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getRoles,
+    getPermissions,
+    createRole,
+    updateRole,
+    deleteRole,
+} = require('../controllers/roleController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimiter');
+
+const adminWriteLimit = rateLimit('adminWrite');
+
+// Only admins can change what roles are allowed to do
+router.use(protect, authorize('admin'));
+
+/**
+ * @route   GET /api/roles
+ * @desc    List roles with their permissions
+ * @access  Private/Admin only
+ */
+router.get('/', getRoles);
+
+/**
+ * @route   GET /api/roles/permissions
+ * @desc    List every permission that can be granted
+ * @access  Private/Admin only
+ */
+router.get('/permissions', getPermissions);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a role
+ * @access  Private/Admin only
+ */
+router.post('/', adminWriteLimit, createRole);
+
+/**
+ * @route   PATCH /api/roles/:name
+ * @desc    Update a role's description or permissions
+ * @access  Private/Admin only
+ */
+router.patch('/:name', adminWriteLimit, updateRole);
+
+/**
+ * @route   DELETE /api/roles/:name
+ * @desc    Delete a custom role
+ * @access  Private/Admin only
+ */
+router.delete('/:name', adminWriteLimit, deleteRole);
+
+module.exports = router;
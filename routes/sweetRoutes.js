@@ -13,50 +13,234 @@ const {
     createSweet,
     updateSweet,
     deleteSweet,
+    getTrash,
+    restoreSweet,
+    purgeSweet,
     purchaseSweet,
+    restockSweet,
+    getStockMovements,
 } = require('../controllers/sweetController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+    uploadSweetImages,
+    updateSweetImages,
+    deleteSweetImage,
+} = require('../controllers/sweetImageController');
+const { exportSweetsCsv, importSweetsCsv } = require('../controllers/sweetCsvController');
+const { bulkUpdateSweets, bulkDeleteSweets } = require('../controllers/sweetBulkController');
+const { streamSweets } = require('../controllers/sweetStreamController');
+const {
+    getSweetSales,
+    createSweetSale,
+    cancelSweetSale,
+    getPriceHistory,
+} = require('../controllers/sweetPriceController');
+const {
+    getSweetReviews,
+    createSweetReview,
+    updateSweetReview,
+    deleteSweetReview,
+} = require('../controllers/reviewController');
+const {
+    protect,
+    requirePermission,
+    optionalAuth,
+    requireVerifiedEmailIfLoggedIn,
+} = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimiter');
+const { uploadImages } = require('../middleware/imageUpload');
+
+const readLimit = rateLimit('sweetsRead');
+const purchaseLimit = rateLimit('purchase');
+const adminWriteLimit = rateLimit('adminWrite');
+const reviewWriteLimit = rateLimit('reviewWrite');
 
 /**
  * @route   GET /api/sweets
- * @desc    Get all sweets
+ * @desc    Get all sweets (with isFavorite when logged in)
+ * @access  Public
+ */
+router.get('/', optionalAuth, readLimit, getAllSweets);
+
+/**
+ * @route   GET /api/sweets/stream
+ * @desc    Stream quantity, price and availability changes (Server-Sent Events)
  * @access  Public
  */
-router.get('/', getAllSweets);
+router.get('/stream', readLimit, streamSweets);
+
+/**
+ * @route   GET /api/sweets/export.csv
+ * @desc    Export the catalog as CSV
+ * @access  Private (inventory:view)
+ */
+router.get('/export.csv', protect, requirePermission('inventory:view'), readLimit, exportSweetsCsv);
+
+/**
+ * @route   POST /api/sweets/import
+ * @desc    Import sweets from a CSV body (create or update by SKU or name)
+ * @access  Private (sweets:create, sweets:update)
+ */
+router.post('/import', protect, requirePermission('sweets:create', 'sweets:update'), adminWriteLimit, importSweetsCsv);
+
+/**
+ * @route   PATCH /api/sweets/bulk
+ * @desc    Update many sweets (per-item changes or one change by filter)
+ * @access  Private (sweets:update)
+ */
+router.patch('/bulk', protect, requirePermission('sweets:update'), adminWriteLimit, bulkUpdateSweets);
+
+/**
+ * @route   POST /api/sweets/bulk-delete
+ * @desc    Move many sweets to the trash
+ * @access  Private (sweets:delete)
+ */
+router.post('/bulk-delete', protect, requirePermission('sweets:delete'), adminWriteLimit, bulkDeleteSweets);
+
+/**
+ * @route   GET /api/sweets/trash
+ * @desc    List deleted sweets
+ * @access  Private (sweets:delete)
+ */
+router.get('/trash', protect, requirePermission('sweets:delete'), getTrash);
 
 /**
  * @route   GET /api/sweets/:id
- * @desc    Get single sweet by ID
+ * @desc    Get single sweet by ID (with isFavorite when logged in)
  * @access  Public
  */
-router.get('/:id', getSweetById);
+router.get('/:id', optionalAuth, readLimit, getSweetById);
 
 /**
  * @route   POST /api/sweets
  * @desc    Create new sweet
- * @access  Private/Admin only
+ * @access  Private (sweets:create)
  */
-router.post('/', protect, authorize('admin'), createSweet);
+router.post('/', protect, requirePermission('sweets:create'), adminWriteLimit, createSweet);
 
 /**
  * @route   PUT /api/sweets/:id
  * @desc    Update sweet
- * @access  Private/Admin only
+ * @access  Private (sweets:update)
  */
-router.put('/:id', protect, authorize('admin'), updateSweet);
+router.put('/:id', protect, requirePermission('sweets:update'), adminWriteLimit, updateSweet);
 
 /**
  * @route   DELETE /api/sweets/:id
- * @desc    Delete sweet
- * @access  Private/Admin only
+ * @desc    Delete sweet (moves it to the trash)
+ * @access  Private (sweets:delete)
+ */
+router.delete('/:id', protect, requirePermission('sweets:delete'), adminWriteLimit, deleteSweet);
+
+/**
+ * @route   POST /api/sweets/:id/restore
+ * @desc    Restore a deleted sweet
+ * @access  Private (sweets:delete)
  */
-router.delete('/:id', protect, authorize('admin'), deleteSweet);
+router.post('/:id/restore', protect, requirePermission('sweets:delete'), adminWriteLimit, restoreSweet);
+
+/**
+ * @route   DELETE /api/sweets/:id/purge
+ * @desc    Permanently delete a sweet that is already in the trash
+ * @access  Private (sweets:purge)
+ */
+router.delete('/:id/purge', protect, requirePermission('sweets:purge'), adminWriteLimit, purgeSweet);
+
+/**
+ * @route   POST /api/sweets/:id/images
+ * @desc    Upload images (multipart field "images")
+ * @access  Private (sweets:update)
+ */
+router.post('/:id/images', protect, requirePermission('sweets:update'), adminWriteLimit, uploadImages, uploadSweetImages);
+
+/**
+ * @route   PATCH /api/sweets/:id/images
+ * @desc    Reorder images and choose the primary image
+ * @access  Private (sweets:update)
+ */
+router.patch('/:id/images', protect, requirePermission('sweets:update'), adminWriteLimit, updateSweetImages);
+
+/**
+ * @route   DELETE /api/sweets/:id/images/:imageId
+ * @desc    Delete an image
+ * @access  Private (sweets:update)
+ */
+router.delete('/:id/images/:imageId', protect, requirePermission('sweets:update'), adminWriteLimit, deleteSweetImage);
 
 /**
  * @route   POST /api/sweets/:id/purchase
- * @desc    Purchase sweet (decrease quantity)
+ * @desc    Purchase sweet (decrease quantity), optionally with coupon codes
+ * @access  Public (logged in buyers need a verified email when verification is required)
+ */
+router.post('/:id/purchase', optionalAuth, purchaseLimit, requireVerifiedEmailIfLoggedIn, purchaseSweet);
+
+/**
+ * @route   POST /api/sweets/:id/restock
+ * @desc    Restock sweet (increase quantity atomically)
+ * @access  Private (inventory:adjust)
+ */
+router.post('/:id/restock', protect, requirePermission('inventory:adjust'), adminWriteLimit, restockSweet);
+
+/**
+ * @route   GET /api/sweets/:id/movements
+ * @desc    Get stock movement history for a sweet
+ * @access  Private (inventory:view)
+ */
+router.get('/:id/movements', protect, requirePermission('inventory:view'), getStockMovements);
+
+/**
+ * @route   GET /api/sweets/:id/price-history
+ * @desc    Get base price changes and sale schedule changes for a sweet
+ * @access  Private (inventory:view)
+ */
+router.get('/:id/price-history', protect, requirePermission('inventory:view'), getPriceHistory);
+
+/**
+ * @route   GET /api/sweets/:id/sales
+ * @desc    List a sweet's scheduled sales
+ * @access  Private (sweets:update)
+ */
+router.get('/:id/sales', protect, requirePermission('sweets:update'), getSweetSales);
+
+/**
+ * @route   POST /api/sweets/:id/sales
+ * @desc    Schedule a sale price
+ * @access  Private (sweets:update)
+ */
+router.post('/:id/sales', protect, requirePermission('sweets:update'), adminWriteLimit, createSweetSale);
+
+/**
+ * @route   DELETE /api/sweets/:id/sales/:saleId
+ * @desc    Cancel an upcoming sale or end a running one
+ * @access  Private (sweets:update)
+ */
+router.delete('/:id/sales/:saleId', protect, requirePermission('sweets:update'), adminWriteLimit, cancelSweetSale);
+
+/**
+ * @route   GET /api/sweets/:id/reviews
+ * @desc    List a sweet's published reviews
  * @access  Public
  */
-router.post('/:id/purchase', purchaseSweet);
+router.get('/:id/reviews', readLimit, getSweetReviews);
+
+/**
+ * @route   POST /api/sweets/:id/reviews
+ * @desc    Review a sweet (one review per customer per sweet)
+ * @access  Private
+ */
+router.post('/:id/reviews', protect, reviewWriteLimit, createSweetReview);
+
+/**
+ * @route   PATCH /api/sweets/:id/reviews/:reviewId
+ * @desc    Edit your own review
+ * @access  Private (author only)
+ */
+router.patch('/:id/reviews/:reviewId', protect, reviewWriteLimit, updateSweetReview);
+
+/**
+ * @route   DELETE /api/sweets/:id/reviews/:reviewId
+ * @desc    Delete your own review, or any review as a moderator
+ * @access  Private (author or reviews:moderate)
+ */
+router.delete('/:id/reviews/:reviewId', protect, reviewWriteLimit, deleteSweetReview);
 
 module.exports = router;
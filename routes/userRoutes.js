@@ -0,0 +1,67 @@
+/**
+ * User Routes
+ *
+ * Routes for managing user accounts (users:manage permission)
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getUsers,
+    getUserById,
+    updateUserRole,
+    disableUser,
+    enableUser,
+    deleteUser,
+} = require('../controllers/userController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimiter');
+
+const adminWriteLimit = rateLimit('adminWrite');
+
+// Every user management route requires the users:manage permission
+router.use(protect, requirePermission('users:manage'));
+
+/**
+ * @route   GET /api/users
+ * @desc    List and search users
+ * @access  Private (users:manage)
+ */
+router.get('/', getUsers);
+
+/**
+ * @route   GET /api/users/:id
+ * @desc    Get single user by ID
+ * @access  Private (users:manage)
+ */
+router.get('/:id', getUserById);
+
+/**
+ * @route   PATCH /api/users/:id/role
+ * @desc    Change a user's role
+ * @access  Private (users:manage)
+ */
+router.patch('/:id/role', adminWriteLimit, updateUserRole);
+
+/**
+ * @route   POST /api/users/:id/disable
+ * @desc    Disable an account and end its sessions
+ * @access  Private (users:manage)
+ */
+router.post('/:id/disable', adminWriteLimit, disableUser);
+
+/**
+ * @route   POST /api/users/:id/enable
+ * @desc    Re-enable a disabled account
+ * @access  Private (users:manage)
+ */
+router.post('/:id/enable', adminWriteLimit, enableUser);
+
+/**
+ * @route   DELETE /api/users/:id
+ * @desc    Delete a user
+ * @access  Private (users:manage)
+ */
+router.delete('/:id', adminWriteLimit, deleteUser);
+
+module.exports = router;
@@ -0,0 +1,91 @@
+/**
+ * Webhook Routes
+ *
+ * Routes for managing webhook subscriptions and their delivery log
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getWebhookEvents,
+    getWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    rotateWebhookSecret,
+    getWebhookDeliveries,
+    redeliverWebhookDelivery,
+} = require('../controllers/webhookController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimiter');
+
+const adminWriteLimit = rateLimit('adminWrite');
+
+// Every webhook route needs webhooks:manage
+router.use(protect, requirePermission('webhooks:manage'));
+
+/**
+ * @route   GET /api/webhooks/events
+ * @desc    List the events a webhook can subscribe to
+ * @access  Private (webhooks:manage)
+ */
+router.get('/events', getWebhookEvents);
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List webhooks
+ * @access  Private (webhooks:manage)
+ */
+router.get('/', getWebhooks);
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Create a webhook
+ * @access  Private (webhooks:manage)
+ */
+router.post('/', adminWriteLimit, createWebhook);
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get a webhook
+ * @access  Private (webhooks:manage)
+ */
+router.get('/:id', getWebhook);
+
+/**
+ * @route   PATCH /api/webhooks/:id
+ * @desc    Update a webhook
+ * @access  Private (webhooks:manage)
+ */
+router.patch('/:id', adminWriteLimit, updateWebhook);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a webhook and its delivery log
+ * @access  Private (webhooks:manage)
+ */
+router.delete('/:id', adminWriteLimit, deleteWebhook);
+
+/**
+ * @route   POST /api/webhooks/:id/rotate-secret
+ * @desc    Replace the signing secret
+ * @access  Private (webhooks:manage)
+ */
+router.post('/:id/rotate-secret', adminWriteLimit, rotateWebhookSecret);
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Get the delivery log
+ * @access  Private (webhooks:manage)
+ */
+router.get('/:id/deliveries', getWebhookDeliveries);
+
+/**
+ * @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @desc    Send a delivery again
+ * @access  Private (webhooks:manage)
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', adminWriteLimit, redeliverWebhookDelivery);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+/**
+ * Backfill Email Verification Script
+ * 
+ * Marks accounts created before email verification existed as verified
+ * The User model already reads a missing flag as verified; this makes it
+ * explicit in the database so queries on emailVerified match too
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+
+const backfillEmailVerified = async () => {
+    try {
+        // Connect to MongoDB
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        const result = await User.updateMany(
+            { emailVerified: { $exists: false } },
+            { $set: { emailVerified: true } }
+        );
+
+        console.log(`✅ Marked ${result.modifiedCount} existing user(s) as verified`);
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error:', error);
+        process.exit(1);
+    }
+};
+
+backfillEmailVerified();
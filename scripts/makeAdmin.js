@@ -2,6 +2,9 @@
  * Make User Admin Script
  * 
  * Updates a user's role to 'admin'
+ * Only needed to bootstrap the first admin; after that use PATCH /api/users/:id/role
+ *
+ * Usage: node scripts/makeAdmin.js <email>
  */
 
 const mongoose = require('mongoose');
@@ -10,16 +13,21 @@ const User = require('../models/User');
 
 const makeAdmin = async () => {
     try {
+        // Require an explicit email so the script never promotes the wrong account
+        const email = process.argv[2];
+
+        if (!email) {
+            console.log('❌ Usage: node scripts/makeAdmin.js <email>');
+            process.exit(1);
+        }
+
         // Connect to MongoDB
         await mongoose.connect(process.env.MONGODB_URI);
         console.log('✅ Connected to MongoDB');
 
-        // Get email from command line argument or use default
-        const email = process.argv[2] || 'anant.kapooor@gmail.com';
-
         // Find user and update role
         const user = await User.findOneAndUpdate(
-            { email: email },
+            { email: email.toLowerCase().trim() },
             { role: 'admin' },
             { new: true }
         );
@@ -0,0 +1,45 @@
+/**
+ * Migrate Categories Script
+ *
+ * Creates a Category document for every category name used by existing
+ * sweets, so data from the old hardcoded enum (or anything outside it)
+ * passes the new category validation. Safe to run more than once.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Category = require('../models/Category');
+const Sweet = require('../models/Sweet');
+
+const migrateCategories = async () => {
+    try {
+        // Connect to MongoDB
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        await Category.ensureSeeded();
+
+        const used = await Sweet.distinct('category').setOptions({ withDeleted: true });
+        const last = await Category.findOne().sort({ displayOrder: -1 });
+        let displayOrder = last ? last.displayOrder + 1 : 0;
+        let created = 0;
+
+        for (const name of used) {
+            if (!name || (await Category.exists({ name }))) {
+                continue;
+            }
+
+            await Category.create({ name, displayOrder: displayOrder++ });
+            console.log(`➕ Created category: ${name}`);
+            created += 1;
+        }
+
+        console.log(`✅ ${used.length} category name(s) in use, ${created} created`);
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error:', error);
+        process.exit(1);
+    }
+};
+
+migrateCategories();
@@ -2,10 +2,24 @@ const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 const { connectDB } = require('./config/db');
+const requestId = require('./middleware/requestId');
+const requestLogger = require('./middleware/requestLogger');
+const uploadsConfig = require('./config/uploads');
+const { serveImages } = require('./utils/imageStorage');
+const { startWebhookWorker } = require('./utils/webhooks');
 
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy (e.g. Render), trust it so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set(
+        'trust proxy',
+        process.env.TRUST_PROXY === 'true' || (Number.isNaN(hops) ? process.env.TRUST_PROXY : hops)
+    );
+}
+
 // Middleware - Configure CORS to allow frontend on port 3000 or 3001 and production
 const corsOptions = {
     origin: [
@@ -16,6 +30,8 @@ const corsOptions = {
         /\.netlify\.app$/, // Allow all Netlify preview deployments
     ],
     credentials: true,
+    // Let the frontend read rate limit and request id headers
+    exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Request-Id'],
 };
 app.use(cors(corsOptions));
 
@@ -23,14 +39,11 @@ app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Request logging middleware
-app.use((req, res, next) => {
-    console.log(`📨 ${req.method} ${req.path}`);
-    if (req.method === 'POST') {
-        console.log('📦 Body:', req.body);
-    }
-    next();
-});
+// Tag every request with an id (req.id, X-Request-Id header)
+app.use(requestId);
+
+// Request logging middleware (credentials in bodies are redacted)
+app.use(requestLogger);
 
 // Connect to Database (skip in test environment - tests use MongoDB Memory Server)
 if (process.env.NODE_ENV !== 'test') {
@@ -40,11 +53,36 @@ if (process.env.NODE_ENV !== 'test') {
 // Import Routes
 const authRoutes = require('./routes/authRoutes');
 const sweetRoutes = require('./routes/sweetRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const orderRoutes = require('./routes/orderRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const userRoutes = require('./routes/userRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const inventoryRoutes = require('./routes/inventoryRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const meRoutes = require('./routes/meRoutes');
+const couponRoutes = require('./routes/couponRoutes');
 const testRoutes = require('./routes/testRoutes');
 
+// Uploaded images (served with long-lived cache headers by the storage backend)
+app.use(uploadsConfig.publicPath, serveImages);
+
 // Use Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/sweets', sweetRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/coupons', couponRoutes);
 app.use('/api/test', testRoutes);
 
 // Global Error Handler
@@ -68,6 +106,9 @@ if (process.env.NODE_ENV !== 'test') {
         console.log(`📍 URL: http://localhost:${PORT}`);
     });
 
+    // Retry failed webhook deliveries
+    startWebhookWorker();
+
     // Handle unhandled promise rejections
     process.on('unhandledRejection', (err) => {
         console.error('❌ Unhandled Promise Rejection:', err);
@@ -0,0 +1,225 @@
+/**
+ * Audit Log Tests
+ *
+ * Test suite for the audit log of privileged actions
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const User = require('../models/User');
+const Sweet = require('../models/Sweet');
+const AuditLog = require('../models/AuditLog');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Helper function to generate JWT token for testing
+ */
+const generateTestToken = (userId, role = 'user') => {
+    return jwt.sign(
+        { id: userId, role },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '1d' }
+    );
+};
+
+/**
+ * Helper to wait for a background audit write
+ */
+const waitForAudit = async (filter, timeoutMs = 2000) => {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+        const entry = await AuditLog.findOne(filter);
+        if (entry) {
+            return entry;
+        }
+        await global.testUtils.wait(25);
+    }
+
+    throw new Error(`No audit entry matching ${JSON.stringify(filter)}`);
+};
+
+describe('Audit Log', () => {
+    let adminUser;
+    let normalUser;
+    let adminToken;
+    let userToken;
+
+    // Connect to in-memory database before all tests
+    beforeAll(async () => {
+        await dbHandler.connect();
+
+        adminUser = await User.create({
+            name: 'Admin User',
+            email: 'admin@sweetshop.com',
+            password: 'admin123',
+            role: 'admin',
+        });
+
+        normalUser = await User.create({
+            name: 'Normal User',
+            email: 'user@sweetshop.com',
+            password: 'user123',
+        });
+
+        adminToken = generateTestToken(adminUser._id, 'admin');
+        userToken = generateTestToken(normalUser._id);
+    });
+
+    // Clear sweets and audit entries after each test, keep users
+    afterEach(async () => {
+        await Sweet.deleteMany({}, { withDeleted: true });
+        await AuditLog.collection.deleteMany({});
+    });
+
+    // Close database connection after all tests
+    afterAll(async () => {
+        await dbHandler.closeDatabase();
+    });
+
+    describe('Recording', () => {
+        test('should record sweet creation with actor, IP and request id', async () => {
+            // Act
+            const response = await request(app)
+                .post('/api/sweets')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .set('X-Request-Id', 'req-create-1')
+                .send(global.testUtils.createMockSweet())
+                .expect(201);
+
+            // Assert
+            expect(response.headers['x-request-id']).toBe('req-create-1');
+            const entry = await waitForAudit({ action: 'sweet.create' });
+            expect(String(entry.actor)).toBe(String(adminUser._id));
+            expect(entry.actorEmail).toBe('admin@sweetshop.com');
+            expect(entry.target).toMatchObject({ type: 'Sweet', id: response.body.data._id, label: 'Test Sweet' });
+            expect(entry.changes.before).toBeNull();
+            expect(entry.changes.after.price).toBe(10);
+            expect(entry.requestId).toBe('req-create-1');
+            expect(entry.ip).toBeTruthy();
+        });
+
+        test('should record only the changed fields of an update', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+
+            // Act
+            await request(app)
+                .put(`/api/sweets/${sweet._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ price: 12.5 })
+                .expect(200);
+
+            // Assert
+            const entry = await waitForAudit({ action: 'sweet.update' });
+            expect(entry.changes.before).toEqual({ price: 10 });
+            expect(entry.changes.after).toEqual({ price: 12.5 });
+        });
+
+        test('should record deletes and role changes', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+
+            // Act
+            await request(app)
+                .delete(`/api/sweets/${sweet._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            await request(app)
+                .patch(`/api/users/${normalUser._id}/role`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ role: 'staff' })
+                .expect(200);
+
+            // Assert
+            const deleted = await waitForAudit({ action: 'sweet.delete' });
+            const roleChange = await waitForAudit({ action: 'user.role_change' });
+            expect(deleted.changes.before.name).toBe('Test Sweet');
+            expect(deleted.changes.after).toBeNull();
+            expect(roleChange.changes).toEqual({ before: { role: 'user' }, after: { role: 'staff' } });
+
+            await User.updateOne({ _id: normalUser._id }, { role: 'user' });
+        });
+
+        test('should generate a request id when none is sent', async () => {
+            const response = await request(app).get('/api/sweets').expect(200);
+
+            expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+        });
+
+        test('should not fail the request when the audit write fails', async () => {
+            // Arrange
+            const createSpy = jest.spyOn(AuditLog, 'create').mockRejectedValue(new Error('audit store down'));
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            try {
+                // Act & Assert
+                await request(app)
+                    .post('/api/sweets')
+                    .set('Authorization', `Bearer ${adminToken}`)
+                    .send(global.testUtils.createMockSweet())
+                    .expect(201);
+            } finally {
+                createSpy.mockRestore();
+                errorSpy.mockRestore();
+            }
+        });
+    });
+
+    describe('Append-only', () => {
+        test('should refuse to update or delete entries', async () => {
+            // Arrange
+            const entry = await AuditLog.create({ action: 'sweet.create', target: { type: 'Sweet' } });
+
+            // Act & Assert
+            await expect(AuditLog.updateOne({ _id: entry._id }, { action: 'tampered' })).rejects.toThrow(
+                /cannot be modified or deleted/
+            );
+            await expect(AuditLog.deleteMany({})).rejects.toThrow(/cannot be modified or deleted/);
+            entry.action = 'tampered';
+            await expect(entry.save()).rejects.toThrow(/cannot be modified or deleted/);
+        });
+    });
+
+    describe('GET /api/audit', () => {
+        beforeEach(async () => {
+            await AuditLog.create([
+                { actor: adminUser._id, action: 'sweet.create', target: { type: 'Sweet', id: 'a' } },
+                { actor: adminUser._id, action: 'sweet.delete', target: { type: 'Sweet', id: 'a' } },
+                { actor: adminUser._id, action: 'user.role_change', target: { type: 'User', id: 'b' } },
+            ]);
+        });
+
+        test('should filter by action list and target', async () => {
+            // Act
+            const byAction = await request(app)
+                .get('/api/audit?action=sweet.create,sweet.delete')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            const byTarget = await request(app)
+                .get('/api/audit?targetType=User&targetId=b')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(byAction.body.total).toBe(2);
+            expect(byTarget.body.data.map((entry) => entry.action)).toEqual(['user.role_change']);
+        });
+
+        test('should reject invalid dates', async () => {
+            await request(app)
+                .get('/api/audit?from=yesterday')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+        });
+
+        test('should deny users without audit:view', async () => {
+            await request(app)
+                .get('/api/audit')
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(403);
+        });
+    });
+});
@@ -9,11 +9,58 @@ const request = require('supertest');
 const app = require('../server');
 const dbHandler = require('./db-handler');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const mailer = require('../utils/mailer');
+const authConfig = require('../config/auth');
+const Sweet = require('../models/Sweet');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 describe('Authentication API', () => {
+    // Outgoing mail is captured by the file transport
+    const mailDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'sweetshop-mail-'));
+    let originalTransport;
+
+    /**
+     * Helper to wait for the latest mail whose subject matches
+     */
+    const waitForMail = async (subjectPattern) => {
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const mails = fs.readdirSync(mailDirectory)
+                .sort()
+                .map((file) => JSON.parse(fs.readFileSync(path.join(mailDirectory, file), 'utf8')))
+                .filter((mail) => subjectPattern.test(mail.subject));
+
+            if (mails.length > 0) {
+                return mails[mails.length - 1];
+            }
+            await testUtils.wait(50);
+        }
+        return null;
+    };
+
+    /**
+     * Helper to remove captured mail
+     */
+    const clearMail = () => {
+        for (const file of fs.readdirSync(mailDirectory)) {
+            fs.unlinkSync(path.join(mailDirectory, file));
+        }
+    };
+
+    /**
+     * Helper to extract the token from a link in a mail body
+     */
+    const extractToken = (mail) => mail.text.match(/token=([\w.-]+)/)[1];
+
     // Connect to in-memory database before all tests
     beforeAll(async () => {
         await dbHandler.connect();
+
+        originalTransport = mailer.getTransport();
+        mailer.setTransport(mailer.createFileTransport({ directory: mailDirectory }));
     });
 
     // Clear database after each test
@@ -24,6 +71,9 @@ describe('Authentication API', () => {
     // Close database connection after all tests
     afterAll(async () => {
         await dbHandler.closeDatabase();
+
+        mailer.setTransport(originalTransport);
+        fs.rmSync(mailDirectory, { recursive: true, force: true });
     });
 
     describe('POST /api/auth/register', () => {
@@ -289,4 +339,576 @@ describe('Authentication API', () => {
             expect(response.body.token.length).toBeGreaterThan(20);
         });
     });
+
+    describe('Sessions: refresh, logout and revocation', () => {
+        const credentials = {
+            name: 'Session User',
+            email: 'session@example.com',
+            password: 'password123',
+        };
+
+        /**
+         * Helper to register and return the token pair
+         */
+        const registerUser = async () => {
+            const response = await request(app)
+                .post('/api/auth/register')
+                .send(credentials);
+            return response.body;
+        };
+
+        test('should return a refresh token on register and login', async () => {
+            // Act
+            const registered = await registerUser();
+            const loggedIn = await request(app)
+                .post('/api/auth/login')
+                .send({ email: credentials.email, password: credentials.password })
+                .expect(200);
+
+            // Assert
+            expect(typeof registered.refreshToken).toBe('string');
+            expect(typeof loggedIn.body.refreshToken).toBe('string');
+            expect(loggedIn.body.refreshToken).not.toBe(registered.refreshToken);
+
+            // Only a hash of the refresh token is stored
+            const stored = await RefreshToken.findOne({ user: (await User.findOne({ email: credentials.email }))._id });
+            expect(stored.tokenHash).not.toBe(registered.refreshToken);
+        });
+
+        test('should rotate the refresh token on refresh', async () => {
+            // Arrange
+            const { refreshToken } = await registerUser();
+
+            // Act
+            const response = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken })
+                .expect('Content-Type', /json/)
+                .expect(200);
+
+            // Assert
+            expect(response.body).toHaveProperty('success', true);
+            expect(response.body).toHaveProperty('token');
+            expect(response.body.refreshToken).not.toBe(refreshToken);
+
+            // The new access token works
+            await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${response.body.token}`)
+                .expect(200);
+        });
+
+        test('should revoke the whole family when a rotated token is reused', async () => {
+            // Arrange
+            const { refreshToken: first } = await registerUser();
+            const rotated = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: first });
+
+            // Act - Replay the already rotated token
+            await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: first })
+                .expect(401);
+
+            // Assert - The legitimately rotated token and its access token are dead too
+            await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: rotated.body.refreshToken })
+                .expect(401);
+
+            await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${rotated.body.token}`)
+                .expect(401);
+        });
+
+        test('should reject the access and refresh token after logout', async () => {
+            // Arrange
+            const { token, refreshToken } = await registerUser();
+
+            // Act
+            await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ refreshToken })
+                .expect(200);
+
+            // Assert
+            const response = await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${token}`)
+                .expect(401);
+            expect(response.body.message).toMatch(/revoked/i);
+
+            await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken })
+                .expect(401);
+        });
+
+        test('should end every session on logout-all', async () => {
+            // Arrange - Two sessions for the same user
+            const first = await registerUser();
+            const second = await request(app)
+                .post('/api/auth/login')
+                .send({ email: credentials.email, password: credentials.password });
+
+            // Act
+            await request(app)
+                .post('/api/auth/logout-all')
+                .set('Authorization', `Bearer ${first.token}`)
+                .expect(200);
+
+            // Assert
+            await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${second.body.token}`)
+                .expect(401);
+
+            await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: second.body.refreshToken })
+                .expect(401);
+        });
+
+        test('should not log refresh tokens from request bodies', async () => {
+            // Arrange
+            const { refreshToken } = await registerUser();
+            const logSpy = jest.spyOn(console, 'log');
+
+            // Act
+            const refreshed = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken })
+                .expect(200);
+            await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${refreshed.body.token}`)
+                .send({ refreshToken: refreshed.body.refreshToken })
+                .expect(200);
+
+            // Assert
+            const logged = JSON.stringify(logSpy.mock.calls);
+            logSpy.mockRestore();
+            expect(logged).toContain('[REDACTED]');
+            expect(logged).not.toContain(refreshToken);
+            expect(logged).not.toContain(refreshed.body.refreshToken);
+        });
+
+        test('should return 400 if refresh token is missing', async () => {
+            // Act & Assert
+            await request(app)
+                .post('/api/auth/refresh')
+                .send({})
+                .expect(400);
+        });
+    });
+
+    describe('Password reset', () => {
+        beforeEach(async () => {
+            clearMail();
+
+            await request(app)
+                .post('/api/auth/register')
+                .send({ name: 'Forgetful User', email: 'forgetful@example.com', password: 'oldpassword' });
+        });
+
+        test('should send a reset link without revealing whether the email exists', async () => {
+            // Act
+            const known = await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: 'forgetful@example.com' })
+                .expect(200);
+
+            const unknown = await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: 'nobody@example.com' })
+                .expect(200);
+
+            // Assert
+            expect(unknown.body).toEqual(known.body);
+
+            const mail = await waitForMail(/reset/i);
+            expect(mail).toHaveProperty('to', 'forgetful@example.com');
+            expect(mail.text).toMatch(/reset-password\?token=/);
+
+            // Only the hash is stored
+            const user = await User.findOne({ email: 'forgetful@example.com' }).select('+passwordResetTokenHash');
+            expect(user.passwordResetTokenHash).toBeDefined();
+            expect(mail.text).not.toContain(user.passwordResetTokenHash);
+        });
+
+        test('should reset the password once and sign out existing sessions', async () => {
+            // Arrange
+            const session = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'forgetful@example.com', password: 'oldpassword' });
+
+            await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: 'forgetful@example.com' });
+            const token = extractToken(await waitForMail(/reset/i));
+
+            // Act
+            await request(app)
+                .post('/api/auth/reset-password')
+                .send({ token, password: 'newpassword' })
+                .expect(200);
+
+            // Assert - New password works, old one does not
+            await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'forgetful@example.com', password: 'newpassword' })
+                .expect(200);
+
+            await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'forgetful@example.com', password: 'oldpassword' })
+                .expect(401);
+
+            // Token is single-use
+            await request(app)
+                .post('/api/auth/reset-password')
+                .send({ token, password: 'anotherpassword' })
+                .expect(400);
+
+            // Sessions from before the reset are revoked
+            await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${session.body.token}`)
+                .expect(401);
+
+            await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: session.body.refreshToken })
+                .expect(401);
+        });
+
+        test('should not log reset tokens or new passwords from request bodies', async () => {
+            // Arrange
+            await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: 'forgetful@example.com' });
+            const token = extractToken(await waitForMail(/reset/i));
+            const logSpy = jest.spyOn(console, 'log');
+
+            // Act
+            await request(app)
+                .post('/api/auth/reset-password')
+                .send({ token, password: 'brandnewsecret' })
+                .expect(200);
+
+            // Assert
+            const logged = JSON.stringify(logSpy.mock.calls);
+            logSpy.mockRestore();
+            expect(logged).toContain('[REDACTED]');
+            expect(logged).not.toContain(token);
+            expect(logged).not.toContain('brandnewsecret');
+        });
+
+        test('should reject expired reset tokens', async () => {
+            // Arrange
+            await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: 'forgetful@example.com' });
+            const token = extractToken(await waitForMail(/reset/i));
+
+            await User.updateOne(
+                { email: 'forgetful@example.com' },
+                { passwordResetExpires: new Date(Date.now() - 1000) }
+            );
+
+            // Act
+            const response = await request(app)
+                .post('/api/auth/reset-password')
+                .send({ token, password: 'newpassword' })
+                .expect(400);
+
+            // Assert
+            expect(response.body.message).toMatch(/invalid or expired/i);
+        });
+
+        test('should validate the new password', async () => {
+            // Act & Assert
+            await request(app)
+                .post('/api/auth/reset-password')
+                .send({ token: 'whatever', password: '123' })
+                .expect(400);
+        });
+    });
+
+    describe('Email verification', () => {
+        const newUser = {
+            name: 'New User',
+            email: 'newuser@example.com',
+            password: 'password123',
+        };
+
+        beforeEach(() => {
+            clearMail();
+        });
+
+        afterEach(() => {
+            authConfig.requireEmailVerification = false;
+        });
+
+        test('should register new accounts as unverified and send a verification link', async () => {
+            // Act
+            const response = await request(app)
+                .post('/api/auth/register')
+                .send(newUser)
+                .expect(201);
+
+            // Assert
+            expect(response.body.user).toHaveProperty('emailVerified', false);
+
+            const mail = await waitForMail(/verify/i);
+            expect(mail).toHaveProperty('to', newUser.email);
+            expect(mail.text).toMatch(/verify-email\?token=/);
+        });
+
+        test('should verify the email from the signed link', async () => {
+            // Arrange
+            await request(app).post('/api/auth/register').send(newUser);
+            const token = extractToken(await waitForMail(/verify/i));
+
+            // Act
+            await request(app)
+                .get(`/api/auth/verify-email?token=${token}`)
+                .expect(200);
+
+            // Assert
+            const user = await User.findOne({ email: newUser.email });
+            expect(user.emailVerified).toBe(true);
+        });
+
+        test('should reject tampered or foreign tokens', async () => {
+            // Arrange - An access token is not a verification token
+            const registered = await request(app).post('/api/auth/register').send(newUser);
+
+            // Act & Assert
+            await request(app)
+                .get(`/api/auth/verify-email?token=${registered.body.token}`)
+                .expect(400);
+
+            const user = await User.findOne({ email: newUser.email });
+            expect(user.emailVerified).toBe(false);
+        });
+
+        test('should treat existing accounts without the flag as verified', async () => {
+            // Arrange - Insert a user the way it was stored before verification existed
+            await User.collection.insertOne({
+                name: 'Legacy User',
+                email: 'legacy@example.com',
+                password: 'hashed',
+                role: 'user',
+            });
+
+            // Act
+            const user = await User.findOne({ email: 'legacy@example.com' });
+
+            // Assert
+            expect(user.emailVerified).toBe(true);
+        });
+
+        test('should resend a link only to unverified accounts without revealing which', async () => {
+            // Arrange
+            await request(app).post('/api/auth/register').send(newUser);
+            await waitForMail(/verify/i);
+            clearMail();
+
+            // Act
+            const known = await request(app)
+                .post('/api/auth/resend-verification')
+                .send({ email: newUser.email })
+                .expect(200);
+
+            const unknown = await request(app)
+                .post('/api/auth/resend-verification')
+                .send({ email: 'nobody@example.com' })
+                .expect(200);
+
+            // Assert
+            expect(unknown.body).toEqual(known.body);
+            expect(await waitForMail(/verify/i)).toHaveProperty('to', newUser.email);
+        });
+
+        test('should block unverified accounts from checkout when verification is required', async () => {
+            // Arrange
+            authConfig.requireEmailVerification = true;
+            const registered = await request(app).post('/api/auth/register').send(newUser);
+            const sweet = await Sweet.create({
+                name: 'Checkout Sweet', category: 'Candy', price: 1, quantity: 10,
+            });
+
+            // Act
+            const blocked = await request(app)
+                .post('/api/orders')
+                .set('Authorization', `Bearer ${registered.body.token}`)
+                .send({ items: [{ sweetId: sweet._id, quantity: 1 }] })
+                .expect(403);
+
+            await User.updateOne({ email: newUser.email }, { emailVerified: true });
+
+            // Assert
+            expect(blocked.body.message).toMatch(/verify your email/i);
+
+            await request(app)
+                .post('/api/orders')
+                .set('Authorization', `Bearer ${registered.body.token}`)
+                .send({ items: [{ sweetId: sweet._id, quantity: 1 }] })
+                .expect(201);
+        });
+
+        test('should block unverified accounts from single purchases but keep guest purchases', async () => {
+            // Arrange
+            authConfig.requireEmailVerification = true;
+            const registered = await request(app).post('/api/auth/register').send(newUser);
+            const sweet = await Sweet.create({
+                name: 'Purchase Sweet', category: 'Candy', price: 1, quantity: 10,
+            });
+
+            // Act
+            const blocked = await request(app)
+                .post(`/api/sweets/${sweet._id}/purchase`)
+                .set('Authorization', `Bearer ${registered.body.token}`)
+                .send({ quantity: 1 })
+                .expect(403);
+            await request(app)
+                .post(`/api/sweets/${sweet._id}/purchase`)
+                .send({ quantity: 1 })
+                .expect(200);
+
+            // Assert
+            expect(blocked.body.message).toMatch(/verify your email/i);
+            expect((await Sweet.findById(sweet._id)).quantity).toBe(9);
+        });
+    });
+
+    describe('Login brute-force protection', () => {
+        const account = {
+            name: 'Target User',
+            email: 'target@example.com',
+            password: 'rightpassword',
+        };
+        const originalIpLimit = authConfig.loginIpMaxAttempts;
+
+        /**
+         * Helper to attempt a login
+         */
+        const attemptLogin = (password, email = account.email) => request(app)
+            .post('/api/auth/login')
+            .send({ email, password });
+
+        beforeEach(async () => {
+            await User.create(account);
+        });
+
+        afterEach(() => {
+            authConfig.loginIpMaxAttempts = originalIpLimit;
+        });
+
+        test('should lock the account with 423 and Retry-After after too many failures', async () => {
+            // Act
+            for (let attempt = 1; attempt < authConfig.loginMaxAttempts; attempt++) {
+                await attemptLogin('wrongpassword').expect(401);
+            }
+            const locked = await attemptLogin('wrongpassword').expect(423);
+
+            // Assert
+            expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+            expect(locked.body.message).toMatch(/locked/i);
+
+            // Even the right password is refused while locked
+            await attemptLogin(account.password).expect(423);
+        });
+
+        test('should reset the counter on a successful login', async () => {
+            // Arrange
+            for (let attempt = 1; attempt < authConfig.loginMaxAttempts; attempt++) {
+                await attemptLogin('wrongpassword').expect(401);
+            }
+
+            // Act
+            await attemptLogin(account.password).expect(200);
+
+            // Assert
+            const user = await User.findOne({ email: account.email });
+            expect(user.failedLoginAttempts).toBe(0);
+            await attemptLogin('wrongpassword').expect(401);
+        });
+
+        test('should back off with a longer lock each time', async () => {
+            // Arrange - First lock, then let it expire
+            for (let attempt = 0; attempt < authConfig.loginMaxAttempts; attempt++) {
+                await attemptLogin('wrongpassword');
+            }
+            await User.updateOne({ email: account.email }, { lockUntil: new Date(Date.now() - 1000) });
+
+            // Act
+            let response;
+            for (let attempt = 0; attempt < authConfig.loginMaxAttempts; attempt++) {
+                response = await attemptLogin('wrongpassword');
+            }
+
+            // Assert
+            expect(response.status).toBe(423);
+            expect(Number(response.headers['retry-after'])).toBeGreaterThan(authConfig.loginLockMinutes * 60);
+        });
+
+        test('should throttle a client IP with 429 across accounts', async () => {
+            // Arrange
+            authConfig.loginIpMaxAttempts = 3;
+
+            for (let attempt = 0; attempt < 3; attempt++) {
+                await attemptLogin('whatever', `unknown${attempt}@example.com`).expect(401);
+            }
+
+            // Act
+            const response = await attemptLogin(account.password).expect(429);
+
+            // Assert
+            expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+            expect(await LoginThrottle.countDocuments()).toBe(1);
+        });
+
+        test('should let admins unlock an account', async () => {
+            // Arrange
+            await User.create({
+                name: 'Admin User',
+                email: 'admin@example.com',
+                password: 'admin123',
+                role: 'admin',
+            });
+            const admin = await attemptLogin('admin123', 'admin@example.com');
+
+            for (let attempt = 0; attempt < authConfig.loginMaxAttempts; attempt++) {
+                await attemptLogin('wrongpassword');
+            }
+            await attemptLogin(account.password).expect(423);
+
+            // Act
+            await request(app)
+                .post('/api/auth/unlock')
+                .set('Authorization', `Bearer ${admin.body.token}`)
+                .send({ email: account.email })
+                .expect(200);
+
+            // Assert
+            await attemptLogin(account.password).expect(200);
+        });
+
+        test('should not let normal users unlock accounts', async () => {
+            // Arrange
+            const session = await attemptLogin(account.password);
+
+            // Act & Assert
+            await request(app)
+                .post('/api/auth/unlock')
+                .set('Authorization', `Bearer ${session.body.token}`)
+                .send({ email: account.email })
+                .expect(403);
+        });
+    });
 });
@@ -0,0 +1,207 @@
+/**
+ * Cart Tests
+ *
+ * Test suite for the persistent per-user shopping cart
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const User = require('../models/User');
+const Sweet = require('../models/Sweet');
+const Cart = require('../models/Cart');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Helper function to generate JWT token for testing
+ */
+const generateTestToken = (userId, role = 'user') => {
+    return jwt.sign(
+        { id: userId, role },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '1d' }
+    );
+};
+
+describe('Cart API', () => {
+    let userToken;
+    let otherUserToken;
+
+    // Connect to in-memory database before all tests
+    beforeAll(async () => {
+        await dbHandler.connect();
+
+        const normalUser = await User.create({
+            name: 'Normal User',
+            email: 'user@sweetshop.com',
+            password: 'user123',
+        });
+
+        const otherUser = await User.create({
+            name: 'Other User',
+            email: 'other@sweetshop.com',
+            password: 'other123',
+        });
+
+        userToken = generateTestToken(normalUser._id);
+        otherUserToken = generateTestToken(otherUser._id);
+    });
+
+    // Clear sweets and carts after each test, keep users
+    afterEach(async () => {
+        await Sweet.deleteMany({});
+        await Cart.deleteMany({});
+    });
+
+    // Close database connection after all tests
+    afterAll(async () => {
+        await dbHandler.closeDatabase();
+    });
+
+    test('should return an empty cart for a new user', async () => {
+        // Act
+        const response = await request(app)
+            .get('/api/cart')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect('Content-Type', /json/)
+            .expect(200);
+
+        // Assert
+        expect(response.body).toHaveProperty('success', true);
+        expect(response.body.data.items).toHaveLength(0);
+        expect(response.body.data).toHaveProperty('total', 0);
+    });
+
+    test('should add items and merge repeated adds into one line', async () => {
+        // Arrange
+        const sweet = await Sweet.create({
+            name: 'Chocolate Bar', category: 'Chocolate', price: 2.5, quantity: 10,
+        });
+
+        // Act
+        await request(app)
+            .post('/api/cart/items')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ sweetId: sweet._id, quantity: 2 })
+            .expect(200);
+
+        const response = await request(app)
+            .post('/api/cart/items')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ sweetId: sweet._id, quantity: 3 })
+            .expect(200);
+
+        // Assert
+        expect(response.body.data.items).toHaveLength(1);
+        expect(response.body.data.items[0]).toHaveProperty('quantity', 5);
+        expect(response.body.data).toHaveProperty('total', 12.5);
+    });
+
+    test('should reject adding more than is in stock', async () => {
+        // Arrange
+        const sweet = await Sweet.create({
+            name: 'Scarce Sweet', category: 'Candy', price: 1, quantity: 2,
+        });
+
+        // Act
+        const response = await request(app)
+            .post('/api/cart/items')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ sweetId: sweet._id, quantity: 3 })
+            .expect(400);
+
+        // Assert
+        expect(response.body.message).toMatch(/only 2 available/i);
+    });
+
+    test('should keep carts separate per user', async () => {
+        // Arrange
+        const sweet = await Sweet.create({
+            name: 'Private Sweet', category: 'Candy', price: 1, quantity: 10,
+        });
+
+        await request(app)
+            .post('/api/cart/items')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ sweetId: sweet._id });
+
+        // Act
+        const response = await request(app)
+            .get('/api/cart')
+            .set('Authorization', `Bearer ${otherUserToken}`)
+            .expect(200);
+
+        // Assert
+        expect(response.body.data.items).toHaveLength(0);
+    });
+
+    test('should update and remove lines', async () => {
+        // Arrange
+        const sweet = await Sweet.create({
+            name: 'Editable Sweet', category: 'Candy', price: 1, quantity: 10,
+        });
+
+        await request(app)
+            .post('/api/cart/items')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ sweetId: sweet._id });
+
+        // Act
+        const updated = await request(app)
+            .patch(`/api/cart/items/${sweet._id}`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ quantity: 4 })
+            .expect(200);
+
+        const removed = await request(app)
+            .delete(`/api/cart/items/${sweet._id}`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(200);
+
+        // Assert
+        expect(updated.body.data.items[0]).toHaveProperty('quantity', 4);
+        expect(removed.body.data.items).toHaveLength(0);
+    });
+
+    test('should show live prices and flag sold out or deleted sweets', async () => {
+        // Arrange
+        const [repriced, soldOut, deleted] = await Sweet.create([
+            { name: 'Repriced Sweet', category: 'Candy', price: 1, quantity: 10 },
+            { name: 'Sold Out Sweet', category: 'Candy', price: 1, quantity: 10 },
+            { name: 'Deleted Sweet', category: 'Candy', price: 1, quantity: 10 },
+        ]);
+
+        for (const sweet of [repriced, soldOut, deleted]) {
+            await request(app)
+                .post('/api/cart/items')
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ sweetId: sweet._id, quantity: 2 });
+        }
+
+        await Sweet.updateOne({ _id: repriced._id }, { price: 1.5 });
+        await Sweet.updateOne({ _id: soldOut._id }, { quantity: 0, inStock: false });
+        await Sweet.deleteOne({ _id: deleted._id });
+
+        // Act
+        const response = await request(app)
+            .get('/api/cart')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(200);
+
+        // Assert
+        const [repricedLine, soldOutLine, deletedLine] = response.body.data.items;
+        expect(repricedLine).toMatchObject({ price: 1.5, priceAtAdd: 1, priceChanged: true, available: true });
+        expect(soldOutLine).toMatchObject({ available: false, issue: 'out_of_stock' });
+        expect(deletedLine).toMatchObject({ name: 'Deleted Sweet', available: false, issue: 'deleted' });
+        expect(response.body.data).toHaveProperty('total', 3);
+        expect(response.body.data).toHaveProperty('hasIssues', true);
+    });
+
+    test('should require authentication', async () => {
+        // Act & Assert
+        await request(app)
+            .get('/api/cart')
+            .expect(401);
+    });
+});
@@ -0,0 +1,325 @@
+/**
+ * Category Tests
+ *
+ * Test suite for managed categories and category validation of sweets
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const User = require('../models/User');
+const Sweet = require('../models/Sweet');
+const Category = require('../models/Category');
+const Migration = require('../models/Migration');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Helper function to generate JWT token for testing
+ */
+const generateTestToken = (userId, role = 'user') => {
+    return jwt.sign(
+        { id: userId, role },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '1d' }
+    );
+};
+
+describe('Categories API', () => {
+    let adminToken;
+    let userToken;
+
+    // Connect to in-memory database before all tests
+    beforeAll(async () => {
+        await dbHandler.connect();
+
+        const adminUser = await User.create({
+            name: 'Admin User',
+            email: 'admin@sweetshop.com',
+            password: 'admin123',
+            role: 'admin',
+        });
+
+        const normalUser = await User.create({
+            name: 'Normal User',
+            email: 'user@sweetshop.com',
+            password: 'user123',
+        });
+
+        adminToken = generateTestToken(adminUser._id, 'admin');
+        userToken = generateTestToken(normalUser._id);
+    });
+
+    // Clear sweets, categories and the seed marker after each test, keep users
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await Sweet.deleteMany({}, { withDeleted: true });
+        await Category.deleteMany({});
+        await Migration.deleteMany({});
+    });
+
+    // Close database connection after all tests
+    afterAll(async () => {
+        await dbHandler.closeDatabase();
+    });
+
+    describe('Legacy categories', () => {
+        test('should seed the old enum values the first time they are needed', async () => {
+            // Act
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ category: 'Hard Candy' }));
+
+            // Assert
+            expect(sweet.category).toBe('Hard Candy');
+            expect(await Category.countDocuments()).toBe(Category.LEGACY_CATEGORIES.length);
+            expect(await Category.findOne({ name: 'Hard Candy' })).toHaveProperty('slug', 'hard-candy');
+        });
+
+        test('should not seed them again after every category is deleted', async () => {
+            // Arrange
+            await Category.ensureSeeded();
+            const categories = await Category.find();
+
+            // Act
+            for (const category of categories) {
+                await request(app)
+                    .delete(`/api/categories/${category._id}`)
+                    .set('Authorization', `Bearer ${adminToken}`)
+                    .expect(200);
+            }
+            const response = await request(app).get('/api/categories').expect(200);
+
+            // Assert
+            expect(response.body.count).toBe(0);
+            await expect(
+                Sweet.create(global.testUtils.createMockSweet({ category: 'Candy' }))
+            ).rejects.toThrow(/Candy is not a valid category/);
+        });
+
+        test('should not seed a database that already has categories', async () => {
+            // Arrange
+            await Category.create({ name: 'Toffee' });
+
+            // Act
+            await Category.ensureSeeded();
+
+            // Assert
+            expect(await Category.countDocuments()).toBe(1);
+        });
+
+        test('should reject a category that does not exist', async () => {
+            await expect(
+                Sweet.create(global.testUtils.createMockSweet({ category: 'Toffee' }))
+            ).rejects.toThrow(/Toffee is not a valid category/);
+        });
+    });
+
+    describe('GET /api/categories', () => {
+        test('should list categories in display order with sweet counts', async () => {
+            // Arrange
+            await Sweet.create([
+                global.testUtils.createMockSweet({ name: 'Dark Bar', category: 'Chocolate' }),
+                global.testUtils.createMockSweet({ name: 'Milk Bar', category: 'Chocolate' }),
+                global.testUtils.createMockSweet({ name: 'Bears', category: 'Gummy' }),
+            ]);
+
+            // Act
+            const response = await request(app).get('/api/categories').expect(200);
+
+            // Assert
+            const names = response.body.data.map((category) => category.name);
+            expect(names.slice(0, 3)).toEqual(['Chocolate', 'Candy', 'Gummy']);
+            expect(response.body.data.find((c) => c.name === 'Chocolate').sweetCount).toBe(2);
+            expect(response.body.data.find((c) => c.name === 'Candy').sweetCount).toBe(0);
+        });
+
+        test('should get a category by slug', async () => {
+            const response = await request(app).get('/api/categories/soft-candy').expect(200);
+
+            expect(response.body.data.name).toBe('Soft Candy');
+        });
+    });
+
+    describe('Managing categories', () => {
+        test('should let admins add a category that sweets can then use', async () => {
+            // Act
+            const response = await request(app)
+                .post('/api/categories')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Toffee', description: 'Chewy and buttery', displayOrder: 10 })
+                .expect(201);
+
+            // Assert
+            expect(response.body.data.slug).toBe('toffee');
+            await request(app)
+                .post('/api/sweets')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send(global.testUtils.createMockSweet({ category: 'Toffee' }))
+                .expect(201);
+        });
+
+        test('should reject duplicate names', async () => {
+            await request(app)
+                .post('/api/categories')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Chocolate' })
+                .expect(400);
+        });
+
+        test('should rename a category and its sweets', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ category: 'Other' }));
+            const other = await Category.findOne({ name: 'Other' });
+
+            // Act
+            const response = await request(app)
+                .patch(`/api/categories/${other._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Miscellaneous' })
+                .expect(200);
+
+            // Assert
+            expect(response.body.data.slug).toBe('miscellaneous');
+            expect((await Sweet.findById(sweet._id)).category).toBe('Miscellaneous');
+        });
+
+        test('should rename sweets saved under the old name while it is being renamed', async () => {
+            // Arrange
+            await Category.ensureSeeded();
+            const other = await Category.findOne({ name: 'Other' });
+            const updateMany = Sweet.updateMany.bind(Sweet);
+            jest.spyOn(Sweet, 'updateMany').mockImplementationOnce(async (...args) => {
+                const result = await updateMany(...args);
+                // Written by a request that checked the category before the rename
+                await Sweet.collection.insertOne(global.testUtils.createMockSweet({ name: 'Late Pop', category: 'Other' }));
+                return result;
+            });
+
+            // Act
+            await request(app)
+                .patch(`/api/categories/${other._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Miscellaneous' })
+                .expect(200);
+
+            // Assert
+            expect(await Sweet.findOne({ name: 'Late Pop' })).toHaveProperty('category', 'Miscellaneous');
+        });
+
+        test('should complete a purchase while its category is being renamed', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ category: 'Other' }));
+            const findOneAndUpdate = Sweet.findOneAndUpdate.bind(Sweet);
+            jest.spyOn(Sweet, 'findOneAndUpdate').mockImplementationOnce(async (...args) => {
+                const purchased = await findOneAndUpdate(...args);
+                // The category has its new name, its sweets are not moved yet
+                await Category.updateOne({ name: 'Other' }, { $set: { name: 'Miscellaneous' } });
+                return purchased;
+            });
+
+            // Act
+            const response = await request(app)
+                .post(`/api/sweets/${sweet._id}/purchase`)
+                .send({ quantity: 1 })
+                .expect(200);
+
+            // Assert
+            expect(response.body.data).toHaveProperty('quantity', 99);
+            expect((await Sweet.findById(sweet._id)).quantity).toBe(99);
+        });
+
+        test('should block deleting a category that still has sweets', async () => {
+            // Arrange
+            await Sweet.create(global.testUtils.createMockSweet({ category: 'Lollipop' }));
+            const lollipop = await Category.findOne({ name: 'Lollipop' });
+
+            // Act
+            const response = await request(app)
+                .delete(`/api/categories/${lollipop._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+
+            // Assert
+            expect(response.body.message).toMatch(/has 1 sweet/);
+            expect(await Category.exists({ name: 'Lollipop' })).toBeTruthy();
+        });
+
+        test('should reassign sweets, including deleted ones, before deleting', async () => {
+            // Arrange
+            const [active, trashed] = await Sweet.create([
+                global.testUtils.createMockSweet({ name: 'Swirl Pop', category: 'Lollipop' }),
+                global.testUtils.createMockSweet({ name: 'Old Pop', category: 'Lollipop' }),
+            ]);
+            await Sweet.updateOne({ _id: trashed._id }, { deletedAt: new Date() });
+            const [lollipop, candy] = await Promise.all([
+                Category.findOne({ name: 'Lollipop' }),
+                Category.findOne({ name: 'Candy' }),
+            ]);
+
+            // Act
+            const response = await request(app)
+                .delete(`/api/categories/${lollipop._id}?reassignTo=${candy._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(response.body.data.reassigned).toBe(2);
+            expect((await Sweet.findById(active._id)).category).toBe('Candy');
+            expect((await Sweet.findById(trashed._id).setOptions({ withDeleted: true })).category).toBe('Candy');
+            expect(await Category.exists({ name: 'Lollipop' })).toBeNull();
+        });
+
+        test('should keep a category that gets a sweet while it is being deleted', async () => {
+            // Arrange
+            await Category.ensureSeeded();
+            const lollipop = await Category.findOne({ name: 'Lollipop' });
+            const deleteOne = Category.deleteOne.bind(Category);
+            jest.spyOn(Category, 'deleteOne').mockImplementationOnce(async (...args) => {
+                await Sweet.create(global.testUtils.createMockSweet({ name: 'Late Pop', category: 'Lollipop' }));
+                return deleteOne(...args);
+            });
+
+            // Act
+            const response = await request(app)
+                .delete(`/api/categories/${lollipop._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(409);
+
+            // Assert
+            expect(response.body.message).toMatch(/added to the category while it was being deleted/);
+            expect(await Category.findById(lollipop._id)).toHaveProperty('slug', 'lollipop');
+        });
+
+        test('should move sweets saved into the category while it is being reassigned', async () => {
+            // Arrange
+            await Category.ensureSeeded();
+            const [lollipop, candy] = await Promise.all([
+                Category.findOne({ name: 'Lollipop' }),
+                Category.findOne({ name: 'Candy' }),
+            ]);
+            const deleteOne = Category.deleteOne.bind(Category);
+            jest.spyOn(Category, 'deleteOne').mockImplementationOnce(async (...args) => {
+                await Sweet.create(global.testUtils.createMockSweet({ name: 'Late Pop', category: 'Lollipop' }));
+                return deleteOne(...args);
+            });
+
+            // Act
+            const response = await request(app)
+                .delete(`/api/categories/${lollipop._id}?reassignTo=${candy._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(response.body.data.reassigned).toBe(1);
+            expect(await Sweet.findOne({ name: 'Late Pop' })).toHaveProperty('category', 'Candy');
+            expect(await Category.exists({ name: 'Lollipop' })).toBeNull();
+        });
+
+        test('should deny normal users', async () => {
+            await request(app)
+                .post('/api/categories')
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ name: 'Toffee' })
+                .expect(403);
+        });
+    });
+});
@@ -0,0 +1,322 @@
+/**
+ * Coupon Tests
+ *
+ * Test suite for coupon management, validation and redemption at checkout
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const User = require('../models/User');
+const Sweet = require('../models/Sweet');
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const CouponUsage = require('../models/CouponUsage');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Helper function to generate JWT token for testing
+ */
+const generateTestToken = (userId, role = 'user') => {
+    return jwt.sign(
+        { id: userId, role },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '1d' }
+    );
+};
+
+describe('Coupons API', () => {
+    let adminToken;
+    let userToken;
+    let otherToken;
+
+    /**
+     * Helper to check out a basket
+     */
+    const checkout = (body, token = userToken) =>
+        request(app)
+            .post('/api/orders')
+            .set('Authorization', `Bearer ${token}`)
+            .send(body);
+
+    // Connect to in-memory database before all tests
+    beforeAll(async () => {
+        await dbHandler.connect();
+
+        const [adminUser, normalUser, otherUser] = await User.create([
+            { name: 'Admin User', email: 'admin@sweetshop.com', password: 'admin123', role: 'admin' },
+            { name: 'Normal User', email: 'user@sweetshop.com', password: 'user123' },
+            { name: 'Other User', email: 'other@sweetshop.com', password: 'other123' },
+        ]);
+
+        adminToken = generateTestToken(adminUser._id, 'admin');
+        userToken = generateTestToken(normalUser._id);
+        otherToken = generateTestToken(otherUser._id);
+    });
+
+    // Clear sweets, orders and coupons after each test, keep users
+    afterEach(async () => {
+        await Sweet.deleteMany({}, { withDeleted: true });
+        await Order.deleteMany({});
+        await Coupon.deleteMany({});
+        await CouponUsage.deleteMany({});
+    });
+
+    // Close database connection after all tests
+    afterAll(async () => {
+        await dbHandler.closeDatabase();
+    });
+
+    describe('Coupon management', () => {
+        test('should let an admin create a coupon with an uppercased code', async () => {
+            // Act
+            const response = await request(app)
+                .post('/api/coupons')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ code: 'spring10', type: 'percentage', value: 10, categories: ['Chocolate'] })
+                .expect(201);
+
+            // Assert
+            expect(response.body.data).toHaveProperty('code', 'SPRING10');
+            expect(response.body.data).toHaveProperty('usedCount', 0);
+        });
+
+        test('should reject a percentage above 100 and an unknown category', async () => {
+            // Act
+            const response = await request(app)
+                .post('/api/coupons')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ code: 'TOOMUCH', type: 'percentage', value: 150, categories: ['Nope'] })
+                .expect(400);
+
+            // Assert
+            expect(response.body.message).toContain('A percentage discount cannot exceed 100');
+            expect(response.body.message).toContain('Every category must be an existing category');
+        });
+
+        test('should reject a duplicate code', async () => {
+            // Arrange
+            await Coupon.create({ code: 'ONCE', type: 'fixed', value: 1 });
+
+            // Act
+            const response = await request(app)
+                .post('/api/coupons')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ code: 'once', type: 'fixed', value: 2 })
+                .expect(400);
+
+            // Assert
+            expect(response.body.message).toBe('A coupon with this code already exists');
+        });
+
+        test('should check the value again when only the type changes', async () => {
+            // Arrange
+            const coupon = await Coupon.create({ code: 'FLAT20', type: 'fixed', value: 120 });
+
+            // Act
+            await request(app)
+                .patch(`/api/coupons/${coupon._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ type: 'percentage' })
+                .expect(400);
+
+            // Assert
+            expect((await Coupon.findById(coupon._id)).type).toBe('fixed');
+        });
+
+        test('should deny customers without coupons:manage', async () => {
+            // Act & Assert
+            await request(app)
+                .get('/api/coupons')
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(403);
+        });
+    });
+
+    describe('POST /api/coupons/validate', () => {
+        test('should return the discount breakdown without using the coupon', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ price: 10 }));
+            await Coupon.create({ code: 'TENOFF', type: 'percentage', value: 10 });
+
+            // Act
+            const response = await request(app)
+                .post('/api/coupons/validate')
+                .send({ items: [{ sweetId: sweet._id, quantity: 3 }], couponCode: 'tenoff' })
+                .expect(200);
+
+            // Assert
+            expect(response.body.data).toMatchObject({ subtotal: 30, discountTotal: 3, total: 27 });
+            expect(response.body.data.discounts[0]).toMatchObject({ code: 'TENOFF', amount: 3 });
+            expect((await Coupon.findOne({ code: 'TENOFF' })).usedCount).toBe(0);
+        });
+
+        test('should reject an expired or unknown code', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+            await Coupon.create({ code: 'OLD', type: 'fixed', value: 1, expiresAt: new Date(Date.now() - 1000) });
+
+            // Act
+            const expired = await request(app)
+                .post('/api/coupons/validate')
+                .send({ items: [{ sweetId: sweet._id, quantity: 1 }], couponCode: 'OLD' })
+                .expect(400);
+            const unknown = await request(app)
+                .post('/api/coupons/validate')
+                .send({ items: [{ sweetId: sweet._id, quantity: 1 }], couponCode: 'MISSING' })
+                .expect(400);
+
+            // Assert
+            expect(expired.body.message).toBe('Coupon OLD has expired');
+            expect(unknown.body.message).toBe('Invalid coupon code: MISSING');
+        });
+
+        test('should only discount sweets in scope and enforce the minimum spend on them', async () => {
+            // Arrange
+            const [chocolate, gummy] = await Sweet.create([
+                { name: 'Chocolate Bar', category: 'Chocolate', price: 4, quantity: 10 },
+                { name: 'Gummy Bears', category: 'Gummy', price: 20, quantity: 10 },
+            ]);
+            await Coupon.create({ code: 'CHOC5', type: 'fixed', value: 5, categories: ['Chocolate'], minSpend: 10 });
+            const items = [{ sweetId: chocolate._id, quantity: 2 }, { sweetId: gummy._id, quantity: 1 }];
+
+            // Act
+            const tooLittle = await request(app)
+                .post('/api/coupons/validate')
+                .send({ items, couponCode: 'CHOC5' })
+                .expect(400);
+            items[0].quantity = 3;
+            const response = await request(app)
+                .post('/api/coupons/validate')
+                .send({ items, couponCode: 'CHOC5' })
+                .expect(200);
+
+            // Assert
+            expect(tooLittle.body.message).toContain('minimum spend of 10.00');
+            const [chocolateLine, gummyLine] = response.body.data.items;
+            expect(chocolateLine).toMatchObject({ subtotal: 12, discount: 5, total: 7 });
+            expect(gummyLine).toMatchObject({ subtotal: 20, discount: 0, total: 20 });
+        });
+
+        test('should apply stackable percentages before fixed amounts', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ price: 10 }));
+            await Coupon.create([
+                { code: 'FIVE', type: 'fixed', value: 5, stackable: true },
+                { code: 'HALF', type: 'percentage', value: 50, stackable: true },
+            ]);
+
+            // Act
+            const response = await request(app)
+                .post('/api/coupons/validate')
+                .send({ items: [{ sweetId: sweet._id, quantity: 2 }], couponCodes: ['FIVE', 'HALF'] })
+                .expect(200);
+
+            // Assert
+            expect(response.body.data.discounts.map((discount) => [discount.code, discount.amount]))
+                .toEqual([['HALF', 10], ['FIVE', 5]]);
+            expect(response.body.data.total).toBe(5);
+        });
+
+        test('should refuse to combine a coupon that is not stackable', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+            await Coupon.create([
+                { code: 'SOLO', type: 'fixed', value: 1 },
+                { code: 'TEAM', type: 'fixed', value: 1, stackable: true },
+            ]);
+
+            // Act
+            const response = await request(app)
+                .post('/api/coupons/validate')
+                .send({ items: [{ sweetId: sweet._id, quantity: 1 }], couponCodes: ['TEAM', 'SOLO'] })
+                .expect(400);
+
+            // Assert
+            expect(response.body.message).toBe('Coupon SOLO cannot be combined with other codes');
+        });
+    });
+
+    describe('Redeeming coupons', () => {
+        test('should store the discount on the order and count the use', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ price: 2.5 }));
+            await Coupon.create({ code: 'TWO', type: 'fixed', value: 2 });
+
+            // Act
+            const response = await checkout({ items: [{ sweetId: sweet._id, quantity: 4 }], couponCode: 'TWO' })
+                .expect(201);
+
+            // Assert
+            expect(response.body.data).toMatchObject({ subtotal: 10, discountTotal: 2, total: 8 });
+            expect(response.body.data.discounts[0]).toMatchObject({ code: 'TWO', amount: 2 });
+            expect(response.body.data.items[0]).toMatchObject({ subtotal: 10, discount: 2 });
+            expect((await Coupon.findOne({ code: 'TWO' })).usedCount).toBe(1);
+        });
+
+        test('should return the pricing breakdown from a single purchase', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ price: 10 }));
+            await Coupon.create({ code: 'QUARTER', type: 'percentage', value: 25 });
+
+            // Act
+            const response = await request(app)
+                .post(`/api/sweets/${sweet._id}/purchase`)
+                .send({ quantity: 2, couponCode: 'QUARTER' })
+                .expect(200);
+
+            // Assert
+            expect(response.body.pricing).toMatchObject({ subtotal: 20, discountTotal: 5, total: 15 });
+        });
+
+        test('should stop at the usage limit and leave stock alone', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ quantity: 10 }));
+            await Coupon.create({ code: 'FIRST', type: 'fixed', value: 1, usageLimit: 1 });
+            const body = { items: [{ sweetId: sweet._id, quantity: 1 }], couponCode: 'FIRST' };
+
+            // Act
+            await checkout(body).expect(201);
+            const response = await checkout(body, otherToken).expect(400);
+
+            // Assert
+            expect(response.body.message).toBe('Coupon FIRST has reached its usage limit');
+            expect((await Sweet.findById(sweet._id)).quantity).toBe(9);
+        });
+
+        test('should give the use back when the stock runs out', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ quantity: 1 }));
+            await Coupon.create({ code: 'BACK', type: 'fixed', value: 1, usageLimit: 1, perUserLimit: 1 });
+
+            // Act
+            await checkout({ items: [{ sweetId: sweet._id, quantity: 2 }], couponCode: 'BACK' }).expect(400);
+
+            // Assert
+            expect((await Coupon.findOne({ code: 'BACK' })).usedCount).toBe(0);
+            expect(await CouponUsage.countDocuments({ count: { $gt: 0 } })).toBe(0);
+        });
+
+        test('should hold each customer to the per-user limit and need a login for it', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+            await Coupon.create({ code: 'WELCOME', type: 'fixed', value: 1, perUserLimit: 1 });
+            const body = { items: [{ sweetId: sweet._id, quantity: 1 }], couponCode: 'WELCOME' };
+
+            // Act
+            await checkout(body).expect(201);
+            const again = await checkout(body).expect(400);
+            await checkout(body, otherToken).expect(201);
+            const anonymous = await request(app)
+                .post(`/api/sweets/${sweet._id}/purchase`)
+                .send({ quantity: 1, couponCode: 'WELCOME' })
+                .expect(400);
+
+            // Assert
+            expect(again.body.message).toBe('You have already used coupon WELCOME the maximum number of times');
+            expect(anonymous.body.message).toBe('Log in to use coupon WELCOME');
+            expect((await Coupon.findOne({ code: 'WELCOME' })).usedCount).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,220 @@
+/**
+ * Favorite Tests
+ *
+ * Test suite for the per-user wishlist and the isFavorite flag on sweets
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const User = require('../models/User');
+const Sweet = require('../models/Sweet');
+const Favorite = require('../models/Favorite');
+const rateLimitConfig = require('../config/rateLimits');
+const { getDefaultStore } = require('../middleware/rateLimiter');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Helper function to generate JWT token for testing
+ */
+const generateTestToken = (userId, role = 'user') => {
+    return jwt.sign(
+        { id: userId, role },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '1d' }
+    );
+};
+
+describe('Favorites API', () => {
+    let adminToken;
+    let userToken;
+    let otherToken;
+
+    /**
+     * Helper to favorite a sweet
+     */
+    const favorite = (sweetId, token = userToken) =>
+        request(app)
+            .put(`/api/me/favorites/${sweetId}`)
+            .set('Authorization', `Bearer ${token}`);
+
+    // Connect to in-memory database before all tests
+    beforeAll(async () => {
+        await dbHandler.connect();
+
+        const [adminUser, normalUser, otherUser] = await User.create([
+            { name: 'Admin User', email: 'admin@sweetshop.com', password: 'admin123', role: 'admin' },
+            { name: 'Normal User', email: 'user@sweetshop.com', password: 'user123' },
+            { name: 'Other User', email: 'other@sweetshop.com', password: 'other123' },
+        ]);
+
+        adminToken = generateTestToken(adminUser._id, 'admin');
+        userToken = generateTestToken(normalUser._id);
+        otherToken = generateTestToken(otherUser._id);
+    });
+
+    // Clear sweets and favorites after each test, keep users
+    afterEach(async () => {
+        await Sweet.deleteMany({}, { withDeleted: true });
+        await Favorite.deleteMany({});
+    });
+
+    // Close database connection after all tests
+    afterAll(async () => {
+        await dbHandler.closeDatabase();
+    });
+
+    describe('PUT and DELETE /api/me/favorites/:sweetId', () => {
+        test('should add a sweet once, however often it is added', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+
+            // Act
+            const response = await favorite(sweet._id).expect(200);
+            await favorite(sweet._id).expect(200);
+
+            // Assert
+            expect(response.body.data.sweet).toBe(String(sweet._id));
+            expect(await Favorite.countDocuments()).toBe(1);
+        });
+
+        test('should remove a sweet', async () => {
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+            await favorite(sweet._id).expect(200);
+
+            await request(app)
+                .delete(`/api/me/favorites/${sweet._id}`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(200);
+
+            expect(await Favorite.countDocuments()).toBe(0);
+        });
+
+        test('should return 404 for unknown or deleted sweets', async () => {
+            const deleted = await Sweet.create(global.testUtils.createMockSweet({ deletedAt: new Date() }));
+
+            await favorite(deleted._id).expect(404);
+            await favorite('not-an-id').expect(404);
+        });
+
+        test('should require authentication', async () => {
+            await request(app).get('/api/me/favorites').expect(401);
+        });
+
+        test('should be rate limited per user when limiting is enabled', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+            const wasEnabled = rateLimitConfig.enabled;
+            rateLimitConfig.enabled = true;
+            await getDefaultStore().reset();
+
+            try {
+                // Act
+                const response = await favorite(sweet._id).expect(200);
+
+                // Assert
+                expect(response.headers['ratelimit-limit']).toBe(String(rateLimitConfig.groups.favorites.limit));
+                expect(response.headers['ratelimit-remaining']).toBe(String(rateLimitConfig.groups.favorites.limit - 1));
+            } finally {
+                rateLimitConfig.enabled = wasEnabled;
+                await getDefaultStore().reset();
+            }
+        });
+    });
+
+    describe('GET /api/me/favorites', () => {
+        test("should list the user's favorites, most recent first", async () => {
+            // Arrange
+            const [first, second, notMine] = await Sweet.create([
+                global.testUtils.createMockSweet({ name: 'First' }),
+                global.testUtils.createMockSweet({ name: 'Second' }),
+                global.testUtils.createMockSweet({ name: 'Not Mine' }),
+            ]);
+            await favorite(first._id).expect(200);
+            await favorite(second._id).expect(200);
+            await favorite(notMine._id, otherToken).expect(200);
+
+            // Act
+            const response = await request(app)
+                .get('/api/me/favorites')
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(200);
+
+            // Assert
+            expect(response.body.total).toBe(2);
+            expect(response.body.data.map((sweet) => sweet.name)).toEqual(['Second', 'First']);
+            expect(response.body.data[0]).toMatchObject({ isFavorite: true, price: 10 });
+            expect(response.body.data[0].favoritedAt).toBeDefined();
+        });
+    });
+
+    describe('isFavorite on sweets', () => {
+        test('should flag favorites for logged in requests only', async () => {
+            // Arrange
+            const [liked, other] = await Sweet.create([
+                global.testUtils.createMockSweet({ name: 'Liked' }),
+                global.testUtils.createMockSweet({ name: 'Other' }),
+            ]);
+            await favorite(liked._id).expect(200);
+
+            // Act
+            const mine = await request(app)
+                .get('/api/sweets?sort=name')
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(200);
+            const anonymous = await request(app).get('/api/sweets?sort=name').expect(200);
+            const detail = await request(app)
+                .get(`/api/sweets/${other._id}`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(200);
+
+            // Assert
+            expect(mine.body.data.map((sweet) => [sweet.name, sweet.isFavorite])).toEqual([
+                ['Liked', true],
+                ['Other', false],
+            ]);
+            expect(anonymous.body.data[0].isFavorite).toBeUndefined();
+            expect(detail.body.data.isFavorite).toBe(false);
+        });
+
+        test('should ignore an invalid token on public routes', async () => {
+            const response = await request(app)
+                .get('/api/sweets')
+                .set('Authorization', 'Bearer not-a-token')
+                .expect(200);
+
+            expect(response.body.success).toBe(true);
+        });
+    });
+
+    describe('Deleting sweets', () => {
+        test('should remove deleted sweets from wishlists', async () => {
+            // Arrange
+            const [single, bulk, kept] = await Sweet.create([
+                global.testUtils.createMockSweet({ name: 'Single' }),
+                global.testUtils.createMockSweet({ name: 'Bulk' }),
+                global.testUtils.createMockSweet({ name: 'Kept' }),
+            ]);
+            await favorite(single._id).expect(200);
+            await favorite(bulk._id, otherToken).expect(200);
+            await favorite(kept._id).expect(200);
+
+            // Act
+            await request(app)
+                .delete(`/api/sweets/${single._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            await request(app)
+                .post('/api/sweets/bulk-delete')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ ids: [String(bulk._id)] })
+                .expect(200);
+
+            // Assert
+            const remaining = await Favorite.find();
+            expect(remaining).toHaveLength(1);
+            expect(String(remaining[0].sweet)).toBe(String(kept._id));
+        });
+    });
+});
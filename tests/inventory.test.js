@@ -0,0 +1,189 @@
+/**
+ * Inventory Tests
+ *
+ * Test suite for reorder levels, the low-stock report and low-stock alerts
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const User = require('../models/User');
+const Sweet = require('../models/Sweet');
+const Order = require('../models/Order');
+const StockMovement = require('../models/StockMovement');
+const notifier = require('../utils/notifier');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Helper function to generate JWT token for testing
+ */
+const generateTestToken = (userId, role = 'user') => {
+    return jwt.sign(
+        { id: userId, role },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '1d' }
+    );
+};
+
+describe('Inventory API', () => {
+    // Alerts are captured instead of logged
+    const alerts = [];
+    let originalNotifier;
+    let adminToken;
+    let userToken;
+
+    /**
+     * Helper to buy a sweet
+     */
+    const purchase = (sweetId, quantity) =>
+        request(app)
+            .post(`/api/sweets/${sweetId}/purchase`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ quantity });
+
+    // Connect to in-memory database before all tests
+    beforeAll(async () => {
+        await dbHandler.connect();
+
+        originalNotifier = notifier.getNotifier();
+        notifier.setNotifier({ notify: async (event) => { alerts.push(event); } });
+
+        const adminUser = await User.create({
+            name: 'Admin User',
+            email: 'admin@sweetshop.com',
+            password: 'admin123',
+            role: 'admin',
+        });
+
+        const normalUser = await User.create({
+            name: 'Normal User',
+            email: 'user@sweetshop.com',
+            password: 'user123',
+        });
+
+        adminToken = generateTestToken(adminUser._id, 'admin');
+        userToken = generateTestToken(normalUser._id);
+    });
+
+    // Clear sweets and alerts after each test, keep users
+    afterEach(async () => {
+        await Sweet.deleteMany({}, { withDeleted: true });
+        await Order.deleteMany({});
+        await StockMovement.deleteMany({});
+        alerts.length = 0;
+    });
+
+    // Close database connection after all tests
+    afterAll(async () => {
+        await dbHandler.closeDatabase();
+
+        notifier.setNotifier(originalNotifier);
+    });
+
+    describe('GET /api/inventory/low-stock', () => {
+        test('should list sweets at or below their reorder level, most urgent first', async () => {
+            // Arrange
+            await Sweet.create([
+                global.testUtils.createMockSweet({ name: 'Half Gone', quantity: 5, reorderLevel: 10 }),
+                global.testUtils.createMockSweet({ name: 'Empty', quantity: 0, reorderLevel: 4 }),
+                global.testUtils.createMockSweet({ name: 'At Level', quantity: 8, reorderLevel: 8 }),
+                global.testUtils.createMockSweet({ name: 'Plenty', quantity: 50, reorderLevel: 10 }),
+                global.testUtils.createMockSweet({ name: 'Untracked', quantity: 1 }),
+            ]);
+
+            // Act
+            const response = await request(app)
+                .get('/api/inventory/low-stock')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(response.body.total).toBe(3);
+            expect(response.body.data.map((sweet) => sweet.name)).toEqual(['Empty', 'Half Gone', 'At Level']);
+            expect(response.body.data[1]).toMatchObject({ quantity: 5, reorderLevel: 10, shortfall: 5 });
+        });
+
+        test('should deny normal users', async () => {
+            await request(app)
+                .get('/api/inventory/low-stock')
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(403);
+        });
+    });
+
+    describe('Low-stock alerts', () => {
+        test('should alert once when a purchase drops a sweet to its reorder level', async () => {
+            // Arrange
+            const sweet = await Sweet.create(
+                global.testUtils.createMockSweet({ name: 'Fudge', sku: 'FUDGE-1', quantity: 12, reorderLevel: 10 })
+            );
+
+            // Act
+            await purchase(sweet._id, 1).expect(200);
+            await purchase(sweet._id, 1).expect(200);
+            await purchase(sweet._id, 1).expect(200);
+
+            // Assert
+            expect(alerts).toHaveLength(1);
+            expect(alerts[0]).toMatchObject({
+                type: 'inventory.low_stock',
+                data: { sweetId: String(sweet._id), name: 'Fudge', sku: 'FUDGE-1', quantity: 10, reorderLevel: 10 },
+            });
+            expect((await Sweet.findById(sweet._id)).lowStockAlertedAt).toBeInstanceOf(Date);
+        });
+
+        test('should alert again after a restock lifts the sweet above its level', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ quantity: 3, reorderLevel: 2 }));
+            await purchase(sweet._id, 1).expect(200);
+
+            // Act
+            await request(app)
+                .post(`/api/sweets/${sweet._id}/restock`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ quantity: 10 })
+                .expect(200);
+            await purchase(sweet._id, 10).expect(200);
+
+            // Assert
+            expect(alerts.map((alert) => alert.data.quantity)).toEqual([2, 2]);
+        });
+
+        test('should alert for every order line that drops below its level', async () => {
+            // Arrange
+            const [low, fine] = await Sweet.create([
+                global.testUtils.createMockSweet({ name: 'Low', quantity: 5, reorderLevel: 3 }),
+                global.testUtils.createMockSweet({ name: 'Fine', quantity: 50, reorderLevel: 3 }),
+            ]);
+
+            // Act
+            await request(app)
+                .post('/api/orders')
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ items: [{ sweetId: low._id, quantity: 3 }, { sweetId: fine._id, quantity: 3 }] })
+                .expect(201);
+
+            // Assert
+            expect(alerts.map((alert) => alert.data.name)).toEqual(['Low']);
+        });
+
+        test('should not alert for sweets without a reorder level', async () => {
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ quantity: 2 }));
+
+            await purchase(sweet._id, 2).expect(200);
+
+            expect(alerts).toHaveLength(0);
+        });
+
+        test('should reject an invalid reorder level', async () => {
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+
+            await request(app)
+                .put(`/api/sweets/${sweet._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ reorderLevel: -1 })
+                .expect(400);
+        });
+    });
+});
@@ -0,0 +1,243 @@
+/**
+ * Order Tests
+ *
+ * Test suite for multi-item checkout and order history
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const User = require('../models/User');
+const Sweet = require('../models/Sweet');
+const Order = require('../models/Order');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Helper function to generate JWT token for testing
+ */
+const generateTestToken = (userId, role = 'user') => {
+    return jwt.sign(
+        { id: userId, role },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '1d' }
+    );
+};
+
+describe('Orders API', () => {
+    let adminToken;
+    let userToken;
+    let otherUserToken;
+
+    // Connect to in-memory database before all tests
+    beforeAll(async () => {
+        await dbHandler.connect();
+
+        const adminUser = await User.create({
+            name: 'Admin User',
+            email: 'admin@sweetshop.com',
+            password: 'admin123',
+            role: 'admin',
+        });
+
+        const normalUser = await User.create({
+            name: 'Normal User',
+            email: 'user@sweetshop.com',
+            password: 'user123',
+        });
+
+        const otherUser = await User.create({
+            name: 'Other User',
+            email: 'other@sweetshop.com',
+            password: 'other123',
+        });
+
+        adminToken = generateTestToken(adminUser._id, 'admin');
+        userToken = generateTestToken(normalUser._id);
+        otherUserToken = generateTestToken(otherUser._id);
+    });
+
+    // Clear sweets and orders after each test, keep users
+    afterEach(async () => {
+        await Sweet.deleteMany({});
+        await Order.deleteMany({});
+    });
+
+    // Close database connection after all tests
+    afterAll(async () => {
+        await dbHandler.closeDatabase();
+    });
+
+    describe('POST /api/orders', () => {
+        test('should decrement every line and return the order total', async () => {
+            // Arrange
+            const [chocolate, gummy] = await Sweet.create([
+                { name: 'Chocolate Bar', category: 'Chocolate', price: 2.5, quantity: 10 },
+                { name: 'Gummy Bears', category: 'Gummy', price: 1.2, quantity: 3 },
+            ]);
+
+            // Act
+            const response = await request(app)
+                .post('/api/orders')
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({
+                    items: [
+                        { sweetId: chocolate._id, quantity: 4 },
+                        { sweetId: gummy._id, quantity: 3 },
+                    ],
+                })
+                .expect('Content-Type', /json/)
+                .expect(201);
+
+            // Assert
+            expect(response.body).toHaveProperty('success', true);
+            expect(response.body.data.items).toHaveLength(2);
+            expect(response.body.data).toHaveProperty('total', 13.6);
+
+            const updatedChocolate = await Sweet.findById(chocolate._id);
+            const updatedGummy = await Sweet.findById(gummy._id);
+            expect(updatedChocolate.quantity).toBe(6);
+            expect(updatedGummy.quantity).toBe(0);
+            expect(updatedGummy.inStock).toBe(false);
+        });
+
+        test('should snapshot line prices so later price changes do not affect the order', async () => {
+            // Arrange
+            const sweet = await Sweet.create({
+                name: 'Toffee', category: 'Soft Candy', price: 3, quantity: 10,
+            });
+
+            const response = await request(app)
+                .post('/api/orders')
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ items: [{ sweetId: sweet._id, quantity: 2 }] })
+                .expect(201);
+
+            // Act
+            await Sweet.updateOne({ _id: sweet._id }, { price: 10 });
+
+            // Assert
+            const order = await Order.findById(response.body.data._id);
+            expect(order.items[0].price).toBe(3);
+            expect(order.total).toBe(6);
+        });
+
+        test('should take no stock at all when one line cannot be filled', async () => {
+            // Arrange
+            const [plenty, scarce] = await Sweet.create([
+                { name: 'Plenty Sweet', category: 'Candy', price: 1, quantity: 10 },
+                { name: 'Scarce Sweet', category: 'Candy', price: 1, quantity: 1 },
+            ]);
+
+            // Act
+            const response = await request(app)
+                .post('/api/orders')
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({
+                    items: [
+                        { sweetId: plenty._id, quantity: 5 },
+                        { sweetId: scarce._id, quantity: 2 },
+                    ],
+                })
+                .expect(400);
+
+            // Assert
+            expect(response.body.message).toMatch(/insufficient quantity for scarce sweet/i);
+            expect((await Sweet.findById(plenty._id)).quantity).toBe(10);
+            expect((await Sweet.findById(scarce._id)).quantity).toBe(1);
+            expect(await Order.countDocuments()).toBe(0);
+        });
+
+        test('should fail with 404 if a sweet does not exist', async () => {
+            // Arrange
+            const sweet = await Sweet.create({
+                name: 'Real Sweet', category: 'Candy', price: 1, quantity: 10,
+            });
+
+            // Act
+            await request(app)
+                .post('/api/orders')
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({
+                    items: [
+                        { sweetId: sweet._id, quantity: 1 },
+                        { sweetId: '507f1f77bcf86cd799439011', quantity: 1 },
+                    ],
+                })
+                .expect(404);
+
+            // Assert
+            expect((await Sweet.findById(sweet._id)).quantity).toBe(10);
+        });
+
+        test('should validate items', async () => {
+            // Act
+            const response = await request(app)
+                .post('/api/orders')
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ items: [] })
+                .expect(400);
+
+            // Assert
+            expect(response.body).toHaveProperty('success', false);
+        });
+
+        test('should require authentication', async () => {
+            // Act & Assert
+            await request(app)
+                .post('/api/orders')
+                .send({ items: [] })
+                .expect(401);
+        });
+    });
+
+    describe('GET /api/orders/mine and GET /api/orders', () => {
+        beforeEach(async () => {
+            // Arrange - One order per customer
+            const sweet = await Sweet.create({
+                name: 'History Sweet', category: 'Candy', price: 1, quantity: 10,
+            });
+
+            await request(app)
+                .post('/api/orders')
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ items: [{ sweetId: sweet._id, quantity: 1 }] });
+
+            await request(app)
+                .post('/api/orders')
+                .set('Authorization', `Bearer ${otherUserToken}`)
+                .send({ items: [{ sweetId: sweet._id, quantity: 2 }] });
+        });
+
+        test('should return only the logged in user\'s orders', async () => {
+            // Act
+            const response = await request(app)
+                .get('/api/orders/mine')
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(200);
+
+            // Assert
+            expect(response.body.total).toBe(1);
+            expect(response.body.data[0].user).toHaveProperty('email', 'user@sweetshop.com');
+        });
+
+        test('should return every order to admins', async () => {
+            // Act
+            const response = await request(app)
+                .get('/api/orders')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(response.body.total).toBe(2);
+        });
+
+        test('should fail with 403 if a normal user lists all orders', async () => {
+            // Act & Assert
+            await request(app)
+                .get('/api/orders')
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(403);
+        });
+    });
+});
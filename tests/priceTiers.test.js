@@ -0,0 +1,214 @@
+/**
+ * Price Tier Tests
+ *
+ * Test suite for quantity price breaks on sweets and categories
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const User = require('../models/User');
+const Sweet = require('../models/Sweet');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Helper function to generate JWT token for testing
+ */
+const generateTestToken = (userId, role = 'user') => {
+    return jwt.sign(
+        { id: userId, role },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '1d' }
+    );
+};
+
+const WHOLESALE_TIERS = [
+    { minQuantity: 10, percentOff: 5 },
+    { minQuantity: 50, percentOff: 12 },
+];
+
+describe('Price Tiers', () => {
+    let adminToken;
+    let userToken;
+
+    // Connect to in-memory database before all tests
+    beforeAll(async () => {
+        await dbHandler.connect();
+
+        const [adminUser, normalUser] = await User.create([
+            { name: 'Admin User', email: 'admin@sweetshop.com', password: 'admin123', role: 'admin' },
+            { name: 'Normal User', email: 'user@sweetshop.com', password: 'user123' },
+        ]);
+
+        adminToken = generateTestToken(adminUser._id, 'admin');
+        userToken = generateTestToken(normalUser._id);
+    });
+
+    // Clear sweets, orders, carts and category tiers after each test, keep users
+    afterEach(async () => {
+        await Sweet.deleteMany({}, { withDeleted: true });
+        await Order.deleteMany({});
+        await Cart.deleteMany({});
+        await Category.updateMany({}, { $set: { priceTiers: [] } });
+    });
+
+    // Close database connection after all tests
+    afterAll(async () => {
+        await dbHandler.closeDatabase();
+    });
+
+    describe('Unit prices', () => {
+        test('should charge the highest tier a purchase reaches', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({
+                price: 2,
+                quantity: 500,
+                priceTiers: WHOLESALE_TIERS,
+            }));
+
+            // Act
+            const below = await request(app)
+                .post(`/api/sweets/${sweet._id}/purchase`)
+                .send({ quantity: 9 })
+                .expect(200);
+            const wholesale = await request(app)
+                .post(`/api/sweets/${sweet._id}/purchase`)
+                .send({ quantity: 50 })
+                .expect(200);
+
+            // Assert
+            expect(below.body.pricing.items[0]).toMatchObject({ price: 2, tier: null, subtotal: 18 });
+            expect(wholesale.body.pricing.items[0]).toMatchObject({
+                listPrice: 2,
+                price: 1.76,
+                tier: { minQuantity: 50, percentOff: 12 },
+                subtotal: 88,
+            });
+        });
+
+        test('should fall back to the category tiers and let the sweet override them', async () => {
+            // Arrange
+            await Category.ensureSeeded();
+            await Category.updateOne({ name: 'Gummy' }, { $set: { priceTiers: [{ minQuantity: 100, percentOff: 20 }] } });
+            const [gummy, special] = await Sweet.create([
+                { name: 'Gummy Bears', category: 'Gummy', price: 1, quantity: 500 },
+                { name: 'Gummy Worms', category: 'Gummy', price: 1, quantity: 500, priceTiers: [{ minQuantity: 100, percentOff: 10 }] },
+            ]);
+
+            // Act
+            const response = await request(app)
+                .post('/api/orders')
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ items: [{ sweetId: gummy._id, quantity: 100 }, { sweetId: special._id, quantity: 100 }] })
+                .expect(201);
+
+            // Assert
+            const [gummyLine, specialLine] = response.body.data.items;
+            expect(gummyLine).toMatchObject({ price: 0.8, subtotal: 80, tier: { minQuantity: 100, percentOff: 20 } });
+            expect(specialLine).toMatchObject({ price: 0.9, subtotal: 90, tier: { minQuantity: 100, percentOff: 10 } });
+            expect(response.body.data.total).toBe(170);
+        });
+
+        test('should price cart lines at their tier without flagging a price change', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({
+                price: 2,
+                quantity: 500,
+                priceTiers: WHOLESALE_TIERS,
+            }));
+
+            // Act
+            const response = await request(app)
+                .post('/api/cart/items')
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ sweetId: sweet._id, quantity: 10 })
+                .expect(200);
+
+            // Assert
+            expect(response.body.data.items[0]).toMatchObject({ price: 1.9, subtotal: 19, priceChanged: false });
+        });
+
+        test('should show the tier table on the sweet detail', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({
+                price: 2,
+                priceTiers: WHOLESALE_TIERS,
+            }));
+
+            // Act
+            const response = await request(app).get(`/api/sweets/${sweet._id}`).expect(200);
+
+            // Assert
+            expect(response.body.data.tierPricing).toEqual({
+                source: 'sweet',
+                tiers: [
+                    { minQuantity: 10, percentOff: 5, unitPrice: 1.9 },
+                    { minQuantity: 50, percentOff: 12, unitPrice: 1.76 },
+                ],
+            });
+        });
+    });
+
+    describe('Validation', () => {
+        test('should reject tiers that overlap', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+
+            // Act
+            const response = await request(app)
+                .put(`/api/sweets/${sweet._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ priceTiers: [{ minQuantity: 50, percentOff: 5 }, { minQuantity: 10, percentOff: 12 }] })
+                .expect(400);
+
+            // Assert
+            expect(response.body.message).toContain('Price tiers cannot overlap');
+        });
+
+        test('should reject tiers whose discount does not grow with quantity', async () => {
+            // Act
+            const response = await request(app)
+                .post('/api/sweets')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send(global.testUtils.createMockSweet({
+                    priceTiers: [{ minQuantity: 10, percentOff: 12 }, { minQuantity: 50, percentOff: 5 }],
+                }))
+                .expect(400);
+
+            // Assert
+            expect(response.body.message).toBe('Each price tier must take more off than the tier before it');
+        });
+
+        test('should validate category tiers the same way', async () => {
+            // Arrange
+            await Category.ensureSeeded();
+            const category = await Category.findOne({ name: 'Chocolate' });
+
+            // Act
+            const invalid = await request(app)
+                .patch(`/api/categories/${category._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ priceTiers: [{ minQuantity: 1, percentOff: 5 }] })
+                .expect(400);
+            const malformed = await request(app)
+                .patch(`/api/categories/${category._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ priceTiers: 'lots' })
+                .expect(400);
+            const valid = await request(app)
+                .patch(`/api/categories/${category._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ priceTiers: WHOLESALE_TIERS })
+                .expect(200);
+
+            // Assert
+            expect(invalid.body.message).toBe('Tier minQuantity must be at least 2');
+            expect(malformed.body.message).toBe('priceTiers must be an array of { minQuantity, percentOff } numbers');
+            expect(valid.body.data.priceTiers).toEqual(WHOLESALE_TIERS);
+        });
+    });
+});
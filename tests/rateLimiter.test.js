@@ -0,0 +1,305 @@
+/**
+ * Rate Limiter Tests
+ *
+ * Test suite for the rate limiting middleware and its stores
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const express = require('express');
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const jwt = require('jsonwebtoken');
+const Sweet = require('../models/Sweet');
+const User = require('../models/User');
+const RateLimit = require('../models/RateLimit');
+const rateLimitConfig = require('../config/rateLimits');
+const { createRateLimiter, getDefaultStore } = require('../middleware/rateLimiter');
+const { createMemoryStore, createMongoStore } = require('../utils/rateLimitStores');
+
+/**
+ * Helper to build a tiny app behind a single limiter
+ */
+const buildApp = (options) => {
+    const limitedApp = express();
+    limitedApp.get('/', createRateLimiter({ name: 'test', enabled: true, ...options }), (req, res) => {
+        res.status(200).json({ success: true });
+    });
+    return limitedApp;
+};
+
+/**
+ * Helper to send n requests one after another
+ */
+const hit = async (target, n) => {
+    const responses = [];
+    for (let i = 0; i < n; i++) {
+        responses.push(await request(target).get('/'));
+    }
+    return responses;
+};
+
+describe('Rate Limiter', () => {
+    describe('Fixed window', () => {
+        test('should allow up to the limit and then return 429 with Retry-After', async () => {
+            // Arrange
+            const limitedApp = buildApp({ limit: 3, windowMs: 60000, store: createMemoryStore() });
+
+            // Act
+            const responses = await hit(limitedApp, 4);
+
+            // Assert
+            expect(responses.slice(0, 3).map((res) => res.statusCode)).toEqual([200, 200, 200]);
+            expect(responses[3].statusCode).toBe(429);
+            expect(responses[3].body.success).toBe(false);
+            expect(Number(responses[3].headers['retry-after'])).toBeGreaterThan(0);
+            expect(Number(responses[3].headers['retry-after'])).toBeLessThanOrEqual(60);
+        });
+
+        test('should send RateLimit headers on every response', async () => {
+            // Arrange
+            const limitedApp = buildApp({ limit: 5, windowMs: 60000, store: createMemoryStore() });
+
+            // Act
+            const [first, second] = await hit(limitedApp, 2);
+
+            // Assert
+            expect(first.headers['ratelimit-limit']).toBe('5');
+            expect(first.headers['ratelimit-remaining']).toBe('4');
+            expect(second.headers['ratelimit-remaining']).toBe('3');
+            expect(first.headers['ratelimit-policy']).toBe('5;w=60');
+            expect(Number(first.headers['ratelimit-reset'])).toBeLessThanOrEqual(60);
+            expect(first.headers['retry-after']).toBeUndefined();
+        });
+
+        test('should start a new window once the current one ends', async () => {
+            // Arrange
+            const limitedApp = buildApp({ limit: 1, windowMs: 200, store: createMemoryStore() });
+            await hit(limitedApp, 2);
+
+            // Act
+            await global.testUtils.wait(250);
+            const res = await request(limitedApp).get('/');
+
+            // Assert
+            expect(res.statusCode).toBe(200);
+        });
+
+        test('should count each client separately', async () => {
+            // Arrange
+            let client = 'a';
+            const limitedApp = buildApp({
+                limit: 1,
+                windowMs: 60000,
+                store: createMemoryStore(),
+                keyGenerator: () => client,
+            });
+            await hit(limitedApp, 1);
+
+            // Act
+            client = 'b';
+            const res = await request(limitedApp).get('/');
+
+            // Assert
+            expect(res.statusCode).toBe(200);
+        });
+    });
+
+    describe('Token bucket', () => {
+        test('should allow a burst up to capacity and then refill over time', async () => {
+            // Arrange - 5 tokens, refilled at 5 per 500ms
+            const limitedApp = buildApp({
+                algorithm: 'token-bucket',
+                limit: 5,
+                windowMs: 500,
+                store: createMemoryStore(),
+            });
+
+            // Act
+            const burst = await hit(limitedApp, 6);
+            await global.testUtils.wait(250);
+            const afterRefill = await request(limitedApp).get('/');
+
+            // Assert
+            expect(burst.slice(0, 5).every((res) => res.statusCode === 200)).toBe(true);
+            expect(burst[5].statusCode).toBe(429);
+            expect(burst[5].headers['retry-after']).toBe('1');
+            expect(afterRefill.statusCode).toBe(200);
+        });
+    });
+
+    describe('Configuration', () => {
+        test('should let requests through untouched when disabled', async () => {
+            // Arrange
+            const limitedApp = buildApp({ limit: 1, windowMs: 60000, store: createMemoryStore(), enabled: false });
+
+            // Act
+            const responses = await hit(limitedApp, 3);
+
+            // Assert
+            expect(responses.every((res) => res.statusCode === 200)).toBe(true);
+            expect(responses[0].headers['ratelimit-limit']).toBeUndefined();
+        });
+
+        test('should reject unknown algorithms and invalid limits', () => {
+            expect(() => createRateLimiter({ name: 'x', algorithm: 'leaky', limit: 1, windowMs: 1000 }))
+                .toThrow('Unknown rate limit algorithm');
+            expect(() => createRateLimiter({ name: 'x', limit: 0, windowMs: 1000 })).toThrow();
+        });
+
+        test('should fail open when the store errors', async () => {
+            // Arrange
+            const brokenStore = {
+                increment: async () => {
+                    throw new Error('store down');
+                },
+            };
+            const limitedApp = buildApp({ limit: 1, windowMs: 60000, store: brokenStore });
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            // Act
+            const responses = await hit(limitedApp, 2);
+
+            // Assert
+            expect(responses.every((res) => res.statusCode === 200)).toBe(true);
+            console.error.mockRestore();
+        });
+    });
+
+    describe('Mongo store', () => {
+        beforeAll(async () => {
+            await dbHandler.connect();
+        });
+
+        afterEach(async () => {
+            await RateLimit.deleteMany({});
+            await Sweet.deleteMany({});
+            await User.deleteMany({});
+        });
+
+        afterAll(async () => {
+            await dbHandler.closeDatabase();
+        });
+
+        test('should share a fixed window between limiters using the same collection', async () => {
+            // Arrange - two app instances, as in a multi-instance deployment
+            const first = buildApp({ limit: 2, windowMs: 60000, store: createMongoStore(), keyGenerator: () => 'client' });
+            const second = buildApp({ limit: 2, windowMs: 60000, store: createMongoStore(), keyGenerator: () => 'client' });
+
+            // Act
+            await hit(first, 1);
+            await hit(second, 1);
+            const res = await request(first).get('/');
+
+            // Assert
+            expect(res.statusCode).toBe(429);
+            const doc = await RateLimit.findOne({ key: 'test:client' });
+            expect(doc.count).toBe(3);
+        });
+
+        test('should count concurrent first hits exactly once each', async () => {
+            // Arrange
+            const store = createMongoStore();
+
+            // Act
+            const results = await Promise.all(
+                Array.from({ length: 10 }, () => store.increment('race', 60000))
+            );
+
+            // Assert
+            const counts = results.map((result) => result.count).sort((a, b) => a - b);
+            expect(counts).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        });
+
+        test('should never hand out more tokens than the bucket holds under concurrency', async () => {
+            // Arrange
+            const limiter = createRateLimiter({
+                name: 'bucket',
+                algorithm: 'token-bucket',
+                limit: 3,
+                windowMs: 60000,
+                store: createMongoStore(),
+                keyGenerator: () => 'client',
+                enabled: true,
+            });
+            const limitedApp = express();
+            limitedApp.get('/', limiter, (req, res) => res.status(200).json({ success: true }));
+
+            // Act
+            const responses = await Promise.all(
+                Array.from({ length: 6 }, () => request(limitedApp).get('/'))
+            );
+
+            // Assert
+            expect(responses.filter((res) => res.statusCode === 200).length).toBeLessThanOrEqual(3);
+            expect(responses.some((res) => res.statusCode === 429)).toBe(true);
+        });
+
+        test('should limit the public purchase route when enabled', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+            const limit = rateLimitConfig.groups.purchase.limit;
+            const wasEnabled = rateLimitConfig.enabled;
+            rateLimitConfig.enabled = true;
+            await getDefaultStore().reset();
+
+            try {
+                // Act
+                for (let i = 0; i < limit; i++) {
+                    await request(app).post(`/api/sweets/${sweet._id}/purchase`).send({ quantity: 1 });
+                }
+                const res = await request(app).post(`/api/sweets/${sweet._id}/purchase`).send({ quantity: 1 });
+
+                // Assert
+                expect(res.statusCode).toBe(429);
+                expect(res.headers['retry-after']).toBeDefined();
+                const unchanged = await Sweet.findById(sweet._id);
+                expect(unchanged.quantity).toBe(100 - limit);
+            } finally {
+                rateLimitConfig.enabled = wasEnabled;
+                await getDefaultStore().reset();
+            }
+        });
+
+        test('should keep refresh, session and cart routes out of the auth budget', async () => {
+            // Arrange
+            const { auth, refresh, cart } = rateLimitConfig.groups;
+            const user = await User.create({
+                name: 'Limited User',
+                email: 'limited@sweetshop.com',
+                password: 'user123',
+            });
+            const token = jwt.sign(
+                { id: user._id, role: 'user' },
+                process.env.JWT_SECRET || 'your-secret-key',
+                { expiresIn: '1d' }
+            );
+            const wasEnabled = rateLimitConfig.enabled;
+            rateLimitConfig.enabled = true;
+            await getDefaultStore().reset();
+
+            try {
+                // Act
+                const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: 'unknown' });
+                const loggedOut = await request(app)
+                    .post('/api/auth/logout')
+                    .set('Authorization', `Bearer ${token}`)
+                    .send({});
+                const cartRes = await request(app).get('/api/cart').set('Authorization', `Bearer ${token}`);
+                const login = await request(app)
+                    .post('/api/auth/login')
+                    .send({ email: 'limited@sweetshop.com', password: 'wrongpassword' });
+
+                // Assert
+                expect(refreshed.headers['ratelimit-limit']).toBe(String(refresh.limit));
+                expect(loggedOut.headers['ratelimit-limit']).toBeUndefined();
+                expect(cartRes.headers['ratelimit-limit']).toBe(String(cart.limit));
+                expect(login.headers['ratelimit-limit']).toBe(String(auth.limit));
+                expect(login.headers['ratelimit-remaining']).toBe(String(auth.limit - 1));
+            } finally {
+                rateLimitConfig.enabled = wasEnabled;
+                await getDefaultStore().reset();
+            }
+        });
+    });
+});
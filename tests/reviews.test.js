@@ -0,0 +1,254 @@
+/**
+ * Review Tests
+ *
+ * Test suite for sweet reviews, their moderation and the denormalized ratings
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const User = require('../models/User');
+const Sweet = require('../models/Sweet');
+const Review = require('../models/Review');
+const AuditLog = require('../models/AuditLog');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Helper function to generate JWT token for testing
+ */
+const generateTestToken = (userId, role = 'user') => {
+    return jwt.sign(
+        { id: userId, role },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '1d' }
+    );
+};
+
+describe('Reviews API', () => {
+    let adminToken;
+    let aliceToken;
+    let bobToken;
+
+    /**
+     * Helper to review a sweet
+     */
+    const review = (sweetId, token, body) =>
+        request(app)
+            .post(`/api/sweets/${sweetId}/reviews`)
+            .set('Authorization', `Bearer ${token}`)
+            .send(body);
+
+    // Connect to in-memory database before all tests
+    beforeAll(async () => {
+        await dbHandler.connect();
+
+        const [adminUser, alice, bob] = await User.create([
+            { name: 'Admin User', email: 'admin@sweetshop.com', password: 'admin123', role: 'admin' },
+            { name: 'Alice', email: 'alice@sweetshop.com', password: 'alice123' },
+            { name: 'Bob', email: 'bob@sweetshop.com', password: 'bob12345' },
+        ]);
+
+        adminToken = generateTestToken(adminUser._id, 'admin');
+        aliceToken = generateTestToken(alice._id);
+        bobToken = generateTestToken(bob._id);
+    });
+
+    // Clear sweets and reviews after each test, keep users
+    afterEach(async () => {
+        await Sweet.deleteMany({}, { withDeleted: true });
+        await Review.deleteMany({});
+        await AuditLog.deleteMany({});
+    });
+
+    // Close database connection after all tests
+    afterAll(async () => {
+        await dbHandler.closeDatabase();
+    });
+
+    describe('POST /api/sweets/:id/reviews', () => {
+        test('should add a review and update the sweet rating', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+
+            // Act
+            await review(sweet._id, aliceToken, { rating: 5, text: 'Lovely' }).expect(201);
+            const response = await review(sweet._id, bobToken, { rating: 2 }).expect(201);
+
+            // Assert
+            expect(response.body).toMatchObject({ ratingAverage: 3.5, ratingCount: 2 });
+            const updated = await Sweet.findById(sweet._id);
+            expect(updated.ratingAverage).toBe(3.5);
+            expect(updated.ratingCount).toBe(2);
+        });
+
+        test('should allow one review per customer per sweet', async () => {
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+            await review(sweet._id, aliceToken, { rating: 4 }).expect(201);
+
+            const response = await review(sweet._id, aliceToken, { rating: 1 }).expect(400);
+
+            expect(response.body.message).toMatch(/already reviewed/);
+        });
+
+        test('should reject ratings outside 1-5 and anonymous reviews', async () => {
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+
+            await review(sweet._id, aliceToken, { rating: 6 }).expect(400);
+            await review(sweet._id, aliceToken, { rating: 2.5 }).expect(400);
+            await request(app).post(`/api/sweets/${sweet._id}/reviews`).send({ rating: 5 }).expect(401);
+        });
+
+        test('should return 404 for a deleted sweet', async () => {
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ deletedAt: new Date() }));
+
+            await review(sweet._id, aliceToken, { rating: 5 }).expect(404);
+        });
+    });
+
+    describe('GET /api/sweets/:id/reviews', () => {
+        test('should list published reviews with author names only', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+            await review(sweet._id, aliceToken, { rating: 5, text: 'Lovely' }).expect(201);
+            await review(sweet._id, bobToken, { rating: 1, text: 'Spam' }).expect(201);
+            await Review.updateOne({ rating: 1 }, { status: 'hidden' });
+
+            // Act
+            const response = await request(app).get(`/api/sweets/${sweet._id}/reviews`).expect(200);
+
+            // Assert
+            expect(response.body.total).toBe(1);
+            expect(response.body.data[0]).toMatchObject({ rating: 5, text: 'Lovely', author: { name: 'Alice' } });
+            expect(response.body.data[0].author.email).toBeUndefined();
+        });
+
+        test('should sort by rating', async () => {
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+            await review(sweet._id, aliceToken, { rating: 2 }).expect(201);
+            await review(sweet._id, bobToken, { rating: 4 }).expect(201);
+
+            const response = await request(app).get(`/api/sweets/${sweet._id}/reviews?sort=highest`).expect(200);
+
+            expect(response.body.data.map((item) => item.rating)).toEqual([4, 2]);
+            await request(app).get(`/api/sweets/${sweet._id}/reviews?sort=best`).expect(400);
+        });
+    });
+
+    describe('PATCH and DELETE /api/sweets/:id/reviews/:reviewId', () => {
+        test('should let the author edit their review', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+            const created = await review(sweet._id, aliceToken, { rating: 2 }).expect(201);
+            await review(sweet._id, bobToken, { rating: 4 }).expect(201);
+
+            // Act
+            const response = await request(app)
+                .patch(`/api/sweets/${sweet._id}/reviews/${created.body.data._id}`)
+                .set('Authorization', `Bearer ${aliceToken}`)
+                .send({ rating: 5, text: 'Grew on me' })
+                .expect(200);
+
+            // Assert
+            expect(response.body.data).toMatchObject({ rating: 5, text: 'Grew on me' });
+            expect(response.body).toMatchObject({ ratingAverage: 4.5, ratingCount: 2 });
+        });
+
+        test("should not let customers edit or delete someone else's review", async () => {
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+            const created = await review(sweet._id, aliceToken, { rating: 2 }).expect(201);
+            const path = `/api/sweets/${sweet._id}/reviews/${created.body.data._id}`;
+
+            await request(app).patch(path).set('Authorization', `Bearer ${bobToken}`).send({ rating: 5 }).expect(403);
+            await request(app).delete(path).set('Authorization', `Bearer ${bobToken}`).expect(403);
+        });
+
+        test('should update the rating when a review is deleted', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+            const created = await review(sweet._id, aliceToken, { rating: 5 }).expect(201);
+
+            // Act
+            await request(app)
+                .delete(`/api/sweets/${sweet._id}/reviews/${created.body.data._id}`)
+                .set('Authorization', `Bearer ${aliceToken}`)
+                .expect(200);
+
+            // Assert
+            const updated = await Sweet.findById(sweet._id);
+            expect(updated.ratingAverage).toBe(0);
+            expect(updated.ratingCount).toBe(0);
+        });
+
+        test('should let moderators delete any review and audit it', async () => {
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+            const created = await review(sweet._id, aliceToken, { rating: 1 }).expect(201);
+
+            await request(app)
+                .delete(`/api/sweets/${sweet._id}/reviews/${created.body.data._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(await Review.countDocuments()).toBe(0);
+            expect(await AuditLog.exists({ action: 'review.delete' })).toBeTruthy();
+        });
+    });
+
+    describe('Moderation', () => {
+        test('should hide a review and leave it out of the rating', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+            const spam = await review(sweet._id, aliceToken, { rating: 1, text: 'Buy my sweets' }).expect(201);
+            await review(sweet._id, bobToken, { rating: 5 }).expect(201);
+
+            // Act
+            const response = await request(app)
+                .patch(`/api/reviews/${spam.body.data._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ status: 'hidden', moderationNote: 'Advertising' })
+                .expect(200);
+
+            // Assert
+            expect(response.body).toMatchObject({ ratingAverage: 5, ratingCount: 1 });
+            expect(response.body.data).toMatchObject({ status: 'hidden', moderationNote: 'Advertising' });
+
+            const hidden = await request(app)
+                .get('/api/reviews?status=hidden')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(hidden.body.data).toHaveLength(1);
+            expect(hidden.body.data[0].author.email).toBe('alice@sweetshop.com');
+        });
+
+        test('should deny moderation to customers', async () => {
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+            const created = await review(sweet._id, aliceToken, { rating: 1 }).expect(201);
+
+            await request(app).get('/api/reviews').set('Authorization', `Bearer ${aliceToken}`).expect(403);
+            await request(app)
+                .patch(`/api/reviews/${created.body.data._id}`)
+                .set('Authorization', `Bearer ${aliceToken}`)
+                .send({ status: 'hidden' })
+                .expect(403);
+        });
+    });
+
+    describe('Catalog sort by rating', () => {
+        test('should sort sweets by average rating', async () => {
+            // Arrange
+            const [good, bad] = await Sweet.create([
+                global.testUtils.createMockSweet({ name: 'Good' }),
+                global.testUtils.createMockSweet({ name: 'Bad' }),
+                global.testUtils.createMockSweet({ name: 'Unrated' }),
+            ]);
+            await review(good._id, aliceToken, { rating: 5 }).expect(201);
+            await review(bad._id, aliceToken, { rating: 2 }).expect(201);
+
+            // Act
+            const response = await request(app).get('/api/sweets?sort=-rating').expect(200);
+
+            // Assert
+            expect(response.body.data.map((sweet) => sweet.name)).toEqual(['Good', 'Bad', 'Unrated']);
+        });
+    });
+});
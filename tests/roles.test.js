@@ -0,0 +1,318 @@
+/**
+ * Roles and Permissions Tests
+ *
+ * Test suite for roles, permissions and the requirePermission middleware
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Sweet = require('../models/Sweet');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Helper function to generate JWT token for testing
+ */
+const generateTestToken = (userId, role = 'user') => {
+    return jwt.sign(
+        { id: userId, role },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '1d' }
+    );
+};
+
+describe('Roles and Permissions', () => {
+    let adminToken;
+    let staffToken;
+    let userToken;
+    let staffUser;
+
+    // Connect to in-memory database before all tests
+    beforeAll(async () => {
+        await dbHandler.connect();
+    });
+
+    beforeEach(async () => {
+        const adminUser = await User.create({
+            name: 'Admin User',
+            email: 'admin@sweetshop.com',
+            password: 'admin123',
+            role: 'admin',
+        });
+
+        staffUser = await User.create({
+            name: 'Staff User',
+            email: 'staff@sweetshop.com',
+            password: 'staff123',
+            role: 'staff',
+        });
+
+        const normalUser = await User.create({
+            name: 'Normal User',
+            email: 'user@sweetshop.com',
+            password: 'user123',
+        });
+
+        adminToken = generateTestToken(adminUser._id, 'admin');
+        staffToken = generateTestToken(staffUser._id, 'staff');
+        userToken = generateTestToken(normalUser._id);
+    });
+
+    afterEach(async () => {
+        await dbHandler.clearDatabase();
+    });
+
+    // Close database connection after all tests
+    afterAll(async () => {
+        await dbHandler.closeDatabase();
+    });
+
+    describe('requirePermission', () => {
+        test('should let staff restock but not create or delete sweets', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+
+            // Act
+            await request(app)
+                .post(`/api/sweets/${sweet._id}/restock`)
+                .set('Authorization', `Bearer ${staffToken}`)
+                .send({ quantity: 5 })
+                .expect(200);
+            const deleteResponse = await request(app)
+                .delete(`/api/sweets/${sweet._id}`)
+                .set('Authorization', `Bearer ${staffToken}`)
+                .expect(403);
+            await request(app)
+                .post('/api/sweets')
+                .set('Authorization', `Bearer ${staffToken}`)
+                .send(global.testUtils.createMockSweet({ name: 'New Sweet' }))
+                .expect(403);
+
+            // Assert
+            expect(deleteResponse.body.message).toMatch(/Missing permission: sweets:delete/);
+            expect(await Sweet.findById(sweet._id)).not.toBeNull();
+        });
+
+        test('should keep admin as a superuser', async () => {
+            // Arrange - removing permissions from stored roles does not affect admin
+            await Role.ensureBuiltIns();
+            await Role.updateOne({ name: 'admin' }, { permissions: [] });
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+
+            // Act & Assert
+            await request(app)
+                .delete(`/api/sweets/${sweet._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+        });
+
+        test('should deny staff access to user management', async () => {
+            await request(app)
+                .get('/api/users')
+                .set('Authorization', `Bearer ${staffToken}`)
+                .expect(403);
+        });
+
+        test('should return the role permissions on login', async () => {
+            const response = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'staff@sweetshop.com', password: 'staff123' })
+                .expect(200);
+
+            expect(response.body.user.permissions).toEqual(['inventory:adjust', 'inventory:view']);
+        });
+    });
+
+    describe('Role management API', () => {
+        test('should list built-in roles with user counts', async () => {
+            // Act
+            const response = await request(app)
+                .get('/api/roles')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            const staff = response.body.data.find((role) => role.name === 'staff');
+            expect(response.body.data.map((role) => role.name).sort()).toEqual(['admin', 'staff', 'user']);
+            expect(staff.userCount).toBe(1);
+            expect(staff.builtIn).toBe(true);
+        });
+
+        test('should create a custom role that can be assigned and takes effect', async () => {
+            // Arrange
+            await request(app)
+                .post('/api/roles')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Merchandiser', permissions: ['sweets:create', 'sweets:update'] })
+                .expect(201);
+
+            // Act
+            await request(app)
+                .patch(`/api/users/${staffUser._id}/role`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ role: 'merchandiser' })
+                .expect(200);
+            const merchandiserToken = generateTestToken(staffUser._id, 'merchandiser');
+
+            // Assert
+            await request(app)
+                .post('/api/sweets')
+                .set('Authorization', `Bearer ${merchandiserToken}`)
+                .send(global.testUtils.createMockSweet())
+                .expect(201);
+        });
+
+        test('should reject unknown permissions and duplicate names', async () => {
+            await request(app)
+                .post('/api/roles')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'packer', permissions: ['sweets:eat'] })
+                .expect(400);
+
+            await request(app)
+                .post('/api/roles')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'staff' })
+                .expect(400);
+        });
+
+        test('should update staff permissions', async () => {
+            // Act
+            await request(app)
+                .patch('/api/roles/staff')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ permissions: ['inventory:view'] })
+                .expect(200);
+
+            // Assert
+            expect(await Role.permissionsFor('staff')).toEqual(['inventory:view']);
+        });
+
+        test('should not change the admin role or delete built-in roles', async () => {
+            await request(app)
+                .patch('/api/roles/admin')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ permissions: [] })
+                .expect(400);
+
+            await request(app)
+                .delete('/api/roles/user')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+        });
+
+        test('should not delete a role that users still have', async () => {
+            // Arrange
+            await Role.create({ name: 'packer', permissions: ['inventory:adjust'] });
+            await User.create({ name: 'Packer', email: 'packer@sweetshop.com', password: 'packer123', role: 'packer' });
+
+            // Act
+            const response = await request(app)
+                .delete('/api/roles/packer')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+
+            // Assert
+            expect(response.body.message).toMatch(/assigned to 1 user/);
+        });
+
+        test('should deny non-admins', async () => {
+            await request(app)
+                .get('/api/roles')
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(403);
+        });
+    });
+
+    describe('Role assignment', () => {
+        test('should reject unknown roles on the user model', async () => {
+            await expect(
+                User.create({ name: 'Ghost', email: 'ghost@sweetshop.com', password: 'ghost123', role: 'owner' })
+            ).rejects.toThrow(/not a valid role/);
+        });
+
+        test('should not let a users:manage holder grant the admin role', async () => {
+            // Arrange
+            await Role.create({ name: 'support', permissions: ['users:manage'] });
+            await User.updateOne({ _id: staffUser._id }, { role: 'support' });
+            const supportToken = generateTestToken(staffUser._id, 'support');
+
+            // Act
+            const response = await request(app)
+                .patch(`/api/users/${staffUser._id}/role`)
+                .set('Authorization', `Bearer ${supportToken}`)
+                .send({ role: 'admin' })
+                .expect(403);
+
+            // Assert
+            expect(response.body.message).toMatch(/Only admins/);
+        });
+
+        test('should not let a users:manage holder grant permissions they do not hold', async () => {
+            // Arrange
+            await Role.create({ name: 'support', permissions: ['users:manage'] });
+            await Role.create({ name: 'manager', permissions: ['users:manage', 'sweets:purge'] });
+            await User.updateOne({ _id: staffUser._id }, { role: 'support' });
+            const supportToken = generateTestToken(staffUser._id, 'support');
+            const customer = await User.findOne({ email: 'user@sweetshop.com' });
+
+            // Act
+            const response = await request(app)
+                .patch(`/api/users/${customer._id}/role`)
+                .set('Authorization', `Bearer ${supportToken}`)
+                .send({ role: 'manager' })
+                .expect(403);
+            const staff = await request(app)
+                .patch(`/api/users/${customer._id}/role`)
+                .set('Authorization', `Bearer ${supportToken}`)
+                .send({ role: 'staff' })
+                .expect(403);
+
+            // Assert
+            expect(response.body.message).toBe('You cannot grant a role with permissions you do not hold: sweets:purge');
+            expect(staff.body.message).toMatch(/inventory:adjust, inventory:view/);
+            expect((await User.findById(customer._id)).role).toBe('user');
+        });
+
+        test('should not let a users:manage holder change their own role', async () => {
+            // Arrange
+            await Role.create({ name: 'support', permissions: ['users:manage'] });
+            await Role.create({ name: 'helpdesk', permissions: ['users:manage'] });
+            await User.updateOne({ _id: staffUser._id }, { role: 'support' });
+            const supportToken = generateTestToken(staffUser._id, 'support');
+
+            // Act
+            const response = await request(app)
+                .patch(`/api/users/${staffUser._id}/role`)
+                .set('Authorization', `Bearer ${supportToken}`)
+                .send({ role: 'helpdesk' })
+                .expect(400);
+
+            // Assert
+            expect(response.body.message).toBe('You cannot change your own role');
+            expect((await User.findById(staffUser._id)).role).toBe('support');
+        });
+
+        test('should let a users:manage holder assign a role within their permissions', async () => {
+            // Arrange
+            await Role.create({ name: 'support', permissions: ['users:manage', 'orders:view'] });
+            await Role.create({ name: 'clerk', permissions: ['orders:view'] });
+            await User.updateOne({ _id: staffUser._id }, { role: 'support' });
+            const supportToken = generateTestToken(staffUser._id, 'support');
+            const customer = await User.findOne({ email: 'user@sweetshop.com' });
+
+            // Act
+            const response = await request(app)
+                .patch(`/api/users/${customer._id}/role`)
+                .set('Authorization', `Bearer ${supportToken}`)
+                .send({ role: 'clerk' })
+                .expect(200);
+
+            // Assert
+            expect(response.body.data.role).toBe('clerk');
+        });
+    });
+});
@@ -0,0 +1,289 @@
+/**
+ * Sale Price Tests
+ *
+ * Test suite for scheduled sale prices, effective prices and price history
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const User = require('../models/User');
+const Sweet = require('../models/Sweet');
+const Order = require('../models/Order');
+const SalePrice = require('../models/SalePrice');
+const PriceChange = require('../models/PriceChange');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Helper function to generate JWT token for testing
+ */
+const generateTestToken = (userId, role = 'user') => {
+    return jwt.sign(
+        { id: userId, role },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '1d' }
+    );
+};
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Sale Prices API', () => {
+    let adminToken;
+    let userToken;
+    let adminId;
+
+    /**
+     * Helper to schedule a sale through the API
+     */
+    const scheduleSale = (sweetId, body) =>
+        request(app)
+            .post(`/api/sweets/${sweetId}/sales`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send(body);
+
+    // Connect to in-memory database before all tests
+    beforeAll(async () => {
+        await dbHandler.connect();
+
+        const [adminUser, normalUser] = await User.create([
+            { name: 'Admin User', email: 'admin@sweetshop.com', password: 'admin123', role: 'admin' },
+            { name: 'Normal User', email: 'user@sweetshop.com', password: 'user123' },
+        ]);
+
+        adminId = adminUser._id;
+        adminToken = generateTestToken(adminUser._id, 'admin');
+        userToken = generateTestToken(normalUser._id);
+    });
+
+    // Clear sweets, orders, sales and history after each test, keep users
+    afterEach(async () => {
+        await Sweet.deleteMany({}, { withDeleted: true });
+        await Order.deleteMany({});
+        await SalePrice.deleteMany({});
+        await PriceChange.deleteMany({});
+    });
+
+    // Close database connection after all tests
+    afterAll(async () => {
+        await dbHandler.closeDatabase();
+    });
+
+    describe('Effective price', () => {
+        test('should show a running sale on the catalog and the sweet', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ price: 10 }));
+            await scheduleSale(sweet._id, { price: 7.5, endsAt: new Date(Date.now() + HOUR) }).expect(201);
+
+            // Act
+            const list = await request(app).get('/api/sweets').expect(200);
+            const single = await request(app).get(`/api/sweets/${sweet._id}`).expect(200);
+
+            // Assert
+            expect(list.body.data[0]).toMatchObject({ price: 10, effectivePrice: 7.5, onSale: true });
+            expect(single.body.data).toMatchObject({ price: 10, effectivePrice: 7.5, onSale: true });
+            expect(single.body.data.sale).toHaveProperty('price', 7.5);
+        });
+
+        test('should filter and sort the catalog by the sale price', async () => {
+            // Arrange
+            const [onSale] = await Sweet.create([
+                global.testUtils.createMockSweet({ name: 'On Sale', price: 10 }),
+                global.testUtils.createMockSweet({ name: 'Full Price', price: 5 }),
+            ]);
+            await scheduleSale(onSale._id, { price: 3, endsAt: new Date(Date.now() + HOUR) }).expect(201);
+
+            // Act
+            const cheap = await request(app).get('/api/sweets?maxPrice=4').expect(200);
+            const sorted = await request(app).get('/api/sweets?sort=price').expect(200);
+
+            // Assert
+            expect(cheap.body.total).toBe(1);
+            expect(cheap.body.data[0]).toMatchObject({ name: 'On Sale', price: 10, effectivePrice: 3 });
+            expect(sorted.body.data.map((sweet) => sweet.effectivePrice)).toEqual([3, 5]);
+        });
+
+        test('should ignore sales that have not started or have ended', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ price: 10 }));
+            await SalePrice.create([
+                { sweet: sweet._id, price: 5, startsAt: new Date(Date.now() + HOUR), endsAt: new Date(Date.now() + 2 * HOUR) },
+                { sweet: sweet._id, price: 4, startsAt: new Date(Date.now() - 2 * HOUR), endsAt: new Date(Date.now() - HOUR) },
+            ]);
+
+            // Act
+            const response = await request(app).get(`/api/sweets/${sweet._id}`).expect(200);
+
+            // Assert
+            expect(response.body.data).toMatchObject({ effectivePrice: 10, onSale: false, sale: null });
+        });
+
+        test('should charge the sale price on purchase and checkout', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ price: 4 }));
+            await scheduleSale(sweet._id, { price: 3, endsAt: new Date(Date.now() + HOUR) }).expect(201);
+
+            // Act
+            const purchase = await request(app)
+                .post(`/api/sweets/${sweet._id}/purchase`)
+                .send({ quantity: 2 })
+                .expect(200);
+            const order = await request(app)
+                .post('/api/orders')
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ items: [{ sweetId: sweet._id, quantity: 1 }] })
+                .expect(201);
+
+            // Assert
+            expect(purchase.body.pricing).toMatchObject({ subtotal: 6, total: 6 });
+            expect(order.body.data.items[0]).toMatchObject({ listPrice: 4, price: 3, subtotal: 3 });
+            expect(order.body.data.total).toBe(3);
+        });
+    });
+
+    describe('Scheduling and cancelling sales', () => {
+        test('should reject a sale price that is not below the current price', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ price: 10 }));
+
+            // Act
+            const response = await scheduleSale(sweet._id, { price: 10, endsAt: new Date(Date.now() + HOUR) })
+                .expect(400);
+
+            // Assert
+            expect(response.body.message).toBe('Sale price must be lower than the current price of 10.00');
+        });
+
+        test('should reject overlapping sales and sales ending in the past', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ price: 10 }));
+            await scheduleSale(sweet._id, {
+                price: 8,
+                startsAt: new Date(Date.now() + HOUR),
+                endsAt: new Date(Date.now() + 3 * HOUR),
+            }).expect(201);
+
+            // Act
+            await scheduleSale(sweet._id, {
+                price: 7,
+                startsAt: new Date(Date.now() + 2 * HOUR),
+                endsAt: new Date(Date.now() + 4 * HOUR),
+            }).expect(409);
+            const past = await scheduleSale(sweet._id, {
+                price: 7,
+                startsAt: new Date(Date.now() - 2 * HOUR),
+                endsAt: new Date(Date.now() - HOUR),
+            }).expect(400);
+
+            // Assert
+            expect(past.body.message).toBe('A sale cannot end in the past');
+            expect(await SalePrice.countDocuments()).toBe(1);
+        });
+
+        test('should not leave overlapping sales when two are scheduled at once', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ price: 10 }));
+            const endsAt = new Date(Date.now() + HOUR);
+
+            // Act
+            const responses = await Promise.all([
+                scheduleSale(sweet._id, { price: 8, endsAt }),
+                scheduleSale(sweet._id, { price: 7, endsAt }),
+                scheduleSale(sweet._id, { price: 6, endsAt }),
+            ]);
+
+            // Assert
+            expect(responses.map((response) => response.status).sort()).toEqual([201, 409, 409]);
+            expect(await SalePrice.countDocuments()).toBe(1);
+        });
+
+        test('should end a running sale early and remove an upcoming one', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet({ price: 10 }));
+            const running = await scheduleSale(sweet._id, { price: 6, endsAt: new Date(Date.now() + HOUR) });
+            const upcoming = await scheduleSale(sweet._id, {
+                price: 5,
+                startsAt: new Date(Date.now() + 2 * HOUR),
+                endsAt: new Date(Date.now() + 3 * HOUR),
+            });
+
+            // Act
+            const ended = await request(app)
+                .delete(`/api/sweets/${sweet._id}/sales/${running.body.data._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            await request(app)
+                .delete(`/api/sweets/${sweet._id}/sales/${upcoming.body.data._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(ended.body.data).toHaveProperty('status', 'ended');
+            expect(await SalePrice.countDocuments()).toBe(1);
+            const response = await request(app).get(`/api/sweets/${sweet._id}`).expect(200);
+            expect(response.body.data).toMatchObject({ effectivePrice: 10, onSale: false });
+        });
+
+        test('should deny customers without sweets:update', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+
+            // Act & Assert
+            await request(app)
+                .post(`/api/sweets/${sweet._id}/sales`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ price: 1, endsAt: new Date(Date.now() + HOUR) })
+                .expect(403);
+        });
+    });
+
+    describe('GET /api/sweets/:id/price-history', () => {
+        test('should record base price changes and sale schedules, newest first', async () => {
+            // Arrange
+            const created = await request(app)
+                .post('/api/sweets')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send(global.testUtils.createMockSweet({ price: 10 }))
+                .expect(201);
+            const sweetId = created.body.data._id;
+
+            await request(app)
+                .put(`/api/sweets/${sweetId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ price: 12 })
+                .expect(200);
+            await request(app)
+                .put(`/api/sweets/${sweetId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ quantity: 5 })
+                .expect(200);
+            await scheduleSale(sweetId, { price: 9, endsAt: new Date(Date.now() + HOUR) }).expect(201);
+
+            // Act
+            const response = await request(app)
+                .get(`/api/sweets/${sweetId}/price-history`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(response.body).toMatchObject({ total: 3, currentPrice: 12, effectivePrice: 9 });
+            expect(response.body.data.map((change) => [change.type, change.price, change.previousPrice])).toEqual([
+                ['sale_scheduled', 9, 12],
+                ['base', 12, 10],
+                ['base', 10, null],
+            ]);
+            expect(response.body.data[1].changedBy).toHaveProperty('_id', String(adminId));
+        });
+
+        test('should deny customers without inventory:view', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+
+            // Act & Assert
+            await request(app)
+                .get(`/api/sweets/${sweet._id}/price-history`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(403);
+        });
+    });
+});
@@ -0,0 +1,209 @@
+/**
+ * Sweet Bulk Tests
+ *
+ * Test suite for bulk updates and bulk deletes of sweets
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const User = require('../models/User');
+const Sweet = require('../models/Sweet');
+const StockMovement = require('../models/StockMovement');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Helper function to generate JWT token for testing
+ */
+const generateTestToken = (userId, role = 'user') => {
+    return jwt.sign(
+        { id: userId, role },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '1d' }
+    );
+};
+
+describe('Sweet Bulk API', () => {
+    let adminToken;
+    let userToken;
+    let dark;
+    let milk;
+    let bears;
+
+    /**
+     * Helper to send a bulk update
+     */
+    const bulkUpdate = (body, token = adminToken) =>
+        request(app)
+            .patch('/api/sweets/bulk')
+            .set('Authorization', `Bearer ${token}`)
+            .send(body);
+
+    /**
+     * Helper to send a bulk delete
+     */
+    const bulkDelete = (body, token = adminToken) =>
+        request(app)
+            .post('/api/sweets/bulk-delete')
+            .set('Authorization', `Bearer ${token}`)
+            .send(body);
+
+    // Connect to in-memory database before all tests
+    beforeAll(async () => {
+        await dbHandler.connect();
+
+        const adminUser = await User.create({
+            name: 'Admin User',
+            email: 'admin@sweetshop.com',
+            password: 'admin123',
+            role: 'admin',
+        });
+
+        const normalUser = await User.create({
+            name: 'Normal User',
+            email: 'user@sweetshop.com',
+            password: 'user123',
+        });
+
+        adminToken = generateTestToken(adminUser._id, 'admin');
+        userToken = generateTestToken(normalUser._id);
+    });
+
+    beforeEach(async () => {
+        [dark, milk, bears] = await Sweet.create([
+            global.testUtils.createMockSweet({ name: 'Dark Bar', price: 2, quantity: 10 }),
+            global.testUtils.createMockSweet({ name: 'Milk Bar', price: 2.5, quantity: 10 }),
+            global.testUtils.createMockSweet({ name: 'Bears', category: 'Gummy', price: 1, quantity: 10 }),
+        ]);
+    });
+
+    // Clear sweets after each test, keep users
+    afterEach(async () => {
+        await Sweet.deleteMany({}, { withDeleted: true });
+        await StockMovement.deleteMany({});
+    });
+
+    // Close database connection after all tests
+    afterAll(async () => {
+        await dbHandler.closeDatabase();
+    });
+
+    describe('PATCH /api/sweets/bulk', () => {
+        test('should apply per-item changes and report each item', async () => {
+            // Act
+            const response = await bulkUpdate({
+                items: [
+                    { id: dark._id, changes: { price: 3 } },
+                    { id: milk._id, changes: { quantity: 25 } },
+                    { id: bears._id, changes: { price: 0 } },
+                ],
+            }).expect(200);
+
+            // Assert
+            expect(response.body.data).toMatchObject({ atomic: false, updated: 2, failed: 1 });
+            expect(response.body.data.results).toEqual([
+                { id: String(dark._id), status: 'updated', changes: { price: 3 } },
+                { id: String(milk._id), status: 'updated', changes: { quantity: 25 } },
+                { id: String(bears._id), status: 'failed', errors: ['Price must be greater than 0'] },
+            ]);
+            expect((await Sweet.findById(dark._id)).price).toBe(3);
+            expect((await Sweet.findById(bears._id)).price).toBe(1);
+            expect(await StockMovement.findOne({ sweet: milk._id })).toMatchObject({ type: 'adjustment', delta: 15 });
+        });
+
+        test('should raise prices by a percentage for every sweet matching a filter', async () => {
+            // Act
+            const response = await bulkUpdate({
+                filter: { category: 'Chocolate' },
+                change: { price: { percent: 10 } },
+            }).expect(200);
+
+            // Assert
+            expect(response.body.data.updated).toBe(2);
+            expect((await Sweet.findById(dark._id)).price).toBe(2.2);
+            expect((await Sweet.findById(milk._id)).price).toBe(2.75);
+            expect((await Sweet.findById(bears._id)).price).toBe(1);
+        });
+
+        test('should validate with the model rules', async () => {
+            const response = await bulkUpdate({
+                items: [
+                    { id: dark._id, changes: { category: 'Toffee' } },
+                    { id: milk._id, changes: { quantity: 1.5 } },
+                ],
+            }).expect(200);
+
+            expect(response.body.data.failed).toBe(2);
+            expect(response.body.data.results[0].errors[0]).toMatch(/Toffee is not a valid category/);
+            expect(response.body.data.results[1].errors).toEqual(['Quantity must be a whole number']);
+        });
+
+        test('should change nothing in atomic mode when any item fails', async () => {
+            // Act
+            const response = await bulkUpdate({
+                atomic: true,
+                items: [
+                    { id: dark._id, changes: { price: 3 } },
+                    { id: milk._id, changes: { price: -1 } },
+                ],
+            }).expect(400);
+
+            // Assert
+            expect(response.body.data.results.map((result) => result.status)).toEqual(['skipped', 'failed']);
+            expect((await Sweet.findById(dark._id)).price).toBe(2);
+        });
+
+        test('should report unknown sweets and reject duplicate ids', async () => {
+            const response = await bulkUpdate({
+                items: [{ id: '507f1f77bcf86cd799439011', changes: { price: 3 } }],
+            }).expect(200);
+            expect(response.body.data.results[0]).toMatchObject({ status: 'failed', errors: ['Sweet not found'] });
+
+            await bulkUpdate({
+                items: [
+                    { id: dark._id, changes: { price: 3 } },
+                    { id: dark._id, changes: { price: 4 } },
+                ],
+            }).expect(400);
+        });
+
+        test('should reject invalid filter changes', async () => {
+            await bulkUpdate({ filter: {}, change: { name: { set: 'Same' } } }).expect(400);
+            await bulkUpdate({ filter: {}, change: { price: { multiply: 2 } } }).expect(400);
+        });
+
+        test('should deny normal users', async () => {
+            await bulkUpdate({ items: [{ id: dark._id, changes: { price: 3 } }] }, userToken).expect(403);
+        });
+    });
+
+    describe('POST /api/sweets/bulk-delete', () => {
+        test('should move sweets to the trash and report each id', async () => {
+            // Act
+            const response = await bulkDelete({ ids: [dark._id, '507f1f77bcf86cd799439011'] }).expect(200);
+
+            // Assert
+            expect(response.body.data).toMatchObject({ deleted: 1, failed: 1 });
+            expect(response.body.data.results[1]).toMatchObject({ status: 'failed', errors: ['Sweet not found'] });
+            expect(await Sweet.findById(dark._id)).toBeNull();
+            expect(await Sweet.findById(dark._id).setOptions({ withDeleted: true })).not.toBeNull();
+        });
+
+        test('should delete nothing in atomic mode when an id is not found', async () => {
+            // Act
+            const response = await bulkDelete({
+                atomic: true,
+                ids: [dark._id, milk._id, '507f1f77bcf86cd799439011'],
+            }).expect(400);
+
+            // Assert
+            expect(response.body.data.results.map((result) => result.status)).toEqual(['skipped', 'skipped', 'failed']);
+            expect(await Sweet.countDocuments()).toBe(3);
+        });
+
+        test('should deny normal users', async () => {
+            await bulkDelete({ ids: [dark._id] }, userToken).expect(403);
+        });
+    });
+});
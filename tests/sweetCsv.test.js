@@ -0,0 +1,227 @@
+/**
+ * Sweet CSV Tests
+ *
+ * Test suite for exporting and importing the catalog as CSV
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const User = require('../models/User');
+const Sweet = require('../models/Sweet');
+const StockMovement = require('../models/StockMovement');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Helper function to generate JWT token for testing
+ */
+const generateTestToken = (userId, role = 'user') => {
+    return jwt.sign(
+        { id: userId, role },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '1d' }
+    );
+};
+
+describe('Sweet CSV API', () => {
+    let adminToken;
+    let staffToken;
+
+    /**
+     * Helper to send a CSV import
+     */
+    const importCsv = (csv, query = '', token = adminToken) =>
+        request(app)
+            .post(`/api/sweets/import${query}`)
+            .set('Authorization', `Bearer ${token}`)
+            .set('Content-Type', 'text/csv')
+            .send(csv);
+
+    // Connect to in-memory database before all tests
+    beforeAll(async () => {
+        await dbHandler.connect();
+
+        const adminUser = await User.create({
+            name: 'Admin User',
+            email: 'admin@sweetshop.com',
+            password: 'admin123',
+            role: 'admin',
+        });
+
+        const staffUser = await User.create({
+            name: 'Staff User',
+            email: 'staff@sweetshop.com',
+            password: 'staff123',
+            role: 'staff',
+        });
+
+        adminToken = generateTestToken(adminUser._id, 'admin');
+        staffToken = generateTestToken(staffUser._id, 'staff');
+    });
+
+    // Clear sweets after each test, keep users
+    afterEach(async () => {
+        await Sweet.deleteMany({}, { withDeleted: true });
+        await StockMovement.deleteMany({});
+    });
+
+    // Close database connection after all tests
+    afterAll(async () => {
+        await dbHandler.closeDatabase();
+    });
+
+    describe('GET /api/sweets/export.csv', () => {
+        test('should export the filtered catalog as CSV', async () => {
+            // Arrange
+            await Sweet.create([
+                global.testUtils.createMockSweet({ name: 'Dark Bar', sku: 'choc-1', price: 3.5 }),
+                global.testUtils.createMockSweet({ name: 'Bears, Sour', category: 'Gummy', description: 'Tangy "sour" bears' }),
+            ]);
+
+            // Act
+            const response = await request(app)
+                .get('/api/sweets/export.csv?sort=name')
+                .set('Authorization', `Bearer ${staffToken}`)
+                .expect(200);
+
+            // Assert
+            expect(response.headers['content-type']).toMatch(/^text\/csv/);
+            expect(response.headers['content-disposition']).toMatch(/sweets\.csv/);
+            expect(response.text.trim().split('\n')).toEqual([
+                'sku,name,category,price,quantity,description',
+                ',"Bears, Sour",Gummy,10,100,"Tangy ""sour"" bears"',
+                'CHOC-1,Dark Bar,Chocolate,3.5,100,A delicious test sweet',
+            ]);
+        });
+
+        test('should escape cells a spreadsheet would run as formulas', async () => {
+            // Arrange
+            await Sweet.create(global.testUtils.createMockSweet({ name: '=HYPERLINK("x")' }));
+
+            // Act
+            const response = await request(app)
+                .get('/api/sweets/export.csv')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(response.text).toContain('"\'=HYPERLINK(""x"")"');
+        });
+
+        test('should require inventory:view', async () => {
+            await request(app).get('/api/sweets/export.csv').expect(401);
+        });
+    });
+
+    describe('POST /api/sweets/import', () => {
+        test('should create, update and reject rows with a per-row report', async () => {
+            // Arrange
+            const existing = await Sweet.create(global.testUtils.createMockSweet({ name: 'Dark Bar', quantity: 5 }));
+            const csv = [
+                'sku,name,category,price,quantity,description',
+                'GUM-1,Sour Bears,Gummy,2.5,40,Tangy',
+                ',Dark Bar,,,25,',
+                ',Bad Price,Candy,0,1,',
+                ',Unknown Category,Toffee,1,1,',
+                ',Missing Fields,,,,',
+            ].join('\n');
+
+            // Act
+            const response = await importCsv(csv).expect(200);
+
+            // Assert
+            const report = response.body.data;
+            expect(report).toMatchObject({ dryRun: false, created: 1, updated: 1, rejected: 3 });
+            expect(report.rows.map((row) => row.status)).toEqual(['created', 'updated', 'rejected', 'rejected', 'rejected']);
+            expect(report.rows[2].errors).toEqual(['Price must be greater than 0']);
+            expect(report.rows[3].errors[0]).toMatch(/Toffee is not a valid category/);
+            expect(report.rows[4].errors).toEqual(['Please provide name, category, price, and quantity']);
+
+            const updated = await Sweet.findById(existing._id);
+            expect(updated.quantity).toBe(25);
+            expect(updated.price).toBe(existing.price); // Blank cells leave fields alone
+            expect(await Sweet.findOne({ sku: 'GUM-1' })).toHaveProperty('name', 'Sour Bears');
+            expect(await StockMovement.findOne({ sweet: existing._id })).toMatchObject({ type: 'adjustment', delta: 20 });
+        });
+
+        test('should upsert by SKU, including renames', async () => {
+            // Arrange
+            const existing = await Sweet.create(global.testUtils.createMockSweet({ name: 'Old Name', sku: 'SKU-9' }));
+
+            // Act
+            const response = await importCsv('sku,name\nsku-9,New Name\n').expect(200);
+
+            // Assert
+            expect(response.body.data.rows[0]).toMatchObject({ status: 'updated', sku: 'SKU-9', name: 'New Name' });
+            expect((await Sweet.findById(existing._id)).name).toBe('New Name');
+        });
+
+        test('should validate without writing in dry-run mode', async () => {
+            // Arrange
+            const existing = await Sweet.create(global.testUtils.createMockSweet({ name: 'Dark Bar' }));
+
+            // Act
+            const response = await importCsv(
+                'name,category,price,quantity\nNew Sweet,Candy,1,1\nDark Bar,Chocolate,99,1\n',
+                '?dryRun=true'
+            ).expect(200);
+
+            // Assert
+            expect(response.body.data).toMatchObject({ dryRun: true, created: 1, updated: 1, rejected: 0 });
+            expect(await Sweet.countDocuments()).toBe(1);
+            expect((await Sweet.findById(existing._id)).price).toBe(existing.price);
+        });
+
+        test('should reject rows that repeat a name or SKU from earlier in the file', async () => {
+            const response = await importCsv(
+                'sku,name,category,price,quantity\nA-1,First,Candy,1,1\nA-1,Second,Candy,1,1\n'
+            ).expect(200);
+
+            expect(response.body.data.rows[1]).toMatchObject({ status: 'rejected', errors: ['Duplicate of row 1'] });
+            expect(await Sweet.countDocuments()).toBe(1);
+        });
+
+        test('should report unchanged rows and read back its own export', async () => {
+            // Arrange
+            await Sweet.create(global.testUtils.createMockSweet({ name: '-Minus Mints', sku: 'MINT-1' }));
+            const exported = await request(app)
+                .get('/api/sweets/export.csv')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Act
+            const response = await importCsv(exported.text).expect(200);
+
+            // Assert
+            expect(response.body.data).toMatchObject({ unchanged: 1, created: 0, updated: 0 });
+        });
+
+        test('should stop reading after 5000 rows and say the import was truncated', async () => {
+            // Arrange - every row after the first is a duplicate, so only one is written
+            const csv = ['sku,name,category,price,quantity', ...Array(5001).fill('A-1,Same,Candy,1,1')].join('\n');
+
+            // Act
+            const response = await importCsv(csv).expect(200);
+
+            // Assert
+            expect(response.body.message).toMatch(/Only the first 5000 rows were read/);
+            expect(response.body.data).toMatchObject({ truncated: true, created: 1, rejected: 4999 });
+            expect(response.body.data.rows).toHaveLength(5000);
+            expect(await Sweet.countDocuments()).toBe(1);
+        });
+
+        test('should reject unknown columns and non-CSV bodies', async () => {
+            await importCsv('name,colour\nX,red\n').expect(400);
+            await request(app)
+                .post('/api/sweets/import')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'X' })
+                .expect(415);
+        });
+
+        test('should require sweets:create and sweets:update', async () => {
+            await importCsv('name\nX\n', '', staffToken).expect(403);
+        });
+    });
+});
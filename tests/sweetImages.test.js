@@ -0,0 +1,273 @@
+/**
+ * Sweet Image Tests
+ *
+ * Test suite for uploading, ordering, serving and cleaning up sweet images
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const User = require('../models/User');
+const Sweet = require('../models/Sweet');
+const imageStorage = require('../utils/imageStorage');
+const uploadsConfig = require('../config/uploads');
+const jwt = require('jsonwebtoken');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Helper function to generate JWT token for testing
+ */
+const generateTestToken = (userId, role = 'user') => {
+    return jwt.sign(
+        { id: userId, role },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '1d' }
+    );
+};
+
+// Smallest byte sequences that carry the right file signatures
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(32, 1)]);
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(32, 2)]);
+
+describe('Sweet Images API', () => {
+    // Uploaded files are written to a temporary local storage
+    const uploadDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'sweetshop-uploads-'));
+    const originalLimits = {
+        maxFileSize: uploadsConfig.maxFileSize,
+        maxImagesPerSweet: uploadsConfig.maxImagesPerSweet,
+    };
+    let originalStorage;
+    let adminToken;
+    let userToken;
+    let sweet;
+
+    /**
+     * Helper to upload files to a sweet
+     */
+    const upload = (sweetId, files, token = adminToken) => {
+        const req = request(app)
+            .post(`/api/sweets/${sweetId}/images`)
+            .set('Authorization', `Bearer ${token}`);
+
+        files.forEach(({ buffer, filename, contentType }) => {
+            req.attach('images', buffer, { filename, contentType });
+        });
+
+        return req;
+    };
+
+    /**
+     * Helper to find the stored file for an image
+     */
+    const storedFile = (image) => path.join(uploadDirectory, image.key);
+
+    // Connect to in-memory database before all tests
+    beforeAll(async () => {
+        await dbHandler.connect();
+
+        originalStorage = imageStorage.getStorage();
+        imageStorage.setStorage(imageStorage.createLocalStorage({
+            directory: uploadDirectory,
+            publicPath: uploadsConfig.publicPath,
+            cacheMaxAgeSeconds: uploadsConfig.cacheMaxAgeSeconds,
+        }));
+
+        const adminUser = await User.create({
+            name: 'Admin User',
+            email: 'admin@sweetshop.com',
+            password: 'admin123',
+            role: 'admin',
+        });
+
+        const normalUser = await User.create({
+            name: 'Normal User',
+            email: 'user@sweetshop.com',
+            password: 'user123',
+        });
+
+        adminToken = generateTestToken(adminUser._id, 'admin');
+        userToken = generateTestToken(normalUser._id);
+    });
+
+    beforeEach(async () => {
+        sweet = await Sweet.create(global.testUtils.createMockSweet());
+    });
+
+    // Clear sweets and stored files after each test, keep users
+    afterEach(async () => {
+        await Sweet.deleteMany({}, { withDeleted: true });
+        Object.assign(uploadsConfig, originalLimits);
+        fs.rmSync(path.join(uploadDirectory, 'sweets'), { recursive: true, force: true });
+    });
+
+    // Close database connection after all tests
+    afterAll(async () => {
+        await dbHandler.closeDatabase();
+
+        imageStorage.setStorage(originalStorage);
+        fs.rmSync(uploadDirectory, { recursive: true, force: true });
+    });
+
+    describe('POST /api/sweets/:id/images', () => {
+        test('should store uploaded images and make the first one primary', async () => {
+            // Act
+            const response = await upload(sweet._id, [
+                { buffer: PNG, filename: 'front.png', contentType: 'image/png' },
+                { buffer: JPEG, filename: 'back.jpg', contentType: 'image/jpeg' },
+            ]).expect(201);
+
+            // Assert
+            const { images, primaryImage } = response.body.data;
+            expect(images).toHaveLength(2);
+            expect(images.map((image) => image.originalName)).toEqual(['front.png', 'back.jpg']);
+            expect(images[0].isPrimary).toBe(true);
+            expect(images[1].isPrimary).toBe(false);
+            expect(primaryImage.url).toBe(images[0].url);
+            expect(images[0].url).toMatch(new RegExp(`^/uploads/sweets/${sweet._id}/\\w+\\.png$`));
+            expect(fs.readFileSync(storedFile(images[0]))).toEqual(PNG);
+        });
+
+        test('should serve uploaded images with long-lived cache headers', async () => {
+            // Arrange
+            const uploaded = await upload(sweet._id, [
+                { buffer: PNG, filename: 'front.png', contentType: 'image/png' },
+            ]).expect(201);
+
+            // Act
+            const response = await request(app).get(uploaded.body.data.images[0].url).expect(200);
+
+            // Assert
+            expect(response.headers['content-type']).toBe('image/png');
+            expect(response.headers['cache-control']).toMatch(/max-age=\d+, immutable/);
+            expect(response.headers['x-content-type-options']).toBe('nosniff');
+        });
+
+        test('should reject types that are not allowed', async () => {
+            const response = await upload(sweet._id, [
+                { buffer: Buffer.from('<svg></svg>'), filename: 'logo.svg', contentType: 'image/svg+xml' },
+            ]).expect(400);
+
+            expect(response.body.message).toMatch(/Unsupported image type/);
+        });
+
+        test('should reject files whose contents do not match their type', async () => {
+            const response = await upload(sweet._id, [
+                { buffer: Buffer.from('#!/bin/sh'), filename: 'sneaky.png', contentType: 'image/png' },
+            ]).expect(400);
+
+            expect(response.body.message).toMatch(/not a valid image\/png image/);
+        });
+
+        test('should reject files over the size limit', async () => {
+            // Arrange
+            uploadsConfig.maxFileSize = 16;
+
+            // Act & Assert
+            await upload(sweet._id, [
+                { buffer: PNG, filename: 'front.png', contentType: 'image/png' },
+            ]).expect(413);
+        });
+
+        test('should enforce the per-sweet image limit', async () => {
+            // Arrange
+            uploadsConfig.maxImagesPerSweet = 2;
+            await upload(sweet._id, [
+                { buffer: PNG, filename: 'one.png', contentType: 'image/png' },
+                { buffer: PNG, filename: 'two.png', contentType: 'image/png' },
+            ]).expect(201);
+
+            // Act
+            const response = await upload(sweet._id, [
+                { buffer: PNG, filename: 'three.png', contentType: 'image/png' },
+            ]).expect(400);
+
+            // Assert
+            expect(response.body.message).toMatch(/at most 2 images/);
+            expect((await Sweet.findById(sweet._id)).images).toHaveLength(2);
+        });
+
+        test('should require an image', async () => {
+            await request(app)
+                .post(`/api/sweets/${sweet._id}/images`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+        });
+
+        test('should deny normal users', async () => {
+            await upload(sweet._id, [
+                { buffer: PNG, filename: 'front.png', contentType: 'image/png' },
+            ], userToken).expect(403);
+        });
+    });
+
+    describe('PATCH and DELETE /api/sweets/:id/images', () => {
+        let images;
+
+        beforeEach(async () => {
+            const response = await upload(sweet._id, [
+                { buffer: PNG, filename: 'one.png', contentType: 'image/png' },
+                { buffer: PNG, filename: 'two.png', contentType: 'image/png' },
+                { buffer: JPEG, filename: 'three.jpg', contentType: 'image/jpeg' },
+            ]).expect(201);
+            images = response.body.data.images;
+        });
+
+        test('should reorder images and change the primary image', async () => {
+            // Act
+            const response = await request(app)
+                .patch(`/api/sweets/${sweet._id}/images`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ order: [images[2]._id, images[0]._id, images[1]._id], primary: images[1]._id })
+                .expect(200);
+
+            // Assert
+            const updated = response.body.data.images;
+            expect(updated.map((image) => image.originalName)).toEqual(['three.jpg', 'one.png', 'two.png']);
+            expect(updated.filter((image) => image.isPrimary).map((image) => image._id)).toEqual([images[1]._id]);
+            expect(response.body.data.primaryImage._id).toBe(images[1]._id);
+        });
+
+        test('should reject an order that does not list every image once', async () => {
+            await request(app)
+                .patch(`/api/sweets/${sweet._id}/images`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ order: [images[0]._id, images[0]._id, images[1]._id] })
+                .expect(400);
+        });
+
+        test('should delete an image, its file, and promote the next primary', async () => {
+            // Act
+            const response = await request(app)
+                .delete(`/api/sweets/${sweet._id}/images/${images[0]._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(response.body.data.images).toHaveLength(2);
+            expect(response.body.data.images[0]).toMatchObject({ _id: images[1]._id, isPrimary: true });
+            expect(fs.existsSync(storedFile(images[0]))).toBe(false);
+            expect(fs.existsSync(storedFile(images[1]))).toBe(true);
+        });
+
+        test('should keep files in the trash and remove them on purge', async () => {
+            // Arrange
+            await request(app)
+                .delete(`/api/sweets/${sweet._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(images.every((image) => fs.existsSync(storedFile(image)))).toBe(true);
+
+            // Act
+            await request(app)
+                .delete(`/api/sweets/${sweet._id}/purge`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(images.some((image) => fs.existsSync(storedFile(image)))).toBe(false);
+        });
+    });
+});
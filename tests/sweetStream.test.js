@@ -0,0 +1,290 @@
+/**
+ * Sweet Stream Tests
+ *
+ * Test suite for the Server-Sent Events inventory stream
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const http = require('http');
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const User = require('../models/User');
+const Sweet = require('../models/Sweet');
+const SweetEvent = require('../models/SweetEvent');
+const SalePrice = require('../models/SalePrice');
+const Counter = require('../models/Counter');
+const streamConfig = require('../config/stream');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Helper function to generate JWT token for testing
+ */
+const generateTestToken = (userId, role = 'user') => {
+    return jwt.sign(
+        { id: userId, role },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '1d' }
+    );
+};
+
+/**
+ * Parse the events in an SSE response body
+ */
+const parseEvents = (text) =>
+    text
+        .split('\n\n')
+        .filter((block) => block.includes('event: '))
+        .map((block) => {
+            const fields = Object.fromEntries(
+                block.split('\n').map((line) => [line.slice(0, line.indexOf(': ')), line.slice(line.indexOf(': ') + 2)])
+            );
+            return { id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) };
+        });
+
+/**
+ * Wait until a check passes (events arrive on the next poll)
+ */
+const waitFor = async (check, timeoutMs = 3000) => {
+    const deadline = Date.now() + timeoutMs;
+
+    while (!(await check())) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for stream events');
+        }
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+};
+
+describe('Sweet Stream API', () => {
+    const originalConfig = { ...streamConfig };
+    const streams = [];
+    let server;
+    let adminToken;
+
+    /**
+     * Helper to open a stream; resolves once it is live
+     */
+    const openStream = async (path = '/api/sweets/stream', headers = {}) => {
+        const stream = await new Promise((resolve, reject) => {
+            const req = http.get({ host: '127.0.0.1', port: server.address().port, path, headers }, (res) => {
+                const opened = { res, text: '', close: () => req.destroy() };
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    opened.text += chunk;
+                });
+                resolve(opened);
+            });
+            req.on('error', reject);
+        });
+
+        streams.push(stream);
+        await waitFor(() => stream.text.includes('retry: '));
+        return stream;
+    };
+
+    /**
+     * Helper to buy a sweet
+     */
+    const purchase = (sweetId, quantity = 1) =>
+        request(app).post(`/api/sweets/${sweetId}/purchase`).send({ quantity }).expect(200);
+
+    // Connect to in-memory database and listen before all tests
+    beforeAll(async () => {
+        await dbHandler.connect();
+        server = app.listen(0);
+
+        const adminUser = await User.create({
+            name: 'Admin User',
+            email: 'admin@sweetshop.com',
+            password: 'admin123',
+            role: 'admin',
+        });
+
+        adminToken = generateTestToken(adminUser._id, 'admin');
+    });
+
+    beforeEach(() => {
+        streamConfig.pollIntervalMs = 20;
+        streamConfig.saleCheckIntervalMs = 20;
+    });
+
+    // Close streams and clear sweets after each test, keep users
+    afterEach(async () => {
+        streams.splice(0).forEach((stream) => stream.close());
+        Object.assign(streamConfig, originalConfig);
+        await Sweet.deleteMany({}, { withDeleted: true });
+        await SweetEvent.deleteMany({});
+        await SalePrice.deleteMany({});
+    });
+
+    // Close database connection and the server after all tests
+    afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve));
+        await dbHandler.closeDatabase();
+    });
+
+    test('should push stock changes for the followed sweets only', async () => {
+        // Arrange
+        const [followed, other] = await Sweet.create([
+            global.testUtils.createMockSweet({ name: 'Followed', quantity: 5 }),
+            global.testUtils.createMockSweet({ name: 'Other', quantity: 5 }),
+        ]);
+        const stream = await openStream(`/api/sweets/stream?ids=${followed._id}`);
+
+        // Act
+        await purchase(other._id);
+        await purchase(followed._id, 5);
+
+        // Assert
+        expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+        await waitFor(() => parseEvents(stream.text).length === 1);
+        expect(parseEvents(stream.text)[0]).toMatchObject({
+            event: 'sweet',
+            data: { sweetId: String(followed._id), quantity: 0, inStock: false, available: false, deleted: false },
+        });
+    });
+
+    test('should push price changes and deletions', async () => {
+        // Arrange
+        const sweet = await Sweet.create(global.testUtils.createMockSweet({ price: 2 }));
+        const stream = await openStream();
+
+        // Act
+        await request(app)
+            .put(`/api/sweets/${sweet._id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ price: 2.5 })
+            .expect(200);
+        await request(app)
+            .delete(`/api/sweets/${sweet._id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        // Assert
+        await waitFor(() => parseEvents(stream.text).length === 2);
+        const events = parseEvents(stream.text);
+        expect(events.find((event) => !event.data.deleted).data).toMatchObject({ price: 2.5 });
+        expect(events.find((event) => event.data.deleted).data).toMatchObject({
+            sweetId: String(sweet._id),
+            available: false,
+        });
+    });
+
+    test('should push the sale price when a sale is scheduled and cancelled', async () => {
+        // Arrange
+        const sweet = await Sweet.create(global.testUtils.createMockSweet({ price: 10 }));
+        const stream = await openStream();
+
+        // Act
+        const sale = await request(app)
+            .post(`/api/sweets/${sweet._id}/sales`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ price: 7.5, endsAt: new Date(Date.now() + 60 * 60 * 1000) })
+            .expect(201);
+        await waitFor(() => parseEvents(stream.text).length === 1);
+        await request(app)
+            .delete(`/api/sweets/${sweet._id}/sales/${sale.body.data._id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        // Assert
+        await waitFor(() => parseEvents(stream.text).length === 2);
+        expect(parseEvents(stream.text).map((event) => event.data)).toMatchObject([
+            { price: 10, effectivePrice: 7.5, onSale: true },
+            { price: 10, effectivePrice: 10, onSale: false },
+        ]);
+    });
+
+    test('should push scheduled sales as they start and end, once', async () => {
+        // Arrange
+        const sweet = await Sweet.create(global.testUtils.createMockSweet({ price: 10 }));
+        const stream = await openStream();
+
+        // Act
+        await SalePrice.create({
+            sweet: sweet._id,
+            price: 6,
+            startsAt: new Date(Date.now() + 100),
+            endsAt: new Date(Date.now() + 400),
+        });
+
+        // Assert
+        await waitFor(() => parseEvents(stream.text).length === 2);
+        expect(parseEvents(stream.text).map((event) => event.data)).toMatchObject([
+            { effectivePrice: 6, onSale: true },
+            { effectivePrice: 10, onSale: false },
+        ]);
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        expect(parseEvents(stream.text)).toHaveLength(2);
+        expect(await SalePrice.countDocuments({ startPublishedAt: null })).toBe(0);
+    });
+
+    test('should replay missed events after Last-Event-ID', async () => {
+        // Arrange
+        const sweet = await Sweet.create(global.testUtils.createMockSweet({ quantity: 10 }));
+        const first = await openStream();
+        await purchase(sweet._id);
+        await waitFor(() => parseEvents(first.text).length === 1);
+        const lastEventId = parseEvents(first.text)[0].id;
+        first.close();
+
+        // Act - changes while disconnected
+        await purchase(sweet._id);
+        await purchase(sweet._id);
+        const resumed = await openStream('/api/sweets/stream', { 'Last-Event-ID': String(lastEventId) });
+
+        // Assert
+        await waitFor(() => parseEvents(resumed.text).length === 2);
+        expect(parseEvents(resumed.text).map((event) => event.data.quantity)).toEqual([8, 7]);
+    });
+
+    test('should tell clients to reload when the missed events are gone', async () => {
+        // Arrange
+        const sweet = await Sweet.create(global.testUtils.createMockSweet());
+        await purchase(sweet._id);
+        await purchase(sweet._id);
+        await purchase(sweet._id);
+        await waitFor(async () => (await SweetEvent.countDocuments()) === 3);
+        const [seen, missed] = await SweetEvent.find().sort({ seq: 1 });
+
+        // Expire the events the client missed
+        await SweetEvent.deleteMany({ seq: { $lte: missed.seq } });
+
+        // Act
+        const resumed = await openStream('/api/sweets/stream', { 'Last-Event-ID': String(seen.seq) });
+
+        // Assert
+        expect(parseEvents(resumed.text).map((event) => event.event)).toEqual(['reset']);
+    });
+
+    test('should forward events written by another instance', async () => {
+        // Arrange
+        const sweet = await Sweet.create(global.testUtils.createMockSweet());
+        const stream = await openStream();
+
+        // Act - another instance publishes through the shared collection
+        await SweetEvent.create({
+            seq: await Counter.reserve('sweetEvents'),
+            sweet: sweet._id,
+            data: { sweetId: String(sweet._id), quantity: 42, deleted: false },
+        });
+
+        // Assert
+        await waitFor(() => parseEvents(stream.text).length === 1);
+        expect(parseEvents(stream.text)[0].data.quantity).toBe(42);
+    });
+
+    test('should send heartbeats', async () => {
+        streamConfig.heartbeatMs = 30;
+
+        const stream = await openStream();
+
+        await waitFor(() => stream.text.includes(': heartbeat\n\n'));
+    });
+
+    test('should reject invalid ids and Last-Event-ID', async () => {
+        await request(app).get('/api/sweets/stream?ids=abc').expect(400);
+        await request(app).get('/api/sweets/stream').set('Last-Event-ID', 'x').expect(400);
+    });
+});
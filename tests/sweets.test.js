@@ -10,6 +10,7 @@ const app = require('../server');
 const dbHandler = require('./db-handler');
 const User = require('../models/User');
 const Sweet = require('../models/Sweet');
+const StockMovement = require('../models/StockMovement');
 const jwt = require('jsonwebtoken');
 
 /**
@@ -58,8 +59,9 @@ describe('Sweets API', () => {
     afterEach(async () => {
         // Only clear sweets, keep users
         if (Sweet && Sweet.collection) {
-            await Sweet.deleteMany({});
+            await Sweet.deleteMany({}, { withDeleted: true });
         }
+        await StockMovement.deleteMany({});
     });
 
     // Close database connection after all tests
@@ -126,6 +128,101 @@ describe('Sweets API', () => {
         });
     });
 
+    describe('GET /api/sweets (search, filter, sort, paginate)', () => {
+        beforeEach(async () => {
+            // Arrange - A small catalog covering every filter
+            await Sweet.create([
+                { name: 'Dark Chocolate Bar', category: 'Chocolate', price: 8, quantity: 20 },
+                { name: 'Milk Chocolate Bar', category: 'Chocolate', price: 4, quantity: 0 },
+                { name: 'Sour Gummy Worms', category: 'Gummy', price: 3, quantity: 50 },
+                { name: 'Cherry Lollipop', category: 'Lollipop', price: 1, quantity: 100 },
+            ]);
+        });
+
+        test('should filter by case-insensitive name substring', async () => {
+            // Act
+            const response = await request(app)
+                .get('/api/sweets?name=chocolate')
+                .expect(200);
+
+            // Assert
+            expect(response.body.total).toBe(2);
+            response.body.data.forEach((sweet) => {
+                expect(sweet.name).toMatch(/chocolate/i);
+            });
+        });
+
+        test('should filter by category, price range and stock status', async () => {
+            // Act
+            const response = await request(app)
+                .get('/api/sweets?category=Chocolate&minPrice=2&maxPrice=10&inStock=true')
+                .expect(200);
+
+            // Assert - Same results as the model's findByCategory + findInStock
+            const expected = (await Sweet.findByCategory('Chocolate'))
+                .filter((sweet) => sweet.inStock && sweet.quantity > 0);
+            expect(response.body.total).toBe(expected.length);
+            expect(response.body.data[0]).toHaveProperty('name', 'Dark Chocolate Bar');
+        });
+
+        test('should return out of stock sweets when inStock=false', async () => {
+            // Act
+            const response = await request(app)
+                .get('/api/sweets?inStock=false')
+                .expect(200);
+
+            // Assert
+            expect(response.body.total).toBe(1);
+            expect(response.body.data[0]).toHaveProperty('quantity', 0);
+        });
+
+        test('should sort by a whitelisted field', async () => {
+            // Act
+            const response = await request(app)
+                .get('/api/sweets?sort=-price')
+                .expect(200);
+
+            // Assert
+            const prices = response.body.data.map((sweet) => sweet.price);
+            expect(prices).toEqual([8, 4, 3, 1]);
+        });
+
+        test('should reject sort fields that are not whitelisted', async () => {
+            // Act
+            const response = await request(app)
+                .get('/api/sweets?sort=description')
+                .expect(400);
+
+            // Assert
+            expect(response.body).toHaveProperty('success', false);
+            expect(response.body.message).toMatch(/invalid sort field/i);
+        });
+
+        test('should paginate results with total, page and pages', async () => {
+            // Act
+            const response = await request(app)
+                .get('/api/sweets?sort=price&page=2&limit=3')
+                .expect(200);
+
+            // Assert
+            expect(response.body).toHaveProperty('total', 4);
+            expect(response.body).toHaveProperty('page', 2);
+            expect(response.body).toHaveProperty('pages', 2);
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.data[0]).toHaveProperty('price', 8);
+        });
+
+        test('should reject an inverted price range', async () => {
+            // Act
+            const response = await request(app)
+                .get('/api/sweets?minPrice=10&maxPrice=2')
+                .expect(400);
+
+            // Assert
+            expect(response.body).toHaveProperty('success', false);
+        });
+    });
+
     describe('POST /api/sweets', () => {
         test('should allow admin user to add a new sweet', async () => {
             // Arrange
@@ -509,5 +606,295 @@ describe('Sweets API', () => {
             expect(response.body.success).toBe(true);
         });
     });
+
+    describe('POST /api/sweets/:id/restock', () => {
+        test('should allow admin to restock a sweet', async () => {
+            // Arrange
+            const sweet = await Sweet.create({
+                name: 'Restock Sweet',
+                category: 'Candy',
+                price: 2,
+                quantity: 0,
+            });
+
+            // Act
+            const response = await request(app)
+                .post(`/api/sweets/${sweet._id}/restock`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ quantity: 10, note: 'Weekly delivery' })
+                .expect('Content-Type', /json/)
+                .expect(200);
+
+            // Assert
+            expect(response.body).toHaveProperty('success', true);
+            expect(response.body.data).toHaveProperty('quantity', 10);
+            expect(response.body.data).toHaveProperty('inStock', true);
+        });
+
+        test('should not overwrite concurrent purchases', async () => {
+            // Arrange
+            const sweet = await Sweet.create({
+                name: 'Busy Sweet',
+                category: 'Candy',
+                price: 2,
+                quantity: 5,
+            });
+
+            // Act
+            await Promise.all([
+                request(app)
+                    .post(`/api/sweets/${sweet._id}/restock`)
+                    .set('Authorization', `Bearer ${adminToken}`)
+                    .send({ quantity: 10 }),
+                request(app).post(`/api/sweets/${sweet._id}/purchase`).send({ quantity: 3 }),
+            ]);
+
+            // Assert - 5 + 10 - 3
+            const updated = await Sweet.findById(sweet._id);
+            expect(updated.quantity).toBe(12);
+        });
+
+        test('should stay in stock when a restock lands right after a sellout', async () => {
+            // Arrange
+            const sweet = await Sweet.create({
+                name: 'Last Sweet',
+                category: 'Candy',
+                price: 2,
+                quantity: 1,
+            });
+            const findOneAndUpdate = Sweet.findOneAndUpdate.bind(Sweet);
+            jest.spyOn(Sweet, 'findOneAndUpdate').mockImplementationOnce(async (...args) => {
+                const soldOut = await findOneAndUpdate(...args);
+                await Sweet.updateOne({ _id: sweet._id }, { $inc: { quantity: 10 }, $set: { inStock: true } });
+                return soldOut;
+            });
+
+            // Act
+            await request(app)
+                .post(`/api/sweets/${sweet._id}/purchase`)
+                .send({ quantity: 1 })
+                .expect(200);
+            jest.restoreAllMocks();
+
+            // Assert
+            const updated = await Sweet.findById(sweet._id);
+            expect(updated.quantity).toBe(10);
+            expect(updated.inStock).toBe(true);
+        });
+
+        test('should fail with 403 for normal users', async () => {
+            // Arrange
+            const sweet = await Sweet.create({
+                name: 'Protected Sweet',
+                category: 'Candy',
+                price: 2,
+                quantity: 5,
+            });
+
+            // Act & Assert
+            await request(app)
+                .post(`/api/sweets/${sweet._id}/restock`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ quantity: 10 })
+                .expect(403);
+        });
+
+        test('should validate quantity is a positive integer', async () => {
+            // Arrange
+            const sweet = await Sweet.create({
+                name: 'Invalid Restock Sweet',
+                category: 'Candy',
+                price: 2,
+                quantity: 5,
+            });
+
+            // Act
+            const response = await request(app)
+                .post(`/api/sweets/${sweet._id}/restock`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ quantity: 0 })
+                .expect(400);
+
+            // Assert
+            expect(response.body.message).toMatch(/positive integer/i);
+        });
+    });
+
+    describe('GET /api/sweets/:id/movements', () => {
+        test('should record purchases, restocks and adjustments in the ledger', async () => {
+            // Arrange
+            const sweet = await Sweet.create({
+                name: 'Ledger Sweet',
+                category: 'Candy',
+                price: 2,
+                quantity: 10,
+            });
+
+            await request(app).post(`/api/sweets/${sweet._id}/purchase`).send({ quantity: 4 });
+            await request(app)
+                .post(`/api/sweets/${sweet._id}/restock`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ quantity: 6 });
+            await request(app)
+                .put(`/api/sweets/${sweet._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ quantity: 20 });
+
+            // Act
+            const response = await request(app)
+                .get(`/api/sweets/${sweet._id}/movements`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert - Newest first
+            const movements = response.body.data;
+            expect(movements.map((m) => m.type)).toEqual(['adjustment', 'restock', 'purchase']);
+            expect(movements.map((m) => m.delta)).toEqual([8, 6, -4]);
+            expect(movements.map((m) => m.quantityAfter)).toEqual([20, 12, 6]);
+            expect(movements[0].performedBy).toHaveProperty('email', 'admin@sweetshop.com');
+            expect(movements[2].performedBy).toBeNull();
+            expect(response.body).toHaveProperty('currentQuantity', 20);
+        });
+
+        test('should fail with 403 for normal users', async () => {
+            // Arrange
+            const sweet = await Sweet.create({
+                name: 'Private Ledger Sweet',
+                category: 'Candy',
+                price: 2,
+                quantity: 10,
+            });
+
+            // Act & Assert
+            await request(app)
+                .get(`/api/sweets/${sweet._id}/movements`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(403);
+        });
+    });
+
+    describe('Soft delete, trash and restore', () => {
+        test('should hide a deleted sweet from listing, detail and purchase', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+
+            // Act
+            await request(app)
+                .delete(`/api/sweets/${sweet._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            const list = await request(app).get('/api/sweets').expect(200);
+            expect(list.body.total).toBe(0);
+            await request(app).get(`/api/sweets/${sweet._id}`).expect(404);
+            await request(app)
+                .post(`/api/sweets/${sweet._id}/purchase`)
+                .send({ quantity: 1 })
+                .expect(404);
+
+            const stored = await Sweet.findById(sweet._id).setOptions({ withDeleted: true });
+            expect(stored.deletedAt).toBeInstanceOf(Date);
+            expect(String(stored.deletedBy)).toBe(String(adminUser._id));
+            expect(stored.quantity).toBe(100);
+        });
+
+        test('should list deleted sweets in the trash', async () => {
+            // Arrange
+            const [, deleted] = await Sweet.create([
+                global.testUtils.createMockSweet({ name: 'Kept Sweet' }),
+                global.testUtils.createMockSweet({ name: 'Deleted Sweet' }),
+            ]);
+            await request(app)
+                .delete(`/api/sweets/${deleted._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Act
+            const response = await request(app)
+                .get('/api/sweets/trash')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(response.body.total).toBe(1);
+            expect(response.body.data[0].name).toBe('Deleted Sweet');
+            expect(response.body.data[0].deletedBy).toHaveProperty('email', 'admin@sweetshop.com');
+        });
+
+        test('should restore a deleted sweet', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+            await request(app)
+                .delete(`/api/sweets/${sweet._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Act
+            const response = await request(app)
+                .post(`/api/sweets/${sweet._id}/restore`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(response.body.data.deletedAt).toBeNull();
+            await request(app).get(`/api/sweets/${sweet._id}`).expect(200);
+        });
+
+        test('should return 404 when restoring a sweet that is not in the trash', async () => {
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+
+            await request(app)
+                .post(`/api/sweets/${sweet._id}/restore`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(404);
+        });
+
+        test('should only purge sweets that are already in the trash', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+
+            // Act & Assert - still active
+            const refused = await request(app)
+                .delete(`/api/sweets/${sweet._id}/purge`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+            expect(refused.body.message).toMatch(/Delete the sweet first/);
+
+            // Act & Assert - in the trash
+            await request(app)
+                .delete(`/api/sweets/${sweet._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            await request(app)
+                .delete(`/api/sweets/${sweet._id}/purge`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(await Sweet.findById(sweet._id).setOptions({ withDeleted: true })).toBeNull();
+        });
+
+        test('should keep stock history readable for deleted sweets', async () => {
+            // Arrange
+            const sweet = await Sweet.create(global.testUtils.createMockSweet());
+            await request(app)
+                .delete(`/api/sweets/${sweet._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Act & Assert
+            await request(app)
+                .get(`/api/sweets/${sweet._id}/movements`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+        });
+
+        test('should deny trash access to normal users', async () => {
+            await request(app)
+                .get('/api/sweets/trash')
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(403);
+        });
+    });
 });
 
@@ -0,0 +1,333 @@
+/**
+ * User Administration Tests
+ *
+ * Test suite for the admin user management API
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const User = require('../models/User');
+const Cart = require('../models/Cart');
+const RefreshToken = require('../models/RefreshToken');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Helper function to generate JWT token for testing
+ */
+const generateTestToken = (userId, role = 'user') => {
+    return jwt.sign(
+        { id: userId, role },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '1d' }
+    );
+};
+
+describe('User Administration API', () => {
+    let adminUser;
+    let normalUser;
+    let adminToken;
+    let userToken;
+
+    // Connect to in-memory database before all tests
+    beforeAll(async () => {
+        await dbHandler.connect();
+    });
+
+    // Fresh users for every test, since tests change roles and status
+    beforeEach(async () => {
+        adminUser = await User.create({
+            name: 'Admin User',
+            email: 'admin@sweetshop.com',
+            password: 'admin123',
+            role: 'admin',
+        });
+
+        normalUser = await User.create({
+            name: 'Normal User',
+            email: 'user@sweetshop.com',
+            password: 'user123',
+        });
+
+        adminToken = generateTestToken(adminUser._id, 'admin');
+        userToken = generateTestToken(normalUser._id);
+    });
+
+    afterEach(async () => {
+        await dbHandler.clearDatabase();
+    });
+
+    // Close database connection after all tests
+    afterAll(async () => {
+        await dbHandler.closeDatabase();
+    });
+
+    describe('GET /api/users', () => {
+        test('should list users without password fields', async () => {
+            // Act
+            const response = await request(app)
+                .get('/api/users')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(response.body.total).toBe(2);
+            expect(response.body.data[0].password).toBeUndefined();
+        });
+
+        test('should search by name or email and filter by role', async () => {
+            // Arrange
+            await User.create({ name: 'Candy Fan', email: 'fan@example.com', password: 'fan123' });
+
+            // Act
+            const bySearch = await request(app)
+                .get('/api/users?search=EXAMPLE.com')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            const byRole = await request(app)
+                .get('/api/users?role=admin')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(bySearch.body.data.map((user) => user.email)).toEqual(['fan@example.com']);
+            expect(byRole.body.data.map((user) => user.email)).toEqual(['admin@sweetshop.com']);
+        });
+
+        test('should reject an unknown role filter', async () => {
+            const response = await request(app)
+                .get('/api/users?role=owner')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+
+            expect(response.body.success).toBe(false);
+        });
+
+        test('should deny non-admin users', async () => {
+            await request(app)
+                .get('/api/users')
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(403);
+        });
+    });
+
+    describe('GET /api/users/:id', () => {
+        test('should return a single user', async () => {
+            const response = await request(app)
+                .get(`/api/users/${normalUser._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(response.body.data.email).toBe('user@sweetshop.com');
+        });
+
+        test('should return 404 for an invalid id', async () => {
+            await request(app)
+                .get('/api/users/not-an-id')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(404);
+        });
+    });
+
+    describe('PATCH /api/users/:id/role', () => {
+        test('should promote a user to admin', async () => {
+            // Act
+            const response = await request(app)
+                .patch(`/api/users/${normalUser._id}/role`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ role: 'admin' })
+                .expect(200);
+
+            // Assert
+            expect(response.body.data.role).toBe('admin');
+            expect(await User.countActiveAdmins()).toBe(2);
+        });
+
+        test('should reject an invalid role', async () => {
+            await request(app)
+                .patch(`/api/users/${normalUser._id}/role`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ role: 'owner' })
+                .expect(400);
+        });
+
+        test('should not let an admin change their own role', async () => {
+            // Act
+            const response = await request(app)
+                .patch(`/api/users/${adminUser._id}/role`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ role: 'user' })
+                .expect(400);
+
+            // Assert
+            expect(response.body.message).toBe('You cannot change your own role');
+            const unchanged = await User.findById(adminUser._id);
+            expect(unchanged.role).toBe('admin');
+        });
+
+        test('should not let two admins demote each other at the same time', async () => {
+            // Arrange
+            const secondAdmin = await User.create({
+                name: 'Second Admin',
+                email: 'admin2@sweetshop.com',
+                password: 'admin123',
+                role: 'admin',
+            });
+            const secondToken = generateTestToken(secondAdmin._id, 'admin');
+
+            // Act
+            await Promise.all([
+                request(app)
+                    .patch(`/api/users/${secondAdmin._id}/role`)
+                    .set('Authorization', `Bearer ${adminToken}`)
+                    .send({ role: 'user' }),
+                request(app)
+                    .patch(`/api/users/${adminUser._id}/role`)
+                    .set('Authorization', `Bearer ${secondToken}`)
+                    .send({ role: 'user' }),
+            ]);
+
+            // Assert
+            expect(await User.countActiveAdmins()).toBeGreaterThanOrEqual(1);
+        });
+    });
+
+    describe('Disable and enable', () => {
+        test('should disable a user and end their sessions', async () => {
+            // Arrange
+            await RefreshToken.issue(normalUser._id);
+
+            // Act
+            const response = await request(app)
+                .post(`/api/users/${normalUser._id}/disable`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(response.body.data.disabled).toBe(true);
+            expect(await RefreshToken.countDocuments({ user: normalUser._id, revokedAt: null })).toBe(0);
+            await request(app)
+                .get('/api/orders/mine')
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(401);
+        });
+
+        test('should deny a disabled account in protect and login', async () => {
+            // Arrange - disabled without bumping the token version
+            await User.updateOne({ _id: normalUser._id }, { disabled: true });
+
+            // Act
+            const protectedResponse = await request(app)
+                .get('/api/orders/mine')
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(403);
+            const loginResponse = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'user@sweetshop.com', password: 'user123' })
+                .expect(403);
+
+            // Assert
+            expect(protectedResponse.body.message).toBe('Account has been disabled');
+            expect(loginResponse.body.token).toBeUndefined();
+        });
+
+        test('should re-enable a disabled user so they can log in again', async () => {
+            // Arrange
+            await request(app)
+                .post(`/api/users/${normalUser._id}/disable`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Act
+            await request(app)
+                .post(`/api/users/${normalUser._id}/enable`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'user@sweetshop.com', password: 'user123' })
+                .expect(200);
+        });
+
+        test('should not let an admin disable themselves', async () => {
+            await request(app)
+                .post(`/api/users/${adminUser._id}/disable`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+        });
+
+        test('should keep one enabled admin when two admins disable each other', async () => {
+            // Arrange
+            const secondAdmin = await User.create({
+                name: 'Second Admin',
+                email: 'admin2@sweetshop.com',
+                password: 'admin123',
+                role: 'admin',
+            });
+            const secondToken = generateTestToken(secondAdmin._id, 'admin');
+
+            // Act
+            await Promise.all([
+                request(app)
+                    .post(`/api/users/${secondAdmin._id}/disable`)
+                    .set('Authorization', `Bearer ${adminToken}`),
+                request(app)
+                    .post(`/api/users/${adminUser._id}/disable`)
+                    .set('Authorization', `Bearer ${secondToken}`),
+            ]);
+
+            // Assert
+            expect(await User.countActiveAdmins()).toBeGreaterThanOrEqual(1);
+        });
+    });
+
+    describe('DELETE /api/users/:id', () => {
+        test('should delete a user with their sessions and cart', async () => {
+            // Arrange
+            await RefreshToken.issue(normalUser._id);
+            await Cart.findOrCreateForUser(normalUser._id);
+
+            // Act
+            await request(app)
+                .delete(`/api/users/${normalUser._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(await User.findById(normalUser._id)).toBeNull();
+            expect(await RefreshToken.countDocuments({ user: normalUser._id })).toBe(0);
+            expect(await Cart.countDocuments({ user: normalUser._id })).toBe(0);
+        });
+
+        test('should delete another admin while one admin remains', async () => {
+            // Arrange
+            const otherAdmin = await User.create({
+                name: 'Other Admin',
+                email: 'admin2@sweetshop.com',
+                password: 'admin123',
+                role: 'admin',
+            });
+
+            // Act
+            await request(app)
+                .delete(`/api/users/${otherAdmin._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(await User.countActiveAdmins()).toBe(1);
+        });
+
+        test('should not let an admin delete themselves', async () => {
+            await request(app)
+                .delete(`/api/users/${adminUser._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+
+            expect(await User.findById(adminUser._id)).not.toBeNull();
+        });
+    });
+});
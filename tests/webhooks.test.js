@@ -0,0 +1,281 @@
+/**
+ * Webhook Tests
+ *
+ * Test suite for webhook subscriptions, signed deliveries, retries and redelivery
+ * Deliveries are sent to a local HTTP receiver
+ * Following TDD approach - RED, GREEN, REFACTOR
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../server');
+const dbHandler = require('./db-handler');
+const User = require('../models/User');
+const Sweet = require('../models/Sweet');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookConfig = require('../config/webhooks');
+const { processDueDeliveries } = require('../utils/webhooks');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Helper function to generate JWT token for testing
+ */
+const generateTestToken = (userId, role = 'user') => {
+    return jwt.sign(
+        { id: userId, role },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '1d' }
+    );
+};
+
+/**
+ * Wait until a check passes (deliveries are sent in the background)
+ */
+const waitFor = async (check, timeoutMs = 3000) => {
+    const deadline = Date.now() + timeoutMs;
+
+    while (!(await check())) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for a webhook delivery');
+        }
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+};
+
+describe('Webhooks API', () => {
+    const originalConfig = { ...webhookConfig };
+    let receiver;
+    let receiverUrl;
+    let received;
+    let receiverStatus;
+    let adminToken;
+    let userToken;
+
+    /**
+     * Helper to create a webhook pointing at the receiver
+     */
+    const createWebhook = (body = {}) =>
+        request(app)
+            .post('/api/webhooks')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ url: receiverUrl, events: ['sweet.created'], ...body });
+
+    /**
+     * Helper to create a sweet through the API (raises sweet.created)
+     */
+    const createSweet = (overrides = {}) =>
+        request(app)
+            .post('/api/sweets')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send(global.testUtils.createMockSweet(overrides))
+            .expect(201);
+
+    // Connect to in-memory database and start the receiver before all tests
+    beforeAll(async () => {
+        await dbHandler.connect();
+
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.writeHead(receiverStatus);
+                res.end('ok');
+            });
+        });
+        await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+        receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+        const adminUser = await User.create({
+            name: 'Admin User',
+            email: 'admin@sweetshop.com',
+            password: 'admin123',
+            role: 'admin',
+        });
+
+        const normalUser = await User.create({
+            name: 'Normal User',
+            email: 'user@sweetshop.com',
+            password: 'user123',
+        });
+
+        adminToken = generateTestToken(adminUser._id, 'admin');
+        userToken = generateTestToken(normalUser._id);
+    });
+
+    beforeEach(() => {
+        received = [];
+        receiverStatus = 200;
+    });
+
+    // Clear webhooks and sweets after each test, keep users
+    afterEach(async () => {
+        await Webhook.deleteMany({});
+        await WebhookDelivery.deleteMany({});
+        await Sweet.deleteMany({}, { withDeleted: true });
+        Object.assign(webhookConfig, originalConfig);
+    });
+
+    // Close database connection and the receiver after all tests
+    afterAll(async () => {
+        await dbHandler.closeDatabase();
+        await new Promise((resolve) => receiver.close(resolve));
+    });
+
+    describe('Managing webhooks', () => {
+        test('should show the secret on create only', async () => {
+            // Act
+            const created = await createWebhook({ description: 'POS' }).expect(201);
+            const fetched = await request(app)
+                .get(`/api/webhooks/${created.body.data._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // Assert
+            expect(created.body.data.secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+            expect(fetched.body.data).toMatchObject({ url: receiverUrl, events: ['sweet.created'], active: true });
+            expect(fetched.body.data.secret).toBeUndefined();
+        });
+
+        test('should reject unknown events and non-http URLs', async () => {
+            const response = await createWebhook({ url: 'ftp://example.com', events: ['sweet.eaten'] }).expect(400);
+
+            expect(response.body.message).toMatch(/http or https/);
+            expect(response.body.message).toMatch(/Unknown event\(s\): sweet.eaten/);
+        });
+
+        test('should rotate the secret', async () => {
+            const created = await createWebhook().expect(201);
+
+            const response = await request(app)
+                .post(`/api/webhooks/${created.body.data._id}/rotate-secret`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(response.body.data.secret).not.toBe(created.body.data.secret);
+        });
+
+        test('should deny users without webhooks:manage', async () => {
+            await request(app)
+                .get('/api/webhooks')
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(403);
+        });
+    });
+
+    describe('Delivering events', () => {
+        test('should post a signed payload to subscribed, active webhooks', async () => {
+            // Arrange
+            const { body: { data: webhook } } = await createWebhook().expect(201);
+            const { body: { data: disabled } } = await createWebhook({ active: false }).expect(201);
+
+            // Act
+            const { body: { data: sweet } } = await createSweet({ name: 'Signed Sweet' });
+            await waitFor(() => received.length === 1);
+
+            // Assert
+            const [{ headers, body }] = received;
+            const expected = crypto
+                .createHmac('sha256', webhook.secret)
+                .update(`${headers['x-webhook-timestamp']}.${body}`)
+                .digest('hex');
+            expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+            expect(headers['x-webhook-event']).toBe('sweet.created');
+            expect(JSON.parse(body)).toMatchObject({
+                type: 'sweet.created',
+                data: { sweet: { _id: sweet._id, name: 'Signed Sweet' } },
+            });
+
+            await waitFor(async () => (await WebhookDelivery.findOne({ webhook: webhook._id })).status === 'succeeded');
+            expect(await WebhookDelivery.countDocuments({ webhook: disabled._id })).toBe(0);
+        });
+
+        test('should retry a failed delivery with exponential backoff', async () => {
+            // Arrange
+            const { body: { data: webhook } } = await createWebhook().expect(201);
+            receiverStatus = 500;
+
+            // Act - first attempt fails
+            await createSweet();
+            await waitFor(async () => {
+                const delivery = await WebhookDelivery.findOne({ webhook: webhook._id });
+                return delivery && delivery.attempts.length === 1;
+            });
+
+            // Assert
+            let delivery = await WebhookDelivery.findOne({ webhook: webhook._id });
+            expect(delivery.status).toBe('pending');
+            expect(delivery.attempts[0]).toMatchObject({ statusCode: 500, error: 'Receiver answered 500' });
+            expect(delivery.nextAttemptAt - delivery.attempts[0].attemptedAt)
+                .toBeGreaterThanOrEqual(webhookConfig.backoffBaseMs);
+
+            // Act - second attempt fails, third succeeds
+            await WebhookDelivery.updateOne({ _id: delivery._id }, { nextAttemptAt: new Date() });
+            await processDueDeliveries();
+            delivery = await WebhookDelivery.findById(delivery._id);
+            expect(delivery.nextAttemptAt - delivery.attempts[1].attemptedAt)
+                .toBeGreaterThanOrEqual(2 * webhookConfig.backoffBaseMs);
+
+            receiverStatus = 204;
+            await WebhookDelivery.updateOne({ _id: delivery._id }, { nextAttemptAt: new Date() });
+            await processDueDeliveries();
+
+            // Assert
+            delivery = await WebhookDelivery.findById(delivery._id);
+            expect(delivery).toMatchObject({ status: 'succeeded', nextAttemptAt: null });
+            expect(delivery.attempts).toHaveLength(3);
+            expect(new Set(received.map(({ body }) => JSON.parse(body).id)).size).toBe(1);
+        });
+
+        test('should give up after the maximum number of attempts', async () => {
+            // Arrange
+            webhookConfig.maxAttempts = 1;
+            receiverStatus = 500;
+            const { body: { data: webhook } } = await createWebhook().expect(201);
+
+            // Act
+            await createSweet();
+
+            // Assert
+            await waitFor(async () => {
+                const delivery = await WebhookDelivery.findOne({ webhook: webhook._id });
+                return delivery && delivery.status === 'failed';
+            });
+        });
+
+        test('should list deliveries and redeliver one with the same event id', async () => {
+            // Arrange
+            receiverStatus = 500;
+            const { body: { data: webhook } } = await createWebhook().expect(201);
+            await createSweet();
+            await waitFor(() => received.length === 1);
+            receiverStatus = 200;
+
+            const log = await request(app)
+                .get(`/api/webhooks/${webhook._id}/deliveries?status=pending`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(log.body.total).toBe(1);
+
+            // Act
+            const response = await request(app)
+                .post(`/api/webhooks/${webhook._id}/deliveries/${log.body.data[0]._id}/redeliver`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(201);
+
+            // Assert
+            expect(response.body.data).toMatchObject({
+                status: 'succeeded',
+                eventId: log.body.data[0].eventId,
+                redeliveryOf: log.body.data[0]._id,
+            });
+            expect(received).toHaveLength(2);
+            expect(received[1].body).toBe(received[0].body);
+            expect(received[1].headers['x-webhook-delivery']).toBe(response.body.data._id);
+        });
+    });
+});
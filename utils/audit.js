@@ -0,0 +1,106 @@
+/**
+ * Audit Helpers
+ *
+ * Build audit log entries from a request and write them in the background
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Fields recorded in audit diffs, per target type
+ */
+const AUDIT_FIELDS = {
+    Sweet: ['name', 'category', 'price', 'priceTiers', 'quantity', 'description', 'sku', 'reorderLevel', 'inStock', 'images'],
+    User: ['name', 'email', 'role', 'disabled'],
+    Role: ['name', 'description', 'permissions'],
+    Category: ['name', 'slug', 'description', 'displayOrder', 'priceTiers'],
+    Webhook: ['url', 'events', 'description', 'active'], // Never the secret
+    Review: ['sweet', 'author', 'rating', 'text', 'status', 'moderationNote'],
+    Coupon: [
+        'code', 'description', 'type', 'value', 'minSpend', 'categories', 'sweets',
+        'startsAt', 'expiresAt', 'usageLimit', 'perUserLimit', 'stackable', 'active',
+    ],
+    SalePrice: ['sweet', 'price', 'startsAt', 'endsAt', 'note'],
+};
+
+/**
+ * Copy the audited fields of a document
+ * @param {Object|null} doc - Mongoose document or plain object
+ * @param {string[]} fields - Fields to copy
+ * @returns {Object|null} Plain snapshot
+ */
+const snapshot = (doc, fields) => {
+    if (!doc) {
+        return null;
+    }
+
+    const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+
+    // Missing fields become null so setting or clearing them shows in the diff
+    return Object.fromEntries(fields.map((field) => [field, source[field] === undefined ? null : source[field]]));
+};
+
+/**
+ * Keep only the fields whose values differ
+ * @param {Object|null} before - Snapshot before the change
+ * @param {Object|null} after - Snapshot after the change
+ * @returns {Object} { before, after }
+ */
+const diffSnapshots = (before, after) => {
+    if (!before || !after) {
+        return { before, after };
+    }
+
+    const changed = Object.keys(after).filter(
+        (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+    );
+
+    return {
+        before: Object.fromEntries(changed.map((field) => [field, before[field]])),
+        after: Object.fromEntries(changed.map((field) => [field, after[field]])),
+    };
+};
+
+/**
+ * Record a privileged action
+ * Not meant to be awaited: the write happens in the background and a
+ * failure is logged, never surfaced to the request that made the change
+ * @param {Object} req - Express request (actor, IP and request id)
+ * @param {string} action - e.g. 'sweet.update'
+ * @param {string} targetType - 'Sweet', 'User', 'Role', 'Category', 'Webhook', 'Review', 'Coupon' or 'SalePrice'
+ * @param {Object} options
+ * @param {Object} [options.before] - Document before the change
+ * @param {Object} [options.after] - Document after the change
+ * @param {string} [options.targetId] - Defaults to the document's _id
+ * @param {string} [options.label] - Human-readable target name
+ * @returns {Promise<AuditLog|null>} Created entry, or null on failure
+ */
+const recordAudit = (req, action, targetType, { before = null, after = null, targetId, label } = {}) => {
+    const fields = AUDIT_FIELDS[targetType] || [];
+    const doc = after || before;
+
+    const entry = {
+        actor: req.user ? req.user._id : null,
+        actorEmail: req.user ? req.user.email : null,
+        actorRole: req.user ? req.user.role : null,
+        action,
+        target: {
+            type: targetType,
+            id: targetId || (doc && doc._id ? String(doc._id) : null),
+            label: label || (doc ? doc.name || doc.email || null : null),
+        },
+        changes: diffSnapshots(snapshot(before, fields), snapshot(after, fields)),
+        ip: req.ip || null,
+        requestId: req.id || null,
+    };
+
+    return AuditLog.create(entry).catch((error) => {
+        console.error('Audit log error:', error);
+        return null;
+    });
+};
+
+module.exports = {
+    recordAudit,
+    diffSnapshots,
+};
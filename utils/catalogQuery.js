@@ -0,0 +1,123 @@
+/**
+ * Catalog Query Helpers
+ *
+ * Shared parsing of the sweets catalog filters, used by the catalog
+ * listing and the CSV export so both select the same sweets
+ */
+
+const Sweet = require('../models/Sweet');
+const { parsePagination } = require('./pagination');
+const { escapeRegex } = require('./regex');
+
+// Fields the catalog may be sorted by (query name -> document path)
+const SORT_FIELDS = {
+    name: 'name',
+    price: 'price',
+    quantity: 'quantity',
+    category: 'category',
+    createdAt: 'createdAt',
+    rating: 'ratingAverage',
+    reviewCount: 'ratingCount',
+};
+
+/**
+ * Build the Mongo filter, sort and pagination for a catalog query
+ * Category and stock filters reuse the Sweet model's filter builders.
+ * With byEffectivePrice, the price range goes in priceFilter on effectivePrice
+ * (see SalePrice.effectivePriceStages) and sorting by price uses it too.
+ * @param {Object} query - Express req.query
+ * @param {Object} [options]
+ * @param {boolean} [options.byEffectivePrice] - Filter and sort on the effective price
+ * @returns {Object} { filter, priceFilter, sort, page, limit, skip } or { error }
+ */
+const buildCatalogQuery = (query, { byEffectivePrice = false } = {}) => {
+    const { name, category, minPrice, maxPrice, inStock, sort } = query;
+    const conditions = [];
+    let priceFilter = {};
+
+    if (name) {
+        conditions.push({ name: { $regex: escapeRegex(String(name)), $options: 'i' } });
+    }
+
+    if (category) {
+        conditions.push(Sweet.categoryFilter(String(category)));
+    }
+
+    // Price range
+    const price = {};
+    for (const [raw, op] of [[minPrice, '$gte'], [maxPrice, '$lte']]) {
+        if (raw === undefined || raw === '') {
+            continue;
+        }
+
+        const value = Number(raw);
+        if (Number.isNaN(value) || value < 0) {
+            return { error: 'minPrice and maxPrice must be non-negative numbers' };
+        }
+        price[op] = value;
+    }
+
+    if (price.$gte !== undefined && price.$lte !== undefined && price.$gte > price.$lte) {
+        return { error: 'minPrice cannot be greater than maxPrice' };
+    }
+
+    if (Object.keys(price).length > 0) {
+        if (byEffectivePrice) {
+            priceFilter = { effectivePrice: price };
+        } else {
+            conditions.push({ price });
+        }
+    }
+
+    // Stock status
+    if (inStock !== undefined && inStock !== '') {
+        if (inStock === 'true') {
+            conditions.push(Sweet.inStockFilter());
+        } else if (inStock === 'false') {
+            conditions.push({ $nor: [Sweet.inStockFilter()] });
+        } else {
+            return { error: 'inStock must be true or false' };
+        }
+    }
+
+    // Sorting - comma separated fields, prefix with '-' for descending
+    const sortSpec = {};
+    if (sort) {
+        for (const token of String(sort).split(',').map((t) => t.trim()).filter(Boolean)) {
+            const descending = token.startsWith('-');
+            const key = descending ? token.slice(1) : token;
+            const field = byEffectivePrice && key === 'price' ? 'effectivePrice' : SORT_FIELDS[key];
+
+            if (!field) {
+                return {
+                    error: `Invalid sort field '${token}'. Allowed: ${Object.keys(SORT_FIELDS).join(', ')}`,
+                };
+            }
+            sortSpec[field] = descending ? -1 : 1;
+        }
+    }
+
+    // Newest first by default, _id keeps pages stable when values tie
+    if (Object.keys(sortSpec).length === 0) {
+        sortSpec.createdAt = -1;
+    }
+    sortSpec._id = -1;
+
+    const pagination = parsePagination(query);
+
+    if (!pagination) {
+        return { error: 'page and limit must be positive integers' };
+    }
+
+    return {
+        filter: conditions.length > 0 ? { $and: conditions } : {},
+        priceFilter,
+        sort: sortSpec,
+        ...pagination,
+    };
+};
+
+module.exports = {
+    SORT_FIELDS,
+    buildCatalogQuery,
+};
@@ -0,0 +1,16 @@
+/**
+ * Currency Helpers
+ *
+ * Shared money arithmetic for carts and orders
+ */
+
+/**
+ * Round a currency amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+    roundCurrency,
+};
@@ -0,0 +1,128 @@
+/**
+ * Image Storage
+ *
+ * Stores uploaded images through a pluggable storage backend
+ * A backend is any object with async save({ key, buffer, contentType }) that
+ * returns the public URL and async remove(key). Backends that serve their own
+ * files may also expose an Express `handler` mounted at the public path.
+ * Local disk storage is built in; other backends can be plugged in with
+ * setStorage().
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const uploadsConfig = require('../config/uploads');
+
+/**
+ * Storage that writes files to a local directory and serves them with express.static
+ * @param {Object} options - { directory, publicPath, cacheMaxAgeSeconds }
+ * @returns {Object} Storage backend
+ */
+const createLocalStorage = ({ directory, publicPath, cacheMaxAgeSeconds }) => {
+    const root = path.resolve(directory);
+
+    // Keys are generated by buildImageKey, but never let one escape the root
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid image key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+        directory: root,
+        save: async ({ key, buffer }) => {
+            const filePath = resolveKey(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+            return `${publicPath}/${key}`;
+        },
+        remove: async (key) => {
+            await fs.rm(resolveKey(key), { force: true });
+        },
+        handler: express.static(root, {
+            index: false,
+            immutable: true,
+            maxAge: cacheMaxAgeSeconds * 1000,
+            setHeaders: (res) => {
+                res.set('X-Content-Type-Options', 'nosniff');
+            },
+        }),
+    };
+};
+
+/**
+ * Create the storage named in the upload configuration
+ * @returns {Object} Storage backend
+ */
+const createDefaultStorage = () => {
+    if (uploadsConfig.storage !== 'local') {
+        throw new Error(`Unknown IMAGE_STORAGE: ${uploadsConfig.storage}`);
+    }
+
+    return createLocalStorage(uploadsConfig);
+};
+
+let storage = createDefaultStorage();
+
+/**
+ * Replace the active storage
+ * @param {Object} newStorage - Object with async save() and remove() methods
+ */
+const setStorage = (newStorage) => {
+    storage = newStorage;
+};
+
+/**
+ * Get the active storage
+ * @returns {Object} Storage backend
+ */
+const getStorage = () => storage;
+
+/**
+ * Build a new, never reused storage key for a sweet's image
+ * @param {string} sweetId - Sweet ID
+ * @param {string} extension - File extension without the dot
+ * @returns {string} Key, e.g. 'sweets/<id>/<random>.png'
+ */
+const buildImageKey = (sweetId, extension) =>
+    `sweets/${sweetId}/${crypto.randomBytes(12).toString('hex')}.${extension}`;
+
+/**
+ * Delete stored images, logging failures instead of throwing
+ * Used for cleanup, where a leftover file must not fail the request
+ * @param {string[]} keys - Storage keys
+ * @returns {Promise<void>}
+ */
+const removeImages = async (keys) => {
+    const results = await Promise.allSettled(keys.map((key) => storage.remove(key)));
+
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            console.error(`Remove image error (${keys[index]}):`, result.reason);
+        }
+    });
+};
+
+/**
+ * Express middleware that serves images from the active storage, if it serves its own files
+ */
+const serveImages = (req, res, next) => {
+    if (!storage.handler) {
+        return next();
+    }
+    return storage.handler(req, res, next);
+};
+
+module.exports = {
+    createLocalStorage,
+    setStorage,
+    getStorage,
+    buildImageKey,
+    removeImages,
+    serveImages,
+};
@@ -0,0 +1,60 @@
+/**
+ * Low Stock Alerts
+ *
+ * Fires one alert when a sweet drops to or below its reorder level
+ * The alert is claimed with a conditional update on lowStockAlertedAt, so
+ * concurrent purchases raise it once; the flag is cleared when the sweet is
+ * back above its level, so the next drop alerts again.
+ */
+
+const Sweet = require('../models/Sweet');
+const { notify } = require('./notifier');
+const { emitWebhookEvent } = require('./webhooks');
+
+/**
+ * Bring the low-stock alert state of sweets in line with their stock
+ * Call after any change to quantity or reorderLevel. Never throws, so a
+ * failed alert cannot fail the stock change that triggered it.
+ * @param {Array} sweetIds - Sweet IDs whose stock changed
+ * @returns {Promise<void>}
+ */
+const syncLowStockAlerts = async (sweetIds) => {
+    try {
+        // Restocked (or no longer tracked): re-arm the alert
+        await Sweet.updateMany(
+            {
+                _id: { $in: sweetIds },
+                lowStockAlertedAt: { $ne: null },
+                $or: [{ reorderLevel: { $lte: 0 } }, { $expr: { $gt: ['$quantity', '$reorderLevel'] } }],
+            },
+            { $set: { lowStockAlertedAt: null } }
+        );
+
+        for (const sweetId of sweetIds) {
+            const sweet = await Sweet.findOneAndUpdate(
+                { _id: sweetId, lowStockAlertedAt: null, ...Sweet.lowStockFilter() },
+                { $set: { lowStockAlertedAt: new Date() } },
+                { new: true }
+            );
+
+            if (sweet) {
+                const alert = {
+                    sweetId: String(sweet._id),
+                    name: sweet.name,
+                    sku: sweet.sku || null,
+                    quantity: sweet.quantity,
+                    reorderLevel: sweet.reorderLevel,
+                };
+
+                await notify('inventory.low_stock', alert);
+                emitWebhookEvent('stock.low', alert);
+            }
+        }
+    } catch (error) {
+        console.error('Low stock alert error:', error);
+    }
+};
+
+module.exports = {
+    syncLowStockAlerts,
+};
@@ -0,0 +1,88 @@
+/**
+ * Mailer
+ *
+ * Sends email through a pluggable transport
+ * A transport is any object with an async send(message) method, where
+ * message is { from, to, subject, text }. Console and file transports are
+ * built in for development and tests; production can plug in an SMTP or
+ * API backed transport with setTransport().
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const mailConfig = require('../config/mail');
+
+/**
+ * Transport that prints messages to the console
+ * @returns {Object} Transport
+ */
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    },
+});
+
+/**
+ * Transport that writes each message to a JSON file
+ * @param {Object} options - { directory }
+ * @returns {Object} Transport
+ */
+const createFileTransport = ({ directory }) => ({
+    name: 'file',
+    directory,
+    send: async (message) => {
+        await fs.mkdir(directory, { recursive: true });
+
+        // Timestamp prefix keeps files in sending order
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        const sentAt = new Date().toISOString();
+        await fs.writeFile(path.join(directory, fileName), JSON.stringify({ ...message, sentAt }, null, 2));
+    },
+});
+
+/**
+ * Create the transport named in the mail configuration
+ * @returns {Object} Transport
+ */
+const createDefaultTransport = () => {
+    if (mailConfig.transport === 'file') {
+        return createFileTransport({ directory: path.resolve(mailConfig.fileDirectory) });
+    }
+
+    return createConsoleTransport();
+};
+
+let transport = createDefaultTransport();
+
+/**
+ * Replace the active transport
+ * @param {Object} newTransport - Object with an async send(message) method
+ */
+const setTransport = (newTransport) => {
+    transport = newTransport;
+};
+
+/**
+ * Get the active transport
+ * @returns {Object} Transport
+ */
+const getTransport = () => transport;
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<void>}
+ */
+const sendMail = async (message) => {
+    await transport.send({ from: mailConfig.from, ...message });
+};
+
+module.exports = {
+    createConsoleTransport,
+    createFileTransport,
+    setTransport,
+    getTransport,
+    sendMail,
+};
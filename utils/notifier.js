@@ -0,0 +1,89 @@
+/**
+ * Notifier
+ *
+ * Delivers operational alerts through a pluggable notifier
+ * A notifier is any object with an async notify(event) method, where event
+ * is { type, occurredAt, data }. Log and file notifiers are built in;
+ * chat, email or paging backends can be plugged in with setNotifier().
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const notificationConfig = require('../config/notifications');
+
+/**
+ * Notifier that prints events to the console
+ * @returns {Object} Notifier
+ */
+const createLogNotifier = () => ({
+    name: 'log',
+    notify: async (event) => {
+        console.log(`🔔 ${event.type}: ${JSON.stringify(event.data)}`);
+    },
+});
+
+/**
+ * Notifier that appends each event to a file as one JSON line
+ * @param {Object} options - { file }
+ * @returns {Object} Notifier
+ */
+const createFileNotifier = ({ file }) => ({
+    name: 'file',
+    file,
+    notify: async (event) => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.appendFile(file, `${JSON.stringify(event)}\n`);
+    },
+});
+
+/**
+ * Create the notifier named in the notification configuration
+ * @returns {Object} Notifier
+ */
+const createDefaultNotifier = () => {
+    if (notificationConfig.notifier === 'file') {
+        return createFileNotifier({ file: path.resolve(notificationConfig.file) });
+    }
+
+    return createLogNotifier();
+};
+
+let notifier = createDefaultNotifier();
+
+/**
+ * Replace the active notifier
+ * @param {Object} newNotifier - Object with an async notify(event) method
+ */
+const setNotifier = (newNotifier) => {
+    notifier = newNotifier;
+};
+
+/**
+ * Get the active notifier
+ * @returns {Object} Notifier
+ */
+const getNotifier = () => notifier;
+
+/**
+ * Send an alert
+ * A failed delivery is logged, never thrown, so it cannot fail the request
+ * that raised the alert
+ * @param {string} type - Event type, e.g. 'inventory.low_stock'
+ * @param {Object} data - Event details
+ * @returns {Promise<void>}
+ */
+const notify = async (type, data) => {
+    try {
+        await notifier.notify({ type, occurredAt: new Date().toISOString(), data });
+    } catch (error) {
+        console.error(`Notify error (${type}):`, error);
+    }
+};
+
+module.exports = {
+    createLogNotifier,
+    createFileNotifier,
+    setNotifier,
+    getNotifier,
+    notify,
+};
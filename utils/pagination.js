@@ -0,0 +1,49 @@
+/**
+ * Pagination Helpers
+ *
+ * Shared parsing of page/limit query parameters for list endpoints
+ */
+
+// Pagination defaults
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parse a positive integer query parameter
+ * @param {string} value - Raw query value
+ * @param {number} fallback - Value used when the parameter is absent
+ * @returns {number|null} Parsed integer, or null if invalid
+ */
+const parsePositiveInt = (value, fallback) => {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+
+    const parsed = Number(value);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+};
+
+/**
+ * Parse page/limit query parameters, capping limit at MAX_PAGE_SIZE
+ * @param {Object} query - Express req.query
+ * @returns {Object|null} { page, limit, skip }, or null if invalid
+ */
+const parsePagination = (query) => {
+    const page = parsePositiveInt(query.page, 1);
+    const limit = parsePositiveInt(query.limit, DEFAULT_PAGE_SIZE);
+
+    if (page === null || limit === null) {
+        return null;
+    }
+
+    const cappedLimit = Math.min(limit, MAX_PAGE_SIZE);
+
+    return { page, limit: cappedLimit, skip: (page - 1) * cappedLimit };
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    parsePositiveInt,
+    parsePagination,
+};
@@ -0,0 +1,113 @@
+/**
+ * Price Tiers
+ *
+ * Quantity price breaks, e.g. 10+ at 5% off and 50+ at 12% off
+ * Sweets and categories both store a tier table; a sweet's own table wins
+ * over its category's. A table lists tiers by increasing minQuantity and each
+ * tier takes more off than the one before, so a line gets the highest tier
+ * its quantity reaches.
+ */
+
+const mongoose = require('mongoose');
+const { roundCurrency } = require('./currency');
+
+// Most tiers in one table
+const MAX_PRICE_TIERS = 10;
+
+const priceTierSchema = new mongoose.Schema(
+    {
+        minQuantity: {
+            type: Number,
+            required: [true, 'Tier minQuantity is required'],
+            min: [2, 'Tier minQuantity must be at least 2'],
+            validate: {
+                validator: Number.isInteger,
+                message: 'Tier minQuantity must be a whole number',
+            },
+        },
+        percentOff: {
+            type: Number,
+            required: [true, 'Tier percentOff is required'],
+            validate: {
+                validator: (value) => value > 0 && value < 100,
+                message: 'Tier percentOff must be greater than 0 and less than 100',
+            },
+        },
+    },
+    { _id: false }
+);
+
+/**
+ * Schema path for a tier table, shared by Sweet and Category
+ */
+const priceTiersPath = {
+    type: [priceTierSchema],
+    default: [],
+    validate: [
+        {
+            validator: (tiers) => tiers.length <= MAX_PRICE_TIERS,
+            message: `A price tier table cannot have more than ${MAX_PRICE_TIERS} tiers`,
+        },
+        {
+            validator: (tiers) => tiers.every((tier, index) => index === 0 || tier.minQuantity > tiers[index - 1].minQuantity),
+            message: 'Price tiers cannot overlap: list them by increasing minQuantity, each starting at a different quantity',
+        },
+        {
+            validator: (tiers) => tiers.every((tier, index) => index === 0 || tier.percentOff > tiers[index - 1].percentOff),
+            message: 'Each price tier must take more off than the tier before it',
+        },
+    ],
+};
+
+/**
+ * Check the shape of a tier table from a request body
+ * Catches what would otherwise fail as a cast error; the schema checks the rules
+ * @param {*} tiers - Value from the body (undefined when not given)
+ * @returns {string|null} Error message, or null if it can be saved
+ */
+const priceTiersInputError = (tiers) => {
+    if (tiers === undefined) {
+        return null;
+    }
+
+    const valid = Array.isArray(tiers) && tiers.every(
+        (tier) => tier && typeof tier.minQuantity === 'number' && typeof tier.percentOff === 'number'
+    );
+
+    return valid ? null : 'priceTiers must be an array of { minQuantity, percentOff } numbers';
+};
+
+/**
+ * Find the tier a quantity reaches
+ * @param {Array} tiers - Valid tier table
+ * @param {number} quantity - Quantity bought
+ * @returns {Object|null} The highest tier reached, or null
+ */
+const findTier = (tiers, quantity) => {
+    let reached = null;
+
+    for (const tier of tiers) {
+        if (quantity >= tier.minQuantity) {
+            reached = tier;
+        }
+    }
+
+    return reached;
+};
+
+/**
+ * Apply a tier to a unit price
+ * @param {number} price - Unit price
+ * @param {Object} tier - { percentOff }
+ * @returns {number} Discounted unit price, rounded to cents
+ */
+const applyTier = (price, tier) => roundCurrency((price * (100 - tier.percentOff)) / 100);
+
+module.exports = {
+    MAX_PRICE_TIERS,
+    priceTierSchema,
+    priceTiersPath,
+    priceTiersInputError,
+    findTier,
+    applyTier,
+};
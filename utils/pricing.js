@@ -0,0 +1,457 @@
+/**
+ * Pricing
+ *
+ * Prices purchase and checkout lines and applies coupon codes
+ * Lines are charged the effective price (a running sale, see SalePrice, or
+ * the base price) less the quantity tier the line reaches (see priceTiers).
+ * quoteLines() only reads: it returns the breakdown a customer would pay.
+ * redeemCoupons() then takes one use of each coupon, and releaseCoupons()
+ * gives the uses back if the purchase fails afterwards.
+ *
+ * Discounts are applied percentage coupons first, then fixed amounts, each
+ * to what is left of the lines it covers. A fixed amount is spread over its
+ * lines in proportion to their amounts, in whole cents.
+ */
+
+const mongoose = require('mongoose');
+const Sweet = require('../models/Sweet');
+const Category = require('../models/Category');
+const Coupon = require('../models/Coupon');
+const SalePrice = require('../models/SalePrice');
+const CouponUsage = require('../models/CouponUsage');
+const { roundCurrency } = require('./currency');
+const { findTier, applyTier } = require('./priceTiers');
+
+// Most coupon codes one purchase or order can use
+const MAX_COUPON_CODES = 5;
+
+// Maximum number of distinct sweets in one order
+const MAX_ORDER_LINES = 50;
+
+/**
+ * Validate checkout lines and merge duplicate sweets
+ * @param {Array} items - Raw [{ sweetId, quantity }] from the request body
+ * @returns {Object} { lines } or { error }
+ */
+const normalizeOrderItems = (items) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { error: 'Please provide at least one item' };
+    }
+
+    const merged = new Map();
+
+    for (const item of items) {
+        const { sweetId, quantity } = item || {};
+
+        if (!sweetId || !mongoose.Types.ObjectId.isValid(sweetId)) {
+            return { error: 'Each item must have a valid sweetId' };
+        }
+
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return { error: 'Quantity must be a positive integer' };
+        }
+
+        const key = String(sweetId);
+        merged.set(key, (merged.get(key) || 0) + quantity);
+    }
+
+    if (merged.size > MAX_ORDER_LINES) {
+        return { error: `An order cannot contain more than ${MAX_ORDER_LINES} different sweets` };
+    }
+
+    return {
+        lines: [...merged].map(([sweetId, quantity]) => ({ sweetId, quantity })),
+    };
+};
+
+/**
+ * Convert an amount to whole cents
+ * @param {number} amount - Amount
+ * @returns {number} Cents
+ */
+const toCents = (amount) => Math.round(amount * 100);
+
+/**
+ * Add the effective price and any running sale to sweets
+ * @param {Array} sweets - Sweet documents
+ * @param {Date} [now] - Point in time to price at
+ * @returns {Promise<Array>} Plain sweets with effectivePrice, onSale and sale
+ */
+const withEffectivePrices = async (sweets, now = new Date()) => {
+    const prices = await SalePrice.resolvePrices(sweets, now);
+
+    return sweets.map((sweet) => {
+        const { price, sale } = prices.get(String(sweet._id));
+
+        return {
+            ...sweet.toJSON(),
+            effectivePrice: price,
+            onSale: sale !== null,
+            sale: sale ? { _id: sale._id, price: sale.price, startsAt: sale.startsAt, endsAt: sale.endsAt } : null,
+        };
+    });
+};
+
+/**
+ * Find the tier table that applies to each sweet
+ * @param {Array} sweets - Sweet documents
+ * @returns {Promise<Map>} Sweet ID string => { source: 'sweet' | 'category' | null, tiers }
+ */
+const tierTables = async (sweets) => {
+    const names = [...new Set(
+        sweets.filter((sweet) => sweet.priceTiers.length === 0).map((sweet) => sweet.category)
+    )];
+    const categories = names.length === 0
+        ? []
+        : await Category.find({ name: { $in: names } }).select('name priceTiers').lean();
+    const byName = new Map(categories.map((category) => [category.name, category.priceTiers || []]));
+
+    return new Map(sweets.map((sweet) => {
+        if (sweet.priceTiers.length > 0) {
+            return [String(sweet._id), { source: 'sweet', tiers: sweet.priceTiers }];
+        }
+
+        const tiers = byName.get(sweet.category) || [];
+        return [String(sweet._id), { source: tiers.length > 0 ? 'category' : null, tiers }];
+    }));
+};
+
+/**
+ * Work out what one unit costs on each line
+ * @param {Array} lines - [{ sweet, quantity }] with sweet documents
+ * @returns {Promise<Array>} [{ listPrice, effectivePrice, price, sale, tier }] in line order;
+ *          effectivePrice is the sale or base price, price also has the tier taken off
+ */
+const unitPrices = async (lines) => {
+    const sweets = lines.map((line) => line.sweet);
+    const [prices, tables] = await Promise.all([SalePrice.resolvePrices(sweets), tierTables(sweets)]);
+
+    return lines.map(({ sweet, quantity }) => {
+        const { price, sale } = prices.get(String(sweet._id));
+        const tier = findTier(tables.get(String(sweet._id)).tiers, quantity);
+
+        return {
+            listPrice: sweet.price,
+            effectivePrice: price,
+            price: tier ? applyTier(price, tier) : price,
+            sale,
+            tier: tier ? { minQuantity: tier.minQuantity, percentOff: tier.percentOff } : null,
+        };
+    });
+};
+
+/**
+ * Build the tier table shown with a sweet, with the unit price at each tier
+ * @param {Sweet} sweet - Sweet document
+ * @param {number} effectivePrice - Sale or base price
+ * @returns {Promise<Object>} { source: 'sweet' | 'category' | null, tiers: [{ minQuantity, percentOff, unitPrice }] }
+ */
+const tierPricing = async (sweet, effectivePrice) => {
+    const { source, tiers } = (await tierTables([sweet])).get(String(sweet._id));
+
+    return {
+        source,
+        tiers: tiers.map(({ minQuantity, percentOff }) => ({
+            minQuantity,
+            percentOff,
+            unitPrice: applyTier(effectivePrice, { percentOff }),
+        })),
+    };
+};
+
+/**
+ * Read the coupon codes from a request body
+ * Accepts couponCodes (array) or couponCode (string)
+ * @param {Object} body - Request body
+ * @returns {Object} { codes } (possibly empty) or { error }
+ */
+const parseCouponCodes = (body = {}) => {
+    const { couponCodes, couponCode } = body;
+    let raw = [];
+
+    if (couponCodes !== undefined) {
+        if (!Array.isArray(couponCodes)) {
+            return { error: 'couponCodes must be an array of codes' };
+        }
+        raw = couponCodes;
+    } else if (couponCode !== undefined && couponCode !== null && couponCode !== '') {
+        raw = [couponCode];
+    }
+
+    if (raw.some((code) => typeof code !== 'string' || !code.trim())) {
+        return { error: 'Coupon codes must be non-empty strings' };
+    }
+
+    const codes = raw.map((code) => code.trim().toUpperCase());
+
+    if (new Set(codes).size !== codes.length) {
+        return { error: 'Each coupon code can only be used once per purchase' };
+    }
+
+    if (codes.length > MAX_COUPON_CODES) {
+        return { error: `At most ${MAX_COUPON_CODES} coupon codes can be used at once` };
+    }
+
+    return { codes };
+};
+
+/**
+ * Load coupons by code and check they can be used together by this customer
+ * @param {string[]} codes - Normalized codes
+ * @param {Object|null} user - Logged in user, if any
+ * @returns {Promise<Object>} { coupons } or { error }
+ */
+const loadCoupons = async (codes, user) => {
+    if (codes.length === 0) {
+        return { coupons: [] };
+    }
+
+    const found = await Coupon.find({ code: { $in: codes } });
+    const byCode = new Map(found.map((coupon) => [coupon.code, coupon]));
+    const coupons = [];
+
+    for (const code of codes) {
+        const coupon = byCode.get(code);
+
+        if (!coupon) {
+            return { error: `Invalid coupon code: ${code}` };
+        }
+
+        const reason = coupon.unavailableReason();
+        if (reason) {
+            return { error: reason };
+        }
+
+        if (coupon.perUserLimit !== null) {
+            if (!user) {
+                return { error: `Log in to use coupon ${code}` };
+            }
+
+            if ((await CouponUsage.countFor(coupon._id, user._id)) >= coupon.perUserLimit) {
+                return { error: `You have already used coupon ${code} the maximum number of times` };
+            }
+        }
+
+        coupons.push(coupon);
+    }
+
+    // Stacking: a coupon that is not stackable must be used on its own
+    if (coupons.length > 1) {
+        const single = coupons.find((coupon) => !coupon.stackable);
+        if (single) {
+            return { error: `Coupon ${single.code} cannot be combined with other codes` };
+        }
+    }
+
+    return { coupons };
+};
+
+/**
+ * Apply coupons to priced lines
+ * @param {Array} items - [{ sweet, name, category, listPrice, price, tier, quantity, subtotal }]
+ * @param {Array} coupons - Coupons that passed loadCoupons
+ * @returns {Object} { items, discounts } or { error }
+ */
+const applyCoupons = (items, coupons) => {
+    const remaining = items.map((item) => toCents(item.subtotal));
+    const discounted = items.map(() => 0);
+    const discounts = [];
+
+    // Percentages first, then fixed amounts, otherwise in the order given
+    const ordered = [
+        ...coupons.filter((coupon) => coupon.type === 'percentage'),
+        ...coupons.filter((coupon) => coupon.type === 'fixed'),
+    ];
+
+    for (const coupon of ordered) {
+        const covered = items
+            .map((item, index) => index)
+            .filter((index) => coupon.appliesTo({ _id: items[index].sweet, category: items[index].category }));
+
+        if (covered.length === 0) {
+            return { error: `Coupon ${coupon.code} does not apply to these sweets` };
+        }
+
+        const eligibleSpend = covered.reduce((sum, index) => sum + toCents(items[index].subtotal), 0);
+
+        if (eligibleSpend < toCents(coupon.minSpend)) {
+            return {
+                error: `Coupon ${coupon.code} needs a minimum spend of ${coupon.minSpend.toFixed(2)} on the sweets it covers`,
+            };
+        }
+
+        const base = covered.reduce((sum, index) => sum + remaining[index], 0);
+        const amount = coupon.type === 'percentage'
+            ? Math.round((base * coupon.value) / 100)
+            : Math.min(toCents(coupon.value), base);
+
+        // Spread over the covered lines, handing out leftover cents to the largest lines
+        const shares = covered.map((index) => (base > 0 ? Math.floor((amount * remaining[index]) / base) : 0));
+        let leftover = amount - shares.reduce((sum, share) => sum + share, 0);
+
+        const byAmount = covered
+            .map((index, position) => position)
+            .sort((a, b) => remaining[covered[b]] - remaining[covered[a]]);
+        for (const position of byAmount) {
+            if (leftover === 0) {
+                break;
+            }
+            if (shares[position] < remaining[covered[position]]) {
+                shares[position] += 1;
+                leftover -= 1;
+            }
+        }
+
+        covered.forEach((index, position) => {
+            remaining[index] -= shares[position];
+            discounted[index] += shares[position];
+        });
+
+        discounts.push({
+            coupon: coupon._id,
+            code: coupon.code,
+            type: coupon.type,
+            value: coupon.value,
+            amount: amount / 100,
+        });
+    }
+
+    return {
+        items: items.map((item, index) => ({
+            ...item,
+            discount: discounted[index] / 100,
+            total: remaining[index] / 100,
+        })),
+        discounts,
+    };
+};
+
+/**
+ * Price lines and apply coupon codes, without changing anything
+ * @param {Array} lines - [{ sweetId, quantity }] (sweet IDs already validated)
+ * @param {Object} [options]
+ * @param {string[]} [options.codes] - Coupon codes from parseCouponCodes
+ * @param {Object|null} [options.user] - Logged in user, if any
+ * @returns {Promise<Object>} { quote } or { error, status }
+ */
+const quoteLines = async (lines, { codes = [], user = null } = {}) => {
+    const sweets = await Sweet.find({ _id: { $in: lines.map((line) => line.sweetId) } });
+    const byId = new Map(sweets.map((sweet) => [String(sweet._id), sweet]));
+
+    const priced = [];
+    for (const { sweetId, quantity } of lines) {
+        const sweet = byId.get(String(sweetId));
+
+        if (!sweet) {
+            return { error: `Sweet not found: ${sweetId}`, status: 404 };
+        }
+
+        priced.push({ sweet, quantity });
+    }
+
+    const units = await unitPrices(priced);
+    const items = priced.map(({ sweet, quantity }, index) => {
+        const { listPrice, price, tier } = units[index];
+
+        return {
+            sweet: sweet._id,
+            name: sweet.name,
+            category: sweet.category,
+            listPrice,
+            price,
+            tier,
+            quantity,
+            subtotal: roundCurrency(price * quantity),
+        };
+    });
+
+    const { coupons, error: couponError } = await loadCoupons(codes, user);
+    if (couponError) {
+        return { error: couponError, status: 400 };
+    }
+
+    const applied = applyCoupons(items, coupons);
+    if (applied.error) {
+        return { error: applied.error, status: 400 };
+    }
+
+    const subtotal = roundCurrency(items.reduce((sum, item) => sum + item.subtotal, 0));
+    const discountTotal = roundCurrency(applied.discounts.reduce((sum, discount) => sum + discount.amount, 0));
+
+    return {
+        quote: {
+            items: applied.items,
+            subtotal,
+            discounts: applied.discounts,
+            discountTotal,
+            total: roundCurrency(subtotal - discountTotal),
+            coupons,
+        },
+    };
+};
+
+/**
+ * The part of a quote sent to customers
+ * @param {Object} quote - Quote from quoteLines
+ * @returns {Object} { items, subtotal, discounts, discountTotal, total }
+ */
+const pricingBreakdown = ({ items, subtotal, discounts, discountTotal, total }) => ({
+    items,
+    subtotal,
+    discounts,
+    discountTotal,
+    total,
+});
+
+/**
+ * Give back uses of coupons taken by redeemCoupons
+ * @param {Array} coupons - Redeemed coupons
+ * @param {Object|null} user - Customer they were redeemed for
+ * @returns {Promise<void>}
+ */
+const releaseCoupons = async (coupons, user) => {
+    await Promise.all(coupons.map((coupon) => Coupon.release(coupon, user ? user._id : null)));
+};
+
+/**
+ * Take one use of every coupon in a quote (all or nothing)
+ * @param {Object} quote - Quote from quoteLines
+ * @param {Object|null} user - Logged in user, if any
+ * @returns {Promise<string|null>} Reason a coupon could not be redeemed, or null
+ */
+const redeemCoupons = async (quote, user) => {
+    const redeemed = [];
+
+    try {
+        for (const coupon of quote.coupons) {
+            const reason = await Coupon.redeem(coupon, user ? user._id : null);
+
+            if (reason) {
+                await releaseCoupons(redeemed, user);
+                return reason;
+            }
+            redeemed.push(coupon);
+        }
+    } catch (error) {
+        await releaseCoupons(redeemed, user).catch((releaseError) => {
+            console.error('Release coupons error:', releaseError);
+        });
+        throw error;
+    }
+
+    return null;
+};
+
+module.exports = {
+    MAX_ORDER_LINES,
+    MAX_COUPON_CODES,
+    normalizeOrderItems,
+    withEffectivePrices,
+    unitPrices,
+    tierPricing,
+    parseCouponCodes,
+    quoteLines,
+    pricingBreakdown,
+    redeemCoupons,
+    releaseCoupons,
+};
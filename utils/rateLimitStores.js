@@ -0,0 +1,155 @@
+/**
+ * Rate Limit Stores
+ *
+ * Storage backends for the rate limiter. Every store implements:
+ * - increment(key, windowMs) -> { count, resetAt }
+ *     Count a hit in the fixed window for key (window starts on first hit)
+ * - update(key, fn) -> result
+ *     Atomically read-modify-write the state for key. fn(state, now) must
+ *     return { state, ttlMs, result }; state is null when absent or expired.
+ *
+ * The memory store is per process; the Mongo store is shared by every
+ * instance connected to the same database.
+ */
+
+const RateLimit = require('../models/RateLimit');
+
+// Retries for optimistic state updates in the Mongo store
+const MAX_UPDATE_ATTEMPTS = 10;
+
+/**
+ * In-memory store
+ * Expired entries are swept lazily every few hundred operations
+ * @returns {Object} Store
+ */
+const createMemoryStore = () => {
+    const entries = new Map();
+    let operations = 0;
+
+    const sweep = (now) => {
+        operations += 1;
+        if (operations % 500 !== 0) {
+            return;
+        }
+
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) {
+                entries.delete(key);
+            }
+        }
+    };
+
+    const getLive = (key, now) => {
+        const entry = entries.get(key);
+        return entry && entry.expiresAt > now ? entry : null;
+    };
+
+    return {
+        name: 'memory',
+
+        increment: async (key, windowMs) => {
+            const now = Date.now();
+            sweep(now);
+
+            let entry = getLive(key, now);
+            if (!entry) {
+                entry = { count: 0, expiresAt: now + windowMs };
+                entries.set(key, entry);
+            }
+            entry.count += 1;
+
+            return { count: entry.count, resetAt: new Date(entry.expiresAt) };
+        },
+
+        update: async (key, fn) => {
+            const now = Date.now();
+            sweep(now);
+
+            const entry = getLive(key, now);
+            const { state, ttlMs, result } = fn(entry ? entry.state : null, now);
+            entries.set(key, { state, expiresAt: now + ttlMs });
+
+            return result;
+        },
+
+        reset: async () => {
+            entries.clear();
+        },
+    };
+};
+
+/**
+ * MongoDB store
+ * Fixed windows use atomic $inc; state updates use optimistic versioning
+ * @returns {Object} Store
+ */
+const createMongoStore = () => ({
+    name: 'mongo',
+
+    increment: async (key, windowMs) => {
+        const now = new Date();
+
+        // TTL cleanup is lazy, so drop a finished window before counting
+        await RateLimit.deleteOne({ key, expiresAt: { $lte: now } });
+
+        const update = {
+            $inc: { count: 1 },
+            $setOnInsert: { expiresAt: new Date(now.getTime() + windowMs) },
+        };
+
+        let doc;
+        try {
+            doc = await RateLimit.findOneAndUpdate({ key }, update, { new: true, upsert: true });
+        } catch (error) {
+            // Two first hits raced to create the window; count into the winner
+            if (error.code !== 11000) {
+                throw error;
+            }
+            doc = await RateLimit.findOneAndUpdate({ key }, { $inc: { count: 1 } }, { new: true });
+        }
+
+        return { count: doc.count, resetAt: doc.expiresAt };
+    },
+
+    update: async (key, fn) => {
+        for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+            const now = Date.now();
+            const doc = await RateLimit.findOne({ key });
+            const current = doc && doc.expiresAt.getTime() > now ? doc.state : null;
+            const { state, ttlMs, result } = fn(current, now);
+            const expiresAt = new Date(now + ttlMs);
+
+            if (!doc) {
+                try {
+                    await RateLimit.create({ key, state, expiresAt });
+                    return result;
+                } catch (error) {
+                    if (error.code !== 11000) {
+                        throw error;
+                    }
+                    continue; // Another instance created it first
+                }
+            }
+
+            const written = await RateLimit.updateOne(
+                { key, version: doc.version },
+                { $set: { state, expiresAt }, $inc: { version: 1 } }
+            );
+
+            if (written.modifiedCount === 1) {
+                return result;
+            }
+        }
+
+        throw new Error(`Rate limit state for ${key} kept changing during update`);
+    },
+
+    reset: async () => {
+        await RateLimit.deleteMany({});
+    },
+});
+
+module.exports = {
+    createMemoryStore,
+    createMongoStore,
+};
@@ -0,0 +1,14 @@
+/**
+ * Regex Helpers
+ */
+
+/**
+ * Escape user input for safe use inside a RegExp
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+    escapeRegex,
+};
@@ -0,0 +1,274 @@
+/**
+ * Sweet Stream
+ *
+ * Publishes sweet changes and fans them out to Server-Sent Events clients
+ * publishSweetChanges() numbers each change and stores it in SweetEvent.
+ * While clients are connected, every instance polls SweetEvent and forwards
+ * new events in sequence order, so changes made on any instance reach all
+ * clients. A client that reconnects with Last-Event-ID gets what it missed.
+ * Events carry the effective price, and the poll also publishes sweets whose
+ * scheduled sale has just started or ended.
+ */
+
+const Sweet = require('../models/Sweet');
+const SweetEvent = require('../models/SweetEvent');
+const SalePrice = require('../models/SalePrice');
+const Counter = require('../models/Counter');
+const streamConfig = require('../config/stream');
+
+// Counter that numbers sweet events
+const SEQUENCE = 'sweetEvents';
+
+// Events read per poll
+const POLL_BATCH = 500;
+
+// Connected clients on this instance
+const clients = new Set();
+
+// Highest sequence number forwarded to clients (null while nobody is connected)
+let lastSeq = null;
+let pollTimer = null;
+
+// When the oldest missing sequence number was first noticed
+let gapSince = null;
+
+// When this instance last looked for sale starts and ends
+let lastSaleCheck = 0;
+
+/**
+ * Build the data clients receive for a sweet
+ * @param {string} sweetId - Sweet ID
+ * @param {Object|null} sweet - Sweet as it is now (null once purged)
+ * @param {Map} prices - Effective prices from SalePrice.resolvePrices
+ * @returns {Object} Event data
+ */
+const toEventData = (sweetId, sweet, prices) => {
+    if (!sweet || sweet.deletedAt) {
+        return { sweetId: String(sweetId), deleted: true, available: false };
+    }
+
+    const { price, sale } = prices.get(String(sweet._id));
+
+    return {
+        sweetId: String(sweetId),
+        quantity: sweet.quantity,
+        price: sweet.price,
+        effectivePrice: price,
+        onSale: sale !== null,
+        inStock: sweet.inStock,
+        available: sweet.inStock && sweet.quantity > 0,
+        deleted: false,
+    };
+};
+
+/**
+ * Publish the current state of sweets that were just changed
+ * Call after any change to quantity, price, availability or deletion.
+ * Not meant to be awaited: a failure is logged, never surfaced to the
+ * request that made the change.
+ * @param {Array} sweetIds - Changed sweet IDs
+ * @returns {Promise<void>}
+ */
+const publishSweetChanges = async (sweetIds) => {
+    if (sweetIds.length === 0) {
+        return;
+    }
+
+    try {
+        // Number the events before reading, so the highest number always carries the newest state
+        const firstSeq = await Counter.reserve(SEQUENCE, sweetIds.length);
+        const sweets = await Sweet.find({ _id: { $in: sweetIds } }).setOptions({ withDeleted: true }).lean();
+        const byId = new Map(sweets.map((sweet) => [String(sweet._id), sweet]));
+        const prices = await SalePrice.resolvePrices(sweets);
+
+        await SweetEvent.insertMany(
+            sweetIds.map((sweetId, index) => ({
+                seq: firstSeq + index,
+                sweet: sweetId,
+                data: toEventData(sweetId, byId.get(String(sweetId)) || null, prices),
+            }))
+        );
+    } catch (error) {
+        console.error('Publish sweet changes error:', error);
+    }
+};
+
+/**
+ * Format an SSE message
+ * @param {Object} event - { seq, data } or { seq, type: 'reset' }
+ * @returns {string} SSE message
+ */
+const formatEvent = ({ seq, type = 'sweet', data = {} }) =>
+    `id: ${seq}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Send an event to one client, once and in order
+ * @param {Object} client - Connected client
+ * @param {Object} event - SweetEvent
+ */
+const sendToClient = (client, event) => {
+    if (event.seq <= client.lastSeq) {
+        return;
+    }
+
+    client.lastSeq = event.seq;
+
+    if (!client.ids || client.ids.has(String(event.sweet))) {
+        client.write(formatEvent(event));
+    }
+};
+
+/**
+ * Forward new events to every client, in sequence order
+ * A number taken by a publisher that has not written its event yet is
+ * waited for up to gapTimeoutMs, then skipped.
+ */
+const poll = async () => {
+    const events = await SweetEvent.find({ seq: { $gt: lastSeq } })
+        .sort({ seq: 1 })
+        .limit(POLL_BATCH)
+        .lean();
+
+    for (const event of events) {
+        if (event.seq !== lastSeq + 1) {
+            gapSince = gapSince || Date.now();
+            if (Date.now() - gapSince < streamConfig.gapTimeoutMs) {
+                break;
+            }
+        }
+
+        gapSince = null;
+        lastSeq = event.seq;
+
+        clients.forEach((client) => {
+            if (client.replaying) {
+                client.queue.push(event);
+            } else {
+                sendToClient(client, event);
+            }
+        });
+    }
+};
+
+/**
+ * Publish the sweets whose scheduled sale started or ended since the last check
+ * Runs at most every saleCheckIntervalMs. Boundaries older than the event
+ * retention are skipped: resuming clients that far behind get a reset anyway.
+ */
+const publishSaleBoundaries = async () => {
+    const now = Date.now();
+
+    if (now - lastSaleCheck < streamConfig.saleCheckIntervalMs) {
+        return;
+    }
+
+    lastSaleCheck = now;
+
+    const since = new Date(now - streamConfig.retentionHours * 60 * 60 * 1000);
+    const sweetIds = await SalePrice.claimBoundaries(since, new Date(now));
+    const unique = [...new Map(sweetIds.map((id) => [String(id), id])).values()];
+
+    await publishSweetChanges(unique);
+};
+
+/**
+ * Poll until the last client disconnects
+ */
+const schedulePoll = () => {
+    pollTimer = setTimeout(async () => {
+        try {
+            await publishSaleBoundaries();
+            await poll();
+        } catch (error) {
+            console.error('Sweet stream poll error:', error);
+        }
+
+        if (clients.size > 0) {
+            schedulePoll();
+        } else {
+            pollTimer = null;
+            lastSeq = null;
+            gapSince = null;
+        }
+    }, streamConfig.pollIntervalMs);
+};
+
+/**
+ * Send a client the events after its Last-Event-ID
+ * Too far behind (or the events have expired): send a reset event instead,
+ * telling it to reload the sweets it shows
+ * @param {Object} client - Connected client
+ * @param {number} lastEventId - Last event the client received
+ */
+const replay = async (client, lastEventId) => {
+    const upTo = lastSeq;
+    const [oldest, missed] = await Promise.all([
+        SweetEvent.findOne().sort({ seq: 1 }).select('seq').lean(),
+        SweetEvent.find({ seq: { $gt: lastEventId, $lte: upTo } })
+            .sort({ seq: 1 })
+            .limit(streamConfig.maxReplay + 1)
+            .lean(),
+    ]);
+
+    const expired = oldest && oldest.seq > lastEventId + 1;
+
+    if (expired || missed.length > streamConfig.maxReplay) {
+        client.lastSeq = upTo;
+        client.write(formatEvent({ seq: upTo, type: 'reset' }));
+        return;
+    }
+
+    missed.forEach((event) => sendToClient(client, event));
+    client.lastSeq = Math.max(client.lastSeq, upTo);
+};
+
+/**
+ * Connect a client to the stream
+ * @param {Object} options
+ * @param {Set<string>|null} options.ids - Only send these sweets (null for all)
+ * @param {number|null} options.lastEventId - Resume after this event
+ * @param {Function} options.write - Writes a chunk to the client
+ * @returns {Promise<Function>} Call to disconnect
+ */
+const subscribe = async ({ ids, lastEventId, write }) => {
+    // Nobody was listening, so the last forwarded event may be stale: start from the newest
+    if (clients.size === 0) {
+        const latest = await SweetEvent.findOne().sort({ seq: -1 }).select('seq').lean();
+        lastSeq = Math.max(lastSeq || 0, latest ? latest.seq : 0);
+    }
+
+    const resuming = lastEventId !== null && lastEventId < lastSeq;
+    const client = {
+        ids,
+        write,
+        lastSeq: lastEventId === null ? lastSeq : lastEventId,
+        replaying: resuming,
+        queue: [], // Live events that arrive during the replay
+    };
+
+    clients.add(client);
+    if (!pollTimer) {
+        schedulePoll();
+    }
+
+    if (resuming) {
+        try {
+            await replay(client, lastEventId);
+        } catch (error) {
+            clients.delete(client);
+            throw error;
+        } finally {
+            client.replaying = false;
+            client.queue.splice(0).forEach((event) => sendToClient(client, event));
+        }
+    }
+
+    return () => {
+        clients.delete(client);
+    };
+};
+
+module.exports = {
+    publishSweetChanges,
+    subscribe,
+};
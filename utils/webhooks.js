@@ -0,0 +1,297 @@
+/**
+ * Webhook Delivery
+ *
+ * Sends signed event payloads to webhook subscriptions
+ * emitWebhookEvent() logs one delivery per subscribed webhook and sends it
+ * right away. Failed deliveries are retried by the worker with exponential
+ * backoff until they succeed or run out of attempts.
+ *
+ * Each request carries:
+ *   X-Webhook-Event      Event type, e.g. sweet.updated
+ *   X-Webhook-Delivery   Delivery id (new for a manual redelivery)
+ *   X-Webhook-Timestamp  Unix seconds when the attempt was made
+ *   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the webhook secret>
+ * The body is { id, type, createdAt, data }; id identifies the event and
+ * stays the same across retries and redeliveries.
+ */
+
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookConfig = require('../config/webhooks');
+
+// Characters of a receiver's answer kept in the delivery log
+const MAX_RESPONSE_BODY = 500;
+
+// Extra time a claimed delivery stays reserved beyond the request timeout
+const CLAIM_MARGIN_MS = 5000;
+
+// Due deliveries sent per worker run
+const WORKER_BATCH_SIZE = 50;
+
+/**
+ * Sign a payload for a webhook
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Exact request body
+ * @returns {string} Hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+const signPayload = (secret, timestamp, body) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempt - Number of attempts made so far (1 = first attempt failed)
+ * @returns {number} Milliseconds
+ */
+const backoffDelay = (attempt) =>
+    Math.min(webhookConfig.backoffBaseMs * 2 ** (attempt - 1), webhookConfig.backoffMaxMs);
+
+/**
+ * Read the start of a response body without downloading all of it
+ * @param {Response} response - fetch response
+ * @returns {Promise<string>} Up to MAX_RESPONSE_BODY characters
+ */
+const readResponseStart = async (response) => {
+    if (!response.body) {
+        return '';
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+
+    while (text.length < MAX_RESPONSE_BODY) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        text += decoder.decode(value, { stream: true });
+    }
+
+    reader.cancel().catch(() => {});
+    return text.slice(0, MAX_RESPONSE_BODY);
+};
+
+/**
+ * Make one HTTP attempt
+ * @param {Object} webhook - Webhook with its secret
+ * @param {Object} delivery - Delivery being sent
+ * @returns {Promise<Object>} Attempt log entry
+ */
+const sendAttempt = async (webhook, delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const attempt = { attemptedAt: new Date(started), statusCode: null, error: null, responseBody: null };
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'SweetShop-Webhooks/1.0',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': String(delivery._id),
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+            },
+            body,
+            redirect: 'manual', // A redirect is a failure, not a reason to post elsewhere
+            signal: AbortSignal.timeout(webhookConfig.timeoutMs),
+        });
+
+        attempt.statusCode = response.status;
+        attempt.responseBody = await readResponseStart(response);
+
+        if (!response.ok) {
+            attempt.error = `Receiver answered ${response.status}`;
+        }
+    } catch (error) {
+        attempt.error = error.name === 'TimeoutError'
+            ? `No answer within ${webhookConfig.timeoutMs} ms`
+            : (error.cause && error.cause.message) || error.message;
+    }
+
+    attempt.durationMs = Date.now() - started;
+    return attempt;
+};
+
+/**
+ * Send a delivery if it is due, and record the attempt
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<WebhookDelivery|null>} Updated delivery, or null if it was not due or already claimed
+ */
+const deliver = async (deliveryId) => {
+    const now = new Date();
+
+    // Claim the attempt by moving nextAttemptAt past the time it can take
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+        { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + webhookConfig.timeoutMs + CLAIM_MARGIN_MS) } },
+        { new: true }
+    );
+
+    if (!delivery) {
+        return null;
+    }
+
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+    // Disabled or deleted meanwhile: stop retrying, an admin can redeliver later
+    if (!webhook || !webhook.active) {
+        return WebhookDelivery.findByIdAndUpdate(
+            delivery._id,
+            {
+                $push: {
+                    attempts: {
+                        attemptedAt: now,
+                        error: webhook ? 'Webhook is disabled' : 'Webhook was deleted',
+                        durationMs: 0,
+                    },
+                },
+                $set: { status: 'failed', nextAttemptAt: null },
+            },
+            { new: true }
+        );
+    }
+
+    const attempt = await sendAttempt(webhook, delivery);
+    const attemptCount = delivery.attempts.length + 1;
+
+    let outcome;
+    if (!attempt.error) {
+        outcome = { status: 'succeeded', nextAttemptAt: null, deliveredAt: new Date() };
+    } else if (attemptCount >= webhookConfig.maxAttempts) {
+        outcome = { status: 'failed', nextAttemptAt: null };
+    } else {
+        outcome = { nextAttemptAt: new Date(Date.now() + backoffDelay(attemptCount)) };
+    }
+
+    return WebhookDelivery.findByIdAndUpdate(
+        delivery._id,
+        { $push: { attempts: attempt }, $set: outcome },
+        { new: true }
+    );
+};
+
+/**
+ * Log and send an event to every active webhook subscribed to it
+ * Not meant to be awaited: a failure is logged, never surfaced to the
+ * request that raised the event
+ * @param {string} type - Event type from config/webhooks.js
+ * @param {Object} data - Event data (documents are serialized with toJSON)
+ * @returns {Promise<WebhookDelivery[]>} Deliveries after their first attempt
+ */
+const emitWebhookEvent = async (type, data) => {
+    try {
+        const webhooks = await Webhook.find({ active: true, events: type }).select('_id');
+
+        if (webhooks.length === 0) {
+            return [];
+        }
+
+        const payload = {
+            id: crypto.randomUUID(),
+            type,
+            createdAt: new Date().toISOString(),
+            data: JSON.parse(JSON.stringify(data)),
+        };
+
+        const deliveries = await WebhookDelivery.insertMany(
+            webhooks.map((webhook) => ({
+                webhook: webhook._id,
+                event: type,
+                eventId: payload.id,
+                payload,
+                nextAttemptAt: new Date(),
+            }))
+        );
+
+        return await Promise.all(deliveries.map((delivery) => deliver(delivery._id)));
+    } catch (error) {
+        console.error(`Webhook event error (${type}):`, error);
+        return [];
+    }
+};
+
+/**
+ * Send a logged event again as a new delivery with fresh attempts
+ * @param {Object} delivery - Delivery to repeat
+ * @returns {Promise<WebhookDelivery>} New delivery after its first attempt
+ */
+const redeliver = async (delivery) => {
+    const copy = await WebhookDelivery.create({
+        webhook: delivery.webhook,
+        event: delivery.event,
+        eventId: delivery.eventId,
+        payload: delivery.payload,
+        nextAttemptAt: new Date(),
+        redeliveryOf: delivery._id,
+    });
+
+    return (await deliver(copy._id)) || copy;
+};
+
+/**
+ * Send every delivery whose retry is due
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+const processDueDeliveries = async () => {
+    const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(WORKER_BATCH_SIZE)
+        .select('_id');
+
+    await Promise.all(due.map(({ _id }) => deliver(_id)));
+    return due.length;
+};
+
+let workerTimer = null;
+
+/**
+ * Start retrying due deliveries every pollIntervalMs
+ * Safe to run on several instances: each attempt is claimed first
+ */
+const startWebhookWorker = () => {
+    if (workerTimer) {
+        return;
+    }
+
+    let running = false;
+    workerTimer = setInterval(async () => {
+        if (running) {
+            return;
+        }
+
+        running = true;
+        try {
+            await processDueDeliveries();
+        } catch (error) {
+            console.error('Webhook worker error:', error);
+        } finally {
+            running = false;
+        }
+    }, webhookConfig.pollIntervalMs);
+
+    // Do not keep the process alive just for retries
+    workerTimer.unref();
+};
+
+/**
+ * Stop the retry worker
+ */
+const stopWebhookWorker = () => {
+    clearInterval(workerTimer);
+    workerTimer = null;
+};
+
+module.exports = {
+    signPayload,
+    backoffDelay,
+    emitWebhookEvent,
+    redeliver,
+    processDueDeliveries,
+    startWebhookWorker,
+    stopWebhookWorker,
+};